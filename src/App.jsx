@@ -1,51 +1,59 @@
 import React from 'react'
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom'
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom'
 import Login from './components/Login'
 import Dashboard from './components/Dashboard'
 import AQIDetailPage from './components/AQIDetailPage'
 import WeatherDetailPage from './components/WeatherDetailPage'
 import { AuthProvider, useAuth } from './context/AuthContext'
+import { ConfigProvider } from './context/ConfigContext'
+import { PreferencesProvider } from './context/PreferencesContext'
 import './App.css'
 
 const ProtectedRoute = ({ children }) => {
   const { isAuthenticated } = useAuth()
-  return isAuthenticated ? children : <Navigate to="/login" replace />
+  const location = useLocation()
+  // Remember the requested page (with its analysis query) to return to after signing in
+  return isAuthenticated ? children : <Navigate to="/login" replace state={{ from: location }} />
 }
 
 function App() {
   return (
-    <AuthProvider>
-      <Router>
-        <Routes>
-          <Route path="/login" element={<Login />} />
-          <Route
-            path="/dashboard"
-            element={
-              <ProtectedRoute>
-                <Dashboard />
-              </ProtectedRoute>
-            }
-          />
-          <Route
-            path="/aqi-detail"
-            element={
-              <ProtectedRoute>
-                <AQIDetailPage />
-              </ProtectedRoute>
-            }
-          />
-          <Route
-            path="/weather-detail"
-            element={
-              <ProtectedRoute>
-                <WeatherDetailPage />
-              </ProtectedRoute>
-            }
-          />
-          <Route path="/" element={<Navigate to="/dashboard" replace />} />
-        </Routes>
-      </Router>
-    </AuthProvider>
+    <ConfigProvider>
+      <PreferencesProvider>
+        <AuthProvider>
+          <Router>
+            <Routes>
+              <Route path="/login" element={<Login />} />
+              <Route
+                path="/dashboard"
+                element={
+                  <ProtectedRoute>
+                    <Dashboard />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/aqi-detail"
+                element={
+                  <ProtectedRoute>
+                    <AQIDetailPage />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/weather-detail"
+                element={
+                  <ProtectedRoute>
+                    <WeatherDetailPage />
+                  </ProtectedRoute>
+                }
+              />
+              <Route path="/" element={<Navigate to="/dashboard" replace />} />
+            </Routes>
+          </Router>
+        </AuthProvider>
+      </PreferencesProvider>
+    </ConfigProvider>
   )
 }
 
@@ -1,51 +1,73 @@
-import React, { useState, useEffect, useMemo } from 'react'
-import { useNavigate, useLocation } from 'react-router-dom'
+import React, { useState, useEffect, useMemo, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
 import { format, parseISO, subDays, addDays, isToday, startOfDay, subHours } from 'date-fns'
 import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
 import * as XLSX from 'xlsx'
-import { fetchHourlyAQIData, fetchHourlyWeatherData, fetchHourlyAQIDataRange, calculateGeometryCenter } from '../services/api'
+import { fetchHourlyAQIData, fetchHourlyWeatherData, fetchHourlyWeatherDataRange, fetchHourlyAQIDataRange, calculateGeometryCenter } from '../services/api'
+import { isAbortError } from '../services/httpClient'
+import { getCacheInfo } from '../services/cache'
 import HourlyAQICards from './HourlyAQICards'
+import CachedAtIndicator from './CachedAtIndicator'
+import MissingDaysNotice from './MissingDaysNotice'
+import useAnalysisUrl from '../hooks/useAnalysisUrl'
+import { writeAnalysisParams } from '../utils/urlState'
+import { getAQICategory, getAQIStandard } from '../utils/aqiScale'
+import { BACKEND_AQI_STANDARD, calculateAQI, getDisplayedAQI, getReportedConcentrations } from '../utils/aqiCalculator'
+import { usePreferences } from '../context/PreferencesContext'
+import { convertReading, formatConcentration, getConversionConditions } from '../utils/pollutantUnits'
+import { convertWeatherReading, getWeatherFieldValue, withUnit, WEATHER_FIELD_QUANTITIES } from '../utils/weatherUnits'
 import './AQIDetailPage.css'
 
 const AQIDetailPage = () => {
   const navigate = useNavigate()
-  const location = useLocation()
-  const { geometry, startDate, endDate, currentDate, showAnalysis, dailyMode } = location.state || {}
-  
-  const [selectedDate, setSelectedDate] = useState(currentDate || format(new Date(), 'yyyy-MM-dd'))
-  const [hourlyAQIData, setHourlyAQIData] = useState([])
-  const [hourlyWeatherData, setHourlyWeatherData] = useState([])
-  const [loading, setLoading] = useState(false)
-  const [error, setError] = useState(null)
-  const [coordinates, setCoordinates] = useState(null)
-  const [chartType, setChartType] = useState('line') // 'line' or 'bar'
-  const [selectedParameters, setSelectedParameters] = useState(['aqi', 'pm2_5', 'pm10']) // Default selected parameters
-  const [selectionMode, setSelectionMode] = useState('multiple') // 'single' or 'multiple'
-  const [viewMode, setViewMode] = useState('live') // 'live', 'daily', 'weekly', 'monthly'
+  const { params, geometry, name, error: linkError, resolving, replaceUrl } = useAnalysisUrl()
+  const { aqiStandard, pollutantUnits, conversionConditions, weatherUnits } = usePreferences()
+  const { areaId, startDate, endDate, date: currentDate, view } = params
+  const dailyMode = view === 'daily'
 
   // Combined parameters: AQI + Weather
   const parameters = [
     // AQI Parameters
-    { key: 'aqi', label: 'AQI', color: '#14b8a6', category: 'aqi' },
-    { key: 'pm2_5', label: 'PM2.5 (µg/m³)', color: '#ef4444', category: 'aqi' },
-    { key: 'pm10', label: 'PM10 (µg/m³)', color: '#f59e0b', category: 'aqi' },
-    { key: 'co', label: 'CO (ppm)', color: '#8b5cf6', category: 'aqi' },
-    { key: 'no2', label: 'NO₂ (µg/m³)', color: '#3b82f6', category: 'aqi' },
-    { key: 'so2', label: 'SO₂ (µg/m³)', color: '#ec4899', category: 'aqi' },
-    { key: 'o3', label: 'O₃ (µg/m³)', color: '#10b981', category: 'aqi' },
+    { key: 'aqi', label: `AQI (${getAQIStandard(BACKEND_AQI_STANDARD).label})`, color: '#14b8a6', category: 'aqi' },
+    { key: 'pm2_5', label: `PM2.5 (${pollutantUnits.pm2_5})`, unit: pollutantUnits.pm2_5, color: '#ef4444', category: 'aqi' },
+    { key: 'pm10', label: `PM10 (${pollutantUnits.pm10})`, unit: pollutantUnits.pm10, color: '#f59e0b', category: 'aqi' },
+    { key: 'co', label: `CO (${pollutantUnits.co})`, unit: pollutantUnits.co, color: '#8b5cf6', category: 'aqi' },
+    { key: 'no2', label: `NO₂ (${pollutantUnits.no2})`, unit: pollutantUnits.no2, color: '#3b82f6', category: 'aqi' },
+    { key: 'so2', label: `SO₂ (${pollutantUnits.so2})`, unit: pollutantUnits.so2, color: '#ec4899', category: 'aqi' },
+    { key: 'o3', label: `O₃ (${pollutantUnits.o3})`, unit: pollutantUnits.o3, color: '#10b981', category: 'aqi' },
     // Weather Parameters
-    { key: 'temperature', label: 'Temperature (°C)', color: '#ef4444', category: 'weather' },
-    { key: 'feels_like', label: 'Feels Like (°C)', color: '#f97316', category: 'weather' },
+    { key: 'temperature', label: `Temperature (${weatherUnits.temperature})`, color: '#ef4444', category: 'weather' },
+    { key: 'feels_like', label: `Feels Like (${weatherUnits.temperature})`, color: '#f97316', category: 'weather' },
     { key: 'humidity', label: 'Humidity (%)', color: '#3b82f6', category: 'weather' },
-    { key: 'wind_speed', label: 'Wind Speed (km/h)', color: '#14b8a6', category: 'weather' },
-    { key: 'wind_gusts', label: 'Wind Gusts (km/h)', color: '#06b6d4', category: 'weather' },
+    { key: 'wind_speed', label: `Wind Speed (${weatherUnits.speed})`, color: '#14b8a6', category: 'weather' },
+    { key: 'wind_gusts', label: `Wind Gusts (${weatherUnits.speed})`, color: '#06b6d4', category: 'weather' },
     { key: 'uv_index', label: 'UV Index', color: '#fbbf24', category: 'weather' },
-    { key: 'precipitation', label: 'Precipitation (mm)', color: '#60a5fa', category: 'weather' },
+    { key: 'precipitation', label: `Precipitation (${weatherUnits.precipitation})`, color: '#60a5fa', category: 'weather' },
     { key: 'cloud_cover', label: 'Cloud Cover (%)', color: '#9ca3af', category: 'weather' },
-    { key: 'visibility', label: 'Visibility (km)', color: '#a855f7', category: 'weather' },
-    { key: 'pressure', label: 'Pressure (mb)', color: '#8b5cf6', category: 'weather' }
+    { key: 'visibility', label: `Visibility (${weatherUnits.distance})`, color: '#a855f7', category: 'weather' },
+    { key: 'pressure', label: `Pressure (${weatherUnits.pressure})`, color: '#8b5cf6', category: 'weather' }
   ]
 
+  const [selectedDate, setSelectedDate] = useState(currentDate || format(new Date(), 'yyyy-MM-dd'))
+  const [hourlyAQIData, setHourlyAQIData] = useState([])
+  const [hourlyWeatherData, setHourlyWeatherData] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [coordinates, setCoordinates] = useState(null)
+  const [chartType, setChartType] = useState(params.chart === 'bar' ? 'bar' : 'line') // 'line' or 'bar'
+  const [selectionMode, setSelectionMode] = useState(params.select === 'single' ? 'single' : 'multiple') // 'single' or 'multiple'
+  const [selectedParameters, setSelectedParameters] = useState(() => {
+    const linked = (params.parameters || []).filter(key => parameters.some(param => param.key === key))
+    if (params.parameters && (linked.length > 0 || params.parameters.length === 0)) {
+      return selectionMode === 'single' ? linked.slice(0, 1) : linked
+    }
+    return ['aqi', 'pm2_5', 'pm10'] // Default selected parameters
+  })
+  const [viewMode, setViewMode] = useState(params.period || 'live') // 'live', 'daily', 'weekly', 'monthly'
+  const requestControllerRef = useRef(null)
+  const [cacheInfo, setCacheInfo] = useState(null)
+  const [missingWeatherDates, setMissingWeatherDates] = useState([])
+
   useEffect(() => {
     if (geometry) {
       const center = calculateGeometryCenter(geometry)
@@ -55,6 +77,35 @@ const AQIDetailPage = () => {
     }
   }, [geometry])
 
+  // Keep the viewed day and chart settings in the URL
+  useEffect(() => {
+    replaceUrl({
+      geometry,
+      areaId,
+      name,
+      startDate,
+      endDate,
+      date: selectedDate,
+      view,
+      period: viewMode,
+      parameters: selectedParameters,
+      chart: chartType,
+      select: selectionMode
+    })
+  }, [geometry, areaId, name, startDate, endDate, selectedDate, view, viewMode, selectedParameters, chartType, selectionMode, replaceUrl])
+
+  // Back to the analysis this page was opened from
+  const dashboardPath = `/dashboard?${writeAnalysisParams({
+    geometry,
+    areaId,
+    name,
+    startDate,
+    endDate,
+    date: currentDate || selectedDate,
+    view,
+    analysis: true
+  })}`
+
   // Fetch data for selected date when it changes or view mode changes
   useEffect(() => {
     if (coordinates) {
@@ -63,8 +114,30 @@ const AQIDetailPage = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [selectedDate, coordinates, viewMode])
 
-  const fetchHourlyData = async () => {
+  // Cancel any in-flight request when leaving the page
+  useEffect(() => {
+    return () => requestControllerRef.current?.abort()
+  }, [])
+
+  const fetchHourlyData = async (refresh = false) => {
     if (!coordinates) return
+
+    // A newer request (date or view mode change, refresh) supersedes the previous one
+    requestControllerRef.current?.abort()
+    const controller = new AbortController()
+    requestControllerRef.current = controller
+    const { signal } = controller
+    let revalidated = false
+    const requestOptions = {
+      signal,
+      refresh,
+      // Reload once when a stale cached response has been refreshed in the background
+      onRevalidate: () => {
+        if (revalidated || signal.aborted) return
+        revalidated = true
+        fetchHourlyData()
+      }
+    }
     
     setLoading(true)
     setError(null)
@@ -73,15 +146,18 @@ const AQIDetailPage = () => {
       const today = format(new Date(), 'yyyy-MM-dd')
       let aqiRecords = []
       let weatherRecords = []
+      let aqiResponse = null
+      let missingDates = []
 
       if (viewMode === 'live') {
         // Live: Current data (last hour)
         const now = new Date()
         const oneHourAgo = subHours(now, 1)
         const [aqiData, weatherData] = await Promise.all([
-          fetchHourlyAQIData(coordinates.latitude, coordinates.longitude, today),
-          fetchHourlyWeatherData(coordinates.latitude, coordinates.longitude, today)
+          fetchHourlyAQIData(coordinates.latitude, coordinates.longitude, today, requestOptions),
+          fetchHourlyWeatherData(coordinates.latitude, coordinates.longitude, today, requestOptions)
         ])
+        aqiResponse = aqiData
         
         // Filter to last hour
         aqiRecords = (aqiData.hourly_records || []).filter(r => {
@@ -98,10 +174,11 @@ const AQIDetailPage = () => {
       } else if (viewMode === 'daily') {
         // Daily: Last 24 hours (today's hourly data)
         const [aqiData, weatherData] = await Promise.all([
-          fetchHourlyAQIData(coordinates.latitude, coordinates.longitude, today),
-          fetchHourlyWeatherData(coordinates.latitude, coordinates.longitude, today)
+          fetchHourlyAQIData(coordinates.latitude, coordinates.longitude, today, requestOptions),
+          fetchHourlyWeatherData(coordinates.latitude, coordinates.longitude, today, requestOptions)
         ])
         
+        aqiResponse = aqiData
         aqiRecords = aqiData.hourly_records || []
         weatherRecords = weatherData.hourly_records || []
       } else if (viewMode === 'weekly') {
@@ -109,42 +186,41 @@ const AQIDetailPage = () => {
         const weekAgo = format(subDays(new Date(), 7), 'yyyy-MM-dd')
         
         // Fetch AQI range
-        const aqiRange = await fetchHourlyAQIDataRange(coordinates.latitude, coordinates.longitude, weekAgo, today)
+        const aqiRange = await fetchHourlyAQIDataRange(coordinates.latitude, coordinates.longitude, weekAgo, today, requestOptions)
+        aqiResponse = aqiRange
         aqiRecords = aqiRange.hourly_records || []
         
-        // Fetch weather data for each day (no range endpoint available)
-        const weatherPromises = []
-        for (let i = 0; i < 7; i++) {
-          const date = format(subDays(new Date(), i), 'yyyy-MM-dd')
-          weatherPromises.push(fetchHourlyWeatherData(coordinates.latitude, coordinates.longitude, date))
-        }
-        const weatherResults = await Promise.all(weatherPromises)
-        weatherRecords = weatherResults.flatMap(r => r.hourly_records || [])
+        // Fetch weather for the same days; missing days are reported instead of failing the page
+        const weatherStart = format(subDays(new Date(), 6), 'yyyy-MM-dd')
+        const weatherRange = await fetchHourlyWeatherDataRange(coordinates.latitude, coordinates.longitude, weatherStart, today, requestOptions)
+        weatherRecords = weatherRange.hourly_records
+        missingDates = weatherRange.missing_dates
       } else if (viewMode === 'monthly') {
         // Monthly: Last 30 days
         const monthAgo = format(subDays(new Date(), 30), 'yyyy-MM-dd')
         
         // Fetch AQI range
-        const aqiRange = await fetchHourlyAQIDataRange(coordinates.latitude, coordinates.longitude, monthAgo, today)
+        const aqiRange = await fetchHourlyAQIDataRange(coordinates.latitude, coordinates.longitude, monthAgo, today, requestOptions)
+        aqiResponse = aqiRange
         aqiRecords = aqiRange.hourly_records || []
         
-        // Fetch weather data for each day (no range endpoint available)
-        const weatherPromises = []
-        for (let i = 0; i < 30; i++) {
-          const date = format(subDays(new Date(), i), 'yyyy-MM-dd')
-          weatherPromises.push(fetchHourlyWeatherData(coordinates.latitude, coordinates.longitude, date))
-        }
-        const weatherResults = await Promise.all(weatherPromises)
-        weatherRecords = weatherResults.flatMap(r => r.hourly_records || [])
+        // Fetch weather for the same days; missing days are reported instead of failing the page
+        const weatherStart = format(subDays(new Date(), 29), 'yyyy-MM-dd')
+        const weatherRange = await fetchHourlyWeatherDataRange(coordinates.latitude, coordinates.longitude, weatherStart, today, requestOptions)
+        weatherRecords = weatherRange.hourly_records
+        missingDates = weatherRange.missing_dates
       }
       
       setHourlyAQIData(aqiRecords)
       setHourlyWeatherData(weatherRecords)
+      setCacheInfo(getCacheInfo(aqiResponse))
+      setMissingWeatherDates(missingDates)
     } catch (err) {
+      if (isAbortError(err)) return
       setError(err.message)
       console.error('Error fetching hourly data:', err)
     } finally {
-      setLoading(false)
+      if (!signal.aborted) setLoading(false)
     }
   }
 
@@ -199,7 +275,7 @@ const AQIDetailPage = () => {
   // Handle chart refresh
   const handleRefreshChart = async () => {
     if (!coordinates) return
-    await fetchHourlyData()
+    await fetchHourlyData(true)
   }
 
   // Prepare chart data - merge AQI and Weather data by time
@@ -381,7 +457,9 @@ const AQIDetailPage = () => {
       }
     })
     
-    // Convert map to array and sort by original date
+    // Convert map to array and sort by original date, concentrations and weather in the chosen
+    // units (concentrations first, at the row's metric temperature and pressure for ambient conversion).
+    // The index shown under the chosen standard comes from the reported concentrations.
     return Array.from(dataMap.values())
       .sort((a, b) => {
         if (a.originalDate && b.originalDate) {
@@ -389,7 +467,12 @@ const AQIDetailPage = () => {
         }
         return a.time.localeCompare(b.time)
       })
-  }, [hourlyAQIData, hourlyWeatherData, viewMode])
+      .map(row => ({ ...row, shownAqi: getDisplayedAQI(row, aqiStandard) }))
+      .map(row => convertWeatherReading(
+        convertReading(row, pollutantUnits, getConversionConditions(conversionConditions, row)),
+        weatherUnits
+      ))
+  }, [hourlyAQIData, hourlyWeatherData, viewMode, aqiStandard, pollutantUnits, conversionConditions, weatherUnits])
 
   // Calculate statistics for selected parameters (for tooltip)
   const calculateStats = (data, paramKey) => {
@@ -444,7 +527,9 @@ const AQIDetailPage = () => {
                     className="tooltip-color-dot" 
                     style={{ backgroundColor: entry.color || param.color }}
                   ></span>
-                  <strong>{param.label}:</strong> {entry.value !== null && entry.value !== undefined ? entry.value.toFixed(2) : 'N/A'}
+                  <strong>{param.label}:</strong> {param.unit
+                    ? formatConcentration(entry.value, param.unit)
+                    : entry.value !== null && entry.value !== undefined ? entry.value.toFixed(2) : 'N/A'}
                 </div>
                 {stats && (
                   <div className="tooltip-stats">
@@ -462,16 +547,6 @@ const AQIDetailPage = () => {
     )
   }
 
-  const getAQICategory = (aqi) => {
-    if (!aqi) return { label: 'N/A', color: '#6b7280' }
-    if (aqi <= 50) return { label: 'Good', color: '#10b981' }
-    if (aqi <= 100) return { label: 'Moderate', color: '#f59e0b' }
-    if (aqi <= 150) return { label: 'Poor', color: '#f97316' }
-    if (aqi <= 200) return { label: 'Unhealthy', color: '#ef4444' }
-    if (aqi <= 300) return { label: 'Severe', color: '#8b5cf6' }
-    return { label: 'Hazardous', color: '#7f1d1d' }
-  }
-
   const formatDateTime = (dateString) => {
     try {
       const date = parseISO(dateString)
@@ -509,11 +584,17 @@ const AQIDetailPage = () => {
     try {
       // Merge AQI and Weather data for export
       const exportDataMap = new Map()
+      // Weather of each hour, for converting that hour's concentrations at ambient conditions
+      const weatherByKey = new Map(hourlyWeatherData.map(record => {
+        const { date: datePart, time } = formatDateTime(record.date)
+        return [`${datePart}_${time}`, record]
+      }))
       
       // Add AQI data
       hourlyAQIData.forEach(record => {
         const { date: datePart, time } = formatDateTime(record.date)
         const key = `${datePart}_${time}`
+        const converted = convertReading(record, pollutantUnits, getConversionConditions(conversionConditions, weatherByKey.get(key)))
         if (!exportDataMap.has(key)) {
           exportDataMap.set(key, {
             'Date': datePart,
@@ -522,15 +603,19 @@ const AQIDetailPage = () => {
           })
         }
         const entry = exportDataMap.get(key)
-        const category = getAQICategory(record.aqi)
-        entry['AQI'] = record.aqi !== null && record.aqi !== undefined ? record.aqi : 'N/A'
-        entry['AQI Category'] = category.label
-        entry['PM2.5 (µg/m³)'] = record.pm2_5 !== null && record.pm2_5 !== undefined ? record.pm2_5.toFixed(2) : 'N/A'
-        entry['PM10 (µg/m³)'] = record.pm10 !== null && record.pm10 !== undefined ? record.pm10.toFixed(2) : 'N/A'
-        entry['CO (ppm)'] = record.co !== null && record.co !== undefined ? record.co.toFixed(2) : 'N/A'
-        entry['NO₂ (µg/m³)'] = record.no2 !== null && record.no2 !== undefined ? record.no2.toFixed(2) : 'N/A'
-        entry['SO₂ (µg/m³)'] = record.so2 !== null && record.so2 !== undefined ? record.so2.toFixed(2) : 'N/A'
-        entry['O₃ (µg/m³)'] = record.o3 !== null && record.o3 !== undefined ? record.o3.toFixed(2) : 'N/A'
+        // The backend's index with US EPA categories, then the chosen standard's own index
+        const backendLabel = getAQIStandard(BACKEND_AQI_STANDARD).label
+        entry[`AQI (${backendLabel})`] = record.aqi !== null && record.aqi !== undefined ? record.aqi : 'N/A'
+        entry[`AQI Category (${backendLabel})`] = getAQICategory(record.aqi, BACKEND_AQI_STANDARD).label
+        if (getAQIStandard(aqiStandard).id !== BACKEND_AQI_STANDARD) {
+          const { aqi } = calculateAQI(getReportedConcentrations(record), aqiStandard)
+          const label = getAQIStandard(aqiStandard).label
+          entry[`AQI (${label})`] = aqi ?? 'N/A'
+          entry[`AQI Category (${label})`] = getAQICategory(aqi, aqiStandard).label
+        }
+        parameters.filter(param => param.unit).forEach(param => {
+          entry[param.label] = formatConcentration(converted[param.key], param.unit)
+        })
         entry['Trend'] = record.trend ? `${record.trend} ${record.trend_percentage !== null && record.trend_percentage !== undefined ? `${record.trend_percentage}%` : ''}` : 'N/A'
         entry['Data Source'] = record.data_source==="History/Estimate" ? "S" : "A" || 'N/A'
       })
@@ -547,25 +632,17 @@ const AQIDetailPage = () => {
           })
         }
         const entry = exportDataMap.get(key)
-        entry['Temperature (°C)'] = record.temperature !== null && record.temperature !== undefined ? record.temperature : 'N/A'
-        entry['Feels Like (°C)'] = record.feels_like !== null && record.feels_like !== undefined ? record.feels_like : 'N/A'
-        entry['Humidity (%)'] = record.humidity !== null && record.humidity !== undefined ? record.humidity : 'N/A'
-        entry['Wind Speed (km/h)'] = record.wind_speed !== null && record.wind_speed !== undefined ? record.wind_speed : 'N/A'
-        entry['Wind Gusts (km/h)'] = record.wind_gusts !== null && record.wind_gusts !== undefined ? record.wind_gusts : 'N/A'
-        entry['UV Index'] = record.uv_index !== null && record.uv_index !== undefined ? record.uv_index : 'N/A'
-        entry['Precipitation (mm)'] = record.precipitation !== null && record.precipitation !== undefined ? record.precipitation : 'N/A'
-        entry['Cloud Cover (%)'] = record.cloud_cover !== null && record.cloud_cover !== undefined ? record.cloud_cover : 'N/A'
-        entry['Visibility (km)'] = record.visibility !== null && record.visibility !== undefined ? record.visibility : 'N/A'
-        entry['Pressure (mb)'] = record.pressure !== null && record.pressure !== undefined ? record.pressure : 'N/A'
+        parameters.filter(param => param.category === 'weather').forEach(param => {
+          if (WEATHER_FIELD_QUANTITIES[param.key]) {
+            entry[param.label] = getWeatherFieldValue(record, param.key, weatherUnits) ?? 'N/A'
+          } else {
+            entry[param.label] = record[param.key] !== null && record[param.key] !== undefined ? record[param.key] : 'N/A'
+          }
+        })
       })
       
       // Prepare data for export
-      const exportData = Array.from(exportDataMap.values()).map((record, index) => {
-        const { date: datePart, time } = formatDateTime(record.date)
-        const category = getAQICategory(record.aqi)
-        
-        return record
-      })
+      const exportData = Array.from(exportDataMap.values())
 
       // Create workbook and worksheet
       const ws = XLSX.utils.json_to_sheet(exportData)
@@ -579,6 +656,8 @@ const AQIDetailPage = () => {
         { wch: 20 }, // Full DateTime
         { wch: 8 },  // AQI
         { wch: 15 }, // AQI Category
+        // AQI and category under the chosen standard
+        ...(getAQIStandard(aqiStandard).id !== BACKEND_AQI_STANDARD ? [{ wch: 8 }, { wch: 15 }] : []),
         { wch: 12 }, // PM2.5
         { wch: 12 }, // PM10
         { wch: 10 }, // CO
@@ -627,9 +706,9 @@ const AQIDetailPage = () => {
     return (
       <div className="aqi-detail-page">
         <div className="error-message">
-          <p>No location data available. Please go back and analyze an area first.</p>
+          <p>{resolving ? 'Loading the linked area...' : linkError || 'No location data available. Please go back and analyze an area first.'}</p>
           <button 
-            onClick={() => navigate('/dashboard', { state: { restoreAnalysis: showAnalysis || false } })} 
+            onClick={() => navigate(geometry ? dashboardPath : '/dashboard')} 
             className="back-button"
           >
             Go Back to Dashboard
@@ -643,17 +722,7 @@ const AQIDetailPage = () => {
     <div className="aqi-detail-page">
       <div className="page-header">
         <button 
-          onClick={() => {
-            navigate('/dashboard', { 
-              state: { 
-                restoreAnalysis: true,
-                geometry,
-                startDate,
-                endDate,
-                currentDate: currentDate || selectedDate
-              } 
-            })
-          }} 
+          onClick={() => navigate(dashboardPath)} 
           className="back-button"
         >
           ← Back to Dashboard
@@ -706,6 +775,8 @@ const AQIDetailPage = () => {
         />
       )}
 
+      {!dailyMode && !loading && <MissingDaysNotice dates={missingWeatherDates} />}
+
       {/* Data Visualization Section - Only show when not in daily mode */}
       {!dailyMode && (
       <div className="visualization-section">
@@ -733,6 +804,7 @@ const AQIDetailPage = () => {
                 Bar
               </button>
             </div>
+            {!loading && <CachedAtIndicator info={cacheInfo} />}
             <button 
               className="chart-refresh-button"
               onClick={handleRefreshChart}
@@ -1003,14 +1075,11 @@ const AQIDetailPage = () => {
               <tr>
                 <th>Date</th>
                 <th>Time</th>
-                <th>AQI</th>
-                <th>Category</th>
-                <th>PM2.5</th>
-                <th>PM10</th>
-                <th>CO</th>
-                <th>NO₂</th>
-                <th>SO₂</th>
-                <th>O₃</th>
+                <th title={getAQIStandard(aqiStandard).name}>AQI</th>
+                <th title={getAQIStandard(aqiStandard).name}>Category</th>
+                {parameters.filter(param => param.unit).map(param => (
+                  <th key={param.key}>{param.label}</th>
+                ))}
                 <th>Temperature</th>
                 <th>Humidity</th>
                 <th>Wind Speed</th>
@@ -1023,7 +1092,7 @@ const AQIDetailPage = () => {
               {chartData.map((record, index) => {
                 const dateStr = record.date || record.fullTime
                 const { date: datePart, time } = formatDateTime(dateStr)
-                const category = getAQICategory(record.aqi)
+                const { aqi, standardId, category } = record.shownAqi
                 // Use trend and source from chartData (already merged from hourlyAQIData)
                 const trend = record.trend
                 const trendPercentage = record.trend_percentage
@@ -1034,23 +1103,20 @@ const AQIDetailPage = () => {
                     <td>{time}</td>
                     <td>
                       <span className="aqi-table-value" style={{ color: category.color }}>
-                        {record.aqi || 'N/A'}
+                        {aqi ?? 'N/A'}
                       </span>
                     </td>
                     <td>
-                      <span className="category-badge" style={{ backgroundColor: category.color + '20', color: category.color }}>
+                      <span className="category-badge" style={{ backgroundColor: category.color + '20', color: category.color }} title={getAQIStandard(standardId).name}>
                         {category.label}
                       </span>
                     </td>
-                    <td>{record.pm2_5 !== null && record.pm2_5 !== undefined ? record.pm2_5.toFixed(2) : 'N/A'}</td>
-                    <td>{record.pm10 !== null && record.pm10 !== undefined ? record.pm10.toFixed(2) : 'N/A'}</td>
-                    <td>{record.co !== null && record.co !== undefined ? record.co.toFixed(2) : 'N/A'}</td>
-                    <td>{record.no2 !== null && record.no2 !== undefined ? record.no2.toFixed(2) : 'N/A'}</td>
-                    <td>{record.so2 !== null && record.so2 !== undefined ? record.so2.toFixed(2) : 'N/A'}</td>
-                    <td>{record.o3 !== null && record.o3 !== undefined ? record.o3.toFixed(2) : 'N/A'}</td>
-                    <td>{record.temperature !== null && record.temperature !== undefined ? `${record.temperature.toFixed(1)}°C` : 'N/A'}</td>
+                    {parameters.filter(param => param.unit).map(param => (
+                      <td key={param.key}>{formatConcentration(record[param.key], param.unit)}</td>
+                    ))}
+                    <td>{record.temperature !== null && record.temperature !== undefined ? withUnit(record.temperature.toFixed(1), weatherUnits.temperature) : 'N/A'}</td>
                     <td>{record.humidity !== null && record.humidity !== undefined ? `${record.humidity.toFixed(1)}%` : 'N/A'}</td>
-                    <td>{record.wind_speed !== null && record.wind_speed !== undefined ? `${record.wind_speed.toFixed(1)} km/h` : 'N/A'}</td>
+                    <td>{record.wind_speed !== null && record.wind_speed !== undefined ? withUnit(record.wind_speed.toFixed(1), weatherUnits.speed) : 'N/A'}</td>
                     <td>{record.uv_index !== null && record.uv_index !== undefined ? record.uv_index.toFixed(1) : 'N/A'}</td>
                     <td>
                       {trend && (
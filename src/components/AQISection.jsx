@@ -1,75 +1,35 @@
 import React from 'react'
 import { useNavigate } from 'react-router-dom'
+import AreaSummary from './AreaSummary'
+import SubIndexBreakdown from './SubIndexBreakdown'
+import NowCastBadge from './NowCastBadge'
+import { writeAnalysisParams } from '../utils/urlState'
+import { getFreshness } from '../utils/freshness'
+import { getAQIStandard, getAQICategories, getScalePosition } from '../utils/aqiScale'
+import { getAQIBreakdown, getDisplayedAQI, POLLUTANT_LABELS } from '../utils/aqiCalculator'
+import { POLLUTANT_KEYS, convertReading, formatConcentration, getConversionConditions } from '../utils/pollutantUnits'
+import { calculateNowCast } from '../utils/nowcast'
+import { usePreferences } from '../context/PreferencesContext'
 import './AQISection.css'
 
-const AQISection = ({ date, data, isLive = false, loading = false, geometry, startDate, endDate, onClick, viewMode }) => {
+const AQISection = ({ date, data, weather, recentRecords, isLive = false, loading = false, geometry, areaId, areaName, startDate, endDate, onClick, viewMode }) => {
   const navigate = useNavigate()
+  const { aqiStandard, pollutantUnits, conversionConditions } = usePreferences()
   
   const handleClick = () => {
     if (onClick) {
       onClick()
     } else {
-      // Navigate to detail page with state (include showAnalysis flag)
-      // If viewMode is 'daily', pass dailyMode flag
-      const isDailyMode = viewMode === 'daily'
-      
-      navigate('/aqi-detail', {
-        state: {
-          geometry,
-          startDate,
-          endDate,
-          currentDate: date,
-          showAnalysis: true, // Indicate we're coming from analysis view
-          dailyMode: isDailyMode // Pass daily mode flag
-        }
-      })
+      // The detail page reads everything from its URL, so the link can be shared or reloaded
+      navigate(`/aqi-detail?${writeAnalysisParams({ geometry, areaId, name: areaName, startDate, endDate, date, view: viewMode })}`)
     }
   }
   // Transform API data to component format
   const aqiData = data ? {
     aqi: data.aqi || null,
-    pm25: data.pm2_5 || null,
-    pm10: data.pm10 || null,
-    co: data.co || null,
-    so2: data.so2 || null,
-    no2: data.no2 || null,
-    o3: data.o3 || null,
     date: data.date || date
   } : null
 
-  const getAQICategory = (aqi) => {
-    if (aqi <= 50) return { 
-      label: 'Good', 
-      color: '#10b981', 
-      bgColor: 'rgba(16, 185, 129, 0.2)'
-    }
-    if (aqi <= 100) return { 
-      label: 'Moderate', 
-      color: '#f59e0b', 
-      bgColor: 'rgba(245, 158, 11, 0.2)'
-    }
-    if (aqi <= 150) return { 
-      label: 'Poor', 
-      color: '#f97316', 
-      bgColor: 'rgba(249, 115, 22, 0.2)'
-    }
-    if (aqi <= 200) return { 
-      label: 'Unhealthy', 
-      color: '#ef4444', 
-      bgColor: 'rgba(239, 68, 68, 0.2)'
-    }
-    if (aqi <= 300) return { 
-      label: 'Severe', 
-      color: '#8b5cf6', 
-      bgColor: 'rgba(139, 92, 246, 0.2)'
-    }
-    return { 
-      label: 'Hazardous', 
-      color: '#7f1d1d', 
-      bgColor: 'rgba(127, 29, 29, 0.2)'
-    }
-  }
-
   if (loading || !aqiData || !aqiData.aqi) {
     return (
       <div className="aqi-section">
@@ -82,16 +42,25 @@ const AQISection = ({ date, data, isLive = false, loading = false, geometry, sta
     )
   }
 
-  const category = getAQICategory(aqiData.aqi)
+  // Averaged over the standard's periods when the recent hourly records are known
+  const breakdown = getAQIBreakdown(data, aqiStandard, recentRecords)
+  // The backend's index is US EPA; other standards show the breakdown's index, so both agree
+  const headline = getDisplayedAQI(data, aqiStandard, breakdown)
+  const { category } = headline
+  const scaleCategories = getAQICategories(headline.standardId)
+  const freshness = getFreshness(data.date)
+  // Concentrations in the chosen units
+  const displayData = convertReading(data, pollutantUnits, getConversionConditions(conversionConditions, weather))
+  const nowcast = isLive ? calculateNowCast(recentRecords, aqiStandard, data.date || new Date()) : null
 
   return (
     <div className="aqi-section clickable" onClick={handleClick}>
       <div className="section-header">
         <h2 className="section-title">Air Quality Index</h2>
         {isLive && (
-          <div className="live-indicator">
+          <div className={`live-indicator ${freshness?.stale ? 'stale' : ''}`} title={freshness ? `Observed ${freshness.age} ago` : undefined}>
             <span className="live-dot"></span>
-            <span>LIVE</span>
+            <span>{freshness?.stale ? 'STALE' : 'LIVE'}</span>
           </div>
         )}
         {!isLive && aqiData && (
@@ -105,9 +74,10 @@ const AQISection = ({ date, data, isLive = false, loading = false, geometry, sta
         <div className="aqi-main-display">
           <div className="aqi-value-container">
             <div className="aqi-value" style={{ color: category.color }}>
-              {aqiData.aqi}
+              {headline.aqi}
             </div>
-            {/* <div className="aqi-label">AQI-US</div> */}
+            <div className="aqi-label">{getAQIStandard(headline.standardId).label}</div>
+            <NowCastBadge nowcast={nowcast} standardId={aqiStandard} />
           </div>
           <div className="aqi-status-box" style={{ backgroundColor: category.bgColor, borderColor: category.color }}>
             <span style={{ color: category.color }}>Air Quality is {category.label}</span>
@@ -115,68 +85,43 @@ const AQISection = ({ date, data, isLive = false, loading = false, geometry, sta
         </div>
 
         <div className="pollutant-levels">
-          <div className="pollutant-item">
-            <span className="pollutant-label">PM2.5</span>
-            <span className="pollutant-value">{aqiData.pm25.toFixed(2)} µg/m³</span>
-          </div>
-          <div className="pollutant-item">
-            <span className="pollutant-label">PM10</span>
-            <span className="pollutant-value">{aqiData.pm10.toFixed(2)  } µg/m³</span>
-          </div>
-          <div className="pollutant-item">
-            <span className="pollutant-label">CO</span>
-            <span className="pollutant-value">{aqiData.co.toFixed(2)} ppm</span>
-          </div>
-          <div className="pollutant-item">
-            <span className="pollutant-label">SO₂</span>
-            <span className="pollutant-value">{aqiData.so2.toFixed(2)} µg/m³</span>
-          </div>
-          <div className="pollutant-item">
-            <span className="pollutant-label">NO₂</span>
-            <span className="pollutant-value">{aqiData.no2.toFixed(2)} µg/m³</span>
-          </div>
-          <div className="pollutant-item">
-            <span className="pollutant-label">O₃</span>
-            <span className="pollutant-value">{aqiData.o3.toFixed(2)} µg/m³</span>
-          </div>
+          {POLLUTANT_KEYS.map(pollutant => (
+            <div key={pollutant} className="pollutant-item">
+              <span className="pollutant-label">{POLLUTANT_LABELS[pollutant]}</span>
+              <span className="pollutant-value">
+                {formatConcentration(displayData[pollutant], pollutantUnits[pollutant])} {pollutantUnits[pollutant]}
+              </span>
+            </div>
+          ))}
         </div>
 
         <div className="aqi-scale">
           <div className="scale-bar">
-            <div className="scale-segment" style={{ backgroundColor: '#10b981', width: '16.67%' }}>
-              <span className="scale-label">Good</span>
-              <span className="scale-range">0-50</span>
-            </div>
-            <div className="scale-segment" style={{ backgroundColor: '#f59e0b', width: '16.67%' }}>
-              <span className="scale-label">Moderate</span>
-              <span className="scale-range">51-100</span>
-            </div>
-            <div className="scale-segment" style={{ backgroundColor: '#f97316', width: '16.67%' }}>
-              <span className="scale-label">Poor</span>
-              <span className="scale-range">101-150</span>
-            </div>
-            <div className="scale-segment" style={{ backgroundColor: '#ef4444', width: '16.67%' }}>
-              <span className="scale-label">Unhealthy</span>
-              <span className="scale-range">151-200</span>
-            </div>
-            <div className="scale-segment" style={{ backgroundColor: '#8b5cf6', width: '16.67%' }}>
-              <span className="scale-label">Severe</span>
-              <span className="scale-range">201-300</span>
-            </div>
-            <div className="scale-segment" style={{ backgroundColor: '#7f1d1d', width: '16.67%' }}>
-              <span className="scale-label">Hazardous</span>
-              <span className="scale-range">301+</span>
-            </div>
+            {scaleCategories.map(entry => (
+              <div
+                key={entry.label}
+                className="scale-segment"
+                style={{ backgroundColor: entry.color, width: `${100 / scaleCategories.length}%` }}
+                title={entry.label}
+              >
+                <span className="scale-label">{entry.shortLabel}</span>
+                <span className="scale-range">{entry.range}</span>
+              </div>
+            ))}
           </div>
-          <div className="scale-indicator" style={{ left: `${Math.min((aqiData.aqi / 300) * 100, 100)}%` }}>
+          <div className="scale-indicator" style={{ left: `${getScalePosition(headline.aqi, headline.standardId) * 100}%` }}>
             <div className="indicator-dot" style={{ backgroundColor: category.color }}></div>
           </div>
         </div>
+
+        <SubIndexBreakdown breakdown={breakdown} standardId={aqiStandard} />
+
+        <AreaSummary area={data.area} />
       </div>
 
       <div className="last-updated">
         {isLive ? (
-          <>Last Updated: {new Date().toLocaleString()}</>
+          <>Observed: {freshness ? freshness.observedAt.toLocaleString() : 'N/A'}</>
         ) : (
           <>Date: {date ? new Date(date).toLocaleDateString() : 'N/A'}</>
         )}
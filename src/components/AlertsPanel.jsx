@@ -0,0 +1,182 @@
+import React, { useState } from 'react'
+import { format, parseISO } from 'date-fns'
+import { ALERT_FIELDS, getAQIAlertPresets, describeRule } from '../utils/alerts'
+import './AlertsPanel.css'
+
+const DURATION_OPTIONS = [0, 15, 30, 60, 120]
+
+const formatTime = (iso) => format(parseISO(iso), 'MMM dd, HH:mm')
+const formatValue = (value) => (typeof value === 'number' ? Math.round(value * 10) / 10 : '—')
+
+/**
+ * Alert rules for one area (a field above a threshold for a while, with optional quiet hours)
+ * and the history of their triggers. Rules are evaluated by the Dashboard on each live refresh.
+ */
+const AlertsPanel = ({ areaKey, areaName, rules, history, permission, monitoring, onAdd, onToggle, onRemove, onClearHistory, onRequestPermission }) => {
+  const [formOpen, setFormOpen] = useState(false)
+  const [field, setField] = useState('aqi')
+  const [threshold, setThreshold] = useState('150')
+  const [durationMinutes, setDurationMinutes] = useState(0)
+  const [quietEnabled, setQuietEnabled] = useState(false)
+  const [quietStart, setQuietStart] = useState('22:00')
+  const [quietEnd, setQuietEnd] = useState('07:00')
+  const [showAllHistory, setShowAllHistory] = useState(false)
+
+  const areaRules = rules.filter(rule => rule.areaKey === areaKey)
+  const visibleHistory = showAllHistory ? history : history.filter(entry => entry.areaKey === areaKey)
+  const ruleIds = new Set(rules.map(rule => rule.id))
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const value = Number(threshold)
+    if (!areaKey || threshold === '' || !isFinite(value)) return
+    onAdd({
+      areaKey,
+      areaName,
+      field,
+      threshold: value,
+      durationMinutes,
+      quietHours: quietEnabled ? { start: quietStart, end: quietEnd } : null
+    })
+    setFormOpen(false)
+  }
+
+  return (
+    <div className="alerts-panel">
+      <div className="alerts-header">
+        <h2 className="sidebar-title">ALERTS</h2>
+        {!formOpen && (
+          <button type="button" className="alerts-add" onClick={() => setFormOpen(true)} disabled={!areaKey}>
+            + Add rule
+          </button>
+        )}
+      </div>
+
+      {permission === 'unsupported' && (
+        <p className="alerts-note">This browser cannot show notifications; triggers are still recorded below.</p>
+      )}
+      {permission === 'denied' && (
+        <p className="alerts-note">Notifications are blocked for this site; triggers are still recorded below.</p>
+      )}
+      {permission === 'default' && areaRules.length > 0 && (
+        <button type="button" className="alerts-permission" onClick={onRequestPermission}>
+          Allow notifications
+        </button>
+      )}
+      {areaRules.length > 0 && !monitoring && (
+        <p className="alerts-note">Rules are checked while this area is open in Live view for today.</p>
+      )}
+
+      {formOpen && (
+        <form className="alerts-form" onSubmit={handleSubmit}>
+          <div className="alerts-form-row">
+            <select value={field} onChange={(e) => setField(e.target.value)} aria-label="Reading">
+              {ALERT_FIELDS.map(entry => (
+                <option key={entry.key} value={entry.key}>{entry.label}</option>
+              ))}
+            </select>
+            <span>above</span>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={threshold}
+              onChange={(e) => setThreshold(e.target.value)}
+              aria-label="Threshold"
+              required
+            />
+          </div>
+          {field === 'aqi' && (
+            <div className="alerts-presets">
+              {getAQIAlertPresets().map(preset => (
+                <button
+                  type="button"
+                  key={preset.label}
+                  className={Number(threshold) === preset.threshold ? 'active' : ''}
+                  onClick={() => setThreshold(`${preset.threshold}`)}
+                  title={`Alert when the AQI rises above ${preset.threshold} (${preset.name})`}
+                >
+                  {preset.label}+
+                </button>
+              ))}
+            </div>
+          )}
+          <label className="alerts-form-row">
+            <span>for at least</span>
+            <select value={durationMinutes} onChange={(e) => setDurationMinutes(Number(e.target.value))}>
+              {DURATION_OPTIONS.map(minutes => (
+                <option key={minutes} value={minutes}>{minutes === 0 ? 'any time (at once)' : `${minutes} min`}</option>
+              ))}
+            </select>
+          </label>
+          <label className="alerts-form-row">
+            <input type="checkbox" checked={quietEnabled} onChange={(e) => setQuietEnabled(e.target.checked)} />
+            <span>Quiet hours</span>
+            <input type="time" value={quietStart} onChange={(e) => setQuietStart(e.target.value)} disabled={!quietEnabled} aria-label="Quiet hours start" />
+            <span>to</span>
+            <input type="time" value={quietEnd} onChange={(e) => setQuietEnd(e.target.value)} disabled={!quietEnabled} aria-label="Quiet hours end" />
+          </label>
+          <div className="alerts-form-actions">
+            <button type="submit">Add</button>
+            <button type="button" onClick={() => setFormOpen(false)}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {areaRules.length === 0 && !formOpen ? (
+        <p className="alerts-empty">No alert rules for this area.</p>
+      ) : (
+        <ul className="alerts-rules">
+          {areaRules.map(rule => (
+            <li key={rule.id} className={`alerts-rule ${rule.status?.active ? 'active' : ''} ${rule.enabled ? '' : 'disabled'}`}>
+              <label>
+                <input type="checkbox" checked={rule.enabled} onChange={(e) => onToggle(rule.id, e.target.checked)} />
+                <span className="alerts-rule-text">
+                  {describeRule(rule)}
+                  {rule.quietHours && <small>Quiet {rule.quietHours.start}-{rule.quietHours.end}</small>}
+                </span>
+              </label>
+              {rule.status?.active && <span className="alerts-rule-state">Triggered</span>}
+              <button type="button" onClick={() => onRemove(rule.id)} aria-label="Delete rule" title="Delete rule">×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="alerts-history-header">
+        <h3>History</h3>
+        <label>
+          <input type="checkbox" checked={showAllHistory} onChange={(e) => setShowAllHistory(e.target.checked)} />
+          All areas
+        </label>
+        {visibleHistory.length > 0 && (
+          <button type="button" onClick={() => onClearHistory(showAllHistory ? null : areaKey)}>Clear</button>
+        )}
+      </div>
+      {visibleHistory.length === 0 ? (
+        <p className="alerts-empty">No alerts yet.</p>
+      ) : (
+        <ul className="alerts-history">
+          {visibleHistory.map(entry => (
+            <li key={entry.id} className={entry.clearedAt ? '' : 'ongoing'}>
+              <span className="alerts-history-rule">
+                {showAllHistory && `${entry.areaName}: `}{entry.description}
+              </span>
+              <span>
+                Triggered {formatTime(entry.triggeredAt)} at {formatValue(entry.value)}
+                {entry.quiet ? ' · quiet hours' : !entry.notified ? ' · not notified' : ''}
+              </span>
+              <span>
+                {entry.clearedAt
+                  ? `Cleared ${formatTime(entry.clearedAt)}${entry.clearedValue !== null ? ` at ${formatValue(entry.clearedValue)}` : ''}`
+                  : ruleIds.has(entry.ruleId) ? 'Ongoing' : 'Rule deleted'}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default AlertsPanel
@@ -0,0 +1,43 @@
+import React from 'react'
+import './AreaSummary.css'
+
+/**
+ * Area statistics for sampled analyses: range across sample points and the worst cell.
+ * `area` is the object attached by the sampling service; nothing renders for single-point data.
+ * `convert` maps the reported values into `unit` before they are shown.
+ */
+const AreaSummary = ({ area, label = 'AQI', unit = '', worstLabel = 'Worst cell', decimals = 0, convert = (value) => value }) => {
+  if (!area || area.sample_count < 2 || area.min === null || area.min === undefined) return null
+
+  const formatValue = (value) => `${Number(convert(value)).toFixed(decimals)}${unit}`
+
+  return (
+    <div className="area-summary" onClick={(e) => e.stopPropagation()}>
+      <div className="area-summary-item">
+        <span className="area-summary-label">Area mean</span>
+        <span className="area-summary-value">{formatValue(area.mean)}</span>
+      </div>
+      <div className="area-summary-item">
+        <span className="area-summary-label">{label} range</span>
+        <span className="area-summary-value">{formatValue(area.min)} – {formatValue(area.max)}</span>
+      </div>
+      {area.worst && (
+        <div className="area-summary-item">
+          <span className="area-summary-label">{worstLabel}</span>
+          <span className="area-summary-value">
+            {formatValue(area.worst.value)}
+            <span className="area-summary-coords">
+              {area.worst.latitude.toFixed(4)}, {area.worst.longitude.toFixed(4)}
+            </span>
+          </span>
+        </div>
+      )}
+      <div className="area-summary-footnote">
+        {area.sample_count} sample points
+        {area.failed_count > 0 && ` · ${area.failed_count} unavailable`}
+      </div>
+    </div>
+  )
+}
+
+export default AreaSummary
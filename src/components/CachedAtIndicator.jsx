@@ -0,0 +1,29 @@
+import React from 'react'
+import { format } from 'date-fns'
+import './CachedAtIndicator.css'
+
+/**
+ * Small badge shown when data was served from the response cache.
+ * `info` is the object returned by getCacheInfo().
+ */
+const CachedAtIndicator = ({ info }) => {
+  if (!info || !info.fromCache) return null
+
+  const cachedAt = new Date(info.cachedAt)
+  const label = format(cachedAt, 'MMM dd, HH:mm')
+
+  return (
+    <span
+      className={`cached-at-indicator ${info.stale ? 'stale' : ''}`}
+      title={info.stale ? 'Showing cached data while fresh data loads' : `Served from cache, fetched ${cachedAt.toLocaleString()}`}
+    >
+      <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+        <circle cx="12" cy="12" r="10"></circle>
+        <polyline points="12 6 12 12 16 14"></polyline>
+      </svg>
+      Cached at {label}{info.stale ? ' · refreshing' : ''}
+    </span>
+  )
+}
+
+export default CachedAtIndicator
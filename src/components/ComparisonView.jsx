@@ -0,0 +1,225 @@
+import React, { useMemo, useState } from 'react'
+import { format } from 'date-fns'
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
+import WeatherSection from './WeatherSection'
+import AQISection from './AQISection'
+import useAreaComparison from '../hooks/useAreaComparison'
+import { COMPARISON_PERIODS, RANKING_FIELDS, rankAreas } from '../utils/comparison'
+import { toDisplayConcentration, formatConcentration, getConversionConditions } from '../utils/pollutantUnits'
+import { usePreferences } from '../context/PreferencesContext'
+import './ComparisonView.css'
+
+// A ranking cell: the AQI rounded, pollutants in the chosen units
+const formatValue = (value, field, units, conditions) => {
+  if (typeof value !== 'number' || !isFinite(value)) return '–'
+  if (field === 'aqi') return Math.round(value)
+  return formatConcentration(toDisplayConcentration(value, field, units, conditions), units[field])
+}
+
+/**
+ * Several areas analysed together: live AQI and weather cards per area, their AQI
+ * trends overlaid (one colour per area) and a ranking table sortable by any pollutant.
+ * `areas` are { id, name, geometry, color }.
+ */
+const ComparisonView = ({ areas, sampleDensity, startDate, endDate }) => {
+  const [period, setPeriod] = useState('daily')
+  const [sort, setSort] = useState({ field: 'aqi', ascending: false })
+  const { pollutantUnits, conversionConditions } = usePreferences()
+  const { results, loading, trend, loadingTrend } = useAreaComparison(areas, { period, sampleDensity })
+
+  const ranked = useMemo(
+    () => rankAreas(areas, results, sort.field, sort.ascending),
+    [areas, results, sort]
+  )
+
+  const handleSort = (field) => {
+    setSort(prev => (prev.field === field ? { field, ascending: !prev.ascending } : { field, ascending: false }))
+  }
+
+  const today = format(new Date(), 'yyyy-MM-dd')
+
+  return (
+    <div className="analysis-content comparison-view">
+      <div className="comparison-header">
+        <h2 className="comparison-title">Comparing {areas.length} areas</h2>
+        <ul className="comparison-legend">
+          {areas.map(area => (
+            <li key={area.id}>
+              <span className="comparison-swatch" style={{ backgroundColor: area.color }}></span>
+              {area.name}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="comparison-columns">
+        {areas.map(area => {
+          const result = results[area.id]
+          return (
+            <div key={area.id} className="comparison-column" style={{ borderTopColor: area.color }}>
+              <h3 className="comparison-column-title">
+                <span className="comparison-swatch" style={{ backgroundColor: area.color }}></span>
+                {area.name}
+              </h3>
+              {result?.error ? (
+                <p className="comparison-error">Could not load this area: {result.error}</p>
+              ) : (
+                <>
+                  <WeatherSection
+                    geometry={area.geometry}
+                    startDate={startDate}
+                    endDate={endDate}
+                    date={today}
+                    data={result?.weather}
+                    isLive
+                    loading={!result}
+                    viewMode="live"
+                  />
+                  <AQISection
+                    geometry={area.geometry}
+                    startDate={startDate}
+                    endDate={endDate}
+                    date={today}
+                    data={result?.aqi}
+                    weather={result?.weather}
+                    isLive
+                    loading={!result}
+                    viewMode="live"
+                  />
+                </>
+              )}
+            </div>
+          )
+        })}
+      </div>
+
+      <div className="comparison-insights">
+        <div className="aqi-chart-container comparison-trend">
+          <div className="chart-header">
+            <h3 className="chart-title">AQI Trend</h3>
+            <div className="chart-header-right">
+              <div className="comparison-periods">
+                {Object.entries(COMPARISON_PERIODS).map(([key, option]) => (
+                  <button
+                    key={key}
+                    className={`view-mode-button ${period === key ? 'active' : ''}`}
+                    onClick={() => setPeriod(key)}
+                    disabled={loadingTrend}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          {loadingTrend ? (
+            <div className="chart-loading">
+              <div className="loading-spinner"></div>
+              <p className="loading-message">Please wait, data is loading...</p>
+            </div>
+          ) : trend.length > 0 ? (
+            <ResponsiveContainer width="100%" height={400}>
+              <LineChart data={trend} margin={{ top: 10, right: 30, left: 0, bottom: 40 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(20, 184, 166, 0.2)" />
+                <XAxis
+                  dataKey="time"
+                  stroke="#9ca3af"
+                  style={{ fontSize: '11px' }}
+                  angle={period === 'daily' ? 0 : -45}
+                  textAnchor={period === 'daily' ? 'middle' : 'end'}
+                  height={period === 'daily' ? 40 : 60}
+                  interval={period === 'monthly' ? 2 : period === 'daily' ? 2 : 0}
+                />
+                <YAxis
+                  stroke="#9ca3af"
+                  style={{ fontSize: '12px' }}
+                  label={{ value: 'AQI', angle: -90, position: 'insideLeft', style: { fill: '#9ca3af' } }}
+                />
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: 'rgba(26, 31, 58, 0.95)',
+                    border: '1px solid rgba(20, 184, 166, 0.4)',
+                    borderRadius: '8px',
+                    color: '#ffffff'
+                  }}
+                  labelStyle={{ color: '#14b8a6', fontWeight: 'bold' }}
+                />
+                <Legend wrapperStyle={{ paddingTop: 16 }} />
+                {areas.map(area => (
+                  <Line
+                    key={area.id}
+                    type="monotone"
+                    dataKey={area.id}
+                    name={area.name}
+                    stroke={area.color}
+                    strokeWidth={2}
+                    dot={period === 'daily' ? false : { r: 3, fill: area.color }}
+                    connectNulls
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          ) : (
+            <div className="chart-no-data">
+              <p>No chart data available</p>
+            </div>
+          )}
+        </div>
+
+        <div className="aqi-chart-container comparison-ranking">
+          <h3 className="chart-title">Ranking</h3>
+          <div className="comparison-table-wrapper">
+            <table className="comparison-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Area</th>
+                  {RANKING_FIELDS.map(({ key, label }) => (
+                    <th key={key} aria-sort={sort.field === key ? (sort.ascending ? 'ascending' : 'descending') : undefined}>
+                      <button
+                        type="button"
+                        className={`comparison-sort ${sort.field === key ? 'active' : ''}`}
+                        onClick={() => handleSort(key)}
+                        title={`Sort by ${label}${pollutantUnits[key] ? ` (${pollutantUnits[key]})` : ''}`}
+                      >
+                        {label}
+                        {sort.field === key && <span aria-hidden="true">{sort.ascending ? ' ▲' : ' ▼'}</span>}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {ranked.map((area, index) => {
+                  const result = results[area.id]
+                  return (
+                    <tr key={area.id}>
+                      <td>{index + 1}</td>
+                      <td className="comparison-area-cell">
+                        <span className="comparison-swatch" style={{ backgroundColor: area.color }}></span>
+                        {area.name}
+                      </td>
+                      {result?.error ? (
+                        <td colSpan={RANKING_FIELDS.length} className="comparison-error">{result.error}</td>
+                      ) : (
+                        RANKING_FIELDS.map(({ key }) => (
+                          <td key={key} className={sort.field === key ? 'sorted' : ''}>
+                            {result ? formatValue(result.aqi?.[key], key, pollutantUnits, getConversionConditions(conversionConditions, result.weather)) : '…'}
+                          </td>
+                        ))
+                      )}
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+          {loading && <p className="comparison-hint">Loading areas...</p>}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ComparisonView
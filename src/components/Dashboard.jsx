@@ -1,29 +1,79 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef, useMemo } from 'react'
 import { useAuth } from '../context/AuthContext'
-import { useNavigate, useLocation } from 'react-router-dom'
-import { format, subDays, startOfDay, isAfter, addDays, isBefore, isEqual, isToday, subHours, parseISO } from 'date-fns'
+import { useConfig } from '../context/ConfigContext'
+import { useNavigate } from 'react-router-dom'
+import { format, subDays, startOfDay, endOfDay, isAfter, addDays, isBefore, isEqual, isToday, subHours, parseISO } from 'date-fns'
 import { LineChart, Line, BarChart, Bar, ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceArea, Cell, Dot } from 'recharts'
 import MapComponent from './MapComponent'
 import WeatherSection from './WeatherSection'
 import AQISection from './AQISection'
 import LiveDashboardCards from './LiveDashboardCards'
-import { calculateGeometryCenter, fetchAQIData, fetchWeatherData, fetchHourlyAQIDataRange, fetchHourlyWeatherData, fetchHourlyAQIData } from '../services/api'
+import SettingsPanel from './SettingsPanel'
+import CachedAtIndicator from './CachedAtIndicator'
+import MissingDaysNotice from './MissingDaysNotice'
+import GeometryExport from './GeometryExport'
+import MyAreasPanel from './MyAreasPanel'
+import ComparisonView from './ComparisonView'
+import LiveStatusBar from './LiveStatusBar'
+import AlertsPanel from './AlertsPanel'
+import {
+  SAMPLE_DENSITIES,
+  DEFAULT_SAMPLE_DENSITY,
+  getSamplePoints,
+  fetchAreaAQIData,
+  fetchAreaWeatherData,
+  fetchAreaHourlyAQIData,
+  fetchAreaHourlyAQIDataRange,
+  fetchAreaHourlyWeatherData,
+  fetchAreaHourlyWeatherDataRange
+} from '../services/sampling'
+import { getGeodesicArea, getGeodesicPerimeter, formatArea, formatLength, combineGeometries, unionGeometries } from '../utils/geometry'
+import { RANGE_GRANULARITIES, getRangeGranularity, getBucketKey, bucketRecords, bucketRecentHours, formatRange } from '../utils/dateRange'
+import { COMPARISON_COLORS, MIN_COMPARISON_AREAS, MAX_COMPARISON_AREAS } from '../utils/comparison'
+import { validateGeometry, hasBlockingIssues, fixGeometry } from '../utils/geometryValidation'
+import { BOUNDARY_FILE_ACCEPT, readBoundaryFiles, parseBoundaryText } from '../utils/boundaryImport'
+import { isAbortError } from '../services/httpClient'
+import { getCacheInfo } from '../services/cache'
+import { getShareableAreaId } from '../services/areaStore'
+import useAnalysisUrl from '../hooks/useAnalysisUrl'
+import useLivePolling from '../hooks/useLivePolling'
+import useAlerts from '../hooks/useAlerts'
+import useRecentAQIRecords from '../hooks/useRecentAQIRecords'
+import { getAreaKey } from '../utils/alerts'
+import { getAQICategory, getAQIStandard, getChartBands, getChartAxis } from '../utils/aqiScale'
+import { BACKEND_AQI_STANDARD } from '../utils/aqiCalculator'
+import { LIVE_REFRESH_OPTIONS, DEFAULT_LIVE_REFRESH } from '../utils/freshness'
+import { NOWCAST_HOURS } from '../utils/nowcast'
 import './Dashboard.css'
 import './DatePicker.css'
 
+const SAMPLE_DENSITY_STORAGE_KEY = 'skyeye_sample_density'
+const LIVE_REFRESH_STORAGE_KEY = 'skyeye_live_refresh'
+
 const Dashboard = () => {
   const { logout } = useAuth()
+  const { config } = useConfig()
   const navigate = useNavigate()
-  const location = useLocation()
+  const { params: urlParams, geometry: urlGeometry, name: urlAreaName, error: urlError, resolving: resolvingUrl, replaceUrl } = useAnalysisUrl()
   const today = startOfDay(new Date())
   const oneWeekAgo = startOfDay(subDays(today, 7))
+  // A range the user picked (or a link brought) is kept instead of following the rolling last week
+  const [rangePinned, setRangePinned] = useState(() => Boolean(urlParams.startDate && urlParams.endDate && urlParams.startDate <= urlParams.endDate))
 
-  const [startDate, setStartDate] = useState(format(oneWeekAgo, 'yyyy-MM-dd'))
-  const [endDate, setEndDate] = useState(format(today, 'yyyy-MM-dd'))
+  const [startDate, setStartDate] = useState(rangePinned ? urlParams.startDate : format(oneWeekAgo, 'yyyy-MM-dd'))
+  const [endDate, setEndDate] = useState(rangePinned ? urlParams.endDate : format(today, 'yyyy-MM-dd'))
   const [viewType, setViewType] = useState('map') // 'map' or 'satellite'
   const [isDrawing, setIsDrawing] = useState(false)
+  const [isEditing, setIsEditing] = useState(false) // Vertex editing of the drawn area
   const [drawnGeometry, setDrawnGeometry] = useState(null)
-  const [uploadedKML, setUploadedKML] = useState(null)
+  const [drawnAreaName, setDrawnAreaName] = useState(null) // Name of a drawn area that came from My Areas or place search
+  const [sourceArea, setSourceArea] = useState(null) // Saved area ({ id, geometry }) the drawn area was loaded from
+  const [uploadedBoundary, setUploadedBoundary] = useState(null)
+  const [uploadError, setUploadError] = useState(null)
+  const [pasteOpen, setPasteOpen] = useState(false) // Text box for pasting WKT/GeoJSON by hand
+  const [pasteText, setPasteText] = useState('')
+  const [selectedFeatureIds, setSelectedFeatureIds] = useState([]) // Features of the uploaded file to analyse
+  const [mergeFeatures, setMergeFeatures] = useState(false) // Analyse selected features as their union
   const [showAnalysis, setShowAnalysis] = useState(false) 
   const [currentViewDate, setCurrentViewDate] = useState(null) // Currently viewing date
   const [weatherData, setWeatherData] = useState(null)
@@ -31,13 +81,65 @@ const Dashboard = () => {
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   const [sidebarOpen, setSidebarOpen] = useState(false) // For mobile sidebar toggle
-  const [viewMode, setViewMode] = useState('live') // 'live', 'daily', 'weekly', 'monthly'
+  const [viewMode, setViewMode] = useState('live') // 'live', 'daily', 'weekly', 'monthly', 'custom' (the chosen date range)
   const [aqiChartData, setAqiChartData] = useState([]) // For AQI chart
   const [loadingChart, setLoadingChart] = useState(false)
   const [timeChartData, setTimeChartData] = useState([]) // For Time chart
   const [loadingTimeChart, setLoadingTimeChart] = useState(false)
+  const [settingsOpen, setSettingsOpen] = useState(false)
+  const [aqiChartCacheInfo, setAqiChartCacheInfo] = useState(null)
+  const [timeChartCacheInfo, setTimeChartCacheInfo] = useState(null)
+  const [missingWeatherDates, setMissingWeatherDates] = useState([])
+  const [analysedGeometry, setAnalysedGeometry] = useState(null) // Geometry the current aqiData/weatherData belong to
+  const [comparisonAreas, setComparisonAreas] = useState(null) // Areas analysed side by side ({ id, name, geometry, color })
+  const [urlRestored, setUrlRestored] = useState(false)
+  const [sampleDensity, setSampleDensity] = useState(() => {
+    if (SAMPLE_DENSITIES[urlParams.density]) return urlParams.density
+    const saved = localStorage.getItem(SAMPLE_DENSITY_STORAGE_KEY)
+    return SAMPLE_DENSITIES[saved] ? saved : DEFAULT_SAMPLE_DENSITY
+  })
+  // Live mode auto-refresh interval in seconds, 0 when off
+  const [liveRefresh, setLiveRefresh] = useState(() => {
+    const saved = localStorage.getItem(LIVE_REFRESH_STORAGE_KEY)
+    return LIVE_REFRESH_OPTIONS.some(option => `${option.value}` === saved) ? Number(saved) : DEFAULT_LIVE_REFRESH
+  })
+  // One AbortController per request channel ('data', 'aqiChart', 'timeChart')
+  const requestControllersRef = useRef({})
+  // View date whose readings a new analysis is already fetching, so the date effect leaves them be
+  const analysisDateRef = useRef(null)
+
+  // Abort whatever is still in flight on this channel and hand out a fresh signal
+  const startRequest = (channel) => {
+    requestControllersRef.current[channel]?.abort()
+    const controller = new AbortController()
+    requestControllersRef.current[channel] = controller
+    return controller.signal
+  }
+
+  // Options for cached API calls. When a stale cached response was served, reload once
+  // after the background refresh lands - unless a newer request replaced this one.
+  const cachedRequestOptions = (signal, reload, refresh = false) => {
+    let reloaded = false
+    return {
+      signal,
+      refresh,
+      onRevalidate: () => {
+        if (reloaded || signal.aborted) return
+        reloaded = true
+        reload()
+      }
+    }
+  }
 
+  // Cancel all in-flight requests on unmount
   useEffect(() => {
+    const controllers = requestControllersRef.current
+    return () => Object.values(controllers).forEach(controller => controller.abort())
+  }, [])
+
+  useEffect(() => {
+    if (rangePinned) return
+
     // Update dates daily - recalculate one week ago from today
     const updateDates = () => {
       const currentToday = startOfDay(new Date())
@@ -51,42 +153,7 @@ const Dashboard = () => {
     const interval = setInterval(updateDates, 60000) // Check every minute
 
     return () => clearInterval(interval)
-  }, [])
-
-  // Restore analysis view when navigating back from detail page
-  useEffect(() => {
-    if (location.state?.restoreAnalysis) {
-      // Restore the analysis state
-      if (location.state.geometry) {
-        // If geometry is provided, restore it
-        if (location.state.geometry.type === 'Polygon') {
-          setDrawnGeometry(location.state.geometry)
-        }
-      }
-      if (location.state.startDate) {
-        setStartDate(location.state.startDate)
-      }
-      if (location.state.endDate) {
-        setEndDate(location.state.endDate)
-      }
-      if (location.state.currentDate) {
-        setCurrentViewDate(location.state.currentDate)
-      }
-      // Show analysis view
-      setShowAnalysis(true)
-      
-      // Fetch data if we have geometry and date
-      if (location.state.geometry && location.state.currentDate) {
-        const center = calculateGeometryCenter(location.state.geometry)
-        if (center) {
-          fetchDataForDate(center.latitude, center.longitude, location.state.currentDate)
-        }
-      }
-      
-      // Clear the state to prevent re-triggering
-      navigate(location.pathname, { replace: true, state: {} })
-    }
-  }, [location.state, navigate])
+  }, [rangePinned])
 
   const handleStartDateChange = (e) => {
     const selectedDate = new Date(e.target.value)
@@ -99,6 +166,7 @@ const Dashboard = () => {
     }
     
     setStartDate(format(selectedStartOfDay, 'yyyy-MM-dd'))
+    setRangePinned(true)
   }
 
   const handleEndDateChange = (e) => {
@@ -118,6 +186,12 @@ const Dashboard = () => {
     }
     
     setEndDate(format(selectedStartOfDay, 'yyyy-MM-dd'))
+    setRangePinned(true)
+  }
+
+  // Back to the rolling last 7 days
+  const handleResetDateRange = () => {
+    setRangePinned(false)
   }
 
   const handleLogout = () => {
@@ -127,11 +201,13 @@ const Dashboard = () => {
 
   const handleDrawArea = () => {
     setIsDrawing(true)
-    setUploadedKML(null) // Clear KML when drawing
+    setIsEditing(false)
+    setUploadedBoundary(null) // Clear any imported boundary when drawing
   }
 
   const handleGeometryComplete = (geometry) => {
     setDrawnGeometry(geometry)
+    setDrawnAreaName(null)
     setIsDrawing(false)
   }
 
@@ -139,32 +215,182 @@ const Dashboard = () => {
     setIsDrawing(false)
   }
 
-  const handleKMLUpload = (e) => {
-    const file = e.target.files[0]
-    if (!file) return
+  const handleEditArea = () => {
+    setIsDrawing(false)
+    setIsEditing(true)
+    setSidebarOpen(false) // Give the map the screen on mobile
+  }
+
+  // Imported boundaries of every format share one state shape ({ name, format, documentName, features }),
+  // so the feature picker, map and analysis treat them like an uploaded KML
+  const applyImportedBoundary = (boundary) => {
+    setUploadedBoundary(boundary)
+    setSelectedFeatureIds(boundary.features.map(feature => feature.id))
+    setMergeFeatures(false)
+    setDrawnGeometry(null) // Clear drawn geometry when a boundary is imported
+    setDrawnAreaName(null)
+    setIsDrawing(false)
+    setIsEditing(false)
+    setUploadError(null)
+  }
+
+  const handleBoundaryUpload = async (e) => {
+    const files = Array.from(e.target.files || [])
+    e.target.value = '' // Reset file input
+    if (files.length === 0) return
+
+    setUploadError(null)
+    try {
+      // Archives are unzipped and projected data reprojected here, so the rest of the app only sees WGS84 geometry
+      applyImportedBoundary(await readBoundaryFiles(files))
+    } catch (err) {
+      console.error('Error reading boundary file:', err)
+      setUploadError(`${files.map(file => file.name).join(', ')}: ${err.message}`)
+    }
+  }
 
-    if (!file.name.toLowerCase().endsWith('.kml') && !file.name.toLowerCase().endsWith('.kmz')) {
-      alert('Please upload a KML or KMZ file')
+  const importPastedBoundary = (text) => {
+    try {
+      const boundary = parseBoundaryText(text)
+      applyImportedBoundary({ ...boundary, name: 'pasted text' })
+      setPasteOpen(false)
+      setPasteText('')
+    } catch (err) {
+      setUploadError(err.message)
+    }
+  }
+
+  // Read WKT/GeoJSON straight from the clipboard; fall back to a text box when the
+  // browser blocks clipboard access or the clipboard holds nothing usable
+  const handlePasteBoundary = async () => {
+    setUploadError(null)
+    let text = ''
+    try {
+      text = navigator.clipboard ? await navigator.clipboard.readText() : ''
+    } catch (err) {
+      console.warn('Clipboard read not permitted:', err.message)
+    }
+
+    if (text.trim()) {
+      try {
+        applyImportedBoundary({ ...parseBoundaryText(text), name: 'clipboard' })
+        return
+      } catch (err) {
+        setUploadError(`Clipboard: ${err.message}`)
+      }
+    }
+    setPasteText(text)
+    setPasteOpen(true)
+  }
+
+  // Saved areas and place-search buffers become the drawn area, so they can be edited, exported and saved
+  const applyDrawnArea = (geometry, name) => {
+    setDrawnGeometry(geometry)
+    setDrawnAreaName(name)
+    setUploadedBoundary(null)
+    setSelectedFeatureIds([])
+    setUploadError(null)
+    setPasteOpen(false)
+    setIsDrawing(false)
+    setIsEditing(false)
+  }
+
+  const handleLoadArea = (area) => {
+    applyDrawnArea(area.geometry, area.name)
+    setSourceArea({ id: area.id, geometry: area.geometry })
+  }
+
+  const handleAnalyseArea = (area) => {
+    handleLoadArea(area)
+    handleAnalyse(area.geometry)
+  }
+
+  // Open the comparison view for 2-6 areas ({ id, name, geometry }); areas that fail validation block it
+  const handleCompare = (areas) => {
+    if (areas.length < MIN_COMPARISON_AREAS || areas.length > MAX_COMPARISON_AREAS) {
+      alert(`Please select ${MIN_COMPARISON_AREAS} to ${MAX_COMPARISON_AREAS} areas to compare`)
+      return
+    }
+    const invalid = areas.filter(area => hasBlockingIssues(validateGeometry(area.geometry)))
+    if (invalid.length > 0) {
+      alert(`Please fix the problems with ${invalid.map(area => area.name).join(', ')} first`)
       return
     }
 
-    const reader = new FileReader()
-    reader.onload = (event) => {
-      setUploadedKML({
-        name: file.name,
-        content: event.target.result
-      })
-      setDrawnGeometry(null) // Clear drawn geometry when KML is uploaded
-      setIsDrawing(false)
+    setSidebarOpen(false)
+    setIsDrawing(false)
+    setIsEditing(false)
+    setShowAnalysis(false)
+    setComparisonAreas(areas.map(({ id, name, geometry }, index) => ({
+      id,
+      name,
+      geometry,
+      color: COMPARISON_COLORS[index % COMPARISON_COLORS.length]
+    })))
+  }
+
+  const handleCompareFeatures = () => {
+    handleCompare(uploadedBoundary.features.filter(feature => selectedFeatureIds.includes(feature.id)))
+  }
+
+  const handleFeatureToggle = (featureId) => {
+    setSelectedFeatureIds(prev => (
+      prev.includes(featureId) ? prev.filter(id => id !== featureId) : [...prev, featureId]
+    ))
+  }
+
+  const handleSelectAllFeatures = (selectAll) => {
+    setSelectedFeatureIds(selectAll ? uploadedBoundary.features.map(feature => feature.id) : [])
+  }
+
+  // Apply the automatic fix for a validation issue to the drawn area, or to each selected
+  // feature that has the issue; features with nothing usable left are removed
+  const handleFixIssue = (code) => {
+    if (drawnGeometry) {
+      setDrawnGeometry(fixGeometry(drawnGeometry, code))
+      return
     }
-    reader.readAsText(file)
-    e.target.value = '' // Reset file input
+    if (!uploadedBoundary) return
+
+    const features = uploadedBoundary.features
+      .map(feature => {
+        const affected = selectedFeatureIds.includes(feature.id) &&
+          validateGeometry(feature.geometry).some(issue => issue.code === code)
+        return affected ? { ...feature, geometry: fixGeometry(feature.geometry, code) } : feature
+      })
+      .filter(feature => feature.geometry)
+    setUploadedBoundary(features.length > 0 ? { ...uploadedBoundary, features } : null)
+    setSelectedFeatureIds(prev => prev.filter(id => features.some(feature => feature.id === id)))
+  }
+
+  const handleSampleDensityChange = (e) => {
+    setSampleDensity(e.target.value)
+    localStorage.setItem(SAMPLE_DENSITY_STORAGE_KEY, e.target.value)
+  }
+
+  const handleLiveRefreshChange = (seconds) => {
+    setLiveRefresh(seconds)
+    localStorage.setItem(LIVE_REFRESH_STORAGE_KEY, `${seconds}`)
   }
 
   const handleClearGeometry = () => {
     setDrawnGeometry(null)
-    setUploadedKML(null)
+    setDrawnAreaName(null)
+    setUploadedBoundary(null)
+    setUploadError(null)
+    setPasteOpen(false)
+    setSelectedFeatureIds([])
     setIsDrawing(false)
+    setIsEditing(false)
+  }
+
+  // Short host label for the header, e.g. "aqi-weather-api.onrender.com"
+  const getHostLabel = (url) => {
+    try {
+      return new URL(url).host
+    } catch {
+      return url
+    }
   }
 
   const toggleView = () => {
@@ -232,38 +458,86 @@ const Dashboard = () => {
     return isBefore(current, maxDate) || isEqual(current, maxDate)
   }
 
-  // Parse KML to geometry
-  const parseKMLToGeometry = (kmlContent) => {
-    try {
-      const parser = new DOMParser()
-      const kmlDoc = parser.parseFromString(kmlContent, 'text/xml')
-      const errorNode = kmlDoc.querySelector('parsererror')
-      
-      if (errorNode) {
-        console.error('KML parsing error:', errorNode.textContent)
-        return null
+  // Geometry to analyse: the drawn area, or the selected features of the uploaded file
+  // (collected as a MultiPolygon, or dissolved into their union when merging)
+  const currentGeometry = useMemo(() => {
+    if (drawnGeometry) return drawnGeometry
+    if (!uploadedBoundary) return null
+
+    const geometries = uploadedBoundary.features
+      .filter(feature => selectedFeatureIds.includes(feature.id))
+      .map(feature => feature.geometry)
+    if (geometries.length === 0) return null
+    if (mergeFeatures && geometries.length > 1) {
+      try {
+        return unionGeometries(geometries)
+      } catch (err) {
+        // Invalid input rings can make the union fail; analysing the parts still works
+        console.warn('Could not merge the selected areas:', err)
       }
-
-      const coordinatesElements = kmlDoc.querySelectorAll('coordinates')
-      if (coordinatesElements.length > 0) {
-        const coordsText = coordinatesElements[0].textContent.trim()
-        const coordPairs = coordsText.split(/\s+/).filter(c => c.trim())
-        
-        const coordinates = coordPairs.map(coord => {
-          const [lng, lat] = coord.split(',').map(Number)
-          return [lng, lat] // GeoJSON format [lng, lat]
-        })
-        
-        return {
-          type: 'Polygon',
-          coordinates: [coordinates]
-        }
-      }
-    } catch (error) {
-      console.error('Error parsing KML:', error)
     }
-    return null
+    return combineGeometries(geometries)
+  }, [drawnGeometry, uploadedBoundary, selectedFeatureIds, mergeFeatures])
+
+  // Problems with the current geometry; errors must be fixed before analysing
+  const geometryIssues = useMemo(() => validateGeometry(currentGeometry), [currentGeometry])
+  const geometryBlocked = hasBlockingIssues(geometryIssues)
+
+  const geometryMeasurements = useMemo(() => {
+    if (!currentGeometry || geometryBlocked) return null
+    return {
+      area: getGeodesicArea(currentGeometry),
+      perimeter: getGeodesicPerimeter(currentGeometry)
+    }
+  }, [currentGeometry, geometryBlocked])
+
+  // File name and KML/GeoJSON feature name for exports
+  const exportName = useMemo(() => {
+    if (drawnGeometry || !uploadedBoundary) return drawnAreaName || 'Drawn area'
+    const selected = uploadedBoundary.features.filter(feature => selectedFeatureIds.includes(feature.id))
+    if (selected.length === 1) return selected[0].name
+    return uploadedBoundary.documentName || uploadedBoundary.name.replace(/\.[^.]+$/, '')
+  }, [drawnGeometry, drawnAreaName, uploadedBoundary, selectedFeatureIds])
+
+  // Bucket size of the custom range view
+  const rangeGranularity = getRangeGranularity(startDate, endDate)
+
+  // The daily, weekly and monthly windows end with the chosen end date: now while that is today
+  const getWindowEnd = () => {
+    const now = new Date()
+    const end = endOfDay(parseISO(endDate))
+    return isAfter(end, now) ? now : end
   }
+  // " to Jan 15" after those windows' labels when they end before today
+  const windowEndSuffix = isToday(parseISO(endDate)) ? '' : ` to ${format(parseISO(endDate), 'MMM dd')}`
+
+  // AQI charts plot the backend's index, so their bands, axis and colours are US EPA's
+  const aqiChartBands = getChartBands(BACKEND_AQI_STANDARD)
+  const aqiChartAxis = getChartAxis(BACKEND_AQI_STANDARD)
+  const aqiChartLabel = `AQI (${getAQIStandard(BACKEND_AQI_STANDARD).label})`
+
+  // Geometry a link to this page describes. While it is still exactly a saved area from a
+  // shared store, the link can name the area's id instead of carrying the geometry.
+  const linkGeometry = showAnalysis ? analysedGeometry : currentGeometry
+  const linkAreaId = sourceArea && sourceArea.geometry === linkGeometry ? getShareableAreaId(sourceArea.id) : null
+
+  // Last analysis results, only while they still describe the current geometry
+  const exportAnalysis = useMemo(() => {
+    if (!currentGeometry || currentGeometry !== analysedGeometry || (!aqiData && !weatherData)) return null
+    return { aqiData, weatherData, viewMode, date: currentViewDate }
+  }, [currentGeometry, analysedGeometry, aqiData, weatherData, viewMode, currentViewDate])
+
+  // Points the current and the analysed area are queried at, laid out once per area and density
+  const currentSamplePoints = useMemo(() => (
+    currentGeometry ? getSamplePoints(currentGeometry, sampleDensity) : []
+  ), [currentGeometry, sampleDensity])
+  const analysedSamplePoints = useMemo(() => {
+    if (analysedGeometry === currentGeometry) return currentSamplePoints
+    return analysedGeometry ? getSamplePoints(analysedGeometry, sampleDensity) : []
+  }, [analysedGeometry, currentGeometry, currentSamplePoints, sampleDensity])
+
+  // Sample grid for the current area, previewed on the map before analysing
+  const samplePreviewPoints = sampleDensity === DEFAULT_SAMPLE_DENSITY || geometryBlocked ? [] : currentSamplePoints
 
   // Helper function to aggregate hourly data
   const aggregateHourlyData = (hourlyRecords, type) => {
@@ -300,109 +574,120 @@ const Dashboard = () => {
     }
   }
 
+  // Keep the area statistics of a sampled response on its aggregated summary
+  const withAreaStats = (summary, response) => (
+    summary && response?.area ? { ...summary, area: response.area } : summary
+  )
+
   // Fetch data based on view mode
-  const fetchDataForMode = async (latitude, longitude) => {
+  const fetchDataForMode = async (points) => {
+    const signal = startRequest('data')
+    const requestOptions = cachedRequestOptions(signal, () => fetchDataForMode(points))
     setLoading(true)
     setError(null)
     setWeatherData(null)
     setAqiData(null)
+    setMissingWeatherDates([])
 
     try {
-      const today = format(new Date(), 'yyyy-MM-dd')
+      const windowEnd = getWindowEnd()
+      const today = format(windowEnd, 'yyyy-MM-dd')
       
       if (viewMode === 'live') {
         // Live: Current data (no date parameter)
         const [weather, aqi] = await Promise.all([
-          fetchWeatherData(latitude, longitude),
-          fetchAQIData(latitude, longitude)
+          fetchAreaWeatherData(points, null, { signal }),
+          fetchAreaAQIData(points, null, { signal })
         ])
         setWeatherData(weather)
         setAqiData(aqi)
       } else if (viewMode === 'daily') {
-        // Daily: Last 24 hours (today's hourly data)
+        // Daily: the end date's hourly data
         const [weatherHourly, aqiHourly] = await Promise.all([
-          fetchHourlyWeatherData(latitude, longitude, today),
-          fetchHourlyAQIData(latitude, longitude, today)
+          fetchAreaHourlyWeatherData(points, today, requestOptions),
+          fetchAreaHourlyAQIData(points, today, requestOptions)
         ])
         
-        const weatherAggregated = aggregateHourlyData(weatherHourly.hourly_records || [], 'weather')
-        const aqiAggregated = aggregateHourlyData(aqiHourly.hourly_records || [], 'aqi')
+        const weatherAggregated = withAreaStats(aggregateHourlyData(weatherHourly.hourly_records || [], 'weather'), weatherHourly)
+        const aqiAggregated = withAreaStats(aggregateHourlyData(aqiHourly.hourly_records || [], 'aqi'), aqiHourly)
         
         setWeatherData(weatherAggregated)
         setAqiData(aqiAggregated)
       } else if (viewMode === 'weekly') {
-        // Weekly: Past 7 days
-        const weekAgo = format(subDays(new Date(), 7), 'yyyy-MM-dd')
-        
-        // Fetch weather data for each day in the week
-        const weatherPromises = []
-        for (let i = 0; i < 7; i++) {
-          const date = format(subDays(new Date(), i), 'yyyy-MM-dd')
-          weatherPromises.push(fetchHourlyWeatherData(latitude, longitude, date))
-        }
+        // Weekly: 7 days up to the end date
+        const weekAgo = format(subDays(windowEnd, 7), 'yyyy-MM-dd')
+        const weatherStart = format(subDays(windowEnd, 6), 'yyyy-MM-dd')
         
-        const [weatherResults, aqiRange] = await Promise.all([
-          Promise.all(weatherPromises),
-          fetchHourlyAQIDataRange(latitude, longitude, weekAgo, today)
+        const [weatherRange, aqiRange] = await Promise.all([
+          fetchAreaHourlyWeatherDataRange(points, weatherStart, today, requestOptions),
+          fetchAreaHourlyAQIDataRange(points, weekAgo, today, requestOptions)
         ])
         
-        const allWeatherRecords = weatherResults.flatMap(r => r.hourly_records || [])
-        const weatherAggregated = aggregateHourlyData(allWeatherRecords, 'weather')
-        const aqiAggregated = aggregateHourlyData(aqiRange.hourly_records || [], 'aqi')
+        const weatherAggregated = withAreaStats(aggregateHourlyData(weatherRange.hourly_records, 'weather'), weatherRange)
+        const aqiAggregated = withAreaStats(aggregateHourlyData(aqiRange.hourly_records || [], 'aqi'), aqiRange)
         
         setWeatherData(weatherAggregated)
         setAqiData(aqiAggregated)
+        setMissingWeatherDates(weatherRange.missing_dates)
       } else if (viewMode === 'monthly') {
-        // Monthly: Past 30 days
-        const monthAgo = format(subDays(new Date(), 30), 'yyyy-MM-dd')
-        
-        // Fetch weather data for each day in the month (limit to 30 days to avoid too many requests)
-        const weatherPromises = []
-        for (let i = 0; i < 30; i++) {
-          const date = format(subDays(new Date(), i), 'yyyy-MM-dd')
-          weatherPromises.push(fetchHourlyWeatherData(latitude, longitude, date))
-        }
+        // Monthly: 30 days up to the end date
+        const monthAgo = format(subDays(windowEnd, 30), 'yyyy-MM-dd')
+        const weatherStart = format(subDays(windowEnd, 29), 'yyyy-MM-dd')
         
-        const [weatherResults, aqiRange] = await Promise.all([
-          Promise.all(weatherPromises),
-          fetchHourlyAQIDataRange(latitude, longitude, monthAgo, today)
+        const [weatherRange, aqiRange] = await Promise.all([
+          fetchAreaHourlyWeatherDataRange(points, weatherStart, today, requestOptions),
+          fetchAreaHourlyAQIDataRange(points, monthAgo, today, requestOptions)
         ])
         
-        const allWeatherRecords = weatherResults.flatMap(r => r.hourly_records || [])
-        const weatherAggregated = aggregateHourlyData(allWeatherRecords, 'weather')
-        const aqiAggregated = aggregateHourlyData(aqiRange.hourly_records || [], 'aqi')
+        const weatherAggregated = withAreaStats(aggregateHourlyData(weatherRange.hourly_records, 'weather'), weatherRange)
+        const aqiAggregated = withAreaStats(aggregateHourlyData(aqiRange.hourly_records || [], 'aqi'), aqiRange)
         
         setWeatherData(weatherAggregated)
         setAqiData(aqiAggregated)
+        setMissingWeatherDates(weatherRange.missing_dates)
+      } else if (viewMode === 'custom') {
+        // Custom: the date range chosen in the sidebar
+        const [weatherRange, aqiRange] = await Promise.all([
+          fetchAreaHourlyWeatherDataRange(points, startDate, endDate, requestOptions),
+          fetchAreaHourlyAQIDataRange(points, startDate, endDate, requestOptions)
+        ])
+
+        setWeatherData(withAreaStats(aggregateHourlyData(weatherRange.hourly_records, 'weather'), weatherRange))
+        setAqiData(withAreaStats(aggregateHourlyData(aqiRange.hourly_records || [], 'aqi'), aqiRange))
+        setMissingWeatherDates(weatherRange.missing_dates)
       }
     } catch (err) {
+      if (isAbortError(err)) return
       setError(err.message)
       console.error('Error fetching data:', err)
     } finally {
-      setLoading(false)
+      if (!signal.aborted) setLoading(false)
     }
   }
 
   // Fetch data for a specific date (legacy function for date navigation)
-  const fetchDataForDate = async (latitude, longitude, date) => {
+  const fetchDataForDate = async (points, date) => {
+    const signal = startRequest('data')
     setLoading(true)
     setError(null)
     setWeatherData(null)
     setAqiData(null)
+    setMissingWeatherDates([])
 
     try {
       const [weather, aqi] = await Promise.all([
-        fetchWeatherData(latitude, longitude, date),
-        fetchAQIData(latitude, longitude, date)
+        fetchAreaWeatherData(points, date, { signal }),
+        fetchAreaAQIData(points, date, { signal })
       ])
 
       setWeatherData(weather)
       setAqiData(aqi)
     } catch (err) {
+      if (isAbortError(err)) return
       setError(err.message)
       console.error('Error fetching data:', err)
     } finally {
-      setLoading(false)
+      if (!signal.aborted) setLoading(false)
     }
   }
 
@@ -411,24 +696,22 @@ const Dashboard = () => {
     setViewMode(mode)
     // Set loading state immediately when mode changes
     setLoadingChart(true)
-    
-    if (showAnalysis && (drawnGeometry || uploadedKML)) {
-      let geometry = drawnGeometry
-      if (!geometry && uploadedKML) {
-        geometry = parseKMLToGeometry(uploadedKML.content)
-      }
 
-      if (geometry) {
-        const center = calculateGeometryCenter(geometry)
-        if (center) {
-          setLoadingTimeChart(true)
-          await Promise.all([
-            fetchDataForMode(center.latitude, center.longitude),
-            fetchAQIChartData(center.latitude, center.longitude),
-            fetchTimeChartData(center.latitude, center.longitude)
-          ])
-        }
-      }
+    // A different mode is fetched by the viewMode effect once state has updated;
+    // fetching here would still see the previous mode. Re-selecting the current mode refreshes it.
+    if (mode !== viewMode && showAnalysis && (drawnGeometry || uploadedBoundary)) {
+      setLoadingTimeChart(true)
+      return
+    }
+    
+    if (showAnalysis && (drawnGeometry || uploadedBoundary) && currentSamplePoints.length > 0) {
+      const points = currentSamplePoints
+      setLoadingTimeChart(true)
+      await Promise.all([
+        fetchDataForMode(points),
+        fetchAQIChartData(points),
+        fetchTimeChartData(points)
+      ])
     } else {
       // If not in analysis mode, still reset loading
       setLoadingChart(false)
@@ -438,171 +721,204 @@ const Dashboard = () => {
 
   // Handle AQI Trend chart refresh
   const handleRefreshAQIChart = async () => {
-    if (!showAnalysis || (!drawnGeometry && !uploadedKML)) return
-    
-    let geometry = drawnGeometry
-    if (!geometry && uploadedKML) {
-      geometry = parseKMLToGeometry(uploadedKML.content)
-    }
+    if (!showAnalysis || (!drawnGeometry && !uploadedBoundary) || currentSamplePoints.length === 0) return
 
-    if (geometry) {
-      const center = calculateGeometryCenter(geometry)
-      if (center) {
-        setLoadingChart(true)
-        await fetchAQIChartData(center.latitude, center.longitude)
-      }
-    }
+    setLoadingChart(true)
+    await fetchAQIChartData(currentSamplePoints, true)
   }
 
   // Handle Time chart refresh
   const handleRefreshTimeChart = async () => {
-    if (!showAnalysis || (!drawnGeometry && !uploadedKML)) return
-    
-    let geometry = drawnGeometry
-    if (!geometry && uploadedKML) {
-      geometry = parseKMLToGeometry(uploadedKML.content)
-    }
+    if (!showAnalysis || (!drawnGeometry && !uploadedBoundary) || currentSamplePoints.length === 0) return
 
-    if (geometry) {
-      const center = calculateGeometryCenter(geometry)
-      if (center) {
-        setLoadingTimeChart(true)
-        await fetchTimeChartData(center.latitude, center.longitude)
-      }
-    }
+    setLoadingTimeChart(true)
+    await fetchTimeChartData(currentSamplePoints, true)
   }
 
-  // Handle analyse button click
-  const handleAnalyse = async () => {
-    if (!drawnGeometry && !uploadedKML) {
-      alert('Please draw an area or upload a KML file first')
+  // Readings for `date` (the current ones when null) and both charts of a new analysis. The charts
+  // load on their own channels, so nothing that restarts the readings holds them up or cancels them.
+  const fetchAnalysisData = async (points, date, signal) => {
+    const charts = Promise.all([
+      fetchAQIChartData(points),
+      fetchTimeChartData(points)
+    ])
+    const [weather, aqi] = await Promise.all([
+      fetchAreaWeatherData(points, date, { signal }),
+      fetchAreaAQIData(points, date, { signal })
+    ])
+    setWeatherData(weather)
+    setAqiData(aqi)
+    await charts
+  }
+
+  // Handle analyse button click; `areaGeometry` analyses a saved area before it is loaded into state
+  const handleAnalyse = async (areaGeometry = null) => {
+    if (!areaGeometry && !drawnGeometry && !uploadedBoundary) {
+      alert('Please draw an area or import a boundary first')
+      return
+    }
+    if (!areaGeometry && !currentGeometry) {
+      alert('Please select at least one area from the uploaded file')
+      return
+    }
+    if (areaGeometry ? hasBlockingIssues(validateGeometry(areaGeometry)) : geometryBlocked) {
+      alert('Please fix the problems with the selected area first')
       return
     }
 
     // Close sidebar on mobile when analyzing
     setSidebarOpen(false)
+    setIsEditing(false)
 
+    const signal = startRequest('data')
     setLoading(true)
     setError(null)
 
     try {
-      // Get geometry (from drawing or KML)
-      let geometry = drawnGeometry
-      if (!geometry && uploadedKML) {
-        geometry = parseKMLToGeometry(uploadedKML.content)
-      }
+      // Get geometry (a saved area, or from drawing or an imported boundary)
+      const geometry = areaGeometry || currentGeometry
 
       if (!geometry) {
         throw new Error('Could not parse geometry')
       }
 
-      // Calculate center coordinates
-      const center = calculateGeometryCenter(geometry)
-      if (!center) {
-        throw new Error('Could not calculate center coordinates')
+      // Points to query: the centre, or a sample grid over the area
+      const points = areaGeometry ? getSamplePoints(areaGeometry, sampleDensity) : currentSamplePoints
+      if (points.length === 0) {
+        throw new Error('Could not calculate sample points for the selected area')
       }
 
       // Set current view date to end date (last date)
       const viewDate = endDate
+      analysisDateRef.current = viewDate
       setCurrentViewDate(viewDate)
+      setAnalysedGeometry(geometry)
       setShowAnalysis(true)
       // Reset to live mode when starting new analysis
       const initialMode = 'live'
       setViewMode(initialMode)
 
-      // Fetch live data for initial analysis
-      const [weather, aqi] = await Promise.all([
-        fetchWeatherData(center.latitude, center.longitude),
-        fetchAQIData(center.latitude, center.longitude)
-      ])
-      setWeatherData(weather)
-      setAqiData(aqi)
-      
-      // Fetch chart data
-      await Promise.all([
-        fetchAQIChartData(center.latitude, center.longitude),
-        fetchTimeChartData(center.latitude, center.longitude)
-      ])
+      // Fetch live data and chart data for initial analysis
+      await fetchAnalysisData(points, null, signal)
     } catch (err) {
+      if (isAbortError(err)) return
       setError(err.message)
       alert(`Error: ${err.message}`)
     } finally {
-      setLoading(false)
+      if (!signal.aborted) setLoading(false)
     }
   }
 
   // Handle date navigation - fetch data when date changes (only for date-based navigation, not view modes)
   useEffect(() => {
-    if (showAnalysis && currentViewDate && (drawnGeometry || uploadedKML) && viewMode === 'live') {
-      let geometry = drawnGeometry
-      if (!geometry && uploadedKML) {
-        geometry = parseKMLToGeometry(uploadedKML.content)
-      }
+    const fetchingForAnalysis = analysisDateRef.current === currentViewDate
+    analysisDateRef.current = null
+    if (fetchingForAnalysis) return
 
-      if (geometry) {
-        const center = calculateGeometryCenter(geometry)
-        if (center) {
-          fetchDataForDate(center.latitude, center.longitude, currentViewDate)
-        }
-      }
+    if (showAnalysis && currentViewDate && (drawnGeometry || uploadedBoundary) && viewMode === 'live' && currentSamplePoints.length > 0) {
+      fetchDataForDate(currentSamplePoints, currentViewDate)
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [currentViewDate, showAnalysis])
 
+  // Live mode on today's date refreshes the current readings in the background
+  const viewingToday = currentViewDate === format(new Date(), 'yyyy-MM-dd')
+  const liveActive = showAnalysis && !comparisonAreas && viewMode === 'live' && viewingToday
+
+  const pollLiveData = async () => {
+    // A load the user started is newer than anything a poll would bring
+    if (loading || analysedSamplePoints.length === 0) return
+    const points = analysedSamplePoints
+    const signal = startRequest('data')
+    const [weather, aqi] = await Promise.all([
+      fetchAreaWeatherData(points, null, { signal }),
+      fetchAreaAQIData(points, null, { signal })
+    ])
+    setWeatherData(weather)
+    setAqiData(aqi)
+  }
+
+  // Hourly records behind the live reading, for averaging pollutants over their standard periods
+  const recentAQIRecords = useRecentAQIRecords(analysedSamplePoints, { enabled: liveActive, at: aqiData?.date })
+
+  // Alert rules belong to the saved area the analysis came from, or to the analysed geometry itself
+  const alerts = useAlerts()
+  const alertAreaKey = getAreaKey(analysedGeometry, sourceArea && sourceArea.geometry === analysedGeometry ? sourceArea.id : null)
+  const monitoringAlerts = alerts.rules.some(rule => rule.enabled && rule.areaKey === alertAreaKey)
+
+  // An area with alert rules keeps polling in a background tab so the alerts can still fire
+  const livePolling = useLivePolling(pollLiveData, {
+    enabled: liveActive,
+    intervalSeconds: liveRefresh,
+    pauseWhenHidden: !monitoringAlerts
+  })
+
+  useEffect(() => {
+    if (liveActive && aqiData) alerts.evaluate(alertAreaKey, aqiData)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [aqiData])
+
+  const handleRefreshLive = () => {
+    if (analysedSamplePoints.length > 0) fetchDataForDate(analysedSamplePoints, null)
+  }
+
+  // For sampled areas, add the worst cell's AQI (averaged per chart bucket) next to the area mean
+  const addWorstCellSeries = (chartData, records, now) => {
+    const toBucketKey = {
+      live: (record) => getBucketKey(parseISO(record.date), 'hourly'),
+      daily: (record) => subHours(now, Math.floor((now - parseISO(record.date)) / (1000 * 60 * 60))).toISOString(),
+      weekly: (record) => format(parseISO(record.date), 'yyyy-MM-dd'),
+      monthly: (record) => format(parseISO(record.date), 'yyyy-MM-dd'),
+      custom: (record) => getBucketKey(parseISO(record.date), rangeGranularity)
+    }[viewMode]
+    if (!toBucketKey) return chartData
+
+    const buckets = new Map()
+    records.forEach(record => {
+      if (record?.aqi_max === null || record?.aqi_max === undefined) return
+      const key = toBucketKey(record)
+      if (!buckets.has(key)) buckets.set(key, [])
+      buckets.get(key).push(record.aqi_max)
+    })
+    if (buckets.size === 0) return chartData
+
+    return chartData.map(point => {
+      const values = buckets.get(point.fullTime)
+      return {
+        ...point,
+        aqiWorst: values ? Math.round(values.reduce((sum, val) => sum + val, 0) / values.length) : null
+      }
+    })
+  }
+
   // Fetch AQI chart data based on view mode
-  const fetchAQIChartData = async (latitude, longitude) => {
+  const fetchAQIChartData = async (points, refresh = false) => {
+    const signal = startRequest('aqiChart')
+    const requestOptions = cachedRequestOptions(signal, () => fetchAQIChartData(points), refresh)
+    let cacheInfo = null
     setLoadingChart(true)
     try {
-      const today = format(new Date(), 'yyyy-MM-dd')
-      const now = new Date()
+      // Live follows the clock; the other views end with the chosen end date
+      const now = viewMode === 'live' ? new Date() : getWindowEnd()
+      const today = format(now, 'yyyy-MM-dd')
       let chartData = []
+      let areaRecords = []
 
       if (viewMode === 'live') {
-        // Live: Last 60 minutes - X-axis shows 1, 5, 10, ..., 60
-        const aqiHourly = await fetchHourlyAQIData(latitude, longitude, today)
-        const records = aqiHourly.hourly_records || []
-        
-        // Get records from the last hour (60 minutes)
-        const oneHourAgo = subHours(now, 1)
-        const lastHourRecords = records
-          .filter(r => {
-            if (!r || r.aqi === null || r.aqi === undefined) return false
-            const recordTime = parseISO(r.date)
-            return recordTime >= oneHourAgo
-          })
-          .sort((a, b) => parseISO(a.date) - parseISO(b.date))
-        
-        // Create minute buckets (1, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60)
-        const minuteBuckets = [1, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60]
-        
-        if (lastHourRecords.length > 0) {
-          // Map records to closest minute bucket
-          chartData = minuteBuckets.map(minute => {
-            const targetTime = subHours(now, 1).getTime() + (60 - minute) * 60 * 1000
-            const closestRecord = lastHourRecords.reduce((closest, record) => {
-              const recordTime = parseISO(record.date).getTime()
-              const closestTime = closest ? parseISO(closest.date).getTime() : null
-              if (!closestTime) return record
-              return Math.abs(recordTime - targetTime) < Math.abs(closestTime - targetTime) ? record : closest
-            }, null)
-            
-            return {
-              time: minute.toString(),
-              aqi: closestRecord ? closestRecord.aqi : (lastHourRecords[0]?.aqi || 0),
-              fullTime: closestRecord ? closestRecord.date : now.toISOString(),
-              minute: minute
-            }
-          })
-        } else {
-          // Fallback: use last few records and map to minute positions
-          const fallbackRecords = records.slice(-12).filter(r => r && r.aqi !== null && r.aqi !== undefined)
-          chartData = minuteBuckets.map((minute, idx) => ({
-            time: minute.toString(),
-            aqi: fallbackRecords[idx]?.aqi || fallbackRecords[0]?.aqi || 0,
-            fullTime: fallbackRecords[idx]?.date || now.toISOString(),
-            minute: minute
-          }))
-        }
+        // Live: the last 12 clock hours, one point per hour (null where the hour has no data)
+        const aqiRange = await fetchAreaHourlyAQIDataRange(points, format(subHours(now, NOWCAST_HOURS - 1), 'yyyy-MM-dd'), today, requestOptions)
+        cacheInfo = getCacheInfo(aqiRange)
+        const records = aqiRange.hourly_records || []
+        areaRecords = records
+
+        chartData = bucketRecentHours(records, NOWCAST_HOURS, now).map(bucket => {
+          const aqis = bucket.records.map(r => r.aqi).filter(aqi => aqi !== null && aqi !== undefined)
+          return {
+            time: bucket.label,
+            aqi: aqis.length > 0 ? Math.round(aqis.reduce((sum, val) => sum + val, 0) / aqis.length) : null,
+            fullTime: bucket.key
+          }
+        })
       } else if (viewMode === 'daily') {
         // Daily: Last 24 hours from current time - X-axis shows 1, 2, 3, ..., 24
         const twentyFourHoursAgo = subHours(now, 24)
@@ -610,8 +926,10 @@ const Dashboard = () => {
         const endDate = today
         
         // Fetch data from 24 hours ago to today (may span 2 calendar days)
-        const aqiRange = await fetchHourlyAQIDataRange(latitude, longitude, startDate, endDate)
+        const aqiRange = await fetchAreaHourlyAQIDataRange(points, startDate, endDate, requestOptions)
+        cacheInfo = getCacheInfo(aqiRange)
         const records = aqiRange.hourly_records || []
+        areaRecords = records
         
         // Get last 24 hours of records from current time
         const last24HoursRecords = records
@@ -673,9 +991,11 @@ const Dashboard = () => {
       } else if (viewMode === 'weekly') {
         // Weekly: Last 7 days - X-axis shows 1st day, 2nd day, ..., 7th day
         const weekAgo = format(subDays(now, 6), 'yyyy-MM-dd') // 6 days ago + today = 7 days
-        const aqiRange = await fetchHourlyAQIDataRange(latitude, longitude, weekAgo, today)
+        const aqiRange = await fetchAreaHourlyAQIDataRange(points, weekAgo, today, requestOptions)
+        cacheInfo = getCacheInfo(aqiRange)
         console.log("7 Days data fetched", aqiRange)
         const records = aqiRange.hourly_records || []
+        areaRecords = records
         
         // Group by date and calculate daily averages
         const dailyData = {}
@@ -711,9 +1031,11 @@ const Dashboard = () => {
         const daysInMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate()
         const daysToShow = Math.min(31, daysInMonth)
         const monthAgo = format(subDays(now, daysToShow - 1), 'yyyy-MM-dd')
-        const aqiRange = await fetchHourlyAQIDataRange(latitude, longitude, monthAgo, today)
+        const aqiRange = await fetchAreaHourlyAQIDataRange(points, monthAgo, today, requestOptions)
+        cacheInfo = getCacheInfo(aqiRange)
         console.log("30 Days data fetched", aqiRange)
         const records = aqiRange.hourly_records || []
+        areaRecords = records
         
         // Group by date and calculate daily averages
         const dailyData = {}
@@ -762,14 +1084,30 @@ const Dashboard = () => {
           })
           chartData = allDays
         }
+      } else if (viewMode === 'custom') {
+        // Custom: the chosen date range in hourly, daily or weekly buckets; empty buckets leave gaps
+        const aqiRange = await fetchAreaHourlyAQIDataRange(points, startDate, endDate, requestOptions)
+        cacheInfo = getCacheInfo(aqiRange)
+        areaRecords = aqiRange.hourly_records || []
+
+        chartData = bucketRecords(areaRecords, startDate, endDate, rangeGranularity, now).map(bucket => {
+          const aqis = bucket.records.map(r => r.aqi).filter(aqi => aqi !== null && aqi !== undefined)
+          return {
+            time: bucket.label,
+            aqi: aqis.length > 0 ? Math.round(aqis.reduce((sum, val) => sum + val, 0) / aqis.length) : null,
+            fullTime: bucket.key
+          }
+        })
       }
 
-      setAqiChartData(chartData)
+      setAqiChartData(addWorstCellSeries(chartData, areaRecords, now))
+      setAqiChartCacheInfo(cacheInfo)
     } catch (err) {
+      if (isAbortError(err)) return
       console.error('Error fetching AQI chart data:', err)
       setAqiChartData([])
     } finally {
-      setLoadingChart(false)
+      if (!signal.aborted) setLoadingChart(false)
     }
   }
 
@@ -798,49 +1136,32 @@ const Dashboard = () => {
   }
 
   // Fetch Time chart data based on view mode
-  const fetchTimeChartData = async (latitude, longitude) => {
+  const fetchTimeChartData = async (points, refresh = false) => {
+    const signal = startRequest('timeChart')
+    const requestOptions = cachedRequestOptions(signal, () => fetchTimeChartData(points), refresh)
+    let cacheInfo = null
     setLoadingTimeChart(true)
     try {
-      const today = format(new Date(), 'yyyy-MM-dd')
-      const now = new Date()
+      // Live follows the clock; the other views end with the chosen end date
+      const now = viewMode === 'live' ? new Date() : getWindowEnd()
+      const today = format(now, 'yyyy-MM-dd')
       let chartData = []
 
       if (viewMode === 'live') {
-        // Live: Last 60 minutes - X-axis: minutes (1-60), Y-axis: time (HH:mm)
-        const aqiHourly = await fetchHourlyAQIData(latitude, longitude, today)
-        const records = aqiHourly.hourly_records || []
-        
-        const oneHourAgo = subHours(now, 1)
-        const lastHourRecords = records
-          .filter(r => {
-            if (!r || r.aqi === null || r.aqi === undefined) return false
-            const recordTime = parseISO(r.date)
-            return recordTime >= oneHourAgo
-          })
-          .sort((a, b) => parseISO(a.date) - parseISO(b.date))
-        
-        const minuteBuckets = [1, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60]
-        
-        chartData = minuteBuckets.map(minute => {
-          const targetTime = subHours(now, 1).getTime() + (60 - minute) * 60 * 1000
-          const closestRecord = lastHourRecords.reduce((closest, record) => {
-            const recordTime = parseISO(record.date).getTime()
-            const closestTime = closest ? parseISO(closest.date).getTime() : null
-            if (!closestTime) return record
-            return Math.abs(recordTime - targetTime) < Math.abs(closestTime - targetTime) ? record : closest
-          }, null)
-          
-          const recordTime = closestRecord ? parseISO(closestRecord.date) : now
-          const timeStr = format(recordTime, 'HH:mm')
-          
-          return {
-            day: minute.toString(),
-            time: timeStr,
-            timeMinutes: timeToMinutes(timeStr),
-            aqi: closestRecord ? closestRecord.aqi : 0,
-            fullTime: closestRecord ? closestRecord.date : now.toISOString()
-          }
-        })
+        // Live: one point per hour of the last 12 that has data, at the hour it was observed
+        const aqiRange = await fetchAreaHourlyAQIDataRange(points, format(subHours(now, NOWCAST_HOURS - 1), 'yyyy-MM-dd'), today, requestOptions)
+        cacheInfo = getCacheInfo(aqiRange)
+        const records = (aqiRange.hourly_records || []).filter(r => r && r.aqi !== null && r.aqi !== undefined)
+
+        chartData = bucketRecentHours(records, NOWCAST_HOURS, now)
+          .filter(bucket => bucket.records.length > 0)
+          .map(bucket => ({
+            day: bucket.label,
+            time: bucket.label,
+            timeMinutes: timeToMinutes(bucket.label),
+            aqi: Math.round(bucket.records.reduce((sum, r) => sum + r.aqi, 0) / bucket.records.length),
+            fullTime: bucket.key
+          }))
       } else if (viewMode === 'daily') {
         // Daily: Last 24 hours from current time - X-axis: hours (1-24), Y-axis: time (HH:mm)
         const twentyFourHoursAgo = subHours(now, 24)
@@ -848,7 +1169,8 @@ const Dashboard = () => {
         const endDate = today
         
         // Fetch data from 24 hours ago to today (may span 2 calendar days)
-        const aqiRange = await fetchHourlyAQIDataRange(latitude, longitude, startDate, endDate)
+        const aqiRange = await fetchAreaHourlyAQIDataRange(points, startDate, endDate, requestOptions)
+        cacheInfo = getCacheInfo(aqiRange)
         const records = aqiRange.hourly_records || []
         
         // Get last 24 hours of records from current time
@@ -890,7 +1212,8 @@ const Dashboard = () => {
       } else if (viewMode === 'weekly') {
         // Weekly: Last 7 days - X-axis: days (1-7), Y-axis: AQI values
         const weekAgo = format(subDays(now, 6), 'yyyy-MM-dd')
-        const aqiRange = await fetchHourlyAQIDataRange(latitude, longitude, weekAgo, today)
+        const aqiRange = await fetchAreaHourlyAQIDataRange(points, weekAgo, today, requestOptions)
+        cacheInfo = getCacheInfo(aqiRange)
         const records = aqiRange.hourly_records || []
         
         // Group by date and get all records with their times
@@ -944,7 +1267,8 @@ const Dashboard = () => {
         const daysInMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate()
         const daysToShow = Math.min(31, daysInMonth)
         const monthAgo = format(subDays(now, daysToShow - 1), 'yyyy-MM-dd')
-        const aqiRange = await fetchHourlyAQIDataRange(latitude, longitude, monthAgo, today)
+        const aqiRange = await fetchAreaHourlyAQIDataRange(points, monthAgo, today, requestOptions)
+        cacheInfo = getCacheInfo(aqiRange)
         const records = aqiRange.hourly_records || []
         
         // Group by date and get all records with their times
@@ -990,41 +1314,135 @@ const Dashboard = () => {
             dayNumber: index + 1
           }
         })
+      } else if (viewMode === 'custom') {
+        // Custom: one bar per bucket of the chosen range that has data, at the time closest to its average
+        const aqiRange = await fetchAreaHourlyAQIDataRange(points, startDate, endDate, requestOptions)
+        cacheInfo = getCacheInfo(aqiRange)
+        const records = (aqiRange.hourly_records || []).filter(r => r && r.aqi !== null && r.aqi !== undefined)
+
+        chartData = bucketRecords(records, startDate, endDate, rangeGranularity, now)
+          .filter(bucket => bucket.records.length > 0)
+          .map((bucket, index) => {
+            const avgAqi = Math.round(bucket.records.reduce((sum, r) => sum + r.aqi, 0) / bucket.records.length)
+            const closestRecord = bucket.records.reduce((closest, record) => (
+              Math.abs(record.aqi - avgAqi) < Math.abs(closest.aqi - avgAqi) ? record : closest
+            ))
+            const timeStr = format(parseISO(closestRecord.date), 'HH:mm')
+
+            return {
+              day: bucket.label,
+              time: timeStr,
+              timeMinutes: timeToMinutes(timeStr),
+              aqi: avgAqi,
+              fullTime: bucket.key,
+              dayNumber: index + 1
+            }
+          })
       }
 
       setTimeChartData(chartData)
+      setTimeChartCacheInfo(cacheInfo)
     } catch (err) {
+      if (isAbortError(err)) return
       console.error('Error fetching time chart data:', err)
       setTimeChartData([])
     } finally {
-      setLoadingTimeChart(false)
+      if (!signal.aborted) setLoadingTimeChart(false)
     }
   }
 
   // Fetch data when view mode changes
   useEffect(() => {
-    if (showAnalysis && (drawnGeometry || uploadedKML)) {
-      let geometry = drawnGeometry
-      if (!geometry && uploadedKML) {
-        geometry = parseKMLToGeometry(uploadedKML.content)
-      }
+    if (showAnalysis && (drawnGeometry || uploadedBoundary) && currentSamplePoints.length > 0) {
+      const points = currentSamplePoints
+      // Set loading state when view mode changes
+      setLoadingChart(true)
+      setLoadingTimeChart(true)
+      Promise.all([
+        fetchDataForMode(points),
+        fetchAQIChartData(points),
+        fetchTimeChartData(points)
+      ])
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [viewMode])
 
-      if (geometry) {
-        const center = calculateGeometryCenter(geometry)
-        if (center) {
-          // Set loading state when view mode changes
-          setLoadingChart(true)
-          setLoadingTimeChart(true)
-          Promise.all([
-            fetchDataForMode(center.latitude, center.longitude),
-            fetchAQIChartData(center.latitude, center.longitude),
-            fetchTimeChartData(center.latitude, center.longitude)
-          ])
-        }
+  // Every view but live follows the chosen dates (e.g. the rolling week moving on at midnight)
+  useEffect(() => {
+    if (viewMode === 'live' || !showAnalysis) return
+    const points = currentSamplePoints
+    if (points.length > 0) {
+      setLoadingChart(true)
+      setLoadingTimeChart(true)
+      Promise.all([
+        fetchDataForMode(points),
+        fetchAQIChartData(points),
+        fetchTimeChartData(points)
+      ])
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [startDate, endDate])
+
+  // Restore the area, comparison or analysis a link points to. A view mode other than the initial
+  // live one is fetched by the viewMode effect; a live view is fetched here, like a new analysis.
+  useEffect(() => {
+    if (resolvingUrl || urlRestored) return
+    setUrlRestored(true)
+    if (urlError) setUploadError(`Link: ${urlError}`)
+
+    if (urlParams.comparison.length >= MIN_COMPARISON_AREAS) {
+      handleCompare(urlParams.comparison.map((area, index) => ({ id: `link-${index}`, ...area })))
+      return
+    }
+    if (!urlGeometry) return
+
+    applyDrawnArea(urlGeometry, urlAreaName)
+    if (urlParams.areaId) setSourceArea({ id: urlParams.areaId, geometry: urlGeometry })
+    if (urlParams.analysis && !hasBlockingIssues(validateGeometry(urlGeometry))) {
+      const viewDate = urlParams.date || endDate
+      const view = urlParams.view || 'live'
+      setAnalysedGeometry(urlGeometry)
+      setCurrentViewDate(viewDate)
+      setViewMode(view)
+      setShowAnalysis(true)
+
+      const points = getSamplePoints(urlGeometry, sampleDensity)
+      if (view === viewMode && points.length > 0) {
+        analysisDateRef.current = viewDate
+        const signal = startRequest('data')
+        setLoading(true)
+        setError(null)
+        fetchAnalysisData(points, viewDate, signal)
+          .catch(err => {
+            if (isAbortError(err)) return
+            setError(err.message)
+            console.error('Error fetching data:', err)
+          })
+          .finally(() => {
+            if (!signal.aborted) setLoading(false)
+          })
       }
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [viewMode])
+  }, [resolvingUrl])
+
+  // Keep the URL in step with what is on screen, so it can be bookmarked, shared or reloaded
+  useEffect(() => {
+    if (!urlRestored) return
+    const dates = rangePinned ? { startDate, endDate } : {}
+
+    if (comparisonAreas) {
+      replaceUrl({ comparison: comparisonAreas, density: sampleDensity, ...dates })
+      return
+    }
+    replaceUrl({
+      geometry: linkGeometry,
+      areaId: linkAreaId,
+      name: linkGeometry ? (drawnGeometry ? drawnAreaName : exportName) : null,
+      ...dates,
+      ...(showAnalysis && { analysis: true, date: currentViewDate, view: viewMode, density: sampleDensity })
+    })
+  }, [urlRestored, comparisonAreas, linkGeometry, linkAreaId, drawnGeometry, drawnAreaName, exportName, rangePinned, startDate, endDate, showAnalysis, currentViewDate, viewMode, sampleDensity, replaceUrl])
 
   return (
     <div className="dashboard">
@@ -1043,6 +1461,21 @@ const Dashboard = () => {
         </div>
         
         <div className="header-right">
+          <button
+            className="backend-indicator"
+            onClick={() => setSettingsOpen(true)}
+            title={`Backend: ${config.apiBaseUrl} (click to change)`}
+          >
+            <span className={`backend-dot ${config.profile}`}></span>
+            <span className="backend-profile">
+              {config.profiles[config.profile]?.label || 'Custom'}
+            </span>
+            <span className="backend-host">{getHostLabel(config.apiBaseUrl)}</span>
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <circle cx="12" cy="12" r="3"></circle>
+              <path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 1 1-2.83 2.83l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 1 1-4 0v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 1 1-2.83-2.83l.06-.06a1.65 1.65 0 0 0 .33-1.82 1.65 1.65 0 0 0-1.51-1H3a2 2 0 1 1 0-4h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 1 1 2.83-2.83l.06.06a1.65 1.65 0 0 0 1.82.33H9a1.65 1.65 0 0 0 1-1.51V3a2 2 0 1 1 4 0v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 1 1 2.83 2.83l-.06.06a1.65 1.65 0 0 0-.33 1.82V9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 1 1 0 4h-.09a1.65 1.65 0 0 0-1.51 1z"></path>
+            </svg>
+          </button>
           <button className="logout-button" onClick={handleLogout}>
             <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
               <path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4"></path>
@@ -1054,9 +1487,11 @@ const Dashboard = () => {
         </div>
       </header>
 
+      <SettingsPanel isOpen={settingsOpen} onClose={() => setSettingsOpen(false)} />
+
       <div className="dashboard-content">
         {/* Mobile sidebar toggle button */}
-        {!showAnalysis && (
+        {!showAnalysis && !comparisonAreas && (
           <button 
             className="sidebar-toggle"
             onClick={() => setSidebarOpen(!sidebarOpen)}
@@ -1073,15 +1508,15 @@ const Dashboard = () => {
         )}
         
         {/* Sidebar overlay for mobile */}
-        {!showAnalysis && sidebarOpen && (
+        {!showAnalysis && !comparisonAreas && sidebarOpen && (
           <div 
             className="sidebar-overlay"
             onClick={() => setSidebarOpen(false)}
           />
         )}
         
-        <aside className={`sidebar ${showAnalysis ? 'analysis-mode' : ''} ${sidebarOpen ? 'open' : ''}`}>
-          {!showAnalysis ? (
+        <aside className={`sidebar ${showAnalysis || comparisonAreas ? 'analysis-mode' : ''} ${sidebarOpen ? 'open' : ''}`}>
+          {!showAnalysis && !comparisonAreas ? (
             <>
               <div className="kml-section">
                 <div className="sidebar-header-mobile">
@@ -1114,8 +1549,9 @@ const Dashboard = () => {
                   <label className="action-button upload-button">
                     <input
                       type="file"
-                      accept=".kml,.kmz"
-                      onChange={handleKMLUpload}
+                      accept={BOUNDARY_FILE_ACCEPT}
+                      multiple
+                      onChange={handleBoundaryUpload}
                       style={{ display: 'none' }}
                     />
                     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -1123,22 +1559,172 @@ const Dashboard = () => {
                       <polyline points="17 8 12 3 7 8"></polyline>
                       <line x1="12" y1="3" x2="12" y2="15"></line>
                     </svg>
-                    Upload KML
+                    Upload Boundary
                   </label>
+
+                  <button
+                    className="action-button upload-button"
+                    onClick={handlePasteBoundary}
+                    title="Paste a WKT or GeoJSON boundary from the clipboard"
+                  >
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M16 4h2a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h2"></path>
+                      <rect x="8" y="2" width="8" height="4" rx="1" ry="1"></rect>
+                    </svg>
+                    Paste WKT / GeoJSON
+                  </button>
                 </div>
+                <p className="upload-hint">KML, KMZ, GeoJSON, WKT or Shapefile (.zip, or .shp with .dbf and .prj)</p>
+
+                {pasteOpen && (
+                  <div className="paste-boundary">
+                    <textarea
+                      className="paste-boundary-input"
+                      value={pasteText}
+                      onChange={(e) => setPasteText(e.target.value)}
+                      placeholder={'POLYGON ((73.8 18.5, 73.9 18.5, 73.9 18.6, 73.8 18.5))\nor a GeoJSON Feature / FeatureCollection'}
+                      rows={5}
+                      autoFocus
+                    />
+                    <div className="paste-boundary-actions">
+                      <button type="button" onClick={() => importPastedBoundary(pasteText)} disabled={!pasteText.trim()}>
+                        Import
+                      </button>
+                      <button type="button" onClick={() => { setPasteOpen(false); setPasteText('') }}>
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                )}
 
-                {(drawnGeometry || uploadedKML) && (
+                {uploadError && (
+                  <p className="upload-error" role="alert">{uploadError}</p>
+                )}
+
+                {(drawnGeometry || uploadedBoundary) && (
                   <div className="geometry-info">
                     <p className="info-text">
-                      {uploadedKML ? `KML: ${uploadedKML.name}` : 'Area drawn on map'}
+                      {uploadedBoundary
+                        ? `${uploadedBoundary.format}: ${uploadedBoundary.name}`
+                        : drawnAreaName || 'Area drawn on map'}
+                      {uploadedBoundary && (uploadedBoundary.documentName || uploadedBoundary.features.length === 1) && (
+                        <span className="info-subtext">
+                          {uploadedBoundary.features.length === 1 ? uploadedBoundary.features[0].name : uploadedBoundary.documentName}
+                        </span>
+                      )}
                     </p>
-                    <button className="clear-button" onClick={handleClearGeometry}>
-                      Clear
-                    </button>
+                    <div className="geometry-info-actions">
+                      {drawnGeometry && (
+                        <button className="edit-area-button" onClick={handleEditArea} disabled={isEditing}>
+                          Edit
+                        </button>
+                      )}
+                      <button className="clear-button" onClick={handleClearGeometry}>
+                        Clear
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {uploadedBoundary && uploadedBoundary.features.length > 1 && (
+                  <div className="feature-picker">
+                    <div className="feature-picker-header">
+                      <span className="feature-picker-title">
+                        Areas ({selectedFeatureIds.length}/{uploadedBoundary.features.length} selected)
+                      </span>
+                      <div className="feature-picker-actions">
+                        <button type="button" onClick={() => handleSelectAllFeatures(true)}>All</button>
+                        <button type="button" onClick={() => handleSelectAllFeatures(false)}>None</button>
+                      </div>
+                    </div>
+                    <ul className="feature-list">
+                      {uploadedBoundary.features.map(feature => (
+                        <li key={feature.id}>
+                          <label className="feature-option" title={feature.description || feature.name}>
+                            <input
+                              type="checkbox"
+                              checked={selectedFeatureIds.includes(feature.id)}
+                              onChange={() => handleFeatureToggle(feature.id)}
+                            />
+                            <span
+                              className="feature-swatch"
+                              style={{ backgroundColor: feature.style.fillColor, borderColor: feature.style.color }}
+                            ></span>
+                            <span className="feature-name">{feature.name}</span>
+                            {feature.geometry.type === 'MultiPolygon' && (
+                              <span className="feature-parts">{feature.geometry.coordinates.length} parts</span>
+                            )}
+                          </label>
+                        </li>
+                      ))}
+                    </ul>
+                    {selectedFeatureIds.length > 1 && (
+                      <label className="feature-option feature-merge">
+                        <input
+                          type="checkbox"
+                          checked={mergeFeatures}
+                          onChange={(e) => setMergeFeatures(e.target.checked)}
+                        />
+                        <span>Merge selected areas into one (union)</span>
+                      </label>
+                    )}
+                    {selectedFeatureIds.length >= MIN_COMPARISON_AREAS && (
+                      <button
+                        type="button"
+                        className="feature-compare-button"
+                        onClick={handleCompareFeatures}
+                        disabled={selectedFeatureIds.length > MAX_COMPARISON_AREAS}
+                        title={selectedFeatureIds.length > MAX_COMPARISON_AREAS
+                          ? `Select at most ${MAX_COMPARISON_AREAS} areas to compare`
+                          : 'Analyse the selected areas side by side'}
+                      >
+                        Compare selected ({selectedFeatureIds.length})
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {geometryIssues.length > 0 && (
+                  <ul className="geometry-issues" role="alert">
+                    {geometryIssues.map(issue => (
+                      <li key={issue.code} className={`geometry-issue ${issue.severity}`}>
+                        <span className="geometry-issue-message">{issue.message}</span>
+                        {issue.fixable && (
+                          <button type="button" className="geometry-issue-fix" onClick={() => handleFixIssue(issue.code)}>
+                            {issue.code === 'possibly-swapped' ? 'Swap' : 'Fix'}
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {geometryMeasurements && (
+                  <div className="geometry-measurements">
+                    <div className="measurement-item">
+                      <span className="measurement-label">Area</span>
+                      <span className="measurement-value">{formatArea(geometryMeasurements.area)}</span>
+                    </div>
+                    <div className="measurement-item">
+                      <span className="measurement-label">Perimeter</span>
+                      <span className="measurement-value">{formatLength(geometryMeasurements.perimeter)}</span>
+                    </div>
                   </div>
                 )}
+
+                <GeometryExport geometry={currentGeometry} name={exportName} analysis={exportAnalysis} />
               </div>
 
+              <MyAreasPanel
+                geometry={currentGeometry}
+                defaultName={exportName}
+                canSave={!geometryBlocked}
+                onLoad={handleLoadArea}
+                onAnalyse={handleAnalyseArea}
+                onCompare={handleCompare}
+                analysing={loading}
+              />
+
               <div className="date-range-section">
                 <h2 className="sidebar-title">DATE RANGE</h2>
                 
@@ -1170,10 +1756,43 @@ const Dashboard = () => {
                   />
                 </div>
 
+                {rangePinned && (
+                  <div className="date-range-pinned">
+                    <span className="sampling-hint">
+                      {formatRange(startDate, endDate)}, charted {RANGE_GRANULARITIES[rangeGranularity].label.toLowerCase()} in the Custom Range view
+                    </span>
+                    <button type="button" className="date-reset-button" onClick={handleResetDateRange}>
+                      Reset to last 7 days
+                    </button>
+                  </div>
+                )}
+
+                <div className="date-input-group">
+                  <label htmlFor="sample-density" className="date-label">
+                    Area Sampling
+                  </label>
+                  <select
+                    id="sample-density"
+                    value={sampleDensity}
+                    onChange={handleSampleDensityChange}
+                    className="date-input"
+                  >
+                    {Object.entries(SAMPLE_DENSITIES).map(([key, density]) => (
+                      <option key={key} value={key}>{density.label}</option>
+                    ))}
+                  </select>
+                  {samplePreviewPoints.length > 1 && (
+                    <p className="sampling-hint">
+                      {samplePreviewPoints.length} points across the area; results show the area mean, range and worst cell
+                    </p>
+                  )}
+                </div>
+
                 <button 
                   className="update-button" 
-                  onClick={handleAnalyse}
-                  disabled={loading}
+                  onClick={() => handleAnalyse()}
+                  disabled={loading || geometryBlocked}
+                  title={geometryBlocked ? 'Fix the problems with the selected area first' : undefined}
                 >
                   {loading ? 'LOADING...' : 'ANALYSE'}
                 </button>
@@ -1185,6 +1804,7 @@ const Dashboard = () => {
                 className="back-to-map-button"
                 onClick={() => {
                   setShowAnalysis(false)
+                  setComparisonAreas(null)
                   setSidebarOpen(false) // Close sidebar on mobile when going back to map
                 }}
               >
@@ -1193,12 +1813,37 @@ const Dashboard = () => {
                 </svg>
                 <span>Back to Map</span>
               </button>
+              {!comparisonAreas && (
+                <GeometryExport geometry={currentGeometry} name={exportName} analysis={exportAnalysis} />
+              )}
+              {!comparisonAreas && (
+                <AlertsPanel
+                  areaKey={alertAreaKey}
+                  areaName={exportName}
+                  rules={alerts.rules}
+                  history={alerts.history}
+                  permission={alerts.permission}
+                  monitoring={liveActive}
+                  onAdd={alerts.addRule}
+                  onToggle={alerts.setRuleEnabled}
+                  onRemove={alerts.removeRule}
+                  onClearHistory={alerts.clearHistory}
+                  onRequestPermission={alerts.requestPermission}
+                />
+              )}
             </div>
           )}
         </aside>
 
         <main className="main-content">
-          {!showAnalysis ? (
+          {comparisonAreas ? (
+            <ComparisonView
+              areas={comparisonAreas}
+              sampleDensity={sampleDensity}
+              startDate={startDate}
+              endDate={endDate}
+            />
+          ) : !showAnalysis ? (
             <div className="map-wrapper">
               <div className="view-toggle-container">
                 <button 
@@ -1234,10 +1879,17 @@ const Dashboard = () => {
               <MapComponent 
                 viewType={viewType}
                 drawnGeometry={drawnGeometry}
-                uploadedKML={uploadedKML}
+                uploadedBoundary={uploadedBoundary}
+                selectedFeatureIds={selectedFeatureIds}
+                onFeatureToggle={handleFeatureToggle}
                 isDrawing={isDrawing}
                 onGeometryComplete={handleGeometryComplete}
                 onCancelDrawing={handleCancelDrawing}
+                isEditing={isEditing}
+                onGeometryChange={setDrawnGeometry}
+                onEditDone={() => setIsEditing(false)}
+                onCreateArea={applyDrawnArea}
+                samplePoints={samplePreviewPoints}
               />
             </div>
           ) : (
@@ -1260,12 +1912,14 @@ const Dashboard = () => {
                     {viewMode === 'live' && currentViewDate 
                       ? format(new Date(currentViewDate), 'MMM dd, yyyy') 
                       : viewMode === 'daily' 
-                        ? 'Last 24 Hours'
+                        ? `Last 24 Hours${windowEndSuffix}`
                         : viewMode === 'weekly'
-                          ? 'Past 7 Days'
+                          ? `Past 7 Days${windowEndSuffix}`
                           : viewMode === 'monthly'
-                            ? 'Past 30 Days'
-                            : 'N/A'}
+                            ? `Past 30 Days${windowEndSuffix}`
+                            : viewMode === 'custom'
+                              ? formatRange(startDate, endDate)
+                              : 'N/A'}
                   </div>
                 </div>
                 
@@ -1311,6 +1965,14 @@ const Dashboard = () => {
                 >
                   Monthly
                 </button>
+                <button
+                  className={`view-mode-button ${viewMode === 'custom' ? 'active' : ''}`}
+                  onClick={() => handleViewModeChange('custom')}
+                  disabled={loading}
+                  title={`${formatRange(startDate, endDate)}, ${RANGE_GRANULARITIES[rangeGranularity].label.toLowerCase()}`}
+                >
+                  Custom Range
+                </button>
               </div>
 
               {error && (
@@ -1319,17 +1981,36 @@ const Dashboard = () => {
                 </div>
               )}
 
+              <MissingDaysNotice dates={missingWeatherDates} />
+
+              {liveActive && (
+                <LiveStatusBar
+                  observedAt={aqiData?.date || weatherData?.date}
+                  polling={liveRefresh > 0}
+                  paused={livePolling.paused}
+                  lastPolledAt={livePolling.lastPolledAt}
+                  error={livePolling.error}
+                  intervalSeconds={liveRefresh}
+                  onIntervalChange={handleLiveRefreshChange}
+                  onRefresh={handleRefreshLive}
+                  refreshing={loading}
+                />
+              )}
+
               {viewMode === 'live' ? (
                 <LiveDashboardCards 
                   aqiData={aqiData}
+                  recentRecords={recentAQIRecords}
                   weatherData={weatherData}
-                  geometry={drawnGeometry || (uploadedKML ? parseKMLToGeometry(uploadedKML.content) : null)}
+                  geometry={currentGeometry}
                   date={format(new Date(), 'yyyy-MM-dd')}
                 />
               ) : (
                 <div className="analysis-sections">
                   <WeatherSection 
-                    geometry={drawnGeometry || (uploadedKML ? parseKMLToGeometry(uploadedKML.content) : null)}
+                    geometry={currentGeometry}
+                    areaId={linkAreaId}
+                    areaName={drawnAreaName}
                     startDate={startDate}
                     endDate={endDate}
                     date={currentViewDate} 
@@ -1339,11 +2020,15 @@ const Dashboard = () => {
                     viewMode={viewMode}
                   />
                   <AQISection
-                    geometry={drawnGeometry || (uploadedKML ? parseKMLToGeometry(uploadedKML.content) : null)}
+                    geometry={currentGeometry}
+                    areaId={linkAreaId}
+                    areaName={drawnAreaName}
                     startDate={startDate}
                     endDate={endDate} 
                     date={currentViewDate} 
                     data={aqiData}
+                    weather={weatherData}
+                    recentRecords={recentAQIRecords}
                     isLive={viewMode === 'live'}
                     loading={loading}
                     viewMode={viewMode}
@@ -1358,11 +2043,16 @@ const Dashboard = () => {
                   <div className="chart-header">
                     <h3 className="chart-title">AQI Trend</h3>
                     <div className="chart-header-right">
+                      {!loadingChart && <CachedAtIndicator info={aqiChartCacheInfo} />}
+                      {!loadingChart && aqiChartData.some(point => point.aqiWorst !== undefined) && (
+                        <span className="chart-area-legend">Area mean · worst cell dashed</span>
+                      )}
                       <div className="chart-mode-indicator">
-                        {viewMode === 'live' && <span>Last 1 Hour</span>}
-                        {viewMode === 'daily' && <span>Last 24 Hours</span>}
-                        {viewMode === 'weekly' && <span>Last 7 Days</span>}
-                        {viewMode === 'monthly' && <span>Last 30 Days</span>}
+                        {viewMode === 'live' && <span>Last {NOWCAST_HOURS} Hours</span>}
+                        {viewMode === 'daily' && <span>Last 24 Hours{windowEndSuffix}</span>}
+                        {viewMode === 'weekly' && <span>Last 7 Days{windowEndSuffix}</span>}
+                        {viewMode === 'monthly' && <span>Last 30 Days{windowEndSuffix}</span>}
+                        {viewMode === 'custom' && <span>{formatRange(startDate, endDate)} · {RANGE_GRANULARITIES[rangeGranularity].label}</span>}
                       </div>
                       <button 
                         className="chart-refresh-button"
@@ -1389,57 +2079,19 @@ const Dashboard = () => {
                     <ResponsiveContainer width="100%" height={400}>
                       <LineChart 
                         data={aqiChartData} 
-                        margin={{ top: 10, right: 30, left: 0, bottom: viewMode === 'weekly' ? 60 : 40 }}
+                        margin={{ top: 10, right: 30, left: 0, bottom: viewMode === 'weekly' || viewMode === 'custom' ? 60 : 40 }}
                       >
-                        {/* AQI Category Background Sections - Render before grid so they appear behind */}
-                        {/* Good: 0-50 (Green) */}
-                        <ReferenceArea 
-                          y1={0} 
-                          y2={50} 
-                          fill="#10B981" 
-                          fillOpacity={0.6}
-                          stroke="none"
-                        />
-                        {/* Moderate: 51-100 (Orange) */}
-                        <ReferenceArea 
-                          y1={50} 
-                          y2={100} 
-                          fill="#F59E0B" 
-                          fillOpacity={0.6}
-                          stroke="none"
-                        />
-                        {/* Poor: 101-150 (Dark Orange/Brown) */}
-                        <ReferenceArea 
-                          y1={100} 
-                          y2={150} 
-                          fill="#F97316" 
-                          fillOpacity={0.6}
-                          stroke="none"
-                        />
-                        {/* Unhealthy: 151-200 (Red) */}
-                        <ReferenceArea 
-                          y1={150} 
-                          y2={200} 
-                          fill="#EF4444" 
-                          fillOpacity={0.6}
-                          stroke="none"
-                        />
-                        {/* Severe: 201-300 (Purple) */}
-                        <ReferenceArea 
-                          y1={200} 
-                          y2={300} 
-                          fill="#8B5CF6" 
-                          fillOpacity={0.6}
-                          stroke="none"
-                        />
-                        {/* Hazardous: 301+ (Dark Red) */}
-                        <ReferenceArea 
-                          y1={300} 
-                          y2={400} 
-                          fill="#7F1D1D" 
-                          fillOpacity={0.6}
-                          stroke="none"
-                        />
+                        {/* AQI category bands, rendered before the grid so they appear behind */}
+                        {aqiChartBands.map(band => (
+                          <ReferenceArea
+                            key={band.label}
+                            y1={band.from}
+                            y2={band.to}
+                            fill={band.color}
+                            fillOpacity={0.6}
+                            stroke="none"
+                          />
+                        ))}
                         
                         <CartesianGrid strokeDasharray="3 3" stroke="rgba(20, 184, 166, 0.2)" />
                         
@@ -1447,17 +2099,17 @@ const Dashboard = () => {
                           dataKey="time" 
                           stroke="#9ca3af"
                           style={{ fontSize: '11px' }}
-                          angle={viewMode === 'weekly' ? -45 : viewMode === 'monthly' ? -45 : 0}
-                          textAnchor={viewMode === 'weekly' ? 'end' : viewMode === 'monthly' ? 'end' : 'middle'}
-                          height={viewMode === 'weekly' ? 70 : viewMode === 'monthly' ? 60 : 40}
-                          interval={viewMode === 'live' ? 4 : viewMode === 'daily' ? 2 : viewMode === 'weekly' ? 0 : viewMode === 'monthly' ? 2 : 0}
+                          angle={viewMode === 'weekly' || viewMode === 'custom' ? -45 : viewMode === 'monthly' ? -45 : 0}
+                          textAnchor={viewMode === 'weekly' || viewMode === 'custom' ? 'end' : viewMode === 'monthly' ? 'end' : 'middle'}
+                          height={viewMode === 'weekly' || viewMode === 'custom' ? 70 : viewMode === 'monthly' ? 60 : 40}
+                          interval={viewMode === 'live' ? 1 : viewMode === 'daily' ? 2 : viewMode === 'weekly' ? 0 : viewMode === 'monthly' ? 2 : 'preserveStartEnd'}
                         />
                         <YAxis 
                           stroke="#9ca3af"
                           style={{ fontSize: '12px' }}
-                          label={{ value: 'AQI', angle: -90, position: 'insideLeft', style: { fill: '#9ca3af' } }}
-                          domain={[0, 400]}
-                          ticks={[0, 50, 100, 150, 200, 300, 400]}
+                          label={{ value: aqiChartLabel, angle: -90, position: 'insideLeft', style: { fill: '#9ca3af' } }}
+                          domain={aqiChartAxis.domain}
+                          ticks={aqiChartAxis.ticks}
                         />
                         <Tooltip 
                           contentStyle={{ 
@@ -1467,7 +2119,7 @@ const Dashboard = () => {
                             color: '#ffffff'
                           }}
                           labelStyle={{ color: '#14b8a6', fontWeight: 'bold' }}
-                          formatter={(value) => [`AQI: ${value}`, '']}
+                          formatter={(value, name) => [name === 'aqiWorst' ? `Worst cell: ${value}` : `AQI: ${value}`, '']}
                         />
                         <Line 
                           type="monotone" 
@@ -1477,6 +2129,17 @@ const Dashboard = () => {
                           dot={{ r: 4, fill: '#14b8a6' }}
                           activeDot={{ r: 6, fill: '#14b8a6' }}
                         />
+                        {aqiChartData.some(point => point.aqiWorst !== undefined) && (
+                          <Line 
+                            type="monotone" 
+                            dataKey="aqiWorst" 
+                            stroke="#f8fafc"
+                            strokeWidth={2}
+                            strokeDasharray="5 5"
+                            dot={false}
+                            connectNulls
+                          />
+                        )}
                       </LineChart>
                     </ResponsiveContainer>
                   ) : (
@@ -1491,11 +2154,13 @@ const Dashboard = () => {
                   <div className="chart-header">
                     <h3 className="chart-title">Time Chart</h3>
                     <div className="chart-header-right">
+                      {!loadingTimeChart && <CachedAtIndicator info={timeChartCacheInfo} />}
                       <div className="chart-mode-indicator">
-                        {viewMode === 'live' && <span>Last 1 Hour</span>}
-                        {viewMode === 'daily' && <span>Last 24 Hours</span>}
-                        {viewMode === 'weekly' && <span>Last 7 Days</span>}
-                        {viewMode === 'monthly' && <span>Last 30 Days</span>}
+                        {viewMode === 'live' && <span>Last {NOWCAST_HOURS} Hours</span>}
+                        {viewMode === 'daily' && <span>Last 24 Hours{windowEndSuffix}</span>}
+                        {viewMode === 'weekly' && <span>Last 7 Days{windowEndSuffix}</span>}
+                        {viewMode === 'monthly' && <span>Last 30 Days{windowEndSuffix}</span>}
+                        {viewMode === 'custom' && <span>{formatRange(startDate, endDate)} · {RANGE_GRANULARITIES[rangeGranularity].label}</span>}
                       </div>
                       <button 
                         className="chart-refresh-button"
@@ -1523,7 +2188,7 @@ const Dashboard = () => {
                     <ResponsiveContainer width="100%" height={400}>
                       <BarChart 
                         data={timeChartData} 
-                        margin={{ top: 10, right: 30, left: 0, bottom: viewMode === 'weekly' ? 60 : 40 }}
+                        margin={{ top: 10, right: 30, left: 0, bottom: viewMode === 'weekly' || viewMode === 'custom' ? 60 : 40 }}
                       >
                         <CartesianGrid strokeDasharray="3 3" stroke="rgba(20, 184, 166, 0.2)" />
                         <XAxis 
@@ -1531,12 +2196,12 @@ const Dashboard = () => {
                           dataKey="day" 
                           stroke="#9ca3af"
                           style={{ fontSize: '11px' }}
-                          angle={viewMode === 'weekly' ? -45 : viewMode === 'monthly' ? -45 : 0}
-                          textAnchor={viewMode === 'weekly' ? 'end' : viewMode === 'monthly' ? 'end' : 'middle'}
-                          height={viewMode === 'weekly' ? 70 : viewMode === 'monthly' ? 60 : 40}
-                          interval={viewMode === 'live' ? 4 : viewMode === 'daily' ? 2 : viewMode === 'weekly' ? 0 : viewMode === 'monthly' ? 2 : 0}
+                          angle={viewMode === 'weekly' || viewMode === 'custom' ? -45 : viewMode === 'monthly' ? -45 : 0}
+                          textAnchor={viewMode === 'weekly' || viewMode === 'custom' ? 'end' : viewMode === 'monthly' ? 'end' : 'middle'}
+                          height={viewMode === 'weekly' || viewMode === 'custom' ? 70 : viewMode === 'monthly' ? 60 : 40}
+                          interval={viewMode === 'live' ? 1 : viewMode === 'daily' ? 2 : viewMode === 'weekly' ? 0 : viewMode === 'monthly' ? 2 : 'preserveStartEnd'}
                           label={{ 
-                            value: viewMode === 'live' ? 'Minutes' : viewMode === 'daily' ? 'Hours' : viewMode === 'weekly' ? 'Days' : viewMode === 'monthly' ? 'Days' : 'Hours', 
+                            value: viewMode === 'live' ? 'Hours' : viewMode === 'daily' ? 'Hours' : viewMode === 'weekly' ? 'Days' : viewMode === 'monthly' ? 'Days' : viewMode === 'custom' ? RANGE_GRANULARITIES[rangeGranularity].axisLabel : 'Hours', 
                             position: 'insideBottom', 
                             offset: -5, 
                             style: { fill: '#9ca3af' } 
@@ -1548,13 +2213,13 @@ const Dashboard = () => {
                           stroke="#9ca3af"
                           style={{ fontSize: '12px' }}
                           label={{ 
-                            value: 'AQI', 
+                            value: aqiChartLabel, 
                             angle: -90, 
                             position: 'insideLeft', 
                             style: { fill: '#9ca3af' } 
                           }}
-                          domain={[0, 400]}
-                          ticks={[0, 50, 100, 150, 200, 300, 400]}
+                          domain={aqiChartAxis.domain}
+                          ticks={aqiChartAxis.ticks}
                         />
                         <Tooltip 
                           contentStyle={{ 
@@ -1566,10 +2231,11 @@ const Dashboard = () => {
                           labelStyle={{ color: '#14b8a6', fontWeight: 'bold' }}
                           formatter={(value) => [`AQI: ${value}`, '']}
                           labelFormatter={(label) => {
-                            if (viewMode === 'live') return `Minute: ${label}`
+                            if (viewMode === 'live') return `Hour: ${label}`
                             if (viewMode === 'daily') return `Hour: ${label}`
                             if (viewMode === 'weekly') return `Day: ${label}`
                             if (viewMode === 'monthly') return `Day: ${label}`
+                            if (viewMode === 'custom') return `${RANGE_GRANULARITIES[rangeGranularity].unit}: ${label}`
                             return `Day: ${label}`
                           }}
                           content={({ active, payload, label }) => {
@@ -1577,11 +2243,13 @@ const Dashboard = () => {
                               const data = payload[0].payload
                               let labelText = ''
                               if (viewMode === 'live') {
-                                labelText = `Minute: ${label}`
+                                labelText = `Hour: ${label}`
                               } else if (viewMode === 'daily') {
                                 labelText = `Hour: ${label}`
                               } else if (viewMode === 'weekly' || viewMode === 'monthly') {
                                 labelText = `Day: ${label}`
+                              } else if (viewMode === 'custom') {
+                                labelText = `${RANGE_GRANULARITIES[rangeGranularity].unit}: ${label}`
                               } else {
                                 labelText = `Day: ${label}`
                               }
@@ -1606,19 +2274,9 @@ const Dashboard = () => {
                           dataKey="aqi"
                           radius={[4, 4, 0, 0]}
                         >
-                          {timeChartData.map((entry, index) => {
-                            const getAQIColor = (aqi) => {
-                              if (aqi <= 50) return '#10b981' // Green - Excellent
-                              if (aqi <= 100) return '#f59e0b' // Orange - Good
-                              if (aqi <= 150) return '#f97316' // Orange - Fair
-                              if (aqi <= 200) return '#ef4444' // Red - Poor
-                              if (aqi <= 300) return '#8b5cf6' // Purple - Very Poor
-                              return '#7f1d1d' // Dark Red - Hazardous
-                            }
-                            return (
-                              <Cell key={`cell-${index}`} fill={getAQIColor(entry.aqi || 0)} />
-                            )
-                          })}
+                          {timeChartData.map((entry, index) => (
+                            <Cell key={`cell-${index}`} fill={getAQICategory(entry.aqi || 0, BACKEND_AQI_STANDARD).color} />
+                          ))}
                         </Bar>
                       </BarChart>
                     </ResponsiveContainer>
@@ -1,26 +1,53 @@
 import React, { useRef, useEffect, useState, useCallback } from 'react'
 import { useMap } from 'react-leaflet'
 import L from 'leaflet'
+import { DEFAULT_BUFFER_KM, createCirclePolygon, createRectanglePolygon, formatLength } from '../utils/geometry'
 import './DrawAreaComponent.css'
 
+const DRAW_TOOLS = {
+  polygon: { label: 'Polygon', instructions: ['Click on the map to add points', 'Double-click or click "Finish" to complete'] },
+  rectangle: { label: 'Rectangle', instructions: ['Press and drag on the map to draw a rectangle'] },
+  circle: { label: 'Circle', instructions: ['Press at the centre and drag outwards to set the radius'] },
+  point: { label: 'Point + buffer', instructions: ['Click a point to analyse the area within the buffer distance'] }
+}
+
+const PREVIEW_STYLE = {
+  color: '#14b8a6',
+  weight: 2,
+  dashArray: '5, 5',
+  opacity: 0.7,
+  fillOpacity: 0.1
+}
+
 const DrawAreaComponent = ({ isDrawing, onGeometryComplete, onCancel }) => {
   const map = useMap()
   const pointsRef = useRef([])
   const markersRef = useRef([])
   const polylineRef = useRef(null)
+  const previewRef = useRef(null) // Rectangle/circle preview while dragging
+  const overlayRef = useRef(null)
   const [isActive, setIsActive] = useState(false)
-  const handlersRef = useRef({ click: null, dblclick: null })
+  const [tool, setTool] = useState('polygon')
+  const [bufferKm, setBufferKm] = useState(DEFAULT_BUFFER_KM)
+  const [radius, setRadius] = useState(null) // Circle radius readout in metres
+  const handlersRef = useRef({})
 
   const cleanup = useCallback(() => {
     markersRef.current.forEach(marker => map.removeLayer(marker))
     markersRef.current = []
-    
+
     if (polylineRef.current) {
       map.removeLayer(polylineRef.current)
       polylineRef.current = null
     }
-    
+
+    if (previewRef.current) {
+      map.removeLayer(previewRef.current)
+      previewRef.current = null
+    }
+
     pointsRef.current = []
+    setRadius(null)
   }, [map])
 
   const finishDrawing = useCallback(() => {
@@ -30,10 +57,10 @@ const DrawAreaComponent = ({ isDrawing, onGeometryComplete, onCancel }) => {
 
     // Close the polygon
     const closedPoints = [...pointsRef.current, pointsRef.current[0]]
-    
+
     // Convert to GeoJSON format [lng, lat]
     const coordinates = closedPoints.map(([lat, lng]) => [lng, lat])
-    
+
     const geometry = {
       type: 'Polygon',
       coordinates: [coordinates]
@@ -43,13 +70,20 @@ const DrawAreaComponent = ({ isDrawing, onGeometryComplete, onCancel }) => {
     cleanup()
   }, [onGeometryComplete, cleanup])
 
+  // Clicks on the controls must not reach the map (they would add points)
+  useEffect(() => {
+    if (isActive && overlayRef.current) {
+      L.DomEvent.disableClickPropagation(overlayRef.current)
+    }
+  }, [isActive])
+
   useEffect(() => {
     if (isDrawing) {
       setIsActive(true)
       map.getContainer().style.cursor = 'crosshair'
       pointsRef.current = []
       markersRef.current = []
-      
+
       const handleMapClick = (e) => {
         const { lat, lng } = e.latlng
         pointsRef.current.push([lat, lng])
@@ -63,7 +97,7 @@ const DrawAreaComponent = ({ isDrawing, onGeometryComplete, onCancel }) => {
             iconAnchor: [6, 6]
           })
         }).addTo(map)
-        
+
         markersRef.current.push(marker)
 
         // Update polyline
@@ -88,11 +122,64 @@ const DrawAreaComponent = ({ isDrawing, onGeometryComplete, onCancel }) => {
         }
       }
 
-      handlersRef.current.click = handleMapClick
-      handlersRef.current.dblclick = handleDoubleClick
-      
-      map.on('click', handleMapClick)
-      map.on('dblclick', handleDoubleClick)
+      // Rectangle and circle: press to anchor, drag to size, release to finish
+      let anchor = null
+      const handleMouseDown = (e) => {
+        anchor = e.latlng
+        map.dragging.disable()
+      }
+
+      const handleMouseMove = (e) => {
+        if (!anchor) return
+        if (previewRef.current) {
+          map.removeLayer(previewRef.current)
+        }
+        if (tool === 'rectangle') {
+          previewRef.current = L.rectangle(L.latLngBounds(anchor, e.latlng), PREVIEW_STYLE).addTo(map)
+        } else {
+          const distance = map.distance(anchor, e.latlng)
+          previewRef.current = L.circle(anchor, { ...PREVIEW_STYLE, radius: distance }).addTo(map)
+          setRadius(distance)
+        }
+      }
+
+      const handleMouseUp = (e) => {
+        if (!anchor) return
+        const start = anchor
+        anchor = null
+        map.dragging.enable()
+
+        let geometry = null
+        if (tool === 'rectangle') {
+          // Ignore plain clicks that did not drag out an area
+          if (!start.equals(e.latlng)) {
+            geometry = createRectanglePolygon([start.lng, start.lat], [e.latlng.lng, e.latlng.lat])
+          }
+        } else {
+          const distance = map.distance(start, e.latlng)
+          if (distance >= 1) {
+            geometry = createCirclePolygon([start.lng, start.lat], distance)
+          }
+        }
+
+        cleanup()
+        if (geometry) onGeometryComplete(geometry)
+      }
+
+      const handlePointClick = (e) => {
+        const distance = Number(bufferKm) * 1000
+        if (!(distance > 0)) return
+        onGeometryComplete(createCirclePolygon([e.latlng.lng, e.latlng.lat], distance))
+        cleanup()
+      }
+
+      handlersRef.current = tool === 'polygon'
+        ? { click: handleMapClick, dblclick: handleDoubleClick }
+        : tool === 'point'
+          ? { click: handlePointClick }
+          : { mousedown: handleMouseDown, mousemove: handleMouseMove, mouseup: handleMouseUp }
+
+      Object.entries(handlersRef.current).forEach(([event, handler]) => map.on(event, handler))
     } else {
       setIsActive(false)
       map.getContainer().style.cursor = ''
@@ -101,35 +188,64 @@ const DrawAreaComponent = ({ isDrawing, onGeometryComplete, onCancel }) => {
 
     return () => {
       map.getContainer().style.cursor = ''
-      if (handlersRef.current.click) {
-        map.off('click', handlersRef.current.click)
-      }
-      if (handlersRef.current.dblclick) {
-        map.off('dblclick', handlersRef.current.dblclick)
-      }
+      Object.entries(handlersRef.current).forEach(([event, handler]) => map.off(event, handler))
+      handlersRef.current = {}
+      map.dragging.enable()
       cleanup()
     }
-  }, [isDrawing, map, cleanup, finishDrawing])
+  }, [isDrawing, map, cleanup, finishDrawing, tool, bufferKm, onGeometryComplete])
 
   if (!isActive) {
     return null
   }
 
   return (
-    <div className="draw-controls-overlay">
+    <div className="draw-controls-overlay" ref={overlayRef}>
+      <div className="draw-tools" role="tablist">
+        {Object.entries(DRAW_TOOLS).map(([key, drawTool]) => (
+          <button
+            key={key}
+            role="tab"
+            aria-selected={tool === key}
+            className={`draw-tool-button ${tool === key ? 'active' : ''}`}
+            onClick={() => setTool(key)}
+          >
+            {drawTool.label}
+          </button>
+        ))}
+      </div>
       <div className="draw-instructions">
-        <p>Click on the map to add points</p>
-        <p>Double-click or click "Finish" to complete</p>
+        {DRAW_TOOLS[tool].instructions.map(line => (
+          <p key={line}>{line}</p>
+        ))}
+        {tool === 'circle' && radius !== null && (
+          <p className="draw-readout">Radius: {formatLength(radius)}</p>
+        )}
       </div>
+      {tool === 'point' && (
+        <label className="draw-buffer">
+          Buffer distance
+          <input
+            type="number"
+            min="0.1"
+            step="0.5"
+            value={bufferKm}
+            onChange={(e) => setBufferKm(e.target.value)}
+          />
+          km
+        </label>
+      )}
       <div className="draw-actions">
-        <button 
-          className="draw-button finish-button"
-          onClick={finishDrawing}
-          disabled={pointsRef.current.length < 3}
-        >
-          Finish Drawing
-        </button>
-        <button 
+        {tool === 'polygon' && (
+          <button
+            className="draw-button finish-button"
+            onClick={finishDrawing}
+            disabled={pointsRef.current.length < 3}
+          >
+            Finish Drawing
+          </button>
+        )}
+        <button
           className="draw-button cancel-button"
           onClick={() => {
             cleanup()
@@ -144,4 +260,3 @@ const DrawAreaComponent = ({ isDrawing, onGeometryComplete, onCancel }) => {
 }
 
 export default DrawAreaComponent
-
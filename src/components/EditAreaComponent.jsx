@@ -0,0 +1,234 @@
+import React, { useRef, useEffect, useState, useCallback } from 'react'
+import { useMap } from 'react-leaflet'
+import L from 'leaflet'
+import useHistory from '../hooks/useHistory'
+import { getPolygons, getEditableRings, moveVertex, insertVertex, removeVertex } from '../utils/geometry'
+import './DrawAreaComponent.css'
+
+// How close (in screen pixels) a dragged vertex must come to another vertex to snap onto it
+const SNAP_DISTANCE_PX = 12
+
+const EDIT_POLYGON_STYLE = {
+  color: '#14b8a6',
+  fillColor: '#14b8a6',
+  fillOpacity: 0.15,
+  weight: 2,
+  dashArray: '5, 5'
+}
+
+const vertexIcon = (selected) => L.divIcon({
+  className: 'draw-marker',
+  html: `<div class="edit-vertex${selected ? ' selected' : ''}"></div>`,
+  iconSize: [14, 14],
+  iconAnchor: [7, 7]
+})
+
+const midpointIcon = L.divIcon({
+  className: 'draw-marker',
+  html: '<div class="edit-midpoint"></div>',
+  iconSize: [10, 10],
+  iconAnchor: [5, 5]
+})
+
+const toLatLngs = (geometry) => (
+  getPolygons(geometry).map(rings => rings.map(ring => ring.map(([lng, lat]) => [lat, lng])))
+)
+
+const samePath = (a, b) => Boolean(a && b && a.polygon === b.polygon && a.ring === b.ring && a.vertex === b.vertex)
+
+/**
+ * Edit mode for a finished area: drag vertices, drag or click edge midpoints to insert
+ * a vertex, right-click (or select + Delete) to remove one, with undo/redo and optional
+ * snapping to the area's other vertices. Every change is reported through `onGeometryChange`.
+ */
+const EditAreaComponent = ({ geometry, onGeometryChange, onDone }) => {
+  const map = useMap()
+  const [originalGeometry] = useState(geometry)
+  const { present, push, undo, redo, canUndo, canRedo } = useHistory(geometry)
+  const [selectedVertex, setSelectedVertex] = useState(null)
+  const [snapEnabled, setSnapEnabled] = useState(false)
+  const [message, setMessage] = useState(null)
+  const overlayRef = useRef(null)
+
+  // Keep the parent (measurements, sampling preview) in step with edits, undo and redo
+  useEffect(() => {
+    if (present !== geometry) onGeometryChange(present)
+  }, [present])
+
+  // Clicks on the controls must not reach the map underneath
+  useEffect(() => {
+    if (overlayRef.current) {
+      L.DomEvent.disableClickPropagation(overlayRef.current)
+    }
+  }, [])
+
+  const commit = useCallback((next, selection = null) => {
+    setMessage(null)
+    push(next)
+    setSelectedVertex(selection)
+  }, [push])
+
+  const deleteVertex = useCallback((path) => {
+    const next = removeVertex(present, path)
+    if (!next) {
+      setMessage('Each ring needs at least three vertices')
+      return
+    }
+    commit(next)
+  }, [present, commit])
+
+  const handleUndo = useCallback(() => {
+    setSelectedVertex(null)
+    undo()
+  }, [undo])
+
+  const handleRedo = useCallback(() => {
+    setSelectedVertex(null)
+    redo()
+  }, [redo])
+
+  // Nearest other vertex within SNAP_DISTANCE_PX of `latlng`, or `latlng` itself
+  const snapPosition = useCallback((latlng, ownPath) => {
+    if (!snapEnabled) return latlng
+    const point = map.latLngToContainerPoint(latlng)
+    let best = null
+    getEditableRings(present).forEach(({ polygon, ring, vertices }) => vertices.forEach(([lng, lat], vertex) => {
+      if (samePath(ownPath, { polygon, ring, vertex })) return
+      const distance = point.distanceTo(map.latLngToContainerPoint([lat, lng]))
+      if (distance <= SNAP_DISTANCE_PX && (!best || distance < best.distance)) {
+        best = { distance, latlng: L.latLng(lat, lng) }
+      }
+    }))
+    return best ? best.latlng : latlng
+  }, [map, present, snapEnabled])
+
+  // Rebuild the editing layers whenever the geometry or selection changes
+  useEffect(() => {
+    const layers = []
+    const polygonLayer = L.polygon(toLatLngs(present), EDIT_POLYGON_STYLE).addTo(map)
+    layers.push(polygonLayer)
+
+    // Live preview while dragging, without committing to history on every mouse move
+    const followDrag = (marker, path, apply) => (e) => {
+      const snapped = snapPosition(e.latlng, path)
+      if (!snapped.equals(e.latlng)) marker.setLatLng(snapped)
+      polygonLayer.setLatLngs(toLatLngs(apply(present, path, [snapped.lng, snapped.lat])))
+    }
+
+    getEditableRings(present).forEach(({ polygon, ring, vertices }) => {
+      vertices.forEach(([lng, lat], vertex) => {
+        const path = { polygon, ring, vertex }
+        const marker = L.marker([lat, lng], {
+          icon: vertexIcon(samePath(path, selectedVertex)),
+          draggable: true,
+          keyboard: false
+        }).addTo(map)
+        marker.on('drag', followDrag(marker, path, moveVertex))
+        marker.on('dragend', () => {
+          const { lat: newLat, lng: newLng } = marker.getLatLng()
+          commit(moveVertex(present, path, [newLng, newLat]), path)
+        })
+        marker.on('click', () => setSelectedVertex(path))
+        marker.on('contextmenu', (e) => {
+          L.DomEvent.preventDefault(e.originalEvent)
+          deleteVertex(path)
+        })
+        layers.push(marker)
+
+        // Midpoint handle of the edge to the next vertex; becomes vertex `vertex + 1`
+        const [nextLng, nextLat] = vertices[(vertex + 1) % vertices.length]
+        const insertPath = { polygon, ring, vertex: vertex + 1 }
+        const midpoint = L.marker([(lat + nextLat) / 2, (lng + nextLng) / 2], {
+          icon: midpointIcon,
+          draggable: true,
+          keyboard: false
+        }).addTo(map)
+        midpoint.on('drag', followDrag(midpoint, insertPath, insertVertex))
+        midpoint.on('dragend', () => {
+          const { lat: newLat, lng: newLng } = midpoint.getLatLng()
+          commit(insertVertex(present, insertPath, [newLng, newLat]), insertPath)
+        })
+        midpoint.on('click', () => {
+          const { lat: midLat, lng: midLng } = midpoint.getLatLng()
+          commit(insertVertex(present, insertPath, [midLng, midLat]), insertPath)
+        })
+        layers.push(midpoint)
+      })
+    })
+
+    const handleMapClick = () => setSelectedVertex(null)
+    map.on('click', handleMapClick)
+
+    return () => {
+      map.off('click', handleMapClick)
+      layers.forEach(layer => map.removeLayer(layer))
+    }
+  }, [map, present, selectedVertex, snapPosition, commit, deleteVertex])
+
+  // Ctrl+Z / Ctrl+Y (Cmd on macOS, Ctrl+Shift+Z for redo too), Delete for the selected vertex
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return
+      const key = e.key.toLowerCase()
+      const modifier = e.ctrlKey || e.metaKey
+
+      if (modifier && key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        handleUndo()
+      } else if (modifier && (key === 'y' || (key === 'z' && e.shiftKey))) {
+        e.preventDefault()
+        handleRedo()
+      } else if ((key === 'delete' || key === 'backspace') && selectedVertex) {
+        e.preventDefault()
+        deleteVertex(selectedVertex)
+      } else if (key === 'escape') {
+        setSelectedVertex(null)
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [handleUndo, handleRedo, deleteVertex, selectedVertex])
+
+  return (
+    <div className="draw-controls-overlay" ref={overlayRef}>
+      <div className="draw-instructions">
+        <p>Drag a vertex to move it; drag or click a midpoint to add one</p>
+        <p>Right-click a vertex, or select it and press Delete, to remove it</p>
+      </div>
+      <div className="edit-toolbar">
+        <button className="edit-tool-button" onClick={handleUndo} disabled={!canUndo} title="Undo (Ctrl+Z)">
+          Undo
+        </button>
+        <button className="edit-tool-button" onClick={handleRedo} disabled={!canRedo} title="Redo (Ctrl+Y)">
+          Redo
+        </button>
+        <label className="edit-snap-toggle">
+          <input
+            type="checkbox"
+            checked={snapEnabled}
+            onChange={(e) => setSnapEnabled(e.target.checked)}
+          />
+          Snap to vertices
+        </label>
+      </div>
+      {message && <p className="edit-message" role="alert">{message}</p>}
+      <div className="draw-actions">
+        <button className="draw-button finish-button" onClick={onDone}>
+          Done
+        </button>
+        <button
+          className="draw-button cancel-button"
+          onClick={() => {
+            onGeometryChange(originalGeometry)
+            onDone()
+          }}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default EditAreaComponent
@@ -0,0 +1,52 @@
+import React, { useMemo } from 'react'
+import { usePreferences } from '../context/PreferencesContext'
+import { EXPORT_FORMATS, buildAnalysisSummary, exportBoundary } from '../utils/boundaryExport'
+import './GeometryExport.css'
+
+/**
+ * Download buttons for the current area. When `analysis` is set (the last analysis:
+ * { aqiData, weatherData, viewMode, date }), its summary is embedded in the KML and GeoJSON
+ * files in the chosen AQI standard and units.
+ */
+const GeometryExport = ({ geometry, name, analysis = null }) => {
+  const { aqiStandard, pollutantUnits, conversionConditions, weatherUnits } = usePreferences()
+  const summary = useMemo(() => (
+    analysis && buildAnalysisSummary({ ...analysis, aqiStandard, pollutantUnits, conversionConditions, weatherUnits })
+  ), [analysis, aqiStandard, pollutantUnits, conversionConditions, weatherUnits])
+
+  if (!geometry) return null
+
+  const handleExport = (formatKey) => {
+    try {
+      exportBoundary(formatKey, { name, geometry, summary })
+    } catch (error) {
+      console.error('Error exporting area:', error)
+      alert(`Error exporting area: ${error.message}`)
+    }
+  }
+
+  return (
+    <div className="geometry-export">
+      <span className="geometry-export-title">Export area</span>
+      <div className="geometry-export-buttons">
+        {Object.entries(EXPORT_FORMATS).map(([key, exportFormat]) => (
+          <button key={key} type="button" onClick={() => handleExport(key)} title={`Download as ${exportFormat.label}`}>
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+              <polyline points="7 10 12 15 17 10"></polyline>
+              <line x1="12" y1="15" x2="12" y2="3"></line>
+            </svg>
+            {exportFormat.label}
+          </button>
+        ))}
+      </div>
+      <p className="geometry-export-hint">
+        {summary
+          ? 'KML and GeoJSON include the last analysis summary'
+          : 'Run an analysis to include its AQI and weather summary'}
+      </p>
+    </div>
+  )
+}
+
+export default GeometryExport
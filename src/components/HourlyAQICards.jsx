@@ -1,13 +1,21 @@
 import React, { useState, useEffect } from 'react'
 import { format, parseISO, getHours } from 'date-fns'
 import { fetchHourlyAQIData, calculateGeometryCenter } from '../services/api'
+import { isAbortError } from '../services/httpClient'
+import { getCacheInfo } from '../services/cache'
+import CachedAtIndicator from './CachedAtIndicator'
+import { getDisplayedAQI } from '../utils/aqiCalculator'
+import { POLLUTANT_KEYS } from '../utils/pollutantUnits'
+import { usePreferences } from '../context/PreferencesContext'
 import './HourlyAQICards.css'
 
 const HourlyAQICards = ({ geometry, date }) => {
+  const { aqiStandard } = usePreferences()
   const [hourlyData, setHourlyData] = useState([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   const [coordinates, setCoordinates] = useState(null)
+  const [cacheInfo, setCacheInfo] = useState(null)
 
   useEffect(() => {
     if (geometry) {
@@ -20,25 +28,33 @@ const HourlyAQICards = ({ geometry, date }) => {
 
   useEffect(() => {
     if (coordinates && date) {
-      fetchHourlyAQIDataForDay()
+      // Abort the previous day's request when the date changes
+      const controller = new AbortController()
+      fetchHourlyAQIDataForDay(controller.signal)
+      return () => controller.abort()
     }
   }, [coordinates, date])
 
-  const fetchHourlyAQIDataForDay = async () => {
+  const fetchHourlyAQIDataForDay = async (signal) => {
     if (!coordinates || !date) return
 
     setLoading(true)
     setError(null)
 
     try {
-      const response = await fetchHourlyAQIData(coordinates.latitude, coordinates.longitude, date)
+      const response = await fetchHourlyAQIData(coordinates.latitude, coordinates.longitude, date, {
+        signal,
+        onRevalidate: () => {
+          if (!signal.aborted) fetchHourlyAQIDataForDay(signal)
+        }
+      })
       const records = response.hourly_records || []
       
       // Create 24 hour slots (0-23)
       const hourlySlots = Array.from({ length: 24 }, (_, i) => ({
         hour: i,
         hourLabel: `${i.toString().padStart(2, '0')}:00`,
-        aqi: null,
+        reading: null,
         records: [] // Store all records for this hour
       }))
 
@@ -58,34 +74,31 @@ const HourlyAQICards = ({ geometry, date }) => {
         }
       })
 
-      // For each hour, use the average AQI if multiple records exist, or the single record
+      // For each hour, average the AQI and concentrations if multiple records exist, or use the single record
       hourlySlots.forEach(slot => {
         if (slot.records.length > 0) {
-          // Calculate average AQI for this hour
-          const avgAqi = slot.records.reduce((sum, r) => sum + (r.aqi || 0), 0) / slot.records.length
-          slot.aqi = Math.round(avgAqi)
+          const mean = (field) => {
+            const values = slot.records.map(r => r[field]).filter(value => typeof value === 'number')
+            return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+          }
+          slot.reading = { aqi: Math.round(mean('aqi')) }
+          POLLUTANT_KEYS.forEach(pollutant => {
+            slot.reading[pollutant] = mean(pollutant)
+          })
         }
       })
 
       setHourlyData(hourlySlots)
+      setCacheInfo(getCacheInfo(response))
     } catch (err) {
+      if (isAbortError(err)) return
       setError(err.message)
       console.error('Error fetching hourly AQI data:', err)
     } finally {
-      setLoading(false)
+      if (!signal.aborted) setLoading(false)
     }
   }
 
-  const getAQICategory = (aqi) => {
-    if (!aqi || aqi === null) return { label: 'N/A', color: '#6b7280', bgColor: 'rgba(107, 114, 128, 0.2)' }
-    if (aqi <= 50) return { label: 'Good', color: '#1abc9c', bgColor: 'rgba(26, 188, 156, 0.2)' }
-    if (aqi <= 100) return { label: 'Moderate', color: '#f39c12', bgColor: 'rgba(243, 156, 18, 0.2)' }
-    if (aqi <= 150) return { label: 'Poor', color: '#e67e22', bgColor: 'rgba(230, 126, 34, 0.2)' }
-    if (aqi <= 200) return { label: 'Unhealthy', color: '#e74c3c', bgColor: 'rgba(231, 76, 60, 0.2)' }
-    if (aqi <= 300) return { label: 'Severe', color: '#9b59b6', bgColor: 'rgba(155, 89, 182, 0.2)' }
-    return { label: 'Hazardous', color: '#c0392b', bgColor: 'rgba(192, 57, 43, 0.2)' }
-  }
-
   if (loading) {
     return (
       <div className="hourly-aqi-cards-container">
@@ -112,27 +125,29 @@ const HourlyAQICards = ({ geometry, date }) => {
       <div className="hourly-aqi-header">
         <h2 className="hourly-aqi-title">24-Hour AQI Overview</h2>
         <p className="hourly-aqi-subtitle">Air Quality Index for each hour of the day - {format(parseISO(date), 'MMMM dd, yyyy')}</p>
+        <CachedAtIndicator info={cacheInfo} />
       </div>
       <div className="hourly-aqi-cards-grid">
         {hourlyData.map((slot, index) => {
-          const category = getAQICategory(slot.aqi)
+          // The backend's index is US EPA; other standards show the index computed under them
+          const { aqi, category } = getDisplayedAQI(slot.reading, aqiStandard)
           return (
             <div 
               key={index} 
               className="hourly-aqi-card"
               style={{ 
                 borderColor: category.color,
-                backgroundColor: slot.aqi !== null ? category.bgColor : 'rgba(107, 114, 128, 0.1)'
+                backgroundColor: aqi !== null ? category.bgColor : 'rgba(107, 114, 128, 0.1)'
               }}
             >
               <div className="hourly-aqi-card-header">
                 <span className="hour-label">{slot.hourLabel}</span>
               </div>
               <div className="hourly-aqi-card-content">
-                {slot.aqi !== null ? (
+                {aqi !== null ? (
                   <>
                     <div className="aqi-value" style={{ color: category.color }}>
-                      {slot.aqi}
+                      {aqi}
                     </div>
                     <div className="aqi-category" style={{ color: category.color }}>
                       {category.label}
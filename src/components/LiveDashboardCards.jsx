@@ -2,65 +2,33 @@ import React, { useState } from 'react'
 import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell, Legend } from 'recharts'
 import { calculateGeometryCenter } from '../services/api'
 import AQIAnalysisReport from './AQIAnalysisReport'
+import AreaSummary from './AreaSummary'
+import SubIndexBreakdown from './SubIndexBreakdown'
+import NowCastBadge from './NowCastBadge'
+import { getAQICategories, getAQIStandard, getScalePosition } from '../utils/aqiScale'
+import { getAQIBreakdown, getDisplayedAQI } from '../utils/aqiCalculator'
+import { convertReading, formatConcentration, getConversionConditions } from '../utils/pollutantUnits'
+import { convertWeatherValue, formatWeatherValue, withUnit } from '../utils/weatherUnits'
+import { calculateNowCast } from '../utils/nowcast'
+import { usePreferences } from '../context/PreferencesContext'
 import './LiveDashboardCards.css'
 
-const LiveDashboardCards = ({ aqiData, weatherData, geometry, date }) => {
+const LiveDashboardCards = ({ aqiData, recentRecords, weatherData, geometry, date }) => {
   const [showAnalysisReport, setShowAnalysisReport] = useState(false)
+  const { aqiStandard, pollutantUnits, conversionConditions, weatherUnits } = usePreferences()
   
   // Get coordinates from geometry
   const coordinates = geometry ? calculateGeometryCenter(geometry) : null
-  const getAQICategory = (aqi) => {
-    if (aqi <= 50) return { label: 'Good', color: '#1abc9c', bgColor: 'rgba(26, 188, 156, 0.2)' }
-    if (aqi <= 100) return { label: 'Moderate', color: '#f39c12', bgColor: 'rgba(243, 156, 18, 0.2)' }
-    if (aqi <= 150) return { label: 'Poor', color: '#e67e22', bgColor: 'rgba(230, 126, 34, 0.2)' }
-    if (aqi <= 200) return { label: 'Unhealthy', color: '#e74c3c', bgColor: 'rgba(231, 76, 60, 0.2)' }
-    if (aqi <= 300) return { label: 'Severe', color: '#9b59b6', bgColor: 'rgba(155, 89, 182, 0.2)' }
-    return { label: 'Hazardous', color: '#c0392b', bgColor: 'rgba(192, 57, 43, 0.2)' }
-  }
-
-  const getGaugeAngle = (aqi) => {
-    // AQI ranges map to semi-circle (180 degrees) based on segment boundaries
-    // Segments: Good (0-50), Moderate (51-100), Poor (101-150), 
-    // Unhealthy (151-200), Severe (201-300), Hazardous (301+)
-    // Angles: Good (0-30°), Moderate (30-60°), Poor (60-90°),
-    // Unhealthy (90-120°), Severe (120-150°), Hazardous (150-180°)
-    
-    if (aqi <= 50) {
-      // Good: 0-50 maps to 0-30°
-      return (aqi / 50) * 30
-    } else if (aqi <= 100) {
-      // Moderate: 51-100 maps to 30-60°
-      return 30 + ((aqi - 50) / 50) * 30
-    } else if (aqi <= 150) {
-      // Poor: 101-150 maps to 60-90°
-      return 60 + ((aqi - 100) / 50) * 30
-    } else if (aqi <= 200) {
-      // Unhealthy: 151-200 maps to 90-120°
-      return 90 + ((aqi - 150) / 50) * 30
-    } else if (aqi <= 300) {
-      // Severe: 201-300 maps to 120-150°
-      return 120 + ((aqi - 200) / 100) * 30
-    } else {
-      // Hazardous: 301+ maps to 150-180°
-      // Cap at 180° for very high values
-      return Math.min(150 + ((aqi - 300) / 100) * 30, 180)
-    }
-  }
-
-  const getSegmentInfo = () => {
-    // Semi-circle gauge: 180° arc from right (0°) to left (180°)
-    // Segments ordered from left (Hazardous) to right (Good)
-    // Each segment covers 30° (180/6 = 30)
-    // Matching the horizontal bar: Good (0-50), Moderate (51-100), Poor (101-150), 
-    // Unhealthy (151-200), Severe (201-300), Hazardous (301+)
-    return [
-      { label: 'HAZARDOUS', color: '#c0392b', start: 301, end: 400, angleStart: 150, angleEnd: 180 },
-      { label: 'SEVERE', color: '#9b59b6', start: 201, end: 300, angleStart: 120, angleEnd: 150 },
-      { label: 'UNHEALTHY', color: '#e74c3c', start: 151, end: 200, angleStart: 90, angleEnd: 120 },
-      { label: 'POOR', color: '#e67e22', start: 101, end: 150, angleStart: 60, angleEnd: 90 },
-      { label: 'MODERATE', color: '#f39c12', start: 51, end: 100, angleStart: 30, angleEnd: 60 },
-      { label: 'GOOD', color: '#1abc9c', start: 0, end: 50, angleStart: 0, angleEnd: 30 }
-    ]
+  // Gauge segments: one equal slice of the 180° arc per category of the standard shown
+  const getSegmentInfo = (standardId) => {
+    const categories = getAQICategories(standardId)
+    const sweep = 180 / categories.length
+    return categories.map((entry, index) => ({
+      label: entry.shortLabel.toUpperCase(),
+      color: entry.color,
+      angleStart: index * sweep,
+      angleEnd: (index + 1) * sweep
+    }))
   }
 
   if (!aqiData || !weatherData) {
@@ -74,41 +42,57 @@ const LiveDashboardCards = ({ aqiData, weatherData, geometry, date }) => {
     )
   }
 
-  const aqi = aqiData.aqi || 0
-  const category = getAQICategory(aqi)
-  const gaugeAngle = getGaugeAngle(aqi)
+  const breakdown = getAQIBreakdown(aqiData, aqiStandard, recentRecords)
+  // The backend's index is US EPA; other standards show the breakdown's index, so both agree
+  const headline = getDisplayedAQI(aqiData, aqiStandard, breakdown)
+  const aqi = headline.aqi || 0
+  const { category } = headline
+  const gaugeAngle = getScalePosition(aqi, headline.standardId) * 180
+  const nowcast = calculateNowCast(recentRecords, aqiStandard, aqiData.date || new Date())
+
+  // Concentrations in the chosen units
+  const displayAqi = convertReading(
+    { ...aqiData, pm2_5: aqiData.pm2_5 ?? aqiData.pm25 },
+    pollutantUnits,
+    getConversionConditions(conversionConditions, weatherData)
+  )
 
   // Pollutant data for stacked bar chart
   const pollutantData = [
     {
       name: 'PM2.5',
-      value: aqiData.pm2_5 || aqiData.pm25 || 0,
+      value: displayAqi.pm2_5 || 0,
+      unit: pollutantUnits.pm2_5,
       color: '#1e40af'
     },
     {
       name: 'PM10',
-      value: aqiData.pm10 || 0,
+      value: displayAqi.pm10 || 0,
+      unit: pollutantUnits.pm10,
       color: '#10b981'
     },
     {
       name: 'NO2',
-      value: aqiData.no2 || 0,
+      value: displayAqi.no2 || 0,
+      unit: pollutantUnits.no2,
       color: '#84cc16'
     },
     {
       name: 'SO2',
-      value: aqiData.so2 || 0,
+      value: displayAqi.so2 || 0,
+      unit: pollutantUnits.so2,
       color: '#f97316'
     },
     {
       name: 'O3',
-      value: aqiData.o3 || 0,
+      value: displayAqi.o3 || 0,
+      unit: pollutantUnits.o3,
       color: '#94a3b8'
     }
   ]
 
   // Calculate percentages for AQI metrics
-  const aqiPercentage = aqi > 0 ? Math.min((aqi / 300) * 100, 100) : 0
+  const aqiPercentage = getScalePosition(aqi, headline.standardId) * 100
   const pm10Percentage = pollutantData[1].value > 0 ? Math.min((pollutantData[1].value / 100) * 100, 100) : 0
   const precipitation = weatherData.precipitation || weatherData.precipitation_mm || 0
   const precipitationPercentage = precipitation > 0 ? Math.min((precipitation / 50) * 100, 100) : 0
@@ -116,9 +100,9 @@ const LiveDashboardCards = ({ aqiData, weatherData, geometry, date }) => {
   // UV & Visibility data - using current data and estimated values
   const currentUV = weatherData.uv_index || weatherData.uv_index_max || 0
   const currentVisibility = weatherData.visibility || 10
-  const currentPM25 = aqiData.pm2_5 || aqiData.pm25 || 0
-  const currentPM10 = aqiData.pm10 || 0
-  const currentNO2 = aqiData.no2 || 0
+  const currentPM25 = displayAqi.pm2_5 || 0
+  const currentPM10 = displayAqi.pm10 || 0
+  const currentNO2 = displayAqi.no2 || 0
   
   const uvVisibilityData = [
     { 
@@ -212,7 +196,7 @@ const LiveDashboardCards = ({ aqiData, weatherData, geometry, date }) => {
               </defs>
               
               {/* Semi-circle arc segments */}
-              {getSegmentInfo().map((segment, index) => {
+              {getSegmentInfo(headline.standardId).map((segment, index) => {
                 const centerX = 175
                 const centerY = 160
                 const radius = 110
@@ -304,8 +288,12 @@ const LiveDashboardCards = ({ aqiData, weatherData, geometry, date }) => {
               <div className="aqi-category" style={{ color: category.color }}>
                 {category.label.toUpperCase()} ({aqi})
               </div>
+              <div className="aqi-standard">{getAQIStandard(headline.standardId).name}</div>
+              <NowCastBadge nowcast={nowcast} standardId={aqiStandard} />
             </div>
           </div>
+          <SubIndexBreakdown breakdown={breakdown} standardId={aqiStandard} compact />
+          <AreaSummary area={aqiData.area} />
         </div>
       </div>
 
@@ -336,7 +324,7 @@ const LiveDashboardCards = ({ aqiData, weatherData, geometry, date }) => {
                   color: 'black'
                 }}
                 labelStyle={{ color: 'black', fontWeight: 'bold' }}
-                formatter={(value) => [`${value.toFixed(2)} µg/m³`, '']}
+                formatter={(value, name, item) => [`${formatConcentration(value, item.payload.unit)} ${item.payload.unit}`, '']}
               />
               <Bar dataKey="value" radius={[4, 4, 0, 0]}>
                 {pollutantData.map((entry, index) => (
@@ -367,7 +355,7 @@ const LiveDashboardCards = ({ aqiData, weatherData, geometry, date }) => {
                 <line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line>
                 <line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line>
               </svg>
-              <span>{weatherData.temperature || 0}°C</span>
+              <span>{withUnit(formatWeatherValue(weatherData.temperature || 0, 'temperature', weatherUnits.temperature), weatherUnits.temperature)}</span>
             </div>
             <div className="weather-item">
               <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -379,13 +367,13 @@ const LiveDashboardCards = ({ aqiData, weatherData, geometry, date }) => {
               <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                 <path d="M9.59 4.59A2 2 0 1 1 11 8H2m10.59 11.41A2 2 0 1 0 14 16H2m15.73-8.27A2.5 2.5 0 1 1 19.5 12H2"></path>
               </svg>
-              <span>Wind Speed {weatherData.wind_speed.toFixed(2) || 0}</span>
+              <span>Wind Speed {withUnit(formatWeatherValue(weatherData.wind_speed || 0, 'speed', weatherUnits.speed, 2), weatherUnits.speed)}</span>
             </div>
             <div className="weather-item">
               <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                 <path d="M18 10h-1.26A8 8 0 1 0 9 20h9a5 5 0 0 0 0-10z"></path>
               </svg>
-              <span>Precipitation {precipitation.toFixed(1)} mm</span>
+              <span>Precipitation {withUnit(formatWeatherValue(precipitation, 'precipitation', weatherUnits.precipitation), weatherUnits.precipitation)}</span>
             </div>
           </div>
           <div className="weather-forecast">
@@ -412,10 +400,18 @@ const LiveDashboardCards = ({ aqiData, weatherData, geometry, date }) => {
                   </svg>
                 )}
                 <div className="forecast-day">{day.day}</div>
-                <div className="forecast-temp">{day.temp}°</div>
+                <div className="forecast-temp">{formatWeatherValue(day.temp, 'temperature', weatherUnits.temperature, 0)}°</div>
               </div>
             ))}
           </div>
+          <AreaSummary
+            area={weatherData.area}
+            label="Temperature"
+            unit={weatherUnits.temperature}
+            worstLabel="Hottest cell"
+            decimals={1}
+            convert={(value) => convertWeatherValue(value, 'temperature', weatherUnits.temperature)}
+          />
         </div>
       </div>
 
@@ -463,10 +459,10 @@ const LiveDashboardCards = ({ aqiData, weatherData, geometry, date }) => {
                 labelStyle={{ color: '#14b8a6', fontWeight: 'bold' }}
                 formatter={(value, name) => {
                   if (name === 'uv') return [`${value.toFixed(1)}`, 'UV Index']
-                  if (name === 'visibility') return [`${value.toFixed(1)} km`, 'Visibility']
-                  if (name === 'pm25') return [`${value.toFixed(2)} µg/m³`, 'PM2.5']
-                  if (name === 'pm10') return [`${value.toFixed(2)} µg/m³`, 'PM10']
-                  if (name === 'no2') return [`${value.toFixed(2)} µg/m³`, 'NO2']
+                  if (name === 'visibility') return [withUnit(formatWeatherValue(value, 'distance', weatherUnits.distance), weatherUnits.distance), 'Visibility']
+                  if (name === 'pm25') return [`${formatConcentration(value, pollutantUnits.pm2_5)} ${pollutantUnits.pm2_5}`, 'PM2.5']
+                  if (name === 'pm10') return [`${formatConcentration(value, pollutantUnits.pm10)} ${pollutantUnits.pm10}`, 'PM10']
+                  if (name === 'no2') return [`${formatConcentration(value, pollutantUnits.no2)} ${pollutantUnits.no2}`, 'NO2']
                   return [value, name]
                 }}
               />
@@ -0,0 +1,81 @@
+import React, { useEffect, useState } from 'react'
+import { format } from 'date-fns'
+import { getFreshness, LIVE_REFRESH_OPTIONS, STALE_AFTER_MINUTES } from '../utils/freshness'
+import './LiveStatusBar.css'
+
+// How often the "n minutes ago" text is brought up to date
+const CLOCK_TICK_MS = 30000
+
+/**
+ * Live mode status: when the shown readings were observed, the auto-refresh interval,
+ * and a warning when the readings are stale or refreshing fails.
+ */
+const LiveStatusBar = ({ observedAt, polling, paused, lastPolledAt, error, intervalSeconds, onIntervalChange, onRefresh, refreshing }) => {
+  const [now, setNow] = useState(() => new Date())
+
+  useEffect(() => {
+    setNow(new Date())
+    const timer = setInterval(() => setNow(new Date()), CLOCK_TICK_MS)
+    return () => clearInterval(timer)
+  }, [observedAt, lastPolledAt])
+
+  const freshness = getFreshness(observedAt, now)
+  const status = error || freshness?.stale ? 'stale' : paused || !polling ? 'paused' : 'live'
+  const statusLabel = { live: 'LIVE', paused: paused ? 'PAUSED' : 'MANUAL', stale: 'STALE' }[status]
+
+  return (
+    <div className="live-status">
+      <div className="live-status-bar">
+        <span className={`live-status-badge ${status}`} title={paused ? 'Refreshing resumes when this tab is visible' : undefined}>
+          <span className="live-status-dot"></span>
+          {statusLabel}
+        </span>
+
+        <span className="live-status-text">
+          {freshness ? (
+            <>Observed <strong>{format(freshness.observedAt, 'MMM dd, HH:mm')}</strong> ({freshness.age} ago)</>
+          ) : (
+            'Observation time unknown'
+          )}
+          {lastPolledAt && <> · checked {format(lastPolledAt, 'HH:mm:ss')}</>}
+        </span>
+
+        <div className="live-status-controls">
+          <select
+            value={intervalSeconds}
+            onChange={(e) => onIntervalChange(Number(e.target.value))}
+            aria-label="Auto-refresh interval"
+          >
+            {LIVE_REFRESH_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.value === 0 ? 'Auto-refresh off' : option.label}
+              </option>
+            ))}
+          </select>
+          <button type="button" onClick={onRefresh} disabled={refreshing} title="Refresh now" aria-label="Refresh now">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"></path>
+              <path d="M21 3v5h-5"></path>
+              <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"></path>
+              <path d="M3 21v-5h5"></path>
+            </svg>
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <p className="live-status-alert" role="alert">
+          Live refresh failed: {error}. {freshness ? `Showing readings from ${format(freshness.observedAt, 'HH:mm')}.` : ''}
+        </p>
+      )}
+      {!error && freshness?.stale && (
+        <p className="live-status-alert" role="alert">
+          These readings are {freshness.age} old. The backend has not published newer observations
+          (expected at least every {STALE_AFTER_MINUTES} minutes).
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default LiveStatusBar
@@ -1,5 +1,5 @@
 import React, { useState } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, useLocation } from 'react-router-dom'
 import { useAuth } from '../context/AuthContext'
 import './Login.css'
 
@@ -9,6 +9,7 @@ const Login = () => {
   const [error, setError] = useState('')
   const { login } = useAuth()
   const navigate = useNavigate()
+  const location = useLocation()
 
   const handleSubmit = (e) => {
     e.preventDefault()
@@ -25,7 +26,7 @@ const Login = () => {
     
     const success = login(trimmedUsername, trimmedPassword)
     if (success) {
-      navigate('/dashboard', { replace: true })
+      navigate(location.state?.from || '/dashboard', { replace: true })
     } else {
       setError('Invalid username or password')
     }
@@ -1,8 +1,11 @@
-import React, { useEffect, useRef, useState } from 'react'
-import { MapContainer, TileLayer, Polygon, useMap } from 'react-leaflet'
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { MapContainer, TileLayer, Polygon, CircleMarker, Tooltip, useMap } from 'react-leaflet'
 import L from 'leaflet'
 import 'leaflet/dist/leaflet.css'
 import DrawAreaComponent from './DrawAreaComponent'
+import EditAreaComponent from './EditAreaComponent'
+import PlaceSearch from './PlaceSearch'
+import { getPolygons } from '../utils/geometry'
 import './MapComponent.css'
 
 // Fix for default marker icons in Leaflet
@@ -28,50 +31,68 @@ const MapViewUpdater = ({ viewType, polygonCoordinates }) => {
   return null
 }
 
-const MapComponent = ({ viewType, drawnGeometry, uploadedKML, isDrawing, onGeometryComplete, onCancelDrawing }) => {
+// GeoJSON Polygon/MultiPolygon to Leaflet positions: [lat, lng], holes as extra rings.
+// Non-numeric vertices (reported by validation) are skipped so the rest can still be drawn.
+const toLeafletPositions = (geometry) => (
+  getPolygons(geometry).map(rings => rings.map(ring => ring
+    .filter(([lng, lat]) => isFinite(lng) && isFinite(lat))
+    .map(([lng, lat]) => [lat, lng])))
+)
+
+const DEFAULT_POLYGON_STYLE = {
+  color: '#14b8a6',
+  fillColor: '#14b8a6',
+  fillOpacity: 0.25,
+  weight: 2
+}
+
+// Features of an uploaded file that are not part of the analysis
+const UNSELECTED_POLYGON_STYLE = {
+  color: '#94a3b8',
+  fillColor: '#94a3b8',
+  fillOpacity: 0.05,
+  weight: 1,
+  dashArray: '4 4'
+}
+
+const MapComponent = ({
+  viewType,
+  drawnGeometry,
+  uploadedBoundary,
+  selectedFeatureIds = [],
+  onFeatureToggle,
+  isDrawing,
+  onGeometryComplete,
+  onCancelDrawing,
+  isEditing = false,
+  onGeometryChange,
+  onEditDone,
+  onCreateArea,
+  samplePoints = []
+}) => {
   const [mapCenter] = useState([20.5937, 78.9629]) // Default to India center
   const [mapZoom] = useState(5)
-  const [polygonCoordinates, setPolygonCoordinates] = useState(null)
 
-  useEffect(() => {
+  // Every shape to show: the drawn area, or all features of an uploaded file.
+  // While editing, the editor draws the area itself (and the map does not refit on every edit).
+  const shapes = useMemo(() => {
+    if (isEditing) return []
     if (drawnGeometry && drawnGeometry.coordinates) {
-      // Convert GeoJSON [lng, lat] to Leaflet [lat, lng]
-      const coords = drawnGeometry.coordinates[0].map(coord => [coord[1], coord[0]])
-      setPolygonCoordinates(coords)
-    } else if (uploadedKML) {
-      parseKML(uploadedKML)
-    } else {
-      setPolygonCoordinates(null)
+      return [{ id: 'drawn', positions: toLeafletPositions(drawnGeometry), style: DEFAULT_POLYGON_STYLE }]
     }
-  }, [drawnGeometry, uploadedKML])
+    return (uploadedBoundary?.features || []).map(feature => ({
+      id: feature.id,
+      name: feature.name,
+      positions: toLeafletPositions(feature.geometry),
+      style: { ...DEFAULT_POLYGON_STYLE, ...feature.style }
+    }))
+  }, [drawnGeometry, uploadedBoundary, isEditing])
 
-  const parseKML = (kmlData) => {
-    try {
-      const parser = new DOMParser()
-      const kmlDoc = parser.parseFromString(kmlData.content, 'text/xml')
-      const errorNode = kmlDoc.querySelector('parsererror')
-      
-      if (errorNode) {
-        console.error('KML parsing error:', errorNode.textContent)
-        return
-      }
-
-      const coordinatesElements = kmlDoc.querySelectorAll('coordinates')
-      if (coordinatesElements.length > 0) {
-        const coordsText = coordinatesElements[0].textContent.trim()
-        const coordPairs = coordsText.split(/\s+/).filter(c => c.trim())
-        
-        const coords = coordPairs.map(coord => {
-          const [lng, lat] = coord.split(',').map(Number)
-          return [lat, lng] // Convert to Leaflet format [lat, lng]
-        })
-        
-        setPolygonCoordinates(coords)
-      }
-    } catch (error) {
-      console.error('Error parsing KML:', error)
-    }
-  }
+  // Fit to everything that was drawn or uploaded; selection changes do not move the map
+  const polygonCoordinates = useMemo(() => {
+    const coords = shapes.flatMap(shape => shape.positions.flat(2))
+    return coords.length > 0 ? coords : null
+  }, [shapes])
 
   // Light theme tile layer (matching UI light colors)
   const lightTileLayer = 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png'
@@ -88,6 +109,7 @@ const MapComponent = ({ viewType, drawnGeometry, uploadedKML, isDrawing, onGeome
         className="leaflet-map"
       >
         <MapViewUpdater viewType={viewType} polygonCoordinates={polygonCoordinates} />
+        {onCreateArea && !isEditing && <PlaceSearch onCreateArea={onCreateArea} />}
         {viewType === 'map' ? (
           <TileLayer
             attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
@@ -100,17 +122,38 @@ const MapComponent = ({ viewType, drawnGeometry, uploadedKML, isDrawing, onGeome
           />
         )}
         
-        {polygonCoordinates && (
-          <Polygon
-            positions={polygonCoordinates}
+        {shapes.map(shape => {
+          const selected = shape.id === 'drawn' || selectedFeatureIds.includes(shape.id)
+          return (
+            <Polygon
+              key={shape.id}
+              positions={shape.positions}
+              pathOptions={selected ? shape.style : UNSELECTED_POLYGON_STYLE}
+              eventHandlers={onFeatureToggle && shape.id !== 'drawn' && !isDrawing
+                ? { click: () => onFeatureToggle(shape.id) }
+                : undefined}
+            >
+              {shape.name && (
+                <Tooltip sticky>{shape.name}{selected ? '' : ' (not selected)'}</Tooltip>
+              )}
+            </Polygon>
+          )
+        })}
+        
+        {/* Area sampling grid preview */}
+        {!isDrawing && !isEditing && samplePoints.map((point, index) => (
+          <CircleMarker
+            key={`${point.latitude}-${point.longitude}-${index}`}
+            center={[point.latitude, point.longitude]}
+            radius={4}
             pathOptions={{
-              color: '#14b8a6',
-              fillColor: '#14b8a6',
-              fillOpacity: 0.25,
+              color: '#0d9488',
+              fillColor: '#ffffff',
+              fillOpacity: 1,
               weight: 2
             }}
           />
-        )}
+        ))}
         
         {isDrawing && (
           <DrawAreaComponent
@@ -119,6 +162,14 @@ const MapComponent = ({ viewType, drawnGeometry, uploadedKML, isDrawing, onGeome
             onCancel={onCancelDrawing}
           />
         )}
+
+        {isEditing && drawnGeometry && (
+          <EditAreaComponent
+            geometry={drawnGeometry}
+            onGeometryChange={onGeometryChange}
+            onDone={onEditDone}
+          />
+        )}
       </MapContainer>
     </div>
   )
@@ -0,0 +1,29 @@
+import React from 'react'
+import { format, parseISO } from 'date-fns'
+import './MissingDaysNotice.css'
+
+/**
+ * Warning shown when part of a date range could not be loaded.
+ * `dates` are yyyy-MM-dd strings, e.g. the `missing_dates` of a range response.
+ */
+const MissingDaysNotice = ({ dates, label = 'Weather data' }) => {
+  if (!dates || dates.length === 0) return null
+
+  const formatted = dates.map(date => format(parseISO(date), 'MMM dd'))
+
+  return (
+    <div className="missing-days-notice" role="status">
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+        <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path>
+        <line x1="12" y1="9" x2="12" y2="13"></line>
+        <line x1="12" y1="17" x2="12.01" y2="17"></line>
+      </svg>
+      <span>
+        {label} unavailable for {dates.length} {dates.length === 1 ? 'day' : 'days'}: {formatted.join(', ')}.
+        Averages use the remaining days.
+      </span>
+    </div>
+  )
+}
+
+export default MissingDaysNotice
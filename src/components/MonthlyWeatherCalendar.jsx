@@ -1,15 +1,23 @@
 import React, { useState, useEffect } from 'react'
 import { format, parseISO, startOfMonth, endOfMonth, eachDayOfInterval, isToday, isSameMonth, getMonth, getYear, startOfDay, subDays, subMonths, addMonths } from 'date-fns'
 import { fetchMonthlyWeatherData, calculateGeometryCenter, fetchHourlyAQIDataRange, fetchHourlyAQIData, fetchHourlyWeatherData } from '../services/api'
+import { getCacheInfo } from '../services/cache'
+import CachedAtIndicator from './CachedAtIndicator'
+import { getAQICategory, getAQIStandard, withAlpha } from '../utils/aqiScale'
+import { BACKEND_AQI_STANDARD } from '../utils/aqiCalculator'
+import { formatWeatherValue } from '../utils/weatherUnits'
+import { usePreferences } from '../context/PreferencesContext'
 import './MonthlyWeatherCalendar.css'
 
 const MonthlyWeatherCalendar = ({ geometry, selectedDate, weeklyMode = false, startDate, endDate }) => {
+  const { weatherUnits } = usePreferences()
   const [monthlyData, setMonthlyData] = useState(null)
   const [aqiData, setAqiData] = useState(null)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   const [coordinates, setCoordinates] = useState(null)
   const [currentMonth, setCurrentMonth] = useState(new Date()) // Track the currently displayed month
+  const [cacheInfo, setCacheInfo] = useState(null)
 
   useEffect(() => {
     if (geometry) {
@@ -97,6 +105,7 @@ const MonthlyWeatherCalendar = ({ geometry, selectedDate, weeklyMode = false, st
       let weatherData
       try {
         weatherData = await fetchMonthlyWeatherData(coordinates.latitude, coordinates.longitude, year, month)
+        setCacheInfo(getCacheInfo(weatherData))
       } catch (apiError) {
         // If API returns an error (like 404, 500, etc.), handle it gracefully
         console.warn(`API error for ${month}/${year}:`, apiError.message)
@@ -478,26 +487,6 @@ const MonthlyWeatherCalendar = ({ geometry, selectedDate, weeklyMode = false, st
            (selectedYear === todayYear && selectedMonth < todayMonth)
   }
 
-  // Get AQI color based on value
-  const getAQIColor = (aqi) => {
-    if (aqi <= 50) return '#1abc9c' // Good - Teal Green
-    if (aqi <= 100) return '#f39c12' // Moderate - Orange
-    if (aqi <= 150) return '#e67e22' // Poor - Darker Orange
-    if (aqi <= 200) return '#e74c3c' // Unhealthy - Red
-    if (aqi <= 300) return '#9b59b6' // Severe - Purple
-    return '#c0392b' // Hazardous - Dark Red
-  }
-
-  // Get AQI background color (lighter version)
-  const getAQIBgColor = (aqi) => {
-    if (aqi <= 50) return 'rgba(26, 188, 156, 0.25)' // Good
-    if (aqi <= 100) return 'rgba(243, 156, 18, 0.25)' // Moderate
-    if (aqi <= 150) return 'rgba(230, 126, 34, 0.25)' // Poor
-    if (aqi <= 200) return 'rgba(231, 76, 60, 0.25)' // Unhealthy
-    if (aqi <= 300) return 'rgba(155, 89, 182, 0.25)' // Severe
-    return 'rgba(192, 57, 43, 0.25)' // Hazardous
-  }
-
   const getWeatherIcon = (icon) => {
     switch (icon) {
       case 'sun':
@@ -712,6 +701,11 @@ const MonthlyWeatherCalendar = ({ geometry, selectedDate, weeklyMode = false, st
           <h2 className="calendar-title">{monthName}</h2>
         )}
       </div>
+      {!weeklyMode && cacheInfo?.fromCache && (
+        <div className="calendar-cache-status">
+          <CachedAtIndicator info={cacheInfo} />
+        </div>
+      )}
       
       <div className="calendar-grid">
         <div className="calendar-weekdays">
@@ -744,9 +738,10 @@ const MonthlyWeatherCalendar = ({ geometry, selectedDate, weeklyMode = false, st
               }
             }
             
-            // Get background color based on AQI
-            const aqiBgColor = dayAQI !== null ? getAQIBgColor(dayAQI) : null
-            const aqiColor = dayAQI !== null ? getAQIColor(dayAQI) : null
+            // Get background color based on AQI; daily values are the backend's, so US EPA categories
+            const aqiCategory = dayAQI !== null ? getAQICategory(dayAQI, BACKEND_AQI_STANDARD) : null
+            const aqiBgColor = aqiCategory ? withAlpha(aqiCategory.color, 0.25) : null
+            const aqiColor = aqiCategory ? aqiCategory.color : null
             
             return (
               <div 
@@ -756,7 +751,7 @@ const MonthlyWeatherCalendar = ({ geometry, selectedDate, weeklyMode = false, st
               >
                 <div className="day-number">{dayDate.getDate()}</div>
                 {dayAQI !== null && dayAQI !== undefined ? (
-                  <div className="aqi-value" style={{ color: aqiColor, fontSize: '1rem' }}>
+                  <div className="aqi-value" style={{ color: aqiColor, fontSize: '1rem' }} title={`${getAQIStandard(BACKEND_AQI_STANDARD).name}: ${aqiCategory.label}`}>
                     AQI: {Math.round(dayAQI)}
                   </div>
                 ) : (
@@ -770,8 +765,8 @@ const MonthlyWeatherCalendar = ({ geometry, selectedDate, weeklyMode = false, st
                       {getWeatherIcon(record.icon)}
                     </div>
                     <div className="temperatures">
-                      <span className="temp-high">{record.temperature_max}°</span>
-                      <span className="temp-low">/{record.temperature_min}°</span>
+                      <span className="temp-high">{formatWeatherValue(record.temperature_max, 'temperature', weatherUnits.temperature)}°</span>
+                      <span className="temp-low">/{formatWeatherValue(record.temperature_min, 'temperature', weatherUnits.temperature)}°</span>
                     </div>
                   </>
                 ) : (
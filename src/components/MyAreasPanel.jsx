@@ -0,0 +1,224 @@
+import React, { useMemo, useState } from 'react'
+import { format, parseISO } from 'date-fns'
+import useSavedAreas from '../hooks/useSavedAreas'
+import { MIN_COMPARISON_AREAS, MAX_COMPARISON_AREAS } from '../utils/comparison'
+import './MyAreasPanel.css'
+
+const parseTags = (text) => [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))]
+
+const matchesQuery = (area, query) => {
+  if (!query) return true
+  const haystack = [area.name, area.notes, ...(area.tags || [])].join(' ').toLowerCase()
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term))
+}
+
+/**
+ * "My Areas": save the current area with a name, tags and notes, then find, rename,
+ * delete, load, re-analyse or compare saved areas. Storage goes through the active area store.
+ */
+const MyAreasPanel = ({ geometry, defaultName, canSave = true, onLoad, onAnalyse, onCompare, analysing = false }) => {
+  const { areas, loading, error, save, update, remove } = useSavedAreas()
+  const [formOpen, setFormOpen] = useState(false)
+  const [name, setName] = useState('')
+  const [tags, setTags] = useState('')
+  const [notes, setNotes] = useState('')
+  const [query, setQuery] = useState('')
+  const [renamingId, setRenamingId] = useState(null)
+  const [renameText, setRenameText] = useState('')
+  const [compareIds, setCompareIds] = useState([])
+
+  const visibleAreas = useMemo(() => areas.filter(area => matchesQuery(area, query.trim())), [areas, query])
+  const canCompare = compareIds.length >= MIN_COMPARISON_AREAS && compareIds.length <= MAX_COMPARISON_AREAS
+
+  const toggleCompare = (id) => {
+    setCompareIds(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]))
+  }
+
+  const openForm = () => {
+    setName(defaultName || '')
+    setTags('')
+    setNotes('')
+    setFormOpen(true)
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (!geometry || !name.trim()) return
+    try {
+      await save({ name: name.trim(), tags: parseTags(tags), notes: notes.trim(), geometry })
+      setFormOpen(false)
+    } catch (err) {
+      console.error('Error saving area:', err)
+    }
+  }
+
+  const startRename = (area) => {
+    setRenamingId(area.id)
+    setRenameText(area.name)
+  }
+
+  const handleRename = async (e) => {
+    e.preventDefault()
+    const area = areas.find(item => item.id === renamingId)
+    if (area && renameText.trim() && renameText.trim() !== area.name) {
+      try {
+        await update(area.id, { name: renameText.trim() })
+      } catch (err) {
+        console.error('Error renaming area:', err)
+        return
+      }
+    }
+    setRenamingId(null)
+  }
+
+  const handleDelete = async (area) => {
+    if (!window.confirm(`Delete the saved area "${area.name}"?`)) return
+    try {
+      await remove(area.id)
+      setCompareIds(prev => prev.filter(id => id !== area.id))
+    } catch (err) {
+      console.error('Error deleting area:', err)
+    }
+  }
+
+  return (
+    <div className="my-areas">
+      <div className="my-areas-header">
+        <h2 className="sidebar-title">MY AREAS</h2>
+        {!formOpen && (
+          <button
+            type="button"
+            className="my-areas-save"
+            onClick={openForm}
+            disabled={!geometry || !canSave}
+            title={geometry ? 'Save the current area' : 'Draw or import an area to save it'}
+          >
+            + Save current area
+          </button>
+        )}
+      </div>
+
+      {formOpen && (
+        <form className="my-areas-form" onSubmit={handleSave}>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name"
+            aria-label="Area name"
+            autoFocus
+            required
+          />
+          <input
+            type="text"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="Tags, comma separated"
+            aria-label="Tags"
+          />
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Notes"
+            aria-label="Notes"
+            rows={2}
+          />
+          <div className="my-areas-form-actions">
+            <button type="submit" disabled={!name.trim() || !geometry}>Save</button>
+            <button type="button" onClick={() => setFormOpen(false)}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {error && <p className="my-areas-error" role="alert">{error}</p>}
+
+      {areas.length > 0 && (
+        <input
+          type="search"
+          className="my-areas-search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search by name, tag or notes"
+          aria-label="Search saved areas"
+        />
+      )}
+
+      {loading ? (
+        <p className="my-areas-empty">Loading saved areas...</p>
+      ) : areas.length === 0 ? (
+        <p className="my-areas-empty">No saved areas yet. Draw or import an area and save it to reuse it later.</p>
+      ) : visibleAreas.length === 0 ? (
+        <p className="my-areas-empty">No saved area matches "{query}"</p>
+      ) : (
+        <ul className="my-areas-list">
+          {visibleAreas.map(area => (
+            <li key={area.id} className="my-areas-item">
+              {renamingId === area.id ? (
+                <form className="my-areas-rename" onSubmit={handleRename}>
+                  <input
+                    type="text"
+                    value={renameText}
+                    onChange={(e) => setRenameText(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Escape' && setRenamingId(null)}
+                    aria-label="New name"
+                    autoFocus
+                  />
+                  <button type="submit" disabled={!renameText.trim()}>OK</button>
+                </form>
+              ) : (
+                <div className="my-areas-item-header">
+                  <input
+                    type="checkbox"
+                    className="my-areas-compare"
+                    checked={compareIds.includes(area.id)}
+                    onChange={() => toggleCompare(area.id)}
+                    aria-label={`Compare ${area.name}`}
+                    title="Select for comparison"
+                  />
+                  <span className="my-areas-name" title={area.notes || area.name}>{area.name}</span>
+                  <span className="my-areas-date">{format(parseISO(area.updatedAt), 'dd MMM yyyy')}</span>
+                </div>
+              )}
+              {area.tags?.length > 0 && (
+                <div className="my-areas-tags">
+                  {area.tags.map(tag => (
+                    <button key={tag} type="button" className="my-areas-tag" onClick={() => setQuery(tag)} title={`Show areas tagged "${tag}"`}>
+                      {tag}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {area.notes && <p className="my-areas-notes">{area.notes}</p>}
+              <div className="my-areas-actions">
+                <button type="button" className="primary" onClick={() => onAnalyse(area)} disabled={analysing}>
+                  Analyse
+                </button>
+                <button type="button" onClick={() => onLoad(area)}>Load</button>
+                <button type="button" onClick={() => startRename(area)}>Rename</button>
+                <button type="button" className="danger" onClick={() => handleDelete(area)}>Delete</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {compareIds.length > 0 && (
+        <div className="my-areas-compare-bar">
+          <button
+            type="button"
+            onClick={() => onCompare(compareIds.map(id => areas.find(area => area.id === id)).filter(Boolean))}
+            disabled={!canCompare}
+          >
+            Compare ({compareIds.length})
+          </button>
+          <button type="button" onClick={() => setCompareIds([])}>Clear</button>
+          {!canCompare && (
+            <span className="my-areas-compare-hint">Select {MIN_COMPARISON_AREAS} to {MAX_COMPARISON_AREAS} areas</span>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MyAreasPanel
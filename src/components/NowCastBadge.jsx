@@ -0,0 +1,28 @@
+import React from 'react'
+import { getAQICategory } from '../utils/aqiScale'
+import { POLLUTANT_LABELS } from '../utils/aqiCalculator'
+import { NOWCAST_HOURS } from '../utils/nowcast'
+import './NowCastBadge.css'
+
+/**
+ * NowCast AQI (see calculateNowCast) next to the raw reading, in the colour of its category
+ */
+const NowCastBadge = ({ nowcast, standardId }) => {
+  if (!nowcast || nowcast.aqi === null) return null
+  const { aqi, dominant, subIndices } = nowcast
+  const category = getAQICategory(aqi, standardId)
+
+  return (
+    <div
+      className="nowcast-badge"
+      style={{ borderColor: category.color }}
+      title={`NowCast-weighted ${subIndices.map(entry => entry.label).join(', ')} AQI over the last ${NOWCAST_HOURS} hours; it follows changes faster than the raw value`}
+    >
+      <span className="nowcast-label">NowCast</span>
+      <strong style={{ color: category.color }}>{aqi}</strong>
+      <span>{category.label} · {POLLUTANT_LABELS[dominant]}</span>
+    </div>
+  )
+}
+
+export default NowCastBadge
@@ -0,0 +1,205 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { CircleMarker, Tooltip, useMap } from 'react-leaflet'
+import L from 'leaflet'
+import { getGeocoder } from '../services/geocoder'
+import { isAbortError } from '../services/httpClient'
+import { parseCoordinates, formatCoordinates } from '../utils/coordinates'
+import { DEFAULT_BUFFER_KM, createCirclePolygon } from '../utils/geometry'
+import './PlaceSearch.css'
+
+// Zoom used for results without a bounding box (points, typed coordinates)
+const POINT_ZOOM = 13
+const MAX_FLY_ZOOM = 15
+
+const shortName = (label) => label.split(',')[0].trim()
+
+/**
+ * Map search box: place names go to the active geocoder, decimal or DMS coordinates
+ * are used directly. Choosing a result flies there and offers to create a buffered
+ * area around it through `onCreateArea(geometry, name)`.
+ */
+const PlaceSearch = ({ onCreateArea }) => {
+  const map = useMap()
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const [searching, setSearching] = useState(false)
+  const [message, setMessage] = useState(null)
+  const [selected, setSelected] = useState(null)
+  const [bufferKm, setBufferKm] = useState(DEFAULT_BUFFER_KM)
+  const containerRef = useRef(null)
+  const controllerRef = useRef(null)
+
+  // Typing, scrolling and clicking in the box must not pan or zoom the map
+  useEffect(() => {
+    if (containerRef.current) {
+      L.DomEvent.disableClickPropagation(containerRef.current)
+      L.DomEvent.disableScrollPropagation(containerRef.current)
+    }
+    return () => controllerRef.current?.abort()
+  }, [])
+
+  const selectResult = (result) => {
+    setSelected(result)
+    setResults([])
+    setActiveIndex(-1)
+    if (result.bounds) {
+      map.flyToBounds(result.bounds, { maxZoom: MAX_FLY_ZOOM })
+    } else {
+      map.flyTo([result.latitude, result.longitude], Math.max(map.getZoom(), POINT_ZOOM))
+    }
+  }
+
+  const handleSearch = async (e) => {
+    e.preventDefault()
+    const text = query.trim()
+    if (!text) return
+    controllerRef.current?.abort()
+    setMessage(null)
+
+    const coordinates = parseCoordinates(text)
+    if (coordinates) {
+      selectResult({ id: 'coordinates', label: formatCoordinates(coordinates), type: 'coordinates', bounds: null, ...coordinates })
+      return
+    }
+
+    const controller = new AbortController()
+    controllerRef.current = controller
+    setSearching(true)
+    setSelected(null)
+    try {
+      const places = await getGeocoder().search(text, { signal: controller.signal })
+      setResults(places)
+      setActiveIndex(places.length > 0 ? 0 : -1)
+      if (places.length === 0) setMessage(`No places found for "${text}"`)
+    } catch (err) {
+      if (isAbortError(err)) return
+      console.error('Error searching places:', err)
+      setResults([])
+      setMessage(err.message)
+    } finally {
+      if (!controller.signal.aborted) setSearching(false)
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setResults([])
+      setMessage(null)
+    } else if (results.length > 0 && e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActiveIndex(index => (index + 1) % results.length)
+    } else if (results.length > 0 && e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex(index => (index - 1 + results.length) % results.length)
+    } else if (results.length > 0 && e.key === 'Enter' && activeIndex >= 0) {
+      e.preventDefault()
+      selectResult(results[activeIndex])
+    }
+  }
+
+  const handleCreateArea = () => {
+    const distance = Number(bufferKm) * 1000
+    if (!selected || !(distance > 0)) return
+    onCreateArea(
+      createCirclePolygon([selected.longitude, selected.latitude], distance),
+      `${shortName(selected.label)} (${Number(bufferKm)} km)`
+    )
+    setSelected(null)
+  }
+
+  const clear = () => {
+    controllerRef.current?.abort()
+    setQuery('')
+    setResults([])
+    setSelected(null)
+    setMessage(null)
+    setSearching(false)
+  }
+
+  return (
+    <>
+      <div className="place-search" ref={containerRef}>
+        <form className="place-search-form" onSubmit={handleSearch} role="search">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Search a place or enter lat, lng"
+            aria-label="Search a place or enter coordinates"
+            aria-expanded={results.length > 0}
+            aria-controls="place-search-results"
+          />
+          {query && (
+            <button type="button" className="place-search-clear" onClick={clear} aria-label="Clear search">×</button>
+          )}
+          <button type="submit" className="place-search-submit" disabled={!query.trim() || searching} aria-label="Search">
+            {searching ? (
+              <span className="place-search-spinner"></span>
+            ) : (
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <circle cx="11" cy="11" r="8"></circle>
+                <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+              </svg>
+            )}
+          </button>
+        </form>
+
+        {results.length > 0 && (
+          <ul className="place-search-results" id="place-search-results" role="listbox">
+            {results.map((result, index) => (
+              <li
+                key={result.id}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={index === activeIndex ? 'active' : ''}
+                onMouseEnter={() => setActiveIndex(index)}
+                onClick={() => selectResult(result)}
+              >
+                <span className="place-search-name">{shortName(result.label)}</span>
+                <span className="place-search-detail">{result.label}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {message && <p className="place-search-message" role="status">{message}</p>}
+
+        {selected && (
+          <div className="place-search-selected">
+            <span className="place-search-name" title={selected.label}>{shortName(selected.label)}</span>
+            <div className="place-search-buffer">
+              <label>
+                Buffer
+                <input
+                  type="number"
+                  min="0.1"
+                  step="0.5"
+                  value={bufferKm}
+                  onChange={(e) => setBufferKm(e.target.value)}
+                />
+                km
+              </label>
+              <button type="button" onClick={handleCreateArea} disabled={!(Number(bufferKm) > 0)}>
+                Create area
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {selected && (
+        <CircleMarker
+          center={[selected.latitude, selected.longitude]}
+          radius={7}
+          pathOptions={{ color: '#ffffff', fillColor: '#f97316', fillOpacity: 1, weight: 2 }}
+        >
+          <Tooltip>{selected.label}</Tooltip>
+        </CircleMarker>
+      )}
+    </>
+  )
+}
+
+export default PlaceSearch
@@ -0,0 +1,255 @@
+import React, { useState, useEffect } from 'react'
+import { useConfig } from '../context/ConfigContext'
+import { usePreferences } from '../context/PreferencesContext'
+import { AQI_STANDARDS } from '../utils/aqiScale'
+import { POLLUTANT_LABELS } from '../utils/aqiCalculator'
+import { UNIT_OPTIONS, UNIT_PRESETS, CONVERSION_CONDITIONS } from '../utils/pollutantUnits'
+import { UNIT_SYSTEMS, WEATHER_QUANTITIES } from '../utils/weatherUnits'
+import './SettingsPanel.css'
+
+const SettingsPanel = ({ isOpen, onClose }) => {
+  const { config, setApiOverride, clearApiOverride } = useConfig()
+  const {
+    aqiStandard, setAqiStandard,
+    pollutantUnits, setPollutantUnits,
+    conversionConditions, setConversionConditions,
+    unitSystem, setUnitSystem,
+    unitOverrides, setUnitOverrides
+  } = usePreferences()
+  const [standard, setStandard] = useState(aqiStandard)
+  const [units, setUnits] = useState(pollutantUnits)
+  const [conditions, setConditions] = useState(conversionConditions)
+  const [system, setSystem] = useState(unitSystem)
+  const [overrides, setOverrides] = useState(unitOverrides)
+  const [profile, setProfile] = useState(config.profile)
+  const [customUrl, setCustomUrl] = useState(config.profile === 'custom' ? config.apiBaseUrl : '')
+  const [error, setError] = useState('')
+
+  // Reset the form to the active configuration every time the panel opens
+  useEffect(() => {
+    if (isOpen) {
+      setProfile(config.profile)
+      setCustomUrl(config.profile === 'custom' ? config.apiBaseUrl : '')
+      setStandard(aqiStandard)
+      setUnits(pollutantUnits)
+      setConditions(conversionConditions)
+      setSystem(unitSystem)
+      setOverrides(unitOverrides)
+      setError('')
+    }
+  }, [isOpen, config, aqiStandard, pollutantUnits, conversionConditions, unitSystem, unitOverrides])
+
+  if (!isOpen) return null
+
+  // The preset the chosen units match, if any
+  const unitPreset = Object.keys(UNIT_PRESETS).find(key => (
+    Object.entries(UNIT_PRESETS[key].units).every(([pollutant, unit]) => units[pollutant] === unit)
+  )) || 'custom'
+
+  const handleSave = () => {
+    if (profile === 'custom') {
+      try {
+        const url = new URL(customUrl.trim())
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          throw new Error('Unsupported protocol')
+        }
+      } catch {
+        setError('Please enter a valid http(s) URL, e.g. http://localhost:8000/api')
+        return
+      }
+    }
+
+    setApiOverride({ profile, apiBaseUrl: customUrl })
+    setAqiStandard(standard)
+    setPollutantUnits(units)
+    setConversionConditions(conditions)
+    setUnitSystem(system)
+    setUnitOverrides(overrides)
+    onClose()
+  }
+
+  const handleReset = () => {
+    clearApiOverride()
+    onClose()
+  }
+
+  return (
+    <div className="settings-overlay" onClick={onClose}>
+      <div className="settings-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="settings-header">
+          <h2 className="settings-title">Settings</h2>
+          <button className="settings-close" onClick={onClose} aria-label="Close settings">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M18 6L6 18M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="settings-section">
+          <h3 className="settings-section-title">Backend</h3>
+          <p className="settings-hint">
+            Active: <strong>{config.apiBaseUrl}</strong> ({config.source})
+          </p>
+
+          <label htmlFor="settings-profile" className="settings-label">Environment</label>
+          <select
+            id="settings-profile"
+            className="settings-input"
+            value={profile}
+            onChange={(e) => {
+              setProfile(e.target.value)
+              setError('')
+            }}
+          >
+            {Object.entries(config.profiles).map(([key, entry]) => (
+              <option key={key} value={key}>
+                {entry.label || key} — {entry.apiBaseUrl}
+              </option>
+            ))}
+            <option value="custom">Custom URL</option>
+          </select>
+
+          {profile === 'custom' && (
+            <>
+              <label htmlFor="settings-custom-url" className="settings-label">API Base URL</label>
+              <input
+                id="settings-custom-url"
+                type="url"
+                className="settings-input"
+                placeholder="http://localhost:8000/api"
+                value={customUrl}
+                onChange={(e) => {
+                  setCustomUrl(e.target.value)
+                  setError('')
+                }}
+              />
+            </>
+          )}
+
+          {error && <p className="settings-error">{error}</p>}
+        </div>
+
+        <div className="settings-section">
+          <h3 className="settings-section-title">Air Quality Index</h3>
+          <label htmlFor="settings-aqi-standard" className="settings-label">Category scale</label>
+          <select
+            id="settings-aqi-standard"
+            className="settings-input"
+            value={standard}
+            onChange={(e) => setStandard(e.target.value)}
+          >
+            {Object.values(AQI_STANDARDS).map(entry => (
+              <option key={entry.id} value={entry.id}>{entry.name}</option>
+            ))}
+          </select>
+          <p className="settings-hint settings-hint-text">
+            Colours, category names, scale bars and exports follow this standard's breakpoints.
+          </p>
+        </div>
+
+        <div className="settings-section">
+          <h3 className="settings-section-title">Pollutant Units</h3>
+          <label htmlFor="settings-unit-preset" className="settings-label">Units</label>
+          <select
+            id="settings-unit-preset"
+            className="settings-input"
+            value={unitPreset}
+            onChange={(e) => {
+              if (UNIT_PRESETS[e.target.value]) setUnits(UNIT_PRESETS[e.target.value].units)
+            }}
+          >
+            {Object.entries(UNIT_PRESETS).map(([key, entry]) => (
+              <option key={key} value={key}>{entry.label}</option>
+            ))}
+            {unitPreset === 'custom' && <option value="custom">Custom</option>}
+          </select>
+
+          <div className="settings-unit-grid">
+            {Object.entries(UNIT_OPTIONS).map(([pollutant, options]) => (
+              <label key={pollutant} className="settings-unit-item">
+                <span>{POLLUTANT_LABELS[pollutant]}</span>
+                <select
+                  className="settings-input"
+                  value={units[pollutant]}
+                  onChange={(e) => setUnits({ ...units, [pollutant]: e.target.value })}
+                >
+                  {options.map(unit => (
+                    <option key={unit} value={unit}>{unit}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          <label htmlFor="settings-conversion-conditions" className="settings-label">Convert ppb/ppm at</label>
+          <select
+            id="settings-conversion-conditions"
+            className="settings-input"
+            value={conditions}
+            onChange={(e) => setConditions(e.target.value)}
+          >
+            {Object.entries(CONVERSION_CONDITIONS).map(([key, entry]) => (
+              <option key={key} value={key}>{entry.label}</option>
+            ))}
+          </select>
+          <p className="settings-hint settings-hint-text">
+            Cards, charts, tables and exports show concentrations in these units. Ambient conversion uses the temperature and pressure observed with each reading, falling back to the reference when they are unknown; AQI sub-indices always use each standard's own units.
+          </p>
+        </div>
+
+        <div className="settings-section">
+          <h3 className="settings-section-title">Weather Units</h3>
+          <label htmlFor="settings-unit-system" className="settings-label">Unit system</label>
+          <select
+            id="settings-unit-system"
+            className="settings-input"
+            value={system}
+            onChange={(e) => setSystem(e.target.value)}
+          >
+            {Object.entries(UNIT_SYSTEMS).map(([key, entry]) => (
+              <option key={key} value={key}>
+                {entry.label} ({Object.values(entry.units).join(', ')})
+              </option>
+            ))}
+          </select>
+
+          <div className="settings-unit-grid">
+            {Object.entries(WEATHER_QUANTITIES).map(([quantity, entry]) => (
+              <label key={quantity} className="settings-unit-item">
+                <span>{entry.label}</span>
+                <select
+                  className="settings-input"
+                  value={overrides[quantity] || ''}
+                  onChange={(e) => {
+                    const next = { ...overrides, [quantity]: e.target.value }
+                    if (!e.target.value) delete next[quantity]
+                    setOverrides(next)
+                  }}
+                >
+                  <option value="">{UNIT_SYSTEMS[system].units[quantity]} (system)</option>
+                  {entry.units.map(unit => (
+                    <option key={unit} value={unit}>{unit}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+          <p className="settings-hint settings-hint-text">
+            Weather cards, tables, charts and exports use these units; a quantity set here keeps its unit whatever the system.
+          </p>
+        </div>
+
+        <div className="settings-actions">
+          <button className="settings-button secondary" onClick={handleReset}>
+            Reset to Default
+          </button>
+          <button className="settings-button primary" onClick={handleSave}>
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SettingsPanel
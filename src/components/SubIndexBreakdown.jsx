@@ -0,0 +1,81 @@
+import React from 'react'
+import { getAQIStandard, getScalePosition } from '../utils/aqiScale'
+import { BACKEND_AQI_STANDARD, POLLUTANT_LABELS } from '../utils/aqiCalculator'
+import './SubIndexBreakdown.css'
+
+const formatConcentration = (value) => (value >= 100 ? Math.round(value) : Number(value.toPrecision(3)))
+
+// "24 h mean", or the reported value when the standard's averaging period was not available
+const describeBasis = (entry) => (
+  entry.hours ? `${entry.hours} h mean` : `reported value (standard uses ${entry.averagingHours} h)`
+)
+
+/**
+ * Sub-indices computed from the pollutant concentrations under the chosen standard
+ * (see getAQIBreakdown), with the dominant pollutant and a warning when the backend's
+ * AQI does not match its own concentrations.
+ */
+const SubIndexBreakdown = ({ breakdown, standardId, compact = false }) => {
+  if (!breakdown || breakdown.subIndices.length === 0) return null
+  const standard = getAQIStandard(standardId)
+  const { aqi, dominant, subIndices, note, backendCheck } = breakdown
+
+  return (
+    <div className={`sub-index-breakdown ${compact ? 'compact' : ''}`}>
+      <div className="sub-index-header">
+        {dominant ? (
+          <span>
+            Dominant: <strong>{POLLUTANT_LABELS[dominant]}</strong>
+          </span>
+        ) : (
+          <span>{note || 'No dominant pollutant'}</span>
+        )}
+        {aqi !== null && (
+          <span className="sub-index-total" title={`AQI computed from the concentrations under ${standard.name}`}>
+            {standard.label}: <strong>{aqi}</strong>
+          </span>
+        )}
+      </div>
+
+      <ul className="sub-index-list">
+        {subIndices.map(entry => (
+          <li
+            key={entry.pollutant}
+            className={entry.pollutant === dominant ? 'dominant' : ''}
+            title={`${formatConcentration(entry.concentration)} ${entry.unit}, ${describeBasis(entry)} - ${entry.category.label}`}
+          >
+            <span className="sub-index-label">{entry.label}</span>
+            <span className="sub-index-track">
+              <span
+                className="sub-index-bar"
+                style={{ width: `${Math.max(2, getScalePosition(entry.index, standardId) * 100)}%`, backgroundColor: entry.category.color }}
+              ></span>
+            </span>
+            <span className="sub-index-value">
+              {entry.index}{entry.extrapolated ? '+' : ''}
+            </span>
+            {!compact && (
+              <span className="sub-index-basis">
+                {formatConcentration(entry.concentration)} {entry.unit} · {entry.hours ? `${entry.hours} h` : 'reported'}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {subIndices.some(entry => !entry.hours && entry.averagingHours > 1) && (
+        <p className="sub-index-note">
+          Values marked "reported" are used as the backend gives them; {standard.label} averages some of them over 8 or 24 hours.
+        </p>
+      )}
+      {backendCheck?.mismatch && (
+        <p className="sub-index-warning">
+          The backend AQI ({backendCheck.backend}) does not match the{' '}
+          {backendCheck.expected} its concentrations give under {getAQIStandard(BACKEND_AQI_STANDARD).label}.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default SubIndexBreakdown
@@ -1,17 +1,24 @@
 import React, { useState, useEffect } from 'react'
-import { useNavigate, useLocation } from 'react-router-dom'
+import { useNavigate } from 'react-router-dom'
 import { format, parseISO, isToday, startOfDay } from 'date-fns'
 import * as XLSX from 'xlsx'
 import { fetchHourlyWeatherData, calculateGeometryCenter } from '../services/api'
 import MonthlyWeatherCalendar from './MonthlyWeatherCalendar'
 import WeatherMetricsCards from './WeatherMetricsCards'
 import HourlyAQICards from './HourlyAQICards'
+import useAnalysisUrl from '../hooks/useAnalysisUrl'
+import { writeAnalysisParams } from '../utils/urlState'
+import { formatWeatherValue, getWeatherFieldUnit, getWeatherFieldValue, withUnit, WEATHER_FIELD_QUANTITIES } from '../utils/weatherUnits'
+import { usePreferences } from '../context/PreferencesContext'
 import './WeatherDetailPage.css'
 
 const WeatherDetailPage = () => {
   const navigate = useNavigate()
-  const location = useLocation()
-  const { geometry, startDate, endDate, currentDate, showAnalysis, weeklyMode, dailyMode } = location.state || {}
+  const { params, geometry, name, error: linkError, resolving, replaceUrl } = useAnalysisUrl()
+  const { weatherUnits } = usePreferences()
+  const { areaId, startDate, endDate, date: currentDate, view } = params
+  const weeklyMode = view === 'weekly'
+  const dailyMode = view === 'daily'
   
   const [selectedDate, setSelectedDate] = useState(currentDate || format(new Date(), 'yyyy-MM-dd'))
   const [hourlyData, setHourlyData] = useState([])
@@ -28,6 +35,23 @@ const WeatherDetailPage = () => {
     }
   }, [geometry])
 
+  // Keep the viewed day in the URL
+  useEffect(() => {
+    replaceUrl({ geometry, areaId, name, startDate, endDate, date: selectedDate, view })
+  }, [selectedDate, geometry, areaId, name, startDate, endDate, view, replaceUrl])
+
+  // Back to the analysis this page was opened from
+  const dashboardPath = `/dashboard?${writeAnalysisParams({
+    geometry,
+    areaId,
+    name,
+    startDate,
+    endDate,
+    date: currentDate || selectedDate,
+    view,
+    analysis: true
+  })}`
+
   // Fetch data for selected date when it changes
   useEffect(() => {
     if (coordinates) {
@@ -110,6 +134,18 @@ const WeatherDetailPage = () => {
     }
   }
 
+  // A measured field of a record in the chosen unit, e.g. "72.5°F"
+  const formatField = (record, field) => {
+    const unit = getWeatherFieldUnit(field, weatherUnits)
+    const text = formatWeatherValue(record[field], WEATHER_FIELD_QUANTITIES[field], unit)
+    return text === 'N/A' ? text : withUnit(text, unit)
+  }
+
+  // Export column of a measured field: "Wind Speed (mph)" holding the converted values
+  const exportField = (record, label, field) => ({
+    [`${label} (${getWeatherFieldUnit(field, weatherUnits)})`]: getWeatherFieldValue(record, field, weatherUnits) ?? 'N/A'
+  })
+
   const handleExportData = () => {
     if (!hourlyData || hourlyData.length === 0) {
       alert('No data available to export')
@@ -125,17 +161,17 @@ const WeatherDetailPage = () => {
           'Date': datePart,
           'Time': time,
           'Full DateTime': record.date,
-          'Temperature (°C)': record.temperature !== null && record.temperature !== undefined ? record.temperature : 'N/A',
-          'Feels Like (°C)': record.feels_like !== null && record.feels_like !== undefined ? record.feels_like : 'N/A',
+          ...exportField(record, 'Temperature', 'temperature'),
+          ...exportField(record, 'Feels Like', 'feels_like'),
           'Humidity (%)': record.humidity !== null && record.humidity !== undefined ? record.humidity : 'N/A',
-          'Wind Speed (km/h)': record.wind_speed !== null && record.wind_speed !== undefined ? record.wind_speed : 'N/A',
+          ...exportField(record, 'Wind Speed', 'wind_speed'),
           'Wind Direction': record.wind_direction_cardinal || 'N/A',
           'Wind Direction (°)': record.wind_direction !== null && record.wind_direction !== undefined ? record.wind_direction.toFixed(2) : 'N/A',
-          'Wind Gusts (km/h)': record.wind_gusts !== null && record.wind_gusts !== undefined ? record.wind_gusts : 'N/A',
+          ...exportField(record, 'Wind Gusts', 'wind_gusts'),
           'UV Index': record.uv_index !== null && record.uv_index !== undefined ? record.uv_index : 'N/A',
-          'Precipitation (mm)': record.precipitation !== null && record.precipitation !== undefined ? record.precipitation : 'N/A',
+          ...exportField(record, 'Precipitation', 'precipitation'),
           'Cloud Cover (%)': record.cloud_cover !== null && record.cloud_cover !== undefined ? record.cloud_cover : 'N/A',
-          'Visibility (km)': record.visibility !== null && record.visibility !== undefined ? record.visibility : 'N/A',
+          ...exportField(record, 'Visibility', 'visibility'),
           'Condition': record.condition || 'N/A',
           'Data Source': record.data_source==="History/Estimate" ? "S" : "A" || 'N/A'
         }
@@ -181,9 +217,9 @@ const WeatherDetailPage = () => {
     return (
       <div className="weather-detail-page">
         <div className="error-message">
-          <p>No location data available. Please go back and analyze an area first.</p>
+          <p>{resolving ? 'Loading the linked area...' : linkError || 'No location data available. Please go back and analyze an area first.'}</p>
           <button 
-            onClick={() => navigate('/dashboard', { state: { restoreAnalysis: showAnalysis || false } })} 
+            onClick={() => navigate(geometry ? dashboardPath : '/dashboard')} 
             className="back-button"
           >
             Go Back to Dashboard
@@ -197,17 +233,7 @@ const WeatherDetailPage = () => {
     <div className="weather-detail-page">
       <div className="page-header">
         <button 
-          onClick={() => {
-            navigate('/dashboard', { 
-              state: { 
-                restoreAnalysis: true,
-                geometry,
-                startDate,
-                endDate,
-                currentDate: currentDate || selectedDate
-              } 
-            })
-          }} 
+          onClick={() => navigate(dashboardPath)} 
           className="back-button"
         >
           ← Back to Dashboard
@@ -325,16 +351,16 @@ const WeatherDetailPage = () => {
                   <tr key={index} className={isCurrentHour ? 'current-row' : ''}>
                     <td>{datePart}</td>
                     <td>{time}</td>
-                    <td>{record.temperature !== null && record.temperature !== undefined ? `${record.temperature}°C` : 'N/A'}</td>
-                    <td>{record.feels_like !== null && record.feels_like !== undefined ? `${record.feels_like}°C` : 'N/A'}</td>
+                    <td>{formatField(record, 'temperature')}</td>
+                    <td>{formatField(record, 'feels_like')}</td>
                     <td>{record.humidity !== null && record.humidity !== undefined ? `${record.humidity}%` : 'N/A'}</td>
-                    <td>{record.wind_speed !== null && record.wind_speed !== undefined ? `${record.wind_speed} km/h` : 'N/A'}</td>
+                    <td>{formatField(record, 'wind_speed')}</td>
                     <td>{record.wind_direction_cardinal ? `${record.wind_direction !== null && record.wind_direction !== undefined ? record.wind_direction.toFixed(2) : 'N/A'}° ${record.wind_direction_cardinal}` : 'N/A'}</td>
-                    <td>{record.wind_gusts !== null && record.wind_gusts !== undefined ? `${record.wind_gusts} km/h` : 'N/A'}</td>
+                    <td>{formatField(record, 'wind_gusts')}</td>
                     <td>{record.uv_index !== null && record.uv_index !== undefined ? record.uv_index : 'N/A'}</td>
-                    <td>{record.precipitation !== null && record.precipitation !== undefined ? `${record.precipitation} mm` : 'N/A'}</td>
+                    <td>{formatField(record, 'precipitation')}</td>
                     <td>{record.cloud_cover !== null && record.cloud_cover !== undefined ? `${record.cloud_cover}%` : 'N/A'}</td>
-                    <td>{record.visibility !== null && record.visibility !== undefined ? `${record.visibility} km` : 'N/A'}</td>
+                    <td>{formatField(record, 'visibility')}</td>
                     <td>{record.condition || 'N/A'}</td>
                     <td>
                       <span className={`source-badge ${record.data_source.toLowerCase().replace('/', '-')}`}>
@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react'
 import { format, parseISO, isToday } from 'date-fns'
 import { fetchHourlyWeatherData, calculateGeometryCenter } from '../services/api'
+import { getCacheInfo } from '../services/cache'
+import CachedAtIndicator from './CachedAtIndicator'
+import { formatWeatherValue, withUnit } from '../utils/weatherUnits'
+import { usePreferences } from '../context/PreferencesContext'
 import './WeatherMetricsCards.css'
 
 const WeatherMetricsCards = ({ geometry, date, isLive = false }) => {
@@ -8,6 +12,8 @@ const WeatherMetricsCards = ({ geometry, date, isLive = false }) => {
   const [loading, setLoading] = useState(false)
   const [location, setLocation] = useState(null)
   const [coordinates, setCoordinates] = useState(null)
+  const [cacheInfo, setCacheInfo] = useState(null)
+  const { weatherUnits } = usePreferences()
 
   useEffect(() => {
     if (geometry) {
@@ -48,6 +54,7 @@ const WeatherMetricsCards = ({ geometry, date, isLive = false }) => {
     setLoading(true)
     try {
       const data = await fetchHourlyWeatherData(coordinates.latitude, coordinates.longitude, date)
+      setCacheInfo(getCacheInfo(data))
       
       if (data && data.hourly_records && data.hourly_records.length > 0) {
         const records = data.hourly_records.filter(r => r !== null && r !== undefined)
@@ -128,6 +135,8 @@ const WeatherMetricsCards = ({ geometry, date, isLive = false }) => {
     }
   }
 
+  // metricsData stays metric (km/h, mb) and is converted only for display, so these
+  // thresholds classify the same whichever units are chosen
   const getWindSpeedLabel = (speed) => {
     if (speed < 5) return 'Calm'
     if (speed < 12) return 'Light breeze'
@@ -155,6 +164,13 @@ const WeatherMetricsCards = ({ geometry, date, isLive = false }) => {
     return directions[index]
   }
 
+  // "12 mph": a metric value of `quantity` in the chosen unit
+  const formatMetric = (value, quantity, decimals) => (
+    withUnit(formatWeatherValue(value, quantity, weatherUnits[quantity], decimals), weatherUnits[quantity])
+  )
+  // Whole millibars, hundredths of an inch of mercury
+  const pressureDecimals = weatherUnits.pressure === 'mb' ? 0 : 2
+
   if (!coordinates) {
     return null
   }
@@ -182,6 +198,11 @@ const WeatherMetricsCards = ({ geometry, date, isLive = false }) => {
 
   return (
     <div className="weather-metrics-container">
+      {cacheInfo?.fromCache && (
+        <div className="metrics-cache-status">
+          <CachedAtIndicator info={cacheInfo} />
+        </div>
+      )}
       <div className="metrics-grid">
         {/* Wind Speed Card */}
         <div className="metric-card wind-card" style={{ gridColumn: '1', gridRow: '1' }}>
@@ -191,20 +212,20 @@ const WeatherMetricsCards = ({ geometry, date, isLive = false }) => {
           <div className="metric-content">
             <div className="metric-header">
               <span className="metric-label">Wind Speed</span>
-              <span className="metric-value">{Math.round(metricsData.windSpeed)} km/h</span>
+              <span className="metric-value">{formatMetric(metricsData.windSpeed, 'speed', 0)}</span>
             </div>
             <button className="metric-badge light-blue">{getWindSpeedLabel(metricsData.windSpeed)}</button>
             <div className="metric-details">
               <div className="detail-item">
                 <span className="detail-label">Gust Speed</span>
-                <span className="detail-value">{Math.round(metricsData.windGusts * 0.277778)} m/s</span>
+                <span className="detail-value">{formatMetric(metricsData.windGusts, 'speed', 0)}</span>
               </div>
               <div className="detail-item">
                 <span className="detail-label">Direction</span>
                 <span className="detail-value">{Math.round(metricsData.windDirection)}° {getWindDirection(metricsData.windDirection)}</span>
               </div>
             </div>
-            <p className="metric-summary">Current wind speed is {Math.round(metricsData.windSpeed)} km/h, with gusts at {Math.round(metricsData.windGusts * 0.277778)} m/s</p>
+            <p className="metric-summary">Current wind speed is {formatMetric(metricsData.windSpeed, 'speed', 0)}, with gusts at {formatMetric(metricsData.windGusts, 'speed', 0)}</p>
           </div>
         </div>
 
@@ -220,9 +241,9 @@ const WeatherMetricsCards = ({ geometry, date, isLive = false }) => {
             </div>
             <div className="metric-header">
               <span className="metric-label">Visibility</span>
-              <span className="metric-value">{Math.round(metricsData.visibility)} km</span>
+              <span className="metric-value">{formatMetric(metricsData.visibility, 'distance', 0)}</span>
             </div>
-            <p className="metric-summary">Recent visibility is {Math.round(metricsData.visibility)}km with {Math.round(metricsData.cloudCover)}% cloud coverage, so plan accordingly!</p>
+            <p className="metric-summary">Recent visibility is {formatMetric(metricsData.visibility, 'distance', 0)} with {Math.round(metricsData.cloudCover)}% cloud coverage, so plan accordingly!</p>
           </div>
         </div>
 
@@ -234,7 +255,7 @@ const WeatherMetricsCards = ({ geometry, date, isLive = false }) => {
           <div className="metric-content">
             <div className="metric-header">
               <span className="metric-label">Pressure</span>
-              <span className="metric-value">{Math.round(metricsData.pressure)} mb</span>
+              <span className="metric-value">{formatMetric(metricsData.pressure, 'pressure', pressureDecimals)}</span>
             </div>
             <button className="metric-badge purple">{getPressureLabel(metricsData.pressure)}</button>
             <div className="pressure-bar">
@@ -242,7 +263,7 @@ const WeatherMetricsCards = ({ geometry, date, isLive = false }) => {
                 <div className="pressure-indicator" style={{ left: `${((metricsData.pressure - 1000) / 20) * 100}%` }}></div>
               </div>
             </div>
-            <p className="metric-summary">Current pressure level is {Math.round(metricsData.pressure)} mb.</p>
+            <p className="metric-summary">Current pressure level is {formatMetric(metricsData.pressure, 'pressure', pressureDecimals)}.</p>
           </div>
         </div>
 
@@ -254,9 +275,9 @@ const WeatherMetricsCards = ({ geometry, date, isLive = false }) => {
           <div className="metric-content">
             <div className="metric-header">
               <span className="metric-label">Precipitation</span>
-              <span className="metric-value">{metricsData.precipitation.toFixed(1)} mm</span>
+              <span className="metric-value">{formatMetric(metricsData.precipitation, 'precipitation')}</span>
             </div>
-            <p className="metric-summary">Current precipitation chances sit at {metricsData.precipitation.toFixed(1)}mm</p>
+            <p className="metric-summary">Current precipitation chances sit at {formatMetric(metricsData.precipitation, 'precipitation')}</p>
           </div>
         </div>
 
@@ -1,10 +1,16 @@
 import React from 'react'
 import { useNavigate } from 'react-router-dom'
+import AreaSummary from './AreaSummary'
+import { writeAnalysisParams } from '../utils/urlState'
+import { getFreshness } from '../utils/freshness'
+import { convertWeatherValue, formatWeatherValue, withUnit } from '../utils/weatherUnits'
+import { usePreferences } from '../context/PreferencesContext'
 import './WeatherSection.css'
 
-const WeatherSection = ({ date, data, isLive = false, loading = false, geometry, startDate, endDate, onClick, viewMode }) => {
+const WeatherSection = ({ date, data, isLive = false, loading = false, geometry, areaId, areaName, startDate, endDate, onClick, viewMode }) => {
   const navigate = useNavigate()
-  // Transform API data to component format
+  const { weatherUnits } = usePreferences()
+  // Transform API data (kept metric; converted to the chosen units when shown) to component format
   const weatherData = data ? {
     temperature: data.temperature || data.daily?.temp_max || null,
     feelsLike: data.feels_like || null,
@@ -16,6 +22,7 @@ const WeatherSection = ({ date, data, isLive = false, loading = false, geometry,
     date: data.date || date
   } : null
 
+  // Bands in °C, so they are given the metric temperature whatever unit it is shown in
   const getTemperatureColor = (temp) => {
     if (temp >= 35) return '#ef4444' // Red for hot
     if (temp >= 25) return '#f59e0b' // Orange for warm
@@ -43,17 +50,16 @@ const WeatherSection = ({ date, data, isLive = false, loading = false, geometry,
   }
 
   const tempColor = getTemperatureColor(weatherData.temperature || 0)
+  const freshness = getFreshness(data.date)
   const tempLabel = getTemperatureLabel(weatherData.temperature || 0)
 
   const handleClick = () => {
     if (onClick) {
       onClick()
     } else {
-      // Navigate to detail page with state
-      // If viewMode is 'weekly', pass weeklyMode flag and calculate last 7 days
-      // If viewMode is 'daily', pass dailyMode flag
+      // Navigate to the detail page, which reads everything from its URL
+      // If viewMode is 'weekly', show the last 7 days
       const isWeeklyMode = viewMode === 'weekly'
-      const isDailyMode = viewMode === 'daily'
       let weeklyStartDate = startDate
       let weeklyEndDate = endDate
       
@@ -66,17 +72,15 @@ const WeatherSection = ({ date, data, isLive = false, loading = false, geometry,
         weeklyEndDate = today.toISOString().split('T')[0]
       }
       
-      navigate('/weather-detail', {
-        state: {
-          geometry,
-          startDate: isWeeklyMode ? weeklyStartDate : startDate,
-          endDate: isWeeklyMode ? weeklyEndDate : endDate,
-          currentDate: date,
-          showAnalysis: true, // Indicate that analysis view should be restored
-          weeklyMode: isWeeklyMode, // Pass weekly mode flag
-          dailyMode: isDailyMode // Pass daily mode flag
-        }
-      })
+      navigate(`/weather-detail?${writeAnalysisParams({
+        geometry,
+        areaId,
+        name: areaName,
+        startDate: weeklyStartDate,
+        endDate: weeklyEndDate,
+        date,
+        view: viewMode
+      })}`)
     }
   }
 
@@ -85,9 +89,9 @@ const WeatherSection = ({ date, data, isLive = false, loading = false, geometry,
       <div className="section-header">
         <h2 className="section-title">Weather Conditions</h2>
         {isLive && (
-          <div className="live-indicator">
+          <div className={`live-indicator ${freshness?.stale ? 'stale' : ''}`} title={freshness ? `Observed ${freshness.age} ago` : undefined}>
             <span className="live-dot"></span>
-            <span>LIVE</span>
+            <span>{freshness?.stale ? 'STALE' : 'LIVE'}</span>
           </div>
         )}
         {!isLive && weatherData && (
@@ -101,9 +105,9 @@ const WeatherSection = ({ date, data, isLive = false, loading = false, geometry,
         <div className="temperature-display">
           <div className="temp-main">
             <span className="temp-value" style={{ color: tempColor }}>
-              {weatherData.temperature}
+              {formatWeatherValue(weatherData.temperature, 'temperature', weatherUnits.temperature)}
             </span>
-            <span className="temp-unit">°C</span>
+            <span className="temp-unit">{weatherUnits.temperature}</span>
           </div>
           <button className="temp-label-button" style={{ backgroundColor: tempColor }}>
             {tempLabel}
@@ -137,7 +141,7 @@ const WeatherSection = ({ date, data, isLive = false, loading = false, geometry,
           <div className="weather-metrics">
             <div className="metric-item">
               <div className="metric-label">Feels Like</div>
-              <div className="metric-value">{weatherData.feelsLike.toFixed(2)}°C</div>
+              <div className="metric-value">{withUnit(formatWeatherValue(weatherData.feelsLike, 'temperature', weatherUnits.temperature, 2), weatherUnits.temperature)}</div>
             </div>
             <div className="metric-item">
               <div className="metric-label">Humidity</div>
@@ -145,19 +149,27 @@ const WeatherSection = ({ date, data, isLive = false, loading = false, geometry,
             </div>
             <div className="metric-item">
               <div className="metric-label">Wind Speed</div>
-              <div className="metric-value">{weatherData.windSpeed.toFixed(2)} km/h</div>
+              <div className="metric-value">{withUnit(formatWeatherValue(weatherData.windSpeed, 'speed', weatherUnits.speed, 2), weatherUnits.speed)}</div>
             </div>
             <div className="metric-item">
               <div className="metric-label">UV Index</div>
               <div className="metric-value">{weatherData.uvIndex.toFixed(2)}</div>
             </div>
           </div>
+          <AreaSummary
+            area={data.area}
+            label="Temperature"
+            unit={weatherUnits.temperature}
+            worstLabel="Hottest cell"
+            decimals={1}
+            convert={(value) => convertWeatherValue(value, 'temperature', weatherUnits.temperature)}
+          />
         </div>
       </div>
 
       <div className="last-updated">
         {isLive ? (
-          <>Last Updated: {weatherData?.date ? new Date(weatherData.date).toLocaleString() : 'N/A'}</>
+          <>Observed: {freshness ? freshness.observedAt.toLocaleString() : 'N/A'}</>
         ) : (
           <>Date: {date ? new Date(date).toLocaleDateString() : 'N/A'}</>
         )}
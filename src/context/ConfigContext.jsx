@@ -0,0 +1,41 @@
+import React, { createContext, useContext, useState, useEffect } from 'react'
+import { getRuntimeConfig, getApiBaseUrl, subscribeToConfig, setApiOverride, clearApiOverride } from '../services/config'
+import { clearResponseCache } from '../services/cache'
+
+const ConfigContext = createContext()
+
+export const useConfig = () => {
+  const context = useContext(ConfigContext)
+  if (!context) {
+    throw new Error('useConfig must be used within a ConfigProvider')
+  }
+  return context
+}
+
+export const ConfigProvider = ({ children }) => {
+  const [config, setConfig] = useState(getRuntimeConfig)
+
+  useEffect(() => {
+    // Config may have changed between the first render and subscribing
+    setConfig(getRuntimeConfig())
+    return subscribeToConfig(setConfig)
+  }, [])
+
+  // Cache keys include the backend URL, so entries from the previous backend would only sit in
+  // memory and IndexedDB until they expire; free them when the backend changes
+  const changingBackend = (apply) => (...args) => {
+    const previousUrl = getApiBaseUrl()
+    apply(...args)
+    if (getApiBaseUrl() !== previousUrl) clearResponseCache()
+  }
+
+  return (
+    <ConfigContext.Provider value={{
+      config,
+      setApiOverride: changingBackend(setApiOverride),
+      clearApiOverride: changingBackend(clearApiOverride)
+    }}>
+      {children}
+    </ConfigContext.Provider>
+  )
+}
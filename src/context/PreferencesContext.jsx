@@ -0,0 +1,105 @@
+import React, { createContext, useContext, useMemo, useState } from 'react'
+import { AQI_STANDARDS, DEFAULT_AQI_STANDARD } from '../utils/aqiScale'
+import { CONVERSION_CONDITIONS, DEFAULT_CONVERSION_CONDITIONS, normalizePollutantUnits } from '../utils/pollutantUnits'
+import { UNIT_SYSTEMS, DEFAULT_UNIT_SYSTEM, normalizeUnitOverrides, resolveWeatherUnits } from '../utils/weatherUnits'
+
+const AQI_STANDARD_STORAGE_KEY = 'skyeye_aqi_standard'
+const POLLUTANT_UNITS_STORAGE_KEY = 'skyeye_pollutant_units'
+const CONVERSION_CONDITIONS_STORAGE_KEY = 'skyeye_conversion_conditions'
+const UNIT_SYSTEM_STORAGE_KEY = 'skyeye_weather_unit_system'
+const UNIT_OVERRIDES_STORAGE_KEY = 'skyeye_weather_unit_overrides'
+
+const PreferencesContext = createContext()
+
+export const usePreferences = () => {
+  const context = useContext(PreferencesContext)
+  if (!context) {
+    throw new Error('usePreferences must be used within a PreferencesProvider')
+  }
+  return context
+}
+
+const readPollutantUnits = () => {
+  try {
+    return normalizePollutantUnits(JSON.parse(localStorage.getItem(POLLUTANT_UNITS_STORAGE_KEY)))
+  } catch {
+    return normalizePollutantUnits(null)
+  }
+}
+
+const readUnitOverrides = () => {
+  try {
+    return normalizeUnitOverrides(JSON.parse(localStorage.getItem(UNIT_OVERRIDES_STORAGE_KEY)))
+  } catch {
+    return {}
+  }
+}
+
+// Display preferences shared by every page, kept in localStorage
+export const PreferencesProvider = ({ children }) => {
+  const [aqiStandard, setAqiStandardState] = useState(() => {
+    const saved = localStorage.getItem(AQI_STANDARD_STORAGE_KEY)
+    return AQI_STANDARDS[saved] ? saved : DEFAULT_AQI_STANDARD
+  })
+  const [pollutantUnits, setPollutantUnitsState] = useState(readPollutantUnits)
+  const [conversionConditions, setConversionConditionsState] = useState(() => {
+    const saved = localStorage.getItem(CONVERSION_CONDITIONS_STORAGE_KEY)
+    return CONVERSION_CONDITIONS[saved] ? saved : DEFAULT_CONVERSION_CONDITIONS
+  })
+  const [unitSystem, setUnitSystemState] = useState(() => {
+    const saved = localStorage.getItem(UNIT_SYSTEM_STORAGE_KEY)
+    return UNIT_SYSTEMS[saved] ? saved : DEFAULT_UNIT_SYSTEM
+  })
+  const [unitOverrides, setUnitOverridesState] = useState(readUnitOverrides)
+
+  const setAqiStandard = (id) => {
+    if (!AQI_STANDARDS[id]) return
+    setAqiStandardState(id)
+    localStorage.setItem(AQI_STANDARD_STORAGE_KEY, id)
+  }
+
+  const setPollutantUnits = (units) => {
+    const normalized = normalizePollutantUnits(units)
+    setPollutantUnitsState(normalized)
+    localStorage.setItem(POLLUTANT_UNITS_STORAGE_KEY, JSON.stringify(normalized))
+  }
+
+  const setConversionConditions = (mode) => {
+    if (!CONVERSION_CONDITIONS[mode]) return
+    setConversionConditionsState(mode)
+    localStorage.setItem(CONVERSION_CONDITIONS_STORAGE_KEY, mode)
+  }
+
+  const setUnitSystem = (system) => {
+    if (!UNIT_SYSTEMS[system]) return
+    setUnitSystemState(system)
+    localStorage.setItem(UNIT_SYSTEM_STORAGE_KEY, system)
+  }
+
+  // Overrides of single quantities on top of the unit system, e.g. { speed: 'kn' }
+  const setUnitOverrides = (overrides) => {
+    const normalized = normalizeUnitOverrides(overrides)
+    setUnitOverridesState(normalized)
+    localStorage.setItem(UNIT_OVERRIDES_STORAGE_KEY, JSON.stringify(normalized))
+  }
+
+  const weatherUnits = useMemo(() => resolveWeatherUnits(unitSystem, unitOverrides), [unitSystem, unitOverrides])
+
+  return (
+    <PreferencesContext.Provider value={{
+      aqiStandard,
+      setAqiStandard,
+      pollutantUnits,
+      setPollutantUnits,
+      conversionConditions,
+      setConversionConditions,
+      unitSystem,
+      setUnitSystem,
+      unitOverrides,
+      setUnitOverrides,
+      weatherUnits
+    }}>
+      {children}
+    </PreferencesContext.Provider>
+  )
+}
@@ -0,0 +1,146 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { IDLE_STATUS, evaluateRule, describeRule, isWithinQuietHours } from '../utils/alerts'
+
+const RULES_STORAGE_KEY = 'skyeye_alert_rules'
+const HISTORY_STORAGE_KEY = 'skyeye_alert_history'
+const MAX_HISTORY = 200
+
+const readList = (storageKey) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey)) || []
+  } catch (error) {
+    console.warn(`Ignoring unreadable ${storageKey} in localStorage:`, error)
+    return []
+  }
+}
+
+const createId = () => (
+  globalThis.crypto?.randomUUID?.() || `alert-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+)
+
+const getPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission)
+
+// Show a browser notification; false when notifications are unavailable or not allowed
+const notify = (title, options) => {
+  if (getPermission() !== 'granted') return false
+  try {
+    new Notification(title, options)
+    return true
+  } catch (error) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.warn('Could not show notification:', error)
+    return false
+  }
+}
+
+/**
+ * Alert rules and their trigger history, kept in localStorage. `evaluate(areaKey, reading)`
+ * runs the area's enabled rules against a live reading, records triggers and clears in the
+ * history and notifies outside each rule's quiet hours.
+ */
+const useAlerts = () => {
+  const [rules, setRules] = useState(() => readList(RULES_STORAGE_KEY))
+  const [history, setHistory] = useState(() => readList(HISTORY_STORAGE_KEY))
+  const [permission, setPermission] = useState(getPermission)
+  const rulesRef = useRef(rules)
+
+  useEffect(() => {
+    rulesRef.current = rules
+    localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules))
+  }, [rules])
+
+  useEffect(() => {
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history))
+  }, [history])
+
+  const requestPermission = useCallback(async () => {
+    if (getPermission() !== 'default') return getPermission()
+    const result = await Notification.requestPermission()
+    setPermission(result)
+    return result
+  }, [])
+
+  // An open history entry ends when its rule is switched off or removed
+  const closeEntry = (historyId) => {
+    if (!historyId) return
+    const clearedAt = new Date().toISOString()
+    setHistory(prev => prev.map(entry => (
+      entry.id === historyId && !entry.clearedAt ? { ...entry, clearedAt, clearedValue: null } : entry
+    )))
+  }
+
+  const addRule = useCallback((rule) => {
+    setRules(prev => [...prev, { ...rule, id: createId(), enabled: true, status: IDLE_STATUS }])
+    // Asking while handling the user's click is what browsers allow
+    requestPermission().catch(error => console.warn('Notification permission request failed:', error))
+  }, [requestPermission])
+
+  const setRuleEnabled = useCallback((id, enabled) => {
+    const rule = rulesRef.current.find(entry => entry.id === id)
+    if (!rule) return
+    if (!enabled) closeEntry(rule.status?.historyId)
+    setRules(prev => prev.map(entry => (entry.id === id ? { ...entry, enabled, status: IDLE_STATUS } : entry)))
+  }, [])
+
+  const removeRule = useCallback((id) => {
+    closeEntry(rulesRef.current.find(entry => entry.id === id)?.status?.historyId)
+    setRules(prev => prev.filter(entry => entry.id !== id))
+  }, [])
+
+  const clearHistory = useCallback((areaKey = null) => {
+    setHistory(prev => (areaKey ? prev.filter(entry => entry.areaKey !== areaKey) : []))
+  }, [])
+
+  const evaluate = useCallback((areaKey, reading, now = new Date()) => {
+    if (!areaKey || !reading) return
+    const triggered = []
+    const cleared = new Map()
+
+    const next = rulesRef.current.map(rule => {
+      if (!rule.enabled || rule.areaKey !== areaKey) return rule
+      const value = reading[rule.field]
+      const { status, event } = evaluateRule(rule, value, now)
+
+      if (event === 'triggered') {
+        const description = describeRule(rule)
+        const quiet = isWithinQuietHours(rule.quietHours, now)
+        const entry = {
+          id: createId(),
+          ruleId: rule.id,
+          areaKey,
+          areaName: rule.areaName,
+          description,
+          value,
+          triggeredAt: now.toISOString(),
+          clearedAt: null,
+          clearedValue: null,
+          quiet,
+          notified: !quiet && notify(`${rule.areaName}: ${description}`, {
+            body: `Now ${Math.round(value * 10) / 10}, checked ${now.toLocaleTimeString()}`,
+            tag: rule.id
+          })
+        }
+        triggered.push(entry)
+        return { ...rule, status: { ...status, historyId: entry.id } }
+      }
+      if (event === 'cleared') cleared.set(rule.status.historyId, value)
+      return { ...rule, status }
+    })
+
+    rulesRef.current = next
+    setRules(next)
+    if (triggered.length > 0 || cleared.size > 0) {
+      const clearedAt = now.toISOString()
+      setHistory(prev => [
+        ...triggered,
+        ...prev.map(entry => (
+          cleared.has(entry.id) ? { ...entry, clearedAt, clearedValue: cleared.get(entry.id) } : entry
+        ))
+      ].slice(0, MAX_HISTORY))
+    }
+  }, [])
+
+  return { rules, history, permission, requestPermission, addRule, setRuleEnabled, removeRule, clearHistory, evaluate }
+}
+
+export default useAlerts
@@ -0,0 +1,49 @@
+import { useCallback, useEffect, useState } from 'react'
+import { useLocation, useNavigate } from 'react-router-dom'
+import { getAreaStore } from '../services/areaStore'
+import { readAnalysisParams, writeAnalysisParams } from '../utils/urlState'
+
+/**
+ * Analysis state from the page URL, read once on mount. A geometry linked by saved-area id
+ * is loaded from the area store; `resolving` stays true until it arrives.
+ * `replaceUrl(state)` writes the page's current state back without adding a history entry.
+ */
+const useAnalysisUrl = () => {
+  const location = useLocation()
+  const navigate = useNavigate()
+  const [params] = useState(() => readAnalysisParams(location.search))
+  const [area, setArea] = useState({ geometry: params.geometry, name: params.name, error: null })
+  const [resolving, setResolving] = useState(!params.geometry && Boolean(params.areaId))
+
+  useEffect(() => {
+    if (params.geometry || !params.areaId) return
+    let cancelled = false
+    getAreaStore().get(params.areaId)
+      .then(saved => {
+        if (cancelled) return
+        setArea(saved
+          ? { geometry: saved.geometry, name: params.name || saved.name, error: null }
+          : { geometry: null, name: params.name, error: 'The linked area no longer exists' })
+      })
+      .catch(err => {
+        if (cancelled) return
+        console.error('Error loading the linked area:', err)
+        setArea({ geometry: null, name: params.name, error: err.message })
+      })
+      .finally(() => {
+        if (!cancelled) setResolving(false)
+      })
+    return () => { cancelled = true }
+  }, [params])
+
+  const replaceUrl = useCallback((state) => {
+    const search = writeAnalysisParams(state)
+    if (search !== location.search.replace(/^\?/, '')) {
+      navigate({ search }, { replace: true })
+    }
+  }, [location.search, navigate])
+
+  return { params, geometry: area.geometry, name: area.name, error: area.error, resolving, replaceUrl }
+}
+
+export default useAnalysisUrl
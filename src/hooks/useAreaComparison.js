@@ -0,0 +1,95 @@
+import { useEffect, useMemo, useState } from 'react'
+import { format } from 'date-fns'
+import { getSamplePoints, fetchAreaAQIData, fetchAreaWeatherData, fetchAreaHourlyAQIDataRange } from '../services/sampling'
+import { isAbortError } from '../services/httpClient'
+import { mapWithConcurrency } from '../utils/concurrency'
+import { COMPARISON_PERIODS, buildComparisonTrend } from '../utils/comparison'
+
+// Areas fetched at once; each area fans out further over its sample points
+const AREA_CONCURRENCY = 2
+
+/**
+ * Current AQI and weather for every compared area (`results[id] = { aqi, weather, error }`)
+ * and the AQI trend of `period` as chart rows. Refetches when the areas, sample density
+ * or period change; a failing area only marks its own result.
+ */
+const useAreaComparison = (areas, { period = 'daily', sampleDensity } = {}) => {
+  const [results, setResults] = useState({})
+  const [loading, setLoading] = useState(false)
+  const [trend, setTrend] = useState([])
+  const [loadingTrend, setLoadingTrend] = useState(false)
+  // Sample points of every area, laid out once for both the current readings and the trend
+  const areaPoints = useMemo(() => Object.fromEntries(
+    areas.map(area => [area.id, getSamplePoints(area.geometry, sampleDensity)])
+  ), [areas, sampleDensity])
+
+  useEffect(() => {
+    if (areas.length === 0) return undefined
+    const controller = new AbortController()
+    const { signal } = controller
+    setLoading(true)
+    setResults({})
+
+    mapWithConcurrency(areas, AREA_CONCURRENCY, async (area) => {
+      const points = areaPoints[area.id]
+      const [weather, aqi] = await Promise.all([
+        fetchAreaWeatherData(points, null, { signal }),
+        fetchAreaAQIData(points, null, { signal })
+      ])
+      setResults(prev => ({ ...prev, [area.id]: { aqi, weather, error: null } }))
+    }, { signal })
+      .then(settled => {
+        const failed = {}
+        settled.forEach((result, index) => {
+          if (result.status === 'rejected' && !isAbortError(result.reason)) {
+            console.error(`Error analysing ${areas[index].name}:`, result.reason)
+            failed[areas[index].id] = { aqi: null, weather: null, error: result.reason.message }
+          }
+        })
+        setResults(prev => ({ ...prev, ...failed }))
+        setLoading(false)
+      })
+      .catch(err => {
+        if (!isAbortError(err)) console.error('Error comparing areas:', err)
+      })
+
+    return () => controller.abort()
+  }, [areas, areaPoints])
+
+  useEffect(() => {
+    if (areas.length === 0) return undefined
+    const controller = new AbortController()
+    const { signal } = controller
+    const now = new Date()
+    const startDate = format(COMPARISON_PERIODS[period].start(now), 'yyyy-MM-dd')
+    const endDate = format(now, 'yyyy-MM-dd')
+    setLoadingTrend(true)
+
+    mapWithConcurrency(areas, AREA_CONCURRENCY, async (area) => {
+      const points = areaPoints[area.id]
+      const range = await fetchAreaHourlyAQIDataRange(points, startDate, endDate, { signal })
+      return range.hourly_records || []
+    }, { signal })
+      .then(settled => {
+        const recordsByArea = {}
+        settled.forEach((result, index) => {
+          if (result.status === 'fulfilled') {
+            recordsByArea[areas[index].id] = result.value
+          } else if (!isAbortError(result.reason)) {
+            console.error(`Error fetching the AQI trend of ${areas[index].name}:`, result.reason)
+          }
+        })
+        setTrend(buildComparisonTrend(recordsByArea, period, now))
+        setLoadingTrend(false)
+      })
+      .catch(err => {
+        if (!isAbortError(err)) console.error('Error fetching comparison trend:', err)
+      })
+
+    return () => controller.abort()
+  }, [areas, areaPoints, period])
+
+  return { results, loading, trend, loadingTrend }
+}
+
+export default useAreaComparison
@@ -0,0 +1,50 @@
+import { useCallback, useState } from 'react'
+
+/**
+ * Undo/redo history for a single value. `push` records a new present value and
+ * discards the redo stack; at most `limit` past values are kept.
+ */
+const useHistory = (initialPresent, { limit = 100 } = {}) => {
+  const [history, setHistory] = useState({ past: [], present: initialPresent, future: [] })
+
+  const push = useCallback((next) => {
+    setHistory(prev => ({
+      past: [...prev.past, prev.present].slice(-limit),
+      present: next,
+      future: []
+    }))
+  }, [limit])
+
+  const undo = useCallback(() => {
+    setHistory(prev => {
+      if (prev.past.length === 0) return prev
+      return {
+        past: prev.past.slice(0, -1),
+        present: prev.past[prev.past.length - 1],
+        future: [prev.present, ...prev.future]
+      }
+    })
+  }, [])
+
+  const redo = useCallback(() => {
+    setHistory(prev => {
+      if (prev.future.length === 0) return prev
+      return {
+        past: [...prev.past, prev.present],
+        present: prev.future[0],
+        future: prev.future.slice(1)
+      }
+    })
+  }, [])
+
+  return {
+    present: history.present,
+    push,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0
+  }
+}
+
+export default useHistory
@@ -0,0 +1,79 @@
+import { useEffect, useRef, useState } from 'react'
+import { isAbortError } from '../services/httpClient'
+
+/**
+ * Calls `poll()` every `intervalSeconds` while `enabled`. Unless `pauseWhenHidden` is false,
+ * polling pauses while the tab is hidden and catches up as soon as it is visible again;
+ * a poll never overlaps the previous one.
+ * Returns { lastPolledAt, error, paused }: `error` is the message of the last failed poll,
+ * cleared by the next successful one.
+ */
+const useLivePolling = (poll, { enabled = true, intervalSeconds, pauseWhenHidden = true }) => {
+  const pollRef = useRef(poll)
+  const [lastPolledAt, setLastPolledAt] = useState(null)
+  const [error, setError] = useState(null)
+  const [paused, setPaused] = useState(() => pauseWhenHidden && typeof document !== 'undefined' && document.hidden)
+
+  useEffect(() => {
+    pollRef.current = poll
+  })
+
+  useEffect(() => {
+    setError(null)
+    if (!enabled || !intervalSeconds) return
+
+    const interval = intervalSeconds * 1000
+    // Polling starts right after the caller loaded fresh data
+    let lastRun = Date.now()
+    let timer = null
+    let inFlight = false
+    let cancelled = false
+
+    const isPaused = () => pauseWhenHidden && document.hidden
+
+    const schedule = () => {
+      clearTimeout(timer)
+      if (inFlight || isPaused()) return
+      timer = setTimeout(run, Math.max(0, lastRun + interval - Date.now()))
+    }
+
+    const run = async () => {
+      inFlight = true
+      lastRun = Date.now()
+      try {
+        await pollRef.current()
+        if (!cancelled) {
+          setLastPolledAt(new Date())
+          setError(null)
+        }
+      } catch (err) {
+        if (!cancelled && !isAbortError(err)) {
+          console.error('Error refreshing live data:', err)
+          setError(err.message)
+        }
+      } finally {
+        inFlight = false
+        if (!cancelled) schedule()
+      }
+    }
+
+    const handleVisibilityChange = () => {
+      setPaused(isPaused())
+      if (isPaused()) clearTimeout(timer)
+      else schedule()
+    }
+
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+    setPaused(isPaused())
+    schedule()
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+    }
+  }, [enabled, intervalSeconds, pauseWhenHidden])
+
+  return { lastPolledAt, error, paused }
+}
+
+export default useLivePolling
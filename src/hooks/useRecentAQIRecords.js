@@ -0,0 +1,33 @@
+import { useEffect, useState } from 'react'
+import { format, parseISO, subDays } from 'date-fns'
+import { fetchAreaHourlyAQIDataRange } from '../services/sampling'
+import { isAbortError } from '../services/httpClient'
+
+/**
+ * Hourly AQI records of the area sampled at `points` (from getSamplePoints) covering the 24 hours
+ * before `at` (a reading's date), for averaging pollutants over their standard periods. Refetches once the reading moves
+ * to another hour; returns [] while disabled or when the records cannot be fetched.
+ */
+const useRecentAQIRecords = (points, { enabled = true, at } = {}) => {
+  // Kept with the points they belong to, so an hourly refetch does not blank the previous records
+  const [fetched, setFetched] = useState({ points: null, records: [] })
+  const end = at ? (at instanceof Date ? at : parseISO(at)) : null
+  const hourKey = end && !isNaN(end) ? format(end, "yyyy-MM-dd'T'HH") : null
+
+  useEffect(() => {
+    if (!enabled || !points || points.length === 0 || !hourKey) return undefined
+
+    const controller = new AbortController()
+    const day = parseISO(hourKey)
+    fetchAreaHourlyAQIDataRange(points, format(subDays(day, 1), 'yyyy-MM-dd'), format(day, 'yyyy-MM-dd'), { signal: controller.signal })
+      .then(range => setFetched({ points, records: range.hourly_records || [] }))
+      .catch(err => {
+        if (!isAbortError(err)) console.error('Error fetching recent hourly AQI:', err)
+      })
+    return () => controller.abort()
+  }, [enabled, points, hourKey])
+
+  return enabled && fetched.points === points ? fetched.records : []
+}
+
+export default useRecentAQIRecords
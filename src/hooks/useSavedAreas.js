@@ -0,0 +1,61 @@
+import { useCallback, useEffect, useState } from 'react'
+import { getAreaStore } from '../services/areaStore'
+
+/**
+ * Saved areas from the active area store, with save/update/remove that keep the
+ * list in step. Failures are reported through `error` and rethrown to the caller.
+ */
+const useSavedAreas = () => {
+  const [areas, setAreas] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const reload = useCallback(async () => {
+    setLoading(true)
+    try {
+      setAreas(await getAreaStore().list())
+      setError(null)
+    } catch (err) {
+      console.error('Error loading saved areas:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    reload()
+  }, [reload])
+
+  const run = useCallback(async (operation) => {
+    try {
+      const result = await operation(getAreaStore())
+      setError(null)
+      return result
+    } catch (err) {
+      setError(err.message)
+      throw err
+    }
+  }, [])
+
+  const save = useCallback(async (area) => {
+    const saved = await run(store => store.save(area))
+    setAreas(prev => [saved, ...prev])
+    return saved
+  }, [run])
+
+  const update = useCallback(async (id, changes) => {
+    const updated = await run(store => store.update(id, changes))
+    setAreas(prev => [updated, ...prev.filter(area => area.id !== id)])
+    return updated
+  }, [run])
+
+  const remove = useCallback(async (id) => {
+    await run(store => store.remove(id))
+    setAreas(prev => prev.filter(area => area.id !== id))
+  }, [run])
+
+  return { areas, loading, error, reload, save, update, remove }
+}
+
+export default useSavedAreas
@@ -1,291 +1,209 @@
-const API_BASE_URL = 'https://aqi-weather-api.onrender.com/api'
+import { format, endOfMonth, eachDayOfInterval, parseISO } from 'date-fns'
+import { request, ApiError, isAbortError } from './httpClient'
+import { cachedRequest, buildCacheKey, getCachePolicy } from './cache'
+import { getApiBaseUrl } from './config'
+import { mapWithConcurrency } from '../utils/concurrency'
+import { getInteriorPoint } from '../utils/geometry'
+
+// Day requests in flight at once when a range has to be fetched day by day
+const RANGE_DAY_CONCURRENCY = 4
+// Statuses meaning the backend has no such endpoint (as opposed to a failing one)
+const UNSUPPORTED_ENDPOINT_STATUSES = [404, 405, 501]
+// Base URL -> whether /weather/hourly/range exists, learned from the first attempt
+const weatherRangeSupport = new Map()
 
 /**
- * Calculate the center point (centroid) of a polygon geometry
+ * Calculate the point to query for a polygon geometry: the area-weighted centroid,
+ * or a point on the surface when the centroid falls outside a concave shape
  */
 export const calculateGeometryCenter = (geometry) => {
   if (!geometry || !geometry.coordinates || !geometry.coordinates[0]) {
     return null
   }
 
-  const coordinates = geometry.coordinates[0] 
-  let sumLat = 0
-  let sumLng = 0
-
-  coordinates.forEach(coord => {
-    sumLng += coord[0] // Longitude
-    sumLat += coord[1] // Latitude
-  })
+  const point = getInteriorPoint(geometry)
+  if (!point) return null
 
   return {
-    latitude: sumLat / coordinates.length,
-    longitude: sumLng / coordinates.length
+    latitude: point[1],
+    longitude: point[0]
   }
 }
 
 /**
- * Fetch AQI data from backend
+ * Serve a POST endpoint through the response cache. `cacheDate` is the newest
+ * date the request covers and decides how long the response stays fresh.
  */
-export const fetchAQIData = async (latitude, longitude, date = null) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/aqi`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        latitude,
-        longitude,
-        date: date || undefined
-      })
-    })
-
-    if (!response.ok) {
-      throw new Error(`AQI API error: ${response.statusText}`)
-    }
+const requestWithCache = (path, body, cacheDate, { refresh, onRevalidate, signal, ...requestOptions }) => {
+  const key = buildCacheKey(`${getApiBaseUrl()}${path}`, body)
+  return cachedRequest(
+    key,
+    (sharedSignal) => request(path, { body, ...requestOptions, signal: sharedSignal }),
+    getCachePolicy(cacheDate),
+    { signal, refresh, onRevalidate }
+  )
+}
 
-    const data = await response.json()
-    return data
-  } catch (error) {
-    console.error('Error fetching AQI data:', error)
-    throw error
-  }
+/**
+ * Fetch AQI data from backend
+ *
+ * Every fetch helper accepts a trailing `options` object ({ signal, timeout, retries })
+ * that is passed straight to the shared request core. Cached helpers also accept
+ * `refresh` to bypass the cache and `onRevalidate` for stale-while-revalidate updates.
+ */
+export const fetchAQIData = (latitude, longitude, date = null, options = {}) => {
+  return request('/aqi', {
+    name: 'AQI',
+    body: { latitude, longitude, date: date || undefined },
+    ...options
+  })
 }
 
 /**
  * Fetch Weather data from backend
  */
-export const fetchWeatherData = async (latitude, longitude, date = null) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/weather`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        latitude,
-        longitude,
-        date: date || undefined
-      })
-    })
-
-    if (!response.ok) {
-      throw new Error(`Weather API error: ${response.statusText}`)
-    }
-
-    const data = await response.json()
-    return data
-  } catch (error) {
-    console.error('Error fetching weather data:', error)
-    throw error
-  }
+export const fetchWeatherData = (latitude, longitude, date = null, options = {}) => {
+  return request('/weather', {
+    name: 'Weather',
+    body: { latitude, longitude, date: date || undefined },
+    ...options
+  })
 }
 
 /**
  * Fetch hourly AQI data from backend
  */
-export const fetchHourlyAQIData = async (latitude, longitude, date) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/aqi/hourly`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        latitude,
-        longitude,
-        date
-      })
-    })
-
-    if (!response.ok) {
-      throw new Error(`Hourly AQI API error: ${response.statusText}`)
-    }
-
-    const data = await response.json()
-    return data
-  } catch (error) {
-    console.error('Error fetching hourly AQI data:', error)
-    throw error
-  }
+export const fetchHourlyAQIData = (latitude, longitude, date, options = {}) => {
+  return requestWithCache('/aqi/hourly', { latitude, longitude, date }, date, {
+    name: 'Hourly AQI',
+    ...options
+  })
 }
 
 /**
  * Fetch hourly AQI data for a date range
  */
-export const fetchHourlyAQIDataRange = async (latitude, longitude, startDate, endDate) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/aqi/hourly/range`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        latitude,
-        longitude,
-        start_date: startDate,
-        end_date: endDate
-      })
-    })
-
-    if (!response.ok) {
-      throw new Error(`Hourly AQI Range API error: ${response.statusText}`)
-    }
-
-    const data = await response.json()
-    return data
-  } catch (error) {
-    console.error('Error fetching hourly AQI data range:', error)
-    throw error
-  }
+export const fetchHourlyAQIDataRange = (latitude, longitude, startDate, endDate, options = {}) => {
+  const body = { latitude, longitude, start_date: startDate, end_date: endDate }
+  return requestWithCache('/aqi/hourly/range', body, endDate, {
+    name: 'Hourly AQI Range',
+    timeout: 60000,
+    ...options
+  })
 }
 
 /**
  * Fetch hourly Weather data from backend
  */
-export const fetchHourlyWeatherData = async (latitude, longitude, date) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/weather/hourly`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        latitude,
-        longitude,
-        date
-      })
-    })
-
-    if (!response.ok) {
-      throw new Error(`Hourly Weather API error: ${response.statusText}`)
-    }
-
-    const data = await response.json()
-    return data
-  } catch (error) {
-    console.error('Error fetching hourly weather data:', error)
-    throw error
-  }
+export const fetchHourlyWeatherData = (latitude, longitude, date, options = {}) => {
+  return requestWithCache('/weather/hourly', { latitude, longitude, date }, date, {
+    name: 'Hourly Weather',
+    ...options
+  })
 }
 
+const getDayRecordsKey = (record) => (record?.date ? String(record.date).slice(0, 10) : null)
+
 /**
- * Fetch monthly weather forecast data from backend
+ * Fetch hourly Weather data for a date range.
+ *
+ * Uses the backend range endpoint when it exists; otherwise fetches each day with bounded
+ * concurrency. Days that fail or come back empty are listed in `missing_dates` instead of
+ * failing the whole range, so the result is { hourly_records, missing_dates }.
+ * Only throws when no day at all could be loaded. Accepts `concurrency` in options.
  */
-export const fetchMonthlyWeatherData = async (latitude, longitude, year, month) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/weather/monthly`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        latitude,
-        longitude,
-        year,
-        month
-      })
-    })
-
-    
-    // Get response as text first to handle NaN values and error messages
-    const text = await response.text()
-    
-    // If response is not ok, try to parse error message from response
-    if (!response.ok) {
-      let errorMessage = `Monthly Weather API error: ${response.status} ${response.statusText}`
-      try {
-        const errorData = JSON.parse(text)
-        if (errorData.message || errorData.error) {
-          errorMessage = errorData.message || errorData.error || errorMessage
-        }
-      } catch (e) {
-        // If we can't parse error, use the text or default message
-        if (text && text.length < 200) {
-          errorMessage = text
-        }
-      }
-      
-      // Provide more specific error messages based on status code
-      if (response.status === 404) {
-        errorMessage = `No weather data available for ${month}/${year}`
-      } else if (response.status === 400) {
-        errorMessage = `Invalid request for ${month}/${year}. Please check the date.`
-      } else if (response.status === 500) {
-        errorMessage = `Server error while fetching data for ${month}/${year}. Please try again later.`
-      } else if (response.status === 503) {
-        errorMessage = `Service temporarily unavailable for ${month}/${year}. Please try again later.`
-      }
-      
-      throw new Error(errorMessage)
-    }
+export const fetchHourlyWeatherDataRange = async (latitude, longitude, startDate, endDate, options = {}) => {
+  const { concurrency = RANGE_DAY_CONCURRENCY, ...requestOptions } = options
+  const days = eachDayOfInterval({ start: parseISO(startDate), end: parseISO(endDate) })
+    .map(day => format(day, 'yyyy-MM-dd'))
+  const findMissingDates = (records) => {
+    const covered = new Set(records.map(getDayRecordsKey))
+    return days.filter(day => !covered.has(day))
+  }
 
-    // Replace NaN values with null to make valid JSON
-    const sanitizedText = text.replace(/:\s*NaN/g, ': null').replace(/:\s*-?Infinity/g, ': null')
-    
-    let data
+  const baseUrl = getApiBaseUrl()
+  if (weatherRangeSupport.get(baseUrl) !== false) {
     try {
-      data = JSON.parse(sanitizedText)
-    } catch (parseError) {
-      console.error('Error parsing JSON response:', parseError)
-      console.error('Response text:', text.substring(0, 500))
-      throw new Error(`Invalid JSON response from API: ${parseError.message}`)
-    }
-
-    // Recursively clean any remaining NaN or Infinity values in the parsed data
-    const cleanData = (obj) => {
-      if (obj === null || obj === undefined) return obj
-      if (typeof obj === 'number' && (isNaN(obj) || !isFinite(obj))) return null
-      if (Array.isArray(obj)) return obj.map(cleanData)
-      if (typeof obj === 'object') {
-        const cleaned = {}
-        for (const key in obj) {
-          if (obj.hasOwnProperty(key)) {
-            cleaned[key] = cleanData(obj[key])
-          }
-        }
-        return cleaned
+      const body = { latitude, longitude, start_date: startDate, end_date: endDate }
+      const data = await requestWithCache('/weather/hourly/range', body, endDate, {
+        name: 'Hourly Weather Range',
+        timeout: 60000,
+        ...requestOptions
+      })
+      weatherRangeSupport.set(baseUrl, true)
+      const hourlyRecords = data.hourly_records || []
+      return { ...data, hourly_records: hourlyRecords, missing_dates: findMissingDates(hourlyRecords) }
+    } catch (error) {
+      if (isAbortError(error)) throw error
+      if (error instanceof ApiError && UNSUPPORTED_ENDPOINT_STATUSES.includes(error.status)) {
+        weatherRangeSupport.set(baseUrl, false)
+      } else {
+        console.warn('Weather range request failed, fetching day by day:', error.message)
       }
-      return obj
     }
+  }
 
-    return cleanData(data)
-  } catch (error) {
-    console.error(`Error fetching monthly weather data for ${month}/${year}:`, error)
-    // Re-throw with more context if it's not already a formatted error
-    if (error.message && !error.message.includes('Monthly Weather API error')) {
-      throw new Error(`Failed to fetch weather data for ${month}/${year}: ${error.message}`)
-    }
-    throw error
+  const results = await mapWithConcurrency(
+    days,
+    concurrency,
+    (day) => fetchHourlyWeatherData(latitude, longitude, day, requestOptions),
+    { signal: requestOptions.signal }
+  )
+
+  const failures = results.filter(result => result.status === 'rejected')
+  if (failures.length === days.length) {
+    throw failures[failures.length - 1].reason
   }
+  failures.forEach(result => {
+    if (isAbortError(result.reason)) throw result.reason
+  })
+
+  const hourlyRecords = results
+    .flatMap(result => (result.status === 'fulfilled' ? result.value?.hourly_records || [] : []))
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+
+  return { hourly_records: hourlyRecords, missing_dates: findMissingDates(hourlyRecords) }
 }
 
 /**
- * Fetch AQI analysis from backend
+ * Fetch monthly weather forecast data from backend
  */
-export const fetchAQIAnalysis = async (latitude, longitude, date) => {
+export const fetchMonthlyWeatherData = async (latitude, longitude, year, month, options = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/aqi/analyze`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        latitude,
-        longitude,
-        date
-      })
+    // The monthly endpoint can emit NaN/Infinity, so sanitize the body before parsing
+    const monthEnd = format(endOfMonth(new Date(year, month - 1, 1)), 'yyyy-MM-dd')
+    return await requestWithCache('/weather/monthly', { latitude, longitude, year, month }, monthEnd, {
+      name: 'Monthly Weather',
+      sanitize: true,
+      ...options
     })
-
-    if (!response.ok) {
-      throw new Error(`AQI Analysis API error: ${response.statusText}`)
+  } catch (error) {
+    if (!(error instanceof ApiError) || !error.status) {
+      throw error
     }
 
-    const data = await response.json()
-    return data
-  } catch (error) {
-    console.error('Error fetching AQI analysis:', error)
+    // Provide more specific error messages based on status code
+    if (error.status === 404) {
+      throw new Error(`No weather data available for ${month}/${year}`)
+    } else if (error.status === 400) {
+      throw new Error(`Invalid request for ${month}/${year}. Please check the date.`)
+    } else if (error.status === 500) {
+      throw new Error(`Server error while fetching data for ${month}/${year}. Please try again later.`)
+    } else if (error.status === 503) {
+      throw new Error(`Service temporarily unavailable for ${month}/${year}. Please try again later.`)
+    }
     throw error
   }
 }
 
+/**
+ * Fetch AQI analysis from backend
+ */
+export const fetchAQIAnalysis = (latitude, longitude, date, options = {}) => {
+  return request('/aqi/analyze', {
+    name: 'AQI Analysis',
+    body: { latitude, longitude, date },
+    timeout: 60000,
+    ...options
+  })
+}
@@ -0,0 +1,186 @@
+import { request } from './httpClient'
+
+/**
+ * Storage for saved areas ("My Areas"). Every store implements the same async interface:
+ *
+ * - list(): all saved areas, newest first
+ * - get(id): one area, or null when it does not exist
+ * - save({ name, tags, notes, geometry }): create an area, resolves with the stored record
+ * - update(id, changes): merge `changes` into an area, resolves with the updated record
+ * - remove(id)
+ *
+ * Records look like { id, name, tags: [], notes, geometry, createdAt, updatedAt } with ISO timestamps.
+ * The browser stores are used today; createApiAreaStore talks to a backend `/areas` resource.
+ * Stores whose areas are visible to other people set `shared: true`, so links can refer to
+ * an area by id instead of carrying its geometry.
+ */
+
+const DB_NAME = 'skyeye-areas'
+const DB_VERSION = 1
+const STORE_NAME = 'areas'
+const LOCAL_STORAGE_KEY = 'skyeye_saved_areas'
+
+const newestFirst = (areas) => [...areas].sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+
+const createId = () => (
+  globalThis.crypto?.randomUUID?.() || `area-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+)
+
+const createRecord = ({ name, tags = [], notes = '', geometry }) => {
+  const now = new Date().toISOString()
+  return { id: createId(), name, tags, notes, geometry, createdAt: now, updatedAt: now }
+}
+
+const applyChanges = (area, changes) => ({
+  ...area,
+  ...changes,
+  id: area.id,
+  createdAt: area.createdAt,
+  updatedAt: new Date().toISOString()
+})
+
+/**
+ * Areas kept in localStorage. Small and synchronous, but limited to a few MB.
+ */
+export const createLocalStorageAreaStore = (storageKey = LOCAL_STORAGE_KEY) => {
+  const read = () => {
+    try {
+      return JSON.parse(localStorage.getItem(storageKey)) || []
+    } catch (error) {
+      console.warn('Ignoring unreadable saved areas in localStorage:', error)
+      return []
+    }
+  }
+  const write = (areas) => localStorage.setItem(storageKey, JSON.stringify(areas))
+
+  return {
+    list: async () => newestFirst(read()),
+    get: async (id) => read().find(area => area.id === id) || null,
+    save: async (area) => {
+      const record = createRecord(area)
+      write([...read(), record])
+      return record
+    },
+    update: async (id, changes) => {
+      const areas = read()
+      const existing = areas.find(area => area.id === id)
+      if (!existing) throw new Error('The saved area no longer exists')
+      const updated = applyChanges(existing, changes)
+      write(areas.map(area => (area.id === id ? updated : area)))
+      return updated
+    },
+    remove: async (id) => {
+      write(read().filter(area => area.id !== id))
+    }
+  }
+}
+
+/**
+ * Areas kept in IndexedDB, which has room for large imported boundaries
+ */
+export const createIndexedDBAreaStore = () => {
+  let dbPromise = null
+  const openDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const openRequest = indexedDB.open(DB_NAME, DB_VERSION)
+        openRequest.onupgradeneeded = () => {
+          openRequest.result.createObjectStore(STORE_NAME, { keyPath: 'id' })
+        }
+        openRequest.onsuccess = () => resolve(openRequest.result)
+        openRequest.onerror = () => reject(openRequest.error)
+      })
+    }
+    return dbPromise
+  }
+
+  const run = async (mode, operation) => {
+    const db = await openDatabase()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode)
+      const storeRequest = operation(transaction.objectStore(STORE_NAME))
+      transaction.oncomplete = () => resolve(storeRequest.result)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  return {
+    list: async () => newestFirst(await run('readonly', store => store.getAll())),
+    get: async (id) => (await run('readonly', store => store.get(id))) || null,
+    save: async (area) => {
+      const record = createRecord(area)
+      await run('readwrite', store => store.add(record))
+      return record
+    },
+    update: async (id, changes) => {
+      const existing = await run('readonly', store => store.get(id))
+      if (!existing) throw new Error('The saved area no longer exists')
+      const updated = applyChanges(existing, changes)
+      await run('readwrite', store => store.put(updated))
+      return updated
+    },
+    remove: async (id) => {
+      await run('readwrite', store => store.delete(id))
+    }
+  }
+}
+
+/**
+ * Areas kept by the backend under `/areas` (GET/POST on the collection,
+ * PATCH/DELETE on `/areas/:id`), shared by everyone using that backend
+ */
+export const createApiAreaStore = () => {
+  const get = async (id) => {
+    try {
+      return await request(`/areas/${encodeURIComponent(id)}`, { method: 'GET', name: 'Saved areas' })
+    } catch (error) {
+      if (error.status === 404) return null
+      throw error
+    }
+  }
+
+  return {
+    shared: true,
+    list: async () => newestFirst(await request('/areas', { method: 'GET', name: 'Saved areas' }) ?? []),
+    get,
+    save: (area) => request('/areas', { body: area, name: 'Saved areas', retries: 0 }),
+    // A 204 reply carries no area, so read the updated one back
+    update: async (id, changes) => (
+      await request(`/areas/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes, name: 'Saved areas', retries: 0 }) ?? get(id)
+    ),
+    remove: async (id) => {
+      await request(`/areas/${encodeURIComponent(id)}`, { method: 'DELETE', name: 'Saved areas', retries: 0 })
+    }
+  }
+}
+
+const createDefaultStore = () => {
+  if (import.meta.env.VITE_AREA_STORE === 'api') return createApiAreaStore()
+  if (import.meta.env.VITE_AREA_STORE === 'localStorage' || typeof indexedDB === 'undefined') {
+    return createLocalStorageAreaStore()
+  }
+  return createIndexedDBAreaStore()
+}
+
+let activeStore = null
+
+/**
+ * The store in use: set with setAreaStore, otherwise chosen by VITE_AREA_STORE
+ * ('indexedDB' by default, 'localStorage' or 'api')
+ */
+export const getAreaStore = () => {
+  if (!activeStore) activeStore = createDefaultStore()
+  return activeStore
+}
+
+/**
+ * Swap the store implementation, e.g. once the backend endpoint is available
+ */
+export const setAreaStore = (store) => {
+  activeStore = store
+}
+
+/**
+ * `id` when links may refer to the saved area by id (the active store is shared), otherwise null
+ */
+export const getShareableAreaId = (id) => (id && getAreaStore().shared ? id : null)
@@ -0,0 +1,223 @@
+import { format, startOfDay } from 'date-fns'
+
+const DB_NAME = 'skyeye-cache'
+const DB_VERSION = 1
+const STORE_NAME = 'responses'
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+/**
+ * Freshness rules. `ttl` is how long an entry is served without revalidating;
+ * until `maxStale` it is still served immediately while a background refresh runs.
+ */
+const CACHE_POLICIES = {
+  past: { ttl: DAY, maxStale: 30 * DAY },
+  today: { ttl: 10 * MINUTE, maxStale: 6 * HOUR }
+}
+
+const memoryCache = new Map()
+const inflightRequests = new Map()
+// Metadata for returned payloads, so components can show "cached at" without changing their shape
+const responseInfo = new WeakMap()
+
+let dbPromise = null
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null)
+      return
+    }
+    const openRequest = indexedDB.open(DB_NAME, DB_VERSION)
+    openRequest.onupgradeneeded = () => {
+      openRequest.result.createObjectStore(STORE_NAME)
+    }
+    openRequest.onsuccess = () => resolve(openRequest.result)
+    openRequest.onerror = () => {
+      // Private browsing or disabled storage: fall back to memory only
+      console.warn('Response cache persistence unavailable:', openRequest.error)
+      resolve(null)
+    }
+  })
+  return dbPromise
+}
+
+const runTransaction = async (mode, operation) => {
+  const db = await openDatabase()
+  if (!db) return null
+
+  return new Promise((resolve) => {
+    const transaction = db.transaction(STORE_NAME, mode)
+    const storeRequest = operation(transaction.objectStore(STORE_NAME))
+    transaction.oncomplete = () => resolve(storeRequest?.result ?? null)
+    transaction.onerror = () => {
+      console.warn('Response cache transaction failed:', transaction.error)
+      resolve(null)
+    }
+  })
+}
+
+const readPersisted = (key) => runTransaction('readonly', store => store.get(key))
+
+const writePersisted = (key, entry) => runTransaction('readwrite', store => store.put(entry, key))
+
+const deletePersisted = (key) => runTransaction('readwrite', store => store.delete(key))
+
+/**
+ * Build a cache key from the endpoint and request parameters.
+ * Coordinates are rounded to ~10 m so tiny centroid differences share an entry.
+ */
+export const buildCacheKey = (endpoint, { latitude, longitude, ...params }) => {
+  const parts = [endpoint, Number(latitude).toFixed(4), Number(longitude).toFixed(4)]
+  Object.keys(params).sort().forEach(name => {
+    if (params[name] !== undefined && params[name] !== null) {
+      parts.push(`${name}=${params[name]}`)
+    }
+  })
+  return parts.join('|')
+}
+
+/**
+ * Pick a cache policy from the newest date a request covers (yyyy-MM-dd)
+ */
+export const getCachePolicy = (latestDate) => {
+  const today = format(startOfDay(new Date()), 'yyyy-MM-dd')
+  return latestDate && latestDate < today ? CACHE_POLICIES.past : CACHE_POLICIES.today
+}
+
+/**
+ * Cache metadata for a payload returned by cachedRequest:
+ * { cachedAt, fromCache, stale }, or null for uncached payloads.
+ */
+export const getCacheInfo = (data) => {
+  if (!data || typeof data !== 'object') return null
+  return responseInfo.get(data) || null
+}
+
+const tagResponse = (data, info) => {
+  if (data && typeof data === 'object') {
+    responseInfo.set(data, info)
+  }
+  return data
+}
+
+const getEntry = async (key) => {
+  if (memoryCache.has(key)) return memoryCache.get(key)
+
+  const persisted = await readPersisted(key)
+  if (persisted) {
+    memoryCache.set(key, persisted)
+  }
+  return persisted
+}
+
+const storeEntry = (key, data, policy) => {
+  const cachedAt = Date.now()
+  const entry = {
+    data,
+    cachedAt,
+    expiresAt: cachedAt + policy.ttl,
+    staleUntil: cachedAt + policy.maxStale
+  }
+  memoryCache.set(key, entry)
+  writePersisted(key, entry)
+  return entry
+}
+
+/**
+ * Run `fetcher` once per key even when several callers ask at the same time.
+ * The shared request is aborted once every caller that passed a signal has aborted;
+ * callers without one (background refreshes) cannot abort it and do not keep it alive.
+ */
+const fetchShared = (key, fetcher, policy, signal) => {
+  // An aborted request leaves at once, so the next caller starts afresh instead of joining it
+  const forget = (entry) => {
+    if (inflightRequests.get(key) === entry) inflightRequests.delete(key)
+  }
+
+  let shared = inflightRequests.get(key)
+
+  if (!shared) {
+    const controller = new AbortController()
+    shared = {
+      controller,
+      waiting: 0,
+      promise: fetcher(controller.signal)
+        .then(data => storeEntry(key, data, policy))
+        .finally(() => forget(shared))
+    }
+    inflightRequests.set(key, shared)
+  }
+
+  if (!signal) return shared.promise
+
+  shared.waiting++
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      shared.waiting--
+      if (shared.waiting <= 0) {
+        forget(shared)
+        shared.controller.abort()
+      }
+      const error = new Error('Request aborted')
+      error.name = 'AbortError'
+      reject(error)
+    }
+
+    if (signal.aborted) {
+      onAbort()
+      return
+    }
+    signal.addEventListener('abort', onAbort, { once: true })
+    shared.promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort))
+  })
+}
+
+/**
+ * Serve a request from the cache with stale-while-revalidate semantics.
+ *
+ * Options:
+ * - signal: AbortSignal for this caller
+ * - refresh: skip any cached entry and fetch fresh data (the result is still cached)
+ * - onRevalidate(data): called when a stale entry was served and the background refresh completes
+ */
+export const cachedRequest = async (key, fetcher, policy, { signal, refresh = false, onRevalidate } = {}) => {
+  const entry = refresh ? null : await getEntry(key)
+  const now = Date.now()
+
+  if (entry && now < entry.expiresAt) {
+    return tagResponse(entry.data, { cachedAt: entry.cachedAt, fromCache: true, stale: false })
+  }
+
+  if (entry && now < entry.staleUntil) {
+    fetchShared(key, fetcher, policy)
+      .then(freshEntry => {
+        tagResponse(freshEntry.data, { cachedAt: freshEntry.cachedAt, fromCache: false, stale: false })
+        onRevalidate?.(freshEntry.data)
+      })
+      .catch(error => console.warn(`Background refresh failed for ${key}:`, error.message))
+    return tagResponse(entry.data, { cachedAt: entry.cachedAt, fromCache: true, stale: true })
+  }
+
+  if (entry) {
+    memoryCache.delete(key)
+    deletePersisted(key)
+  }
+
+  const freshEntry = await fetchShared(key, fetcher, policy, signal)
+  return tagResponse(freshEntry.data, { cachedAt: freshEntry.cachedAt, fromCache: false, stale: false })
+}
+
+/**
+ * Drop every cached response, e.g. after switching backends
+ */
+export const clearResponseCache = async () => {
+  memoryCache.clear()
+  await runTransaction('readwrite', store => store.clear())
+}
@@ -0,0 +1,142 @@
+const OVERRIDE_STORAGE_KEY = 'skyeye_api_override'
+const CONFIG_URL = import.meta.env.VITE_CONFIG_URL || '/config.json'
+// The app waits for config.json before rendering, so give up on it quickly
+const CONFIG_TIMEOUT_MS = 3000
+
+/**
+ * Built-in backend profiles. `config.json` can add more or replace these.
+ */
+const DEFAULT_PROFILES = {
+  production: {
+    label: 'Production',
+    apiBaseUrl: 'https://aqi-weather-api.onrender.com/api'
+  },
+  local: {
+    label: 'Local',
+    apiBaseUrl: 'http://localhost:8000/api'
+  }
+}
+
+const listeners = new Set()
+
+let runtimeConfig = {
+  profile: 'production',
+  apiBaseUrl: DEFAULT_PROFILES.production.apiBaseUrl,
+  profiles: DEFAULT_PROFILES,
+  source: 'default'
+}
+
+// Base configuration before the user's in-app override is applied
+let baseConfig = runtimeConfig
+
+const trimTrailingSlash = (url) => url.replace(/\/+$/, '')
+
+const readOverride = () => {
+  try {
+    const stored = localStorage.getItem(OVERRIDE_STORAGE_KEY)
+    return stored ? JSON.parse(stored) : null
+  } catch (error) {
+    console.warn('Ignoring invalid API override in localStorage:', error)
+    return null
+  }
+}
+
+/**
+ * Resolve a profile name and/or explicit URL into a config object
+ */
+const resolveConfig = (profiles, profile, apiBaseUrl, source) => {
+  const profileEntry = profiles[profile]
+  const url = apiBaseUrl || profileEntry?.apiBaseUrl || DEFAULT_PROFILES.production.apiBaseUrl
+  const isCustomUrl = Boolean(apiBaseUrl) && apiBaseUrl !== profileEntry?.apiBaseUrl
+
+  return {
+    profile: profileEntry && !isCustomUrl ? profile : 'custom',
+    apiBaseUrl: trimTrailingSlash(url),
+    profiles,
+    source
+  }
+}
+
+const applyOverride = () => {
+  const override = readOverride()
+  if (!override) {
+    runtimeConfig = baseConfig
+  } else {
+    runtimeConfig = resolveConfig(baseConfig.profiles, override.profile, override.apiBaseUrl, 'override')
+  }
+  listeners.forEach(listener => listener(runtimeConfig))
+}
+
+/**
+ * Build the runtime configuration. Later sources win:
+ * built-in defaults, Vite env variables, /config.json, then the settings panel override.
+ */
+export const loadRuntimeConfig = async () => {
+  let profiles = { ...DEFAULT_PROFILES }
+  let profile = import.meta.env.VITE_API_PROFILE || 'production'
+  let apiBaseUrl = import.meta.env.VITE_API_BASE_URL || null
+  let source = profile !== 'production' || apiBaseUrl ? 'env' : 'default'
+
+  const controller = new AbortController()
+  const timeoutId = setTimeout(() => controller.abort(), CONFIG_TIMEOUT_MS)
+
+  try {
+    const response = await fetch(CONFIG_URL, { cache: 'no-store', signal: controller.signal })
+    const contentType = response.headers.get('content-type') || ''
+
+    // The dev server answers unknown paths with index.html, so check the content type too
+    if (response.ok && contentType.includes('application/json')) {
+      const fileConfig = await response.json()
+      if (fileConfig.profiles) {
+        profiles = { ...profiles, ...fileConfig.profiles }
+      }
+      if (fileConfig.profile) {
+        profile = fileConfig.profile
+        apiBaseUrl = null
+      }
+      if (fileConfig.apiBaseUrl) {
+        apiBaseUrl = fileConfig.apiBaseUrl
+      }
+      source = 'config.json'
+    }
+  } catch (error) {
+    const reason = error.name === 'AbortError' ? `timed out after ${CONFIG_TIMEOUT_MS} ms` : error.message
+    console.warn(`Could not load ${CONFIG_URL}, using build-time configuration:`, reason)
+  } finally {
+    clearTimeout(timeoutId)
+  }
+
+  baseConfig = resolveConfig(profiles, profile, apiBaseUrl, source)
+  applyOverride()
+  return runtimeConfig
+}
+
+export const getRuntimeConfig = () => runtimeConfig
+
+export const getApiBaseUrl = () => runtimeConfig.apiBaseUrl
+
+/**
+ * Build a full API URL for an endpoint path such as '/aqi/hourly'
+ */
+export const apiUrl = (path) => `${runtimeConfig.apiBaseUrl}${path}`
+
+/**
+ * Persist a settings panel override. Pass a known profile name, or 'custom' with an apiBaseUrl.
+ */
+export const setApiOverride = ({ profile, apiBaseUrl }) => {
+  const override = profile === 'custom'
+    ? { profile, apiBaseUrl: trimTrailingSlash(apiBaseUrl.trim()) }
+    : { profile }
+  localStorage.setItem(OVERRIDE_STORAGE_KEY, JSON.stringify(override))
+  applyOverride()
+}
+
+export const clearApiOverride = () => {
+  localStorage.removeItem(OVERRIDE_STORAGE_KEY)
+  applyOverride()
+}
+
+export const subscribeToConfig = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
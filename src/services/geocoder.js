@@ -0,0 +1,95 @@
+import { request, ApiError } from './httpClient'
+
+/**
+ * Place search for the map. Every geocoder implements
+ * `search(query, { signal, limit })`, resolving with results of the form
+ * { id, label, latitude, longitude, bounds, type }, where `bounds` is
+ * [[south, west], [north, east]] or null.
+ */
+
+const DEFAULT_LIMIT = 8
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org'
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? NaN : Number(value))
+
+/**
+ * OpenStreetMap Nominatim (or a self-hosted instance at `baseUrl`). The public service
+ * allows about one request per second and no search-as-you-type, so only search on submit.
+ */
+export const createNominatimGeocoder = (baseUrl = NOMINATIM_URL) => ({
+  search: async (query, { signal, limit = DEFAULT_LIMIT } = {}) => {
+    const params = new URLSearchParams({ q: query, format: 'jsonv2', limit: `${limit}` })
+    if (typeof navigator !== 'undefined' && navigator.language) {
+      params.set('accept-language', navigator.language)
+    }
+
+    let response
+    try {
+      response = await fetch(`${baseUrl.replace(/\/+$/, '')}/search?${params}`, { signal })
+    } catch (error) {
+      if (error.name === 'AbortError') throw error
+      throw new ApiError(`Place search network error: ${error.message}`)
+    }
+    if (!response.ok) {
+      throw new ApiError(`Place search error: ${response.status} ${response.statusText}`.trim(), {
+        status: response.status,
+        statusText: response.statusText
+      })
+    }
+
+    const places = await response.json()
+    return places
+      .map(place => {
+        const [south, north, west, east] = (place.boundingbox || []).map(toNumber)
+        return {
+          id: `${place.osm_type || 'place'}-${place.osm_id || place.place_id}`,
+          label: place.display_name,
+          latitude: toNumber(place.lat),
+          longitude: toNumber(place.lon),
+          bounds: [south, north, west, east].every(isFinite) ? [[south, west], [north, east]] : null,
+          type: place.type || place.category || ''
+        }
+      })
+      .filter(place => isFinite(place.latitude) && isFinite(place.longitude))
+  }
+})
+
+/**
+ * The backend's `/geocode` endpoint ({ query, limit } in, a result list or { results } out)
+ */
+export const createApiGeocoder = () => ({
+  search: async (query, { signal, limit = DEFAULT_LIMIT } = {}) => {
+    const data = await request('/geocode', { body: { query, limit }, name: 'Place search', signal, retries: 0 })
+    return (Array.isArray(data) ? data : data?.results || []).map((place, index) => ({
+      id: place.id || `result-${index}`,
+      label: place.label || place.name,
+      latitude: Number(place.latitude),
+      longitude: Number(place.longitude),
+      bounds: place.bounds || null,
+      type: place.type || ''
+    }))
+  }
+})
+
+const createDefaultGeocoder = () => {
+  if (import.meta.env.VITE_GEOCODER === 'api') return createApiGeocoder()
+  return createNominatimGeocoder(import.meta.env.VITE_GEOCODER_URL || NOMINATIM_URL)
+}
+
+let activeGeocoder = null
+
+/**
+ * The geocoder in use: set with setGeocoder, otherwise chosen by VITE_GEOCODER
+ * ('nominatim' by default, at VITE_GEOCODER_URL if set, or 'api')
+ */
+export const getGeocoder = () => {
+  if (!activeGeocoder) activeGeocoder = createDefaultGeocoder()
+  return activeGeocoder
+}
+
+/**
+ * Swap the geocoder implementation, e.g. for a commercial provider
+ */
+export const setGeocoder = (geocoder) => {
+  activeGeocoder = geocoder
+}
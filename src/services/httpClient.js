@@ -0,0 +1,206 @@
+import { apiUrl } from './config'
+
+const DEFAULT_TIMEOUT = 30000
+const DEFAULT_RETRIES = 2
+const DEFAULT_RETRY_DELAY = 500
+const MAX_RETRY_DELAY = 8000
+
+/**
+ * Error thrown for failed API calls. `status` is 0 for network errors and timeouts.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, statusText = '', body = null, timedOut = false } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.statusText = statusText
+    this.body = body
+    this.timedOut = timedOut
+  }
+}
+
+/**
+ * True when a request was cancelled through its AbortSignal (not a timeout)
+ */
+export const isAbortError = (error) => error?.name === 'AbortError'
+
+const createAbortError = () => {
+  const error = new Error('Request aborted')
+  error.name = 'AbortError'
+  return error
+}
+
+const isRetryable = (error) => {
+  if (error instanceof ApiError) {
+    return error.status >= 500 || (error.status === 0 && !error.timedOut)
+  }
+  return false
+}
+
+// Exponential backoff with jitter; honours Retry-After (seconds) when the server sends it
+const getRetryDelay = (attempt, baseDelay, error) => {
+  const retryAfter = Number(error?.retryAfter)
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_RETRY_DELAY)
+  }
+  const backoff = baseDelay * 2 ** attempt
+  return Math.min(backoff + Math.random() * baseDelay, MAX_RETRY_DELAY)
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError())
+    return
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort)
+    resolve()
+  }, ms)
+  const onAbort = () => {
+    clearTimeout(timer)
+    reject(createAbortError())
+  }
+  signal?.addEventListener('abort', onAbort, { once: true })
+})
+
+// Replace NaN/Infinity (which some endpoints emit) so the body is valid JSON
+const sanitizeJSONText = (text) => text
+  .replace(/:\s*NaN/g, ': null')
+  .replace(/:\s*-?Infinity/g, ': null')
+
+const cleanNonFinite = (value) => {
+  if (value === null || value === undefined) return value
+  if (typeof value === 'number' && !isFinite(value)) return null
+  if (Array.isArray(value)) return value.map(cleanNonFinite)
+  if (typeof value === 'object') {
+    const cleaned = {}
+    for (const key in value) {
+      if (Object.prototype.hasOwnProperty.call(value, key)) {
+        cleaned[key] = cleanNonFinite(value[key])
+      }
+    }
+    return cleaned
+  }
+  return value
+}
+
+const getErrorMessage = (name, response, text) => {
+  let message = `${name} API error: ${response.status} ${response.statusText}`.trim()
+  try {
+    const errorData = JSON.parse(text)
+    if (errorData.message || errorData.error || errorData.detail) {
+      message = `${name} API error: ${errorData.message || errorData.error || errorData.detail}`
+    }
+  } catch {
+    if (text && text.length < 200) {
+      message = `${name} API error: ${text}`
+    }
+  }
+  return message
+}
+
+/**
+ * Perform a single attempt, with its own timeout linked to the caller's signal
+ */
+const attemptRequest = async (url, init, { name, timeout, signal, sanitize }) => {
+  const controller = new AbortController()
+  let timedOut = false
+  const timer = setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, timeout)
+  const onAbort = () => controller.abort()
+  signal?.addEventListener('abort', onAbort, { once: true })
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal })
+    const text = await response.text()
+
+    if (!response.ok) {
+      const error = new ApiError(getErrorMessage(name, response, text), {
+        status: response.status,
+        statusText: response.statusText,
+        body: text
+      })
+      error.retryAfter = response.headers.get('retry-after')
+      throw error
+    }
+
+    // 204 No Content and other empty replies (e.g. to DELETE) carry no data
+    if (response.status === 204 || !text.trim()) return null
+
+    try {
+      const data = JSON.parse(sanitize ? sanitizeJSONText(text) : text)
+      return sanitize ? cleanNonFinite(data) : data
+    } catch (parseError) {
+      throw new ApiError(`Invalid JSON response from ${name} API: ${parseError.message}`, {
+        status: response.status,
+        body: text.substring(0, 500)
+      })
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      if (timedOut) {
+        throw new ApiError(`${name} API request timed out after ${Math.round(timeout / 1000)}s`, { timedOut: true })
+      }
+      throw createAbortError()
+    }
+    if (error instanceof ApiError) throw error
+    // fetch() rejects with a TypeError on network failures
+    throw new ApiError(`${name} API network error: ${error.message}`)
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', onAbort)
+  }
+}
+
+/**
+ * Shared request core for every backend call. Resolves with the parsed JSON body,
+ * or null when the response has none (e.g. 204 No Content).
+ *
+ * Options:
+ * - method, body: body is JSON-encoded when present
+ * - name: label used in error messages and logs, e.g. 'Hourly AQI'
+ * - signal: AbortSignal to cancel the request (including pending retries)
+ * - timeout: per-attempt timeout in ms
+ * - retries / retryDelay: exponential backoff on 5xx responses and network errors
+ * - sanitize: replace NaN/Infinity values in the response with null
+ */
+export const request = async (path, {
+  method = 'POST',
+  body,
+  name = 'Backend',
+  signal,
+  timeout = DEFAULT_TIMEOUT,
+  retries = DEFAULT_RETRIES,
+  retryDelay = DEFAULT_RETRY_DELAY,
+  sanitize = false
+} = {}) => {
+  const init = {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw createAbortError()
+
+    try {
+      return await attemptRequest(apiUrl(path), init, { name, timeout, signal, sanitize })
+    } catch (error) {
+      if (isAbortError(error)) throw error
+
+      if (attempt < retries && isRetryable(error)) {
+        const delay = getRetryDelay(attempt, retryDelay, error)
+        console.warn(`${error.message} - retrying in ${Math.round(delay)}ms (attempt ${attempt + 2} of ${retries + 1})`)
+        await sleep(delay, signal)
+        continue
+      }
+
+      console.error(`Error fetching ${name} data:`, error)
+      throw error
+    }
+  }
+}
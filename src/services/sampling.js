@@ -0,0 +1,264 @@
+import {
+  calculateGeometryCenter,
+  fetchAQIData,
+  fetchWeatherData,
+  fetchHourlyAQIData,
+  fetchHourlyAQIDataRange,
+  fetchHourlyWeatherData,
+  fetchHourlyWeatherDataRange
+} from './api'
+import { isAbortError } from './httpClient'
+import { mapWithConcurrency } from '../utils/concurrency'
+import { generateSampleGrid } from '../utils/geometry'
+
+/**
+ * Sample densities offered in the sidebar. `maxPoints` caps the grid size,
+ * since every sample point costs one backend request per endpoint.
+ */
+export const SAMPLE_DENSITIES = {
+  centroid: { label: 'Centre point only', maxPoints: 1 },
+  low: { label: 'Low (up to 9 points)', maxPoints: 9 },
+  medium: { label: 'Medium (up to 16 points)', maxPoints: 16 },
+  high: { label: 'High (up to 25 points)', maxPoints: 25 }
+}
+
+export const DEFAULT_SAMPLE_DENSITY = 'centroid'
+
+// Sample points queried at once; range fetches fan out further per point
+const SAMPLE_CONCURRENCY = 3
+
+// Field that ranks sample cells, per dataset: the highest value is the "worst cell"
+const PRIMARY_FIELDS = {
+  aqi: 'aqi',
+  weather: 'temperature'
+}
+
+/**
+ * Points to query for a geometry: a grid over the area for sampled densities,
+ * or the centre point (also the fallback when no grid cell lands inside)
+ */
+export const getSamplePoints = (geometry, density = DEFAULT_SAMPLE_DENSITY) => {
+  const { maxPoints } = SAMPLE_DENSITIES[density] || SAMPLE_DENSITIES[DEFAULT_SAMPLE_DENSITY]
+  if (maxPoints > 1) {
+    const grid = generateSampleGrid(geometry, maxPoints)
+    if (grid.length > 1) return grid
+  }
+  const center = calculateGeometryCenter(geometry)
+  return center ? [center] : []
+}
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value)
+
+// Fields an area mean suits; the rest (codes, coordinates, labels) come from one sample
+const MEAN_FIELDS = [
+  'aqi', 'pm2_5', 'pm10', 'co', 'so2', 'no2', 'o3', 'trend_percentage',
+  'temperature', 'feels_like', 'temperature_max', 'temperature_min', 'humidity', 'pressure',
+  'wind_speed', 'wind_gusts', 'visibility', 'precipitation', 'cloud_cover', 'uv_index', 'uv_index_max'
+]
+
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW']
+
+/**
+ * Mean of bearings in degrees, as the direction of their summed unit vectors (350° and 10°
+ * give 0°, not 180°), or null when there are none or they cancel out
+ */
+const circularMean = (degrees) => {
+  const x = degrees.reduce((sum, value) => sum + Math.cos(value * Math.PI / 180), 0)
+  const y = degrees.reduce((sum, value) => sum + Math.sin(value * Math.PI / 180), 0)
+  if (degrees.length === 0 || Math.hypot(x, y) < 1e-6 * degrees.length) return null
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360
+}
+
+/**
+ * Average the MEAN_FIELDS of `items` and take the circular mean of their wind direction;
+ * other fields are copied from `base`
+ */
+const averageFields = (items, base) => {
+  const averaged = { ...base }
+  MEAN_FIELDS.forEach(key => {
+    const values = items.map(item => item?.[key]).filter(isNumber)
+    if (values.length > 0) {
+      averaged[key] = values.reduce((sum, value) => sum + value, 0) / values.length
+    }
+  })
+
+  const direction = circularMean(items.map(item => item?.wind_direction).filter(isNumber))
+  if (direction !== null) {
+    averaged.wind_direction = direction
+    if (base?.wind_direction_cardinal) {
+      averaged.wind_direction_cardinal = COMPASS_POINTS[Math.round(direction / 22.5) % COMPASS_POINTS.length]
+    }
+  }
+  return averaged
+}
+
+/**
+ * Area statistics of the primary field: { field, sample_count, failed_count, mean, min, max, worst }.
+ * `getValue(sample)` gives one number per sample point; `worst` is the highest, with its location.
+ */
+const summarizeArea = (samples, field, failedCount, getValue) => {
+  const ranked = samples
+    .map(sample => ({ point: sample.point, value: getValue(sample) }))
+    .filter(entry => isNumber(entry.value))
+    .sort((a, b) => b.value - a.value)
+  const values = ranked.map(entry => entry.value)
+
+  return {
+    field,
+    sample_count: samples.length,
+    failed_count: failedCount,
+    mean: values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null,
+    min: values.length > 0 ? Math.min(...values) : null,
+    max: values.length > 0 ? Math.max(...values) : null,
+    worst: ranked.length > 0 ? { ...ranked[0].point, value: ranked[0].value } : null
+  }
+}
+
+/**
+ * Combine point responses into one response of the same shape holding area means,
+ * plus `area` statistics for the primary field
+ */
+const aggregatePointResponses = (samples, dataset, failedCount) => {
+  const field = PRIMARY_FIELDS[dataset]
+  const area = summarizeArea(samples, field, failedCount, sample => sample.data?.[field])
+  // Non-numeric fields (condition, category...) come from the worst cell
+  const worstSample = samples.find(sample => sample.data?.[field] === area.max)
+  const aggregated = averageFields(samples.map(sample => sample.data), (worstSample || samples[0]).data)
+  if (dataset === 'aqi' && isNumber(aggregated.aqi)) {
+    aggregated.aqi = Math.round(aggregated.aqi)
+  }
+  aggregated.area = area
+  return aggregated
+}
+
+/**
+ * Merge hourly responses by timestamp. Each merged record averages the samples for
+ * that hour and carries `<field>_min` / `<field>_max` for the primary field.
+ * `area` ranks the sample points by their mean over the whole period.
+ */
+const aggregateHourlyResponses = (samples, dataset, failedCount) => {
+  const field = PRIMARY_FIELDS[dataset]
+  const byTime = new Map()
+  samples.forEach(({ data }) => {
+    (data?.hourly_records || []).forEach(record => {
+      if (!record?.date) return
+      if (!byTime.has(record.date)) byTime.set(record.date, [])
+      byTime.get(record.date).push(record)
+    })
+  })
+
+  const hourlyRecords = [...byTime.keys()].sort().map(date => {
+    const records = byTime.get(date)
+    const merged = averageFields(records, records[0])
+    const values = records.map(record => record[field]).filter(isNumber)
+    if (values.length > 0) {
+      merged[`${field}_min`] = Math.min(...values)
+      merged[`${field}_max`] = Math.max(...values)
+    }
+    if (dataset === 'aqi' && isNumber(merged.aqi)) {
+      merged.aqi = Math.round(merged.aqi)
+    }
+    return merged
+  })
+
+  const periodMean = ({ data }) => {
+    const values = (data?.hourly_records || []).map(record => record?.[field]).filter(isNumber)
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+  }
+  const aggregated = {
+    hourly_records: hourlyRecords,
+    area: summarizeArea(samples, field, failedCount, periodMean)
+  }
+
+  // A day is only missing for the area when no sample point has it
+  const missingLists = samples.map(({ data }) => data?.missing_dates).filter(Array.isArray)
+  if (missingLists.length > 0) {
+    aggregated.missing_dates = missingLists.reduce((common, list) => common.filter(date => list.includes(date)))
+  }
+  return aggregated
+}
+
+/**
+ * Run `fetcher(latitude, longitude)` for every sample point. A single point is passed
+ * through untouched (keeping cache metadata); failed points are skipped unless all fail.
+ */
+const fetchForPoints = async (points, fetcher, aggregate, signal) => {
+  if (points.length === 0) {
+    throw new Error('No sample points for the selected area')
+  }
+  if (points.length === 1) {
+    return fetcher(points[0].latitude, points[0].longitude)
+  }
+
+  const results = await mapWithConcurrency(
+    points,
+    SAMPLE_CONCURRENCY,
+    (point) => fetcher(point.latitude, point.longitude),
+    { signal }
+  )
+
+  const samples = []
+  const failures = []
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      samples.push({ point: points[index], data: result.value })
+    } else {
+      failures.push(result.reason)
+    }
+  })
+
+  const aborted = failures.find(isAbortError)
+  if (aborted) throw aborted
+  if (samples.length === 0) throw failures[failures.length - 1]
+  if (failures.length > 0) {
+    console.warn(`${failures.length} of ${points.length} sample points failed:`, failures[0].message)
+  }
+  return aggregate(samples, failures.length)
+}
+
+/**
+ * Area versions of the api.js fetch helpers. They take a list of sample points
+ * ({ latitude, longitude }) from getSamplePoints instead of one coordinate pair,
+ * and the same trailing options.
+ */
+export const fetchAreaAQIData = (points, date = null, options = {}) => fetchForPoints(
+  points,
+  (latitude, longitude) => fetchAQIData(latitude, longitude, date, options),
+  (samples, failed) => aggregatePointResponses(samples, 'aqi', failed),
+  options.signal
+)
+
+export const fetchAreaWeatherData = (points, date = null, options = {}) => fetchForPoints(
+  points,
+  (latitude, longitude) => fetchWeatherData(latitude, longitude, date, options),
+  (samples, failed) => aggregatePointResponses(samples, 'weather', failed),
+  options.signal
+)
+
+export const fetchAreaHourlyAQIData = (points, date, options = {}) => fetchForPoints(
+  points,
+  (latitude, longitude) => fetchHourlyAQIData(latitude, longitude, date, options),
+  (samples, failed) => aggregateHourlyResponses(samples, 'aqi', failed),
+  options.signal
+)
+
+export const fetchAreaHourlyAQIDataRange = (points, startDate, endDate, options = {}) => fetchForPoints(
+  points,
+  (latitude, longitude) => fetchHourlyAQIDataRange(latitude, longitude, startDate, endDate, options),
+  (samples, failed) => aggregateHourlyResponses(samples, 'aqi', failed),
+  options.signal
+)
+
+export const fetchAreaHourlyWeatherData = (points, date, options = {}) => fetchForPoints(
+  points,
+  (latitude, longitude) => fetchHourlyWeatherData(latitude, longitude, date, options),
+  (samples, failed) => aggregateHourlyResponses(samples, 'weather', failed),
+  options.signal
+)
+
+export const fetchAreaHourlyWeatherDataRange = (points, startDate, endDate, options = {}) => fetchForPoints(
+  points,
+  (latitude, longitude) => fetchHourlyWeatherDataRange(latitude, longitude, startDate, endDate, options),
+  (samples, failed) => aggregateHourlyResponses(samples, 'weather', failed),
+  options.signal
+)
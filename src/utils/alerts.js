@@ -0,0 +1,100 @@
+import { RANKING_FIELDS } from './comparison'
+import { getAQICategories, getAQIStandard } from './aqiScale'
+import { BACKEND_AQI_STANDARD } from './aqiCalculator'
+
+/**
+ * Threshold alert rules for an area's live readings. A rule looks like
+ * { id, areaKey, areaName, field, threshold, durationMinutes, quietHours, enabled, status },
+ * where `quietHours` is { start: 'HH:mm', end: 'HH:mm' } or null and `status` is
+ * { breachSince, active, historyId } as of the last evaluation.
+ */
+
+export const ALERT_FIELDS = RANKING_FIELDS
+
+/**
+ * AQI thresholds to pick from, one per category above the first: a rule with the threshold fires
+ * once the AQI enters that category. Rules compare the backend's AQI, so the categories are US EPA's
+ * whichever standard is chosen for display.
+ */
+export const getAQIAlertPresets = () => (
+  getAQICategories(BACKEND_AQI_STANDARD).slice(1).map(category => ({
+    label: category.shortLabel,
+    name: `${category.label}, ${getAQIStandard(BACKEND_AQI_STANDARD).label}`,
+    threshold: category.lower - 1
+  }))
+)
+
+export const IDLE_STATUS = { breachSince: null, active: false, historyId: null }
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value)
+
+// 32-bit FNV-1a, enough to tell areas apart in storage keys
+const hashText = (text) => {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(36)
+}
+
+/**
+ * Stable key for the area rules belong to: the saved area id when there is one,
+ * otherwise a hash of the rounded geometry
+ */
+export const getAreaKey = (geometry, areaId = null) => {
+  if (areaId) return `area:${areaId}`
+  if (!geometry) return null
+  return `geometry:${hashText(JSON.stringify(geometry.coordinates, (key, value) => (
+    typeof value === 'number' ? Math.round(value * 1e5) : value
+  )))}`
+}
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+/**
+ * Whether `now` falls in quiet hours; ranges may wrap past midnight (e.g. 22:00-07:00)
+ */
+export const isWithinQuietHours = (quietHours, now = new Date()) => {
+  if (!quietHours?.start || !quietHours?.end) return false
+  const start = toMinutes(quietHours.start)
+  const end = toMinutes(quietHours.end)
+  const current = now.getHours() * 60 + now.getMinutes()
+  if (start === end) return false
+  return start < end ? current >= start && current < end : current >= start || current < end
+}
+
+/**
+ * Next status of a rule for a reading, and the event it causes ('triggered', 'cleared' or null).
+ * A rule triggers once the field has stayed above the threshold for `durationMinutes`,
+ * and clears as soon as a reading is back at or below it. Missing readings change nothing.
+ */
+export const evaluateRule = (rule, value, now = new Date()) => {
+  const status = rule.status || IDLE_STATUS
+  if (!isNumber(value)) return { status, event: null }
+
+  if (value > rule.threshold) {
+    const breachSince = status.breachSince || now.toISOString()
+    const breachedFor = (now - new Date(breachSince)) / 60000
+    if (!status.active && breachedFor >= (rule.durationMinutes || 0)) {
+      return { status: { ...status, breachSince, active: true }, event: 'triggered' }
+    }
+    return { status: { ...status, breachSince }, event: null }
+  }
+
+  if (status.active) return { status: IDLE_STATUS, event: 'cleared' }
+  return { status: IDLE_STATUS, event: null }
+}
+
+/**
+ * "AQI above 150 for 30 min"
+ */
+export const describeRule = (rule) => {
+  const field = ALERT_FIELDS.find(entry => entry.key === rule.field)
+  const unit = field?.unit ? ` ${field.unit}` : ''
+  const duration = rule.durationMinutes > 0 ? ` for ${rule.durationMinutes} min` : ''
+  return `${field?.label || rule.field} above ${rule.threshold}${unit}${duration}`
+}
@@ -0,0 +1,222 @@
+import { subHours, parseISO } from 'date-fns'
+import { getAQIStandard, getAQICategory } from './aqiScale'
+import { SOURCE_UNITS, convertConcentration } from './pollutantUnits'
+
+/**
+ * Client-side AQI: each pollutant's sub-index under a standard's breakpoint table, the
+ * dominant pollutant and a check of the backend's `aqi` against its concentrations.
+ *
+ * A table band is [concentrationLow, concentrationHigh, indexLow, indexHigh]; a concentration
+ * belongs to the first band whose high end it does not exceed and is interpolated linearly.
+ * Above the last band the last band's slope is extended and the sub-index is flagged `extrapolated`.
+ */
+
+export const POLLUTANT_LABELS = { pm2_5: 'PM2.5', pm10: 'PM10', co: 'CO', so2: 'SO₂', no2: 'NO₂', o3: 'O₃' }
+
+// Standard the backend's `aqi` follows; its value is checked by recomputing it under this table
+export const BACKEND_AQI_STANDARD = 'us_epa'
+
+// The backend value counts as a mismatch when it is further than this from the computed one
+const MISMATCH_POINTS = 10
+const MISMATCH_RATIO = 0.2
+
+// A trailing average needs this share of its hours to be present
+const MIN_COVERAGE = 0.75
+
+// Bands from continuous breakpoint lists: concentrations [0, a, b, ...] against indices [0, x, y, ...]
+const continuous = (concentrations, indices) => concentrations.slice(1).map((high, i) => (
+  [concentrations[i], high, indices[i], indices[i + 1]]
+))
+
+const CHINA_INDICES = [0, 50, 100, 150, 200, 300, 400, 500]
+const CAQI_INDICES = [0, 25, 50, 75, 100]
+
+// Per standard and pollutant: averaging period in hours, table unit, decimals concentrations
+// are truncated to before the lookup (none for continuous tables) and the bands
+const BREAKPOINTS = {
+  us_epa: {
+    pm2_5: { hours: 24, unit: 'µg/m³', decimals: 1, bands: [[0, 9, 0, 50], [9.1, 35.4, 51, 100], [35.5, 55.4, 101, 150], [55.5, 125.4, 151, 200], [125.5, 225.4, 201, 300], [225.5, 325.4, 301, 500]] },
+    pm10: { hours: 24, unit: 'µg/m³', decimals: 0, bands: [[0, 54, 0, 50], [55, 154, 51, 100], [155, 254, 101, 150], [255, 354, 151, 200], [355, 424, 201, 300], [425, 604, 301, 500]] },
+    o3: { hours: 8, unit: 'ppm', decimals: 3, bands: [[0, 0.054, 0, 50], [0.055, 0.07, 51, 100], [0.071, 0.085, 101, 150], [0.086, 0.105, 151, 200], [0.106, 0.2, 201, 300]] },
+    co: { hours: 8, unit: 'ppm', decimals: 1, bands: [[0, 4.4, 0, 50], [4.5, 9.4, 51, 100], [9.5, 12.4, 101, 150], [12.5, 15.4, 151, 200], [15.5, 30.4, 201, 300], [30.5, 50.4, 301, 500]] },
+    so2: { hours: 1, unit: 'ppb', decimals: 0, bands: [[0, 35, 0, 50], [36, 75, 51, 100], [76, 185, 101, 150], [186, 304, 151, 200], [305, 604, 201, 300], [605, 1004, 301, 500]] },
+    no2: { hours: 1, unit: 'ppb', decimals: 0, bands: [[0, 53, 0, 50], [54, 100, 51, 100], [101, 360, 101, 150], [361, 649, 151, 200], [650, 1249, 201, 300], [1250, 2049, 301, 500]] }
+  },
+  // CPCB leaves the Severe band open-ended, so values above Very Poor extend its slope
+  in_naqi: {
+    pm2_5: { hours: 24, unit: 'µg/m³', decimals: 0, bands: [[0, 30, 0, 50], [31, 60, 51, 100], [61, 90, 101, 200], [91, 120, 201, 300], [121, 250, 301, 400]] },
+    pm10: { hours: 24, unit: 'µg/m³', decimals: 0, bands: [[0, 50, 0, 50], [51, 100, 51, 100], [101, 250, 101, 200], [251, 350, 201, 300], [351, 430, 301, 400]] },
+    o3: { hours: 8, unit: 'µg/m³', decimals: 0, bands: [[0, 50, 0, 50], [51, 100, 51, 100], [101, 168, 101, 200], [169, 208, 201, 300], [209, 748, 301, 400]] },
+    co: { hours: 8, unit: 'mg/m³', decimals: 1, bands: [[0, 1, 0, 50], [1.1, 2, 51, 100], [2.1, 10, 101, 200], [10.1, 17, 201, 300], [17.1, 34, 301, 400]] },
+    so2: { hours: 24, unit: 'µg/m³', decimals: 0, bands: [[0, 40, 0, 50], [41, 80, 51, 100], [81, 380, 101, 200], [381, 800, 201, 300], [801, 1600, 301, 400]] },
+    no2: { hours: 24, unit: 'µg/m³', decimals: 0, bands: [[0, 40, 0, 50], [41, 80, 51, 100], [81, 180, 101, 200], [181, 280, 201, 300], [281, 400, 301, 400]] }
+  },
+  // Background grid with the daily PM variant
+  eu_caqi: {
+    pm2_5: { hours: 24, unit: 'µg/m³', bands: continuous([0, 10, 20, 30, 60], CAQI_INDICES) },
+    pm10: { hours: 24, unit: 'µg/m³', bands: continuous([0, 15, 30, 50, 100], CAQI_INDICES) },
+    o3: { hours: 1, unit: 'µg/m³', bands: continuous([0, 60, 120, 180, 240], CAQI_INDICES) },
+    co: { hours: 8, unit: 'µg/m³', bands: continuous([0, 5000, 7500, 10000, 20000], CAQI_INDICES) },
+    so2: { hours: 1, unit: 'µg/m³', bands: continuous([0, 50, 100, 350, 500], CAQI_INDICES) },
+    no2: { hours: 1, unit: 'µg/m³', bands: continuous([0, 50, 100, 200, 400], CAQI_INDICES) }
+  },
+  // Daily-average IAQI tables; the 8-hour O3 table stops at 300
+  cn_hj633: {
+    pm2_5: { hours: 24, unit: 'µg/m³', bands: continuous([0, 35, 75, 115, 150, 250, 350, 500], CHINA_INDICES) },
+    pm10: { hours: 24, unit: 'µg/m³', bands: continuous([0, 50, 150, 250, 350, 420, 500, 600], CHINA_INDICES) },
+    o3: { hours: 8, unit: 'µg/m³', bands: continuous([0, 100, 160, 215, 265, 800], CHINA_INDICES) },
+    co: { hours: 24, unit: 'mg/m³', bands: continuous([0, 2, 4, 14, 24, 36, 48, 60], CHINA_INDICES) },
+    so2: { hours: 24, unit: 'µg/m³', bands: continuous([0, 50, 150, 475, 800, 1600, 2100, 2620], CHINA_INDICES) },
+    no2: { hours: 24, unit: 'µg/m³', bands: continuous([0, 40, 80, 180, 280, 565, 750, 940], CHINA_INDICES) }
+  }
+}
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value)
+
+const getTables = (standardId) => BREAKPOINTS[getAQIStandard(standardId).id]
+
+const truncate = (value, decimals) => {
+  if (decimals === undefined) return value
+  const factor = 10 ** decimals
+  return Math.floor(value * factor + 1e-9) / factor
+}
+
+/**
+ * Sub-index of one concentration (in the table's unit): { index, extrapolated }
+ */
+export const getSubIndex = (concentration, table) => {
+  const value = truncate(Math.max(0, concentration), table.decimals)
+  const band = table.bands.find(entry => value <= entry[1])
+  if (band) {
+    const [cLow, cHigh, iLow, iHigh] = band
+    const position = cHigh === cLow ? 0 : Math.max(0, value - cLow) / (cHigh - cLow)
+    return { index: Math.round(iLow + position * (iHigh - iLow)), extrapolated: false }
+  }
+  const [cLow, cHigh, iLow, iHigh] = table.bands[table.bands.length - 1]
+  return { index: Math.round(iHigh + (value - cHigh) * (iHigh - iLow) / (cHigh - cLow)), extrapolated: true }
+}
+
+/**
+ * Concentrations as reported in a reading: { [pollutant]: { value, hours: null } }
+ */
+export const getReportedConcentrations = (reading) => {
+  const concentrations = {}
+  Object.keys(SOURCE_UNITS).forEach(pollutant => {
+    if (isNumber(reading?.[pollutant])) concentrations[pollutant] = { value: reading[pollutant], hours: null }
+  })
+  return concentrations
+}
+
+/**
+ * Trailing means of hourly `records` ending at `at`, over each pollutant's averaging period
+ * under the standard: { [pollutant]: { value, hours } }. Pollutants without enough hours in
+ * their window keep the reading's reported value (`hours: null`).
+ */
+export const getAveragedConcentrations = (records, standardId, at = new Date(), reading = null) => {
+  const end = at instanceof Date ? at : parseISO(at)
+  const timed = (records || [])
+    .filter(record => record?.date)
+    .map(record => ({ record, time: parseISO(record.date) }))
+  const concentrations = getReportedConcentrations(reading)
+
+  Object.entries(getTables(standardId)).forEach(([pollutant, table]) => {
+    const start = subHours(end, table.hours)
+    const values = timed
+      .filter(({ record, time }) => time > start && time <= end && isNumber(record[pollutant]))
+      .map(({ record }) => record[pollutant])
+    if (values.length >= Math.ceil(table.hours * MIN_COVERAGE)) {
+      concentrations[pollutant] = { value: values.reduce((sum, value) => sum + value, 0) / values.length, hours: table.hours }
+    }
+  })
+  return concentrations
+}
+
+/**
+ * AQI of concentrations ({ [pollutant]: { value, hours } } in the backend's units) under a standard:
+ * { aqi, dominant, subIndices, note }. `subIndices` hold, highest first,
+ * { pollutant, label, concentration, unit, hours, averagingHours, index, category, extrapolated },
+ * where `hours` is the period actually averaged (null for a reported value) and `averagingHours`
+ * the period the standard asks for.
+ */
+export const calculateAQI = (concentrations, standardId) => {
+  const subIndices = []
+  Object.entries(getTables(standardId)).forEach(([pollutant, table]) => {
+    const entry = concentrations[pollutant]
+    if (!entry || !isNumber(entry.value)) return
+    // Breakpoint tables are defined at the reference conditions
+    const concentration = convertConcentration(entry.value, pollutant, SOURCE_UNITS[pollutant], table.unit)
+    const { index, extrapolated } = getSubIndex(concentration, table)
+    subIndices.push({
+      pollutant,
+      label: POLLUTANT_LABELS[pollutant],
+      concentration,
+      unit: table.unit,
+      hours: entry.hours,
+      averagingHours: table.hours,
+      index,
+      category: getAQICategory(index, standardId),
+      extrapolated
+    })
+  })
+  subIndices.sort((a, b) => b.index - a.index)
+
+  // NAQI is only reported from three or more pollutants, one of them PM2.5 or PM10
+  if (getAQIStandard(standardId).id === 'in_naqi') {
+    const hasPM = subIndices.some(entry => entry.pollutant === 'pm2_5' || entry.pollutant === 'pm10')
+    if (subIndices.length < 3 || !hasPM) {
+      return { aqi: null, dominant: null, subIndices, note: 'NAQI needs at least three pollutants including PM2.5 or PM10' }
+    }
+  }
+
+  if (subIndices.length === 0) return { aqi: null, dominant: null, subIndices, note: null }
+  return { aqi: subIndices[0].index, dominant: subIndices[0].pollutant, subIndices, note: null }
+}
+
+/**
+ * Compare the backend's `aqi` with the value its concentrations give under BACKEND_AQI_STANDARD:
+ * { backend, expected, difference, mismatch }, or null when either side is missing
+ */
+export const checkBackendAQI = (concentrations, backendAqi) => {
+  if (!isNumber(backendAqi)) return null
+  const { aqi: expected } = calculateAQI(concentrations, BACKEND_AQI_STANDARD)
+  if (!isNumber(expected)) return null
+  const difference = backendAqi - expected
+  return {
+    backend: backendAqi,
+    expected,
+    difference,
+    mismatch: Math.abs(difference) > Math.max(MISMATCH_POINTS, expected * MISMATCH_RATIO)
+  }
+}
+
+/**
+ * The index to show for a reading under `standardId` with its category: { aqi, standardId, category }.
+ * The backend's `aqi` only ever gets BACKEND_AQI_STANDARD's categories; under another standard the
+ * index is the one the reading's concentrations give (or `computed`'s, a calculateAQI result),
+ * falling back to the backend value under BACKEND_AQI_STANDARD when they give none.
+ */
+export const getDisplayedAQI = (reading, standardId, computed = null) => {
+  const id = getAQIStandard(standardId).id
+  if (id !== BACKEND_AQI_STANDARD) {
+    const { aqi } = computed || calculateAQI(getReportedConcentrations(reading), id)
+    if (isNumber(aqi)) return { aqi, standardId: id, category: getAQICategory(aqi, id) }
+  }
+  const aqi = isNumber(reading?.aqi) ? reading.aqi : null
+  return { aqi, standardId: BACKEND_AQI_STANDARD, category: getAQICategory(aqi, BACKEND_AQI_STANDARD) }
+}
+
+/**
+ * Everything the sub-index breakdown shows for a reading: the AQI under `standardId`
+ * (see calculateAQI), from trailing averages of `records` when given and reported values
+ * otherwise, plus `backendCheck` (see checkBackendAQI)
+ */
+export const getAQIBreakdown = (reading, standardId, records = null) => {
+  if (!reading) return null
+  const concentrations = records?.length
+    ? getAveragedConcentrations(records, standardId, reading.date || new Date(), reading)
+    : getReportedConcentrations(reading)
+  return {
+    ...calculateAQI(concentrations, standardId),
+    backendCheck: checkBackendAQI(getReportedConcentrations(reading), reading.aqi)
+  }
+}
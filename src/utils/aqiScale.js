@@ -0,0 +1,157 @@
+/**
+ * AQI category scales of the national standards the dashboard can classify readings by.
+ * Each category covers index values up to and including `upper`; the last one is open-ended.
+ * `chartMax` is where charts and gauges stop drawing the open-ended top category.
+ */
+
+export const AQI_STANDARDS = {
+  us_epa: {
+    id: 'us_epa',
+    label: 'US EPA',
+    name: 'US EPA Air Quality Index',
+    chartMax: 400,
+    categories: [
+      { upper: 50, label: 'Good', shortLabel: 'Good', color: '#00e400' },
+      { upper: 100, label: 'Moderate', shortLabel: 'Moderate', color: '#ffff00' },
+      { upper: 150, label: 'Unhealthy for Sensitive Groups', shortLabel: 'Sensitive', color: '#ff7e00' },
+      { upper: 200, label: 'Unhealthy', shortLabel: 'Unhealthy', color: '#ff0000' },
+      { upper: 300, label: 'Very Unhealthy', shortLabel: 'Very Unhealthy', color: '#8f3f97' },
+      { upper: Infinity, label: 'Hazardous', shortLabel: 'Hazardous', color: '#7e0023' }
+    ]
+  },
+  in_naqi: {
+    id: 'in_naqi',
+    label: 'India NAQI',
+    name: 'India National Air Quality Index (CPCB)',
+    chartMax: 500,
+    categories: [
+      { upper: 50, label: 'Good', shortLabel: 'Good', color: '#00b050' },
+      { upper: 100, label: 'Satisfactory', shortLabel: 'Satisfactory', color: '#92d050' },
+      { upper: 200, label: 'Moderate', shortLabel: 'Moderate', color: '#ffff00' },
+      { upper: 300, label: 'Poor', shortLabel: 'Poor', color: '#ff9900' },
+      { upper: 400, label: 'Very Poor', shortLabel: 'Very Poor', color: '#ff0000' },
+      { upper: Infinity, label: 'Severe', shortLabel: 'Severe', color: '#c00000' }
+    ]
+  },
+  eu_caqi: {
+    id: 'eu_caqi',
+    label: 'EU CAQI',
+    name: 'European Common Air Quality Index',
+    chartMax: 125,
+    categories: [
+      { upper: 25, label: 'Very Low', shortLabel: 'Very Low', color: '#79bc6a' },
+      { upper: 50, label: 'Low', shortLabel: 'Low', color: '#bbcf4c' },
+      { upper: 75, label: 'Medium', shortLabel: 'Medium', color: '#eec20b' },
+      { upper: 100, label: 'High', shortLabel: 'High', color: '#f29305' },
+      { upper: Infinity, label: 'Very High', shortLabel: 'Very High', color: '#e8416f' }
+    ]
+  },
+  cn_hj633: {
+    id: 'cn_hj633',
+    label: 'China HJ 633',
+    name: 'China Air Quality Index (HJ 633-2012)',
+    chartMax: 400,
+    categories: [
+      { upper: 50, label: 'Excellent', shortLabel: 'Excellent', color: '#00e400' },
+      { upper: 100, label: 'Good', shortLabel: 'Good', color: '#ffff00' },
+      { upper: 150, label: 'Lightly Polluted', shortLabel: 'Light', color: '#ff7e00' },
+      { upper: 200, label: 'Moderately Polluted', shortLabel: 'Moderate', color: '#ff0000' },
+      { upper: 300, label: 'Heavily Polluted', shortLabel: 'Heavy', color: '#99004c' },
+      { upper: Infinity, label: 'Severely Polluted', shortLabel: 'Severe', color: '#7e0023' }
+    ]
+  }
+}
+
+export const DEFAULT_AQI_STANDARD = 'us_epa'
+
+const NO_DATA_COLOR = '#6b7280'
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value)
+
+/**
+ * Colour with transparency, for category backgrounds: withAlpha('#ff0000', 0.2) -> 'rgba(255, 0, 0, 0.2)'
+ */
+export const withAlpha = (hex, alpha) => {
+  const value = parseInt(hex.slice(1), 16)
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`
+}
+
+/**
+ * The standard for an id, falling back to the default for unknown ids
+ */
+export const getAQIStandard = (id) => AQI_STANDARDS[id] || AQI_STANDARDS[DEFAULT_AQI_STANDARD]
+
+/**
+ * Categories of a standard with their index ranges: [{ ...category, index, lower, upper, range }],
+ * where `lower` is the first value of the category and `range` reads like '51-100' or '301+'
+ */
+export const getAQICategories = (standardId) => {
+  const { categories } = getAQIStandard(standardId)
+  return categories.map((category, index) => {
+    const lower = index === 0 ? 0 : categories[index - 1].upper + 1
+    return {
+      ...category,
+      index,
+      lower,
+      range: isFinite(category.upper) ? `${lower}-${category.upper}` : `${lower}+`
+    }
+  })
+}
+
+/**
+ * Category of an index value: { label, shortLabel, color, bgColor, index, lower, upper, range },
+ * or an 'N/A' category (index -1) when there is no value
+ */
+export const getAQICategory = (aqi, standardId) => {
+  if (!isNumber(aqi)) {
+    return { label: 'N/A', shortLabel: 'N/A', color: NO_DATA_COLOR, bgColor: withAlpha(NO_DATA_COLOR, 0.2), index: -1 }
+  }
+  const categories = getAQICategories(standardId)
+  const category = categories.find(entry => aqi <= entry.upper) || categories[categories.length - 1]
+  return { ...category, bgColor: withAlpha(category.color, 0.2) }
+}
+
+/**
+ * Position of an index value along a scale where every category gets the same width,
+ * from 0 (bottom of the first category) to 1 (`chartMax`); used by scale bars and gauges
+ */
+export const getScalePosition = (aqi, standardId) => {
+  if (!isNumber(aqi) || aqi <= 0) return 0
+  const standard = getAQIStandard(standardId)
+  const categories = standard.categories
+  const width = 1 / categories.length
+  let lower = 0
+  for (let i = 0; i < categories.length; i++) {
+    const upper = Math.min(categories[i].upper, standard.chartMax)
+    if (aqi <= upper || i === categories.length - 1) {
+      return Math.min(1, width * (i + Math.min(1, (aqi - lower) / (upper - lower))))
+    }
+    lower = upper
+  }
+  return 1
+}
+
+/**
+ * Background bands for AQI charts: [{ from, to, color, label }], the last ending at `chartMax`
+ */
+export const getChartBands = (standardId) => {
+  const standard = getAQIStandard(standardId)
+  let from = 0
+  return standard.categories.map(category => {
+    const to = Math.min(category.upper, standard.chartMax)
+    const band = { from, to, color: category.color, label: category.label }
+    from = to
+    return band
+  })
+}
+
+/**
+ * Y-axis domain and ticks for AQI charts: the category boundaries up to `chartMax`
+ */
+export const getChartAxis = (standardId) => {
+  const standard = getAQIStandard(standardId)
+  return {
+    domain: [0, standard.chartMax],
+    ticks: [0, ...getChartBands(standardId).map(band => band.to)]
+  }
+}
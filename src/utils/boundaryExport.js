@@ -0,0 +1,177 @@
+import { format } from 'date-fns'
+import { toKML } from './kml'
+import { toWKT } from './wkt'
+import { closeRing, getPolygons, getGeodesicArea, getGeodesicPerimeter } from './geometry'
+import { getAQIStandard, getAQICategory } from './aqiScale'
+import { BACKEND_AQI_STANDARD, getDisplayedAQI } from './aqiCalculator'
+import { DEFAULT_POLLUTANT_UNITS, POLLUTANT_KEYS, convertReading, formatConcentration, getConversionConditions } from './pollutantUnits'
+import {
+  DEFAULT_UNIT_SYSTEM,
+  WEATHER_FIELD_QUANTITIES,
+  convertWeatherReading,
+  convertWeatherValue,
+  getWeatherFieldUnit,
+  resolveWeatherUnits
+} from './weatherUnits'
+
+/**
+ * Boundary downloads (KML, GeoJSON, WKT) for the current area, optionally carrying
+ * the summary of the last analysis as feature properties / KML ExtendedData.
+ */
+
+export const EXPORT_FORMATS = {
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  wkt: { label: 'WKT', extension: 'wkt', mimeType: 'text/plain' }
+}
+
+const WEATHER_FIELDS = ['temperature', 'feels_like', 'humidity', 'wind_speed', 'uv_index', 'precipitation', 'condition']
+
+const roundValue = (value, decimals = 2) => (
+  typeof value === 'number' && isFinite(value) ? Number(value.toFixed(decimals)) : value
+)
+
+// A unit as the end of a property name: 'µg/m³' -> '_ug_m3', '°F' -> '_degf', 'km/h' -> '_km_h'
+const unitSuffix = (unit) => (unit
+  ? `_${unit.replace('µ', 'u').replace('°', 'deg').replace('³', '3').replace(/[^a-zA-Z0-9]+/g, '_').toLowerCase()}`
+  : '')
+
+// Copy `fields` of a response under `prefix`, with the unit `getUnit(field)` gives in the name, skipping missing values
+const pickFields = (data, fields, { prefix = '', getUnit = () => null, round = (value) => roundValue(value) } = {}) => {
+  const picked = {}
+  fields.forEach(field => {
+    if (data?.[field] !== null && data?.[field] !== undefined) {
+      picked[`${prefix}${field}${unitSuffix(getUnit(field))}`] = round(data[field], field)
+    }
+  })
+  return picked
+}
+
+// Sampled-area statistics of a response, flattened so shapefile-style tools can read them.
+// `convert(value)` gives the extremes in `unit`, when the ranked field has one.
+const pickAreaStats = (area, unit = null, convert = (value) => value) => {
+  if (!area) return {}
+  const suffix = unitSuffix(unit)
+  return {
+    [`${area.field}_area_min${suffix}`]: roundValue(convert(area.min)),
+    [`${area.field}_area_max${suffix}`]: roundValue(convert(area.max)),
+    [`${area.field}_worst_lat`]: area.worst ? roundValue(area.worst.latitude, 5) : null,
+    [`${area.field}_worst_lng`]: area.worst ? roundValue(area.worst.longitude, 5) : null,
+    sample_points: area.sample_count
+  }
+}
+
+// Category of the backend's AQI, which follows US EPA, plus the index and category the response's
+// concentrations give under the chosen standard when that is another (e.g. `aqi_eu_caqi`)
+const pickAQICategory = (data, aqiStandard) => {
+  if (typeof data?.aqi !== 'number') return {}
+  const fields = {
+    aqi_standard: getAQIStandard(BACKEND_AQI_STANDARD).label,
+    aqi_category: getAQICategory(data.aqi, BACKEND_AQI_STANDARD).label
+  }
+  const shown = getDisplayedAQI(data, aqiStandard)
+  if (shown.standardId !== BACKEND_AQI_STANDARD) {
+    fields[`aqi_${shown.standardId}`] = shown.aqi
+    fields[`aqi_${shown.standardId}_category`] = shown.category.label
+  }
+  return fields
+}
+
+/**
+ * Flat summary of an analysis for embedding in exports: mode and date, the backend's AQI with its
+ * US EPA category and the index under `aqiStandard`, pollutant values in `pollutantUnits`
+ * (converted at `conversionConditions`), weather values in `weatherUnits` and sampled-area statistics.
+ * Measured values carry their unit in the property name (e.g. `no2_ppb`, `weather_temperature_degf`).
+ * Returns null when there is no analysis data.
+ */
+export const buildAnalysisSummary = ({
+  aqiData,
+  weatherData,
+  viewMode,
+  date,
+  aqiStandard,
+  pollutantUnits = DEFAULT_POLLUTANT_UNITS,
+  conversionConditions,
+  weatherUnits = resolveWeatherUnits(DEFAULT_UNIT_SYSTEM)
+}) => {
+  if (!aqiData && !weatherData) return null
+  // Ambient conversion conditions come from the weather as reported (°C, mb)
+  const pollutants = aqiData && convertReading(aqiData, pollutantUnits, getConversionConditions(conversionConditions, weatherData))
+  const weather = weatherData && convertWeatherReading(weatherData, weatherUnits)
+  const weatherAreaField = weatherData?.area?.field
+  const weatherAreaUnit = getWeatherFieldUnit(weatherAreaField, weatherUnits)
+
+  const summary = {
+    analysis_mode: viewMode,
+    analysis_date: date || null,
+    ...pickFields(pollutants, ['aqi']),
+    ...pickFields(pollutants, POLLUTANT_KEYS, {
+      getUnit: field => pollutantUnits[field],
+      round: (value, field) => Number(formatConcentration(value, pollutantUnits[field]))
+    }),
+    ...pickAQICategory(aqiData, aqiStandard),
+    ...pickFields(weather, WEATHER_FIELDS, { prefix: 'weather_', getUnit: field => getWeatherFieldUnit(field, weatherUnits) }),
+    ...pickAreaStats(aqiData?.area),
+    ...pickAreaStats(weatherData?.area, weatherAreaUnit, value => (
+      weatherAreaUnit ? convertWeatherValue(value, WEATHER_FIELD_QUANTITIES[weatherAreaField], weatherAreaUnit) : value
+    ))
+  }
+  return Object.fromEntries(Object.entries(summary).filter(([, value]) => value !== null && value !== undefined))
+}
+
+/**
+ * The geometry as a GeoJSON FeatureCollection holding one feature
+ */
+export const toGeoJSON = ({ name, geometry, properties = {} }) => ({
+  type: 'FeatureCollection',
+  features: [{
+    type: 'Feature',
+    properties: { name, ...properties },
+    geometry: {
+      type: geometry.type,
+      coordinates: geometry.type === 'MultiPolygon'
+        ? getPolygons(geometry).map(rings => rings.map(closeRing))
+        : geometry.coordinates.map(closeRing)
+    }
+  }]
+})
+
+const downloadText = (content, filename, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Revoke after the click has been handled, or some browsers cancel the download
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+/**
+ * Download the geometry in one of EXPORT_FORMATS. Area and perimeter are always included;
+ * `summary` (from buildAnalysisSummary) is embedded in KML and GeoJSON. WKT carries geometry only.
+ */
+export const exportBoundary = (formatKey, { name, geometry, summary = null }) => {
+  const exportFormat = EXPORT_FORMATS[formatKey]
+  if (!exportFormat) throw new Error(`Unknown export format "${formatKey}"`)
+
+  const properties = {
+    area_m2: Math.round(getGeodesicArea(geometry)),
+    perimeter_m: Math.round(getGeodesicPerimeter(geometry)),
+    exported_at: new Date().toISOString(),
+    ...summary
+  }
+
+  let content
+  if (formatKey === 'kml') {
+    content = toKML({ name, geometry, properties })
+  } else if (formatKey === 'geojson') {
+    content = JSON.stringify(toGeoJSON({ name, geometry, properties }), null, 2)
+  } else {
+    content = toWKT(geometry)
+  }
+
+  const slug = (name || 'area').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'area'
+  downloadText(content, `${slug}_${format(new Date(), 'yyyy-MM-dd')}.${exportFormat.extension}`, exportFormat.mimeType)
+}
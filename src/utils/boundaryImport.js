@@ -0,0 +1,277 @@
+import proj4 from 'proj4'
+import getShapefile from 'shpjs'
+import { DEFAULT_STYLE, parseKMLFeatures, readKMLFile } from './kml'
+import { isWKT, parseWKT } from './wkt'
+import { getPolygons } from './geometry'
+
+/**
+ * Unified boundary importer: KML/KMZ, GeoJSON, WKT and Shapefiles (zipped, or the
+ * .shp/.dbf/.prj files selected together). Every format resolves to the shape
+ * readKMLFile uses, { name, format, documentName, features }, with WGS84 GeoJSON geometry.
+ */
+
+export const BOUNDARY_FILE_ACCEPT = '.kml,.kmz,.geojson,.json,.wkt,.txt,.zip,.shp,.dbf,.prj,.cpg'
+
+const SHAPEFILE_PARTS = ['shp', 'dbf', 'prj', 'cpg']
+
+const extensionOf = (fileName) => fileName.toLowerCase().split('.').pop()
+
+// Attribute names GIS tools commonly use for a feature's label
+const NAME_PROPERTIES = ['name', 'NAME', 'Name', 'title', 'label', 'NAME_1', 'DISTRICT', 'district']
+
+const featureName = (properties, index) => {
+  const key = NAME_PROPERTIES.find(name => properties?.[name] !== undefined && properties[name] !== null && `${properties[name]}`.trim())
+  return key ? `${properties[key]}`.trim() : `Area ${index + 1}`
+}
+
+// Keep [lng, lat] only; GeoJSON and shapefiles may carry elevation or measure ordinates
+const stripPolygons = (polygons) => polygons.map(rings => rings.map(ring => ring.map(([lng, lat]) => [lng, lat])))
+
+/**
+ * Every polygon of a GeoJSON geometry (GeometryCollection members included)
+ */
+const geoJSONPolygons = (geometry) => {
+  if (!geometry) return []
+  if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+    return stripPolygons(getPolygons(geometry)).filter(rings => rings[0] && rings[0].length > 0)
+  }
+  if (geometry.type === 'GeometryCollection') {
+    return (geometry.geometries || []).flatMap(geoJSONPolygons)
+  }
+  return []
+}
+
+const toGeometry = (polygons) => (polygons.length === 1
+  ? { type: 'Polygon', coordinates: polygons[0] }
+  : { type: 'MultiPolygon', coordinates: polygons })
+
+// Common projected systems proj4 does not know by code; see epsg.io for the definitions
+const NAMED_DEFINITIONS = {
+  2154: '+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  3035: '+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  3395: '+proj=merc +lon_0=0 +k=1 +x_0=0 +y_0=0 +datum=WGS84 +units=m +no_defs',
+  4258: '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs',
+  7755: '+proj=lcc +lat_0=24 +lon_0=80 +lat_1=12.472955 +lat_2=35.1728044444444 +x_0=4000000 +y_0=4000000 +datum=WGS84 +units=m +no_defs',
+  27700: '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs',
+  28992: '+proj=sterea +lat_0=52.1561605555556 +lon_0=5.38763888888889 +k=0.9999079 +x_0=155000 +y_0=463000 +ellps=bessel +towgs84=565.417,50.3319,465.552,-0.398957,0.343988,-1.8774,4.0725 +units=m +no_defs'
+}
+
+// UTM zone families by EPSG range: [first code, last code, datum parameters, southern hemisphere]
+const UTM_RANGES = [
+  [32601, 32660, '+datum=WGS84', false],
+  [32701, 32760, '+datum=WGS84', true],
+  [25828, 25838, '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0', false],
+  [26901, 26923, '+datum=NAD83', false]
+]
+
+/**
+ * proj4 definition for a numeric EPSG code it may not know, or null
+ */
+const getEPSGDefinition = (epsg) => {
+  const code = Number(epsg)
+  if (NAMED_DEFINITIONS[code]) return NAMED_DEFINITIONS[code]
+  const range = UTM_RANGES.find(([first, last]) => code >= first && code <= last)
+  if (!range) return null
+  const [first, , datum, south] = range
+  // The last two digits are the zone number in every family above
+  const zone = code - first + Number(`${first}`.slice(-2))
+  return `+proj=utm +zone=${zone}${south ? ' +south' : ''} ${datum} +units=m +no_defs`
+}
+
+/**
+ * Resolve a CRS identifier (EPSG:3857, urn:ogc:def:crs:EPSG::32643, SRID number, WKT .prj text)
+ * to a proj4 projection. Returns null for WGS84, which needs no transform.
+ */
+const resolveProjection = (crs) => {
+  if (crs === null || crs === undefined || crs === '') return null
+  const text = `${crs}`.trim()
+  if (/CRS84$/i.test(text)) return null
+
+  const epsg = /^\d+$/.test(text) ? text : (/EPSG:+(\d+)$/i.exec(text) || [])[1]
+  const code = epsg ? `EPSG:${epsg}` : text
+  if (code === 'EPSG:4326') return null
+
+  if (epsg && !proj4.defs(code)) {
+    const definition = getEPSGDefinition(epsg)
+    if (!definition) {
+      throw new Error(`Coordinate system ${code} is not built in. Upload the shapefile with its .prj file, give the coordinate system as a WKT definition, or export the boundary in WGS84 (EPSG:4326).`)
+    }
+    proj4.defs(code, definition)
+  }
+
+  try {
+    return proj4(code, 'EPSG:4326')
+  } catch {
+    throw new Error(`Unsupported coordinate system "${text}". Please export the boundary in WGS84 (EPSG:4326).`)
+  }
+}
+
+const reprojectPolygons = (polygons, projection) => {
+  if (!projection) return polygons
+  return polygons.map(rings => rings.map(ring => ring.map(position => projection.forward(position))))
+}
+
+// Beyond anything a swapped or slightly off longitude/latitude pair could reach
+const PROJECTED_COORDINATE_LIMIT = 360
+
+/**
+ * Guard against projected coordinates read as degrees (a shapefile without its .prj,
+ * GeoJSON in metres without a crs member). Smaller range problems, such as swapped
+ * axes, are left to geometry validation, which can fix them.
+ */
+const assertLongitudeLatitude = (features) => {
+  const outOfRange = features.some(feature => getPolygons(feature.geometry).some(rings => rings.some(ring => (
+    ring.some(([lng, lat]) => Math.abs(lng) > PROJECTED_COORDINATE_LIMIT || Math.abs(lat) > PROJECTED_COORDINATE_LIMIT)
+  ))))
+  if (outOfRange) {
+    throw new Error('The coordinates are not longitude/latitude. Include the .prj file, or export the boundary in WGS84 (EPSG:4326).')
+  }
+}
+
+/**
+ * Build importer features from GeoJSON features, skipping those without polygons
+ */
+const featuresFromGeoJSON = (geoJSONFeatures, projection) => {
+  const features = []
+  geoJSONFeatures.forEach((feature, index) => {
+    const polygons = reprojectPolygons(geoJSONPolygons(feature?.geometry), projection)
+    if (polygons.length === 0) return
+    features.push({
+      id: `feature-${index}`,
+      name: featureName(feature.properties, features.length),
+      description: `${feature.properties?.description || ''}`,
+      style: { ...DEFAULT_STYLE },
+      geometry: toGeometry(polygons)
+    })
+  })
+
+  if (features.length === 0) {
+    throw new Error(geoJSONFeatures.length > 0
+      ? 'No polygon found: the data only contains points or lines. Please provide an area boundary.'
+      : 'No polygon found. Please provide an area boundary.')
+  }
+  assertLongitudeLatitude(features)
+  return features
+}
+
+/**
+ * Parse GeoJSON text (FeatureCollection, Feature or bare geometry).
+ * A legacy `crs` member is honoured by reprojecting to WGS84.
+ */
+export const parseGeoJSON = (text) => {
+  let data
+  try {
+    data = typeof text === 'string' ? JSON.parse(text) : text
+  } catch {
+    throw new Error('The data is not valid GeoJSON (JSON parsing failed)')
+  }
+
+  let geoJSONFeatures
+  if (data?.type === 'FeatureCollection') {
+    geoJSONFeatures = data.features || []
+  } else if (data?.type === 'Feature') {
+    geoJSONFeatures = [data]
+  } else if (data?.type && (data.coordinates || data.geometries)) {
+    geoJSONFeatures = [{ type: 'Feature', properties: {}, geometry: data }]
+  } else {
+    throw new Error('The data is not GeoJSON (expected a FeatureCollection, Feature or geometry)')
+  }
+
+  const projection = resolveProjection(data.crs?.properties?.name)
+  return {
+    documentName: data.name || '',
+    features: featuresFromGeoJSON(geoJSONFeatures, projection)
+  }
+}
+
+/**
+ * Parse shapefile data with shpjs: a zip archive (ArrayBuffer) or { shp, dbf, prj, cpg }.
+ * shpjs reprojects to WGS84 when a .prj is present.
+ */
+const parseShapefile = async (input) => {
+  let result
+  try {
+    result = await getShapefile(input)
+  } catch (err) {
+    throw new Error(err.message === 'no layers founds'
+      ? 'The zip archive does not contain a shapefile (.shp)'
+      : `The shapefile could not be read (${err.message})`)
+  }
+
+  // A zip with several layers resolves to one FeatureCollection per layer
+  const layers = Array.isArray(result) ? result : [result]
+  return {
+    documentName: layers.length === 1 ? layers[0].fileName || '' : '',
+    features: featuresFromGeoJSON(layers.flatMap(layer => layer.features || []), null)
+  }
+}
+
+/**
+ * Parse pasted or typed text, detecting GeoJSON, WKT/EWKT or KML.
+ * Resolves with { format, documentName, features }.
+ */
+export const parseBoundaryText = (text) => {
+  const trimmed = (text || '').trim()
+  if (!trimmed) {
+    throw new Error('Nothing to import: the text is empty')
+  }
+
+  if (trimmed.startsWith('{')) {
+    return { format: 'GeoJSON', ...parseGeoJSON(trimmed) }
+  }
+  if (isWKT(trimmed)) {
+    const { geometry, srid } = parseWKT(trimmed)
+    const features = featuresFromGeoJSON([{ type: 'Feature', properties: {}, geometry }], resolveProjection(srid))
+    return { format: 'WKT', documentName: '', features }
+  }
+  if (trimmed.startsWith('<')) {
+    return { format: 'KML', ...parseKMLFeatures(trimmed) }
+  }
+  throw new Error('Unrecognised boundary: paste GeoJSON, WKT (POLYGON / MULTIPOLYGON) or KML')
+}
+
+/**
+ * Read the files picked in the upload dialog. Shapefile parts (.shp with its .dbf,
+ * .prj, .cpg) are read together; any other format is read from the first file.
+ */
+export const readBoundaryFiles = async (fileList) => {
+  const files = Array.from(fileList || [])
+  if (files.length === 0) {
+    throw new Error('No file selected')
+  }
+
+  const shpFile = files.find(file => extensionOf(file.name) === 'shp')
+  if (shpFile) {
+    const parts = {}
+    await Promise.all(files
+      .filter(file => SHAPEFILE_PARTS.includes(extensionOf(file.name)))
+      .map(async file => {
+        const extension = extensionOf(file.name)
+        parts[extension] = extension === 'prj' || extension === 'cpg' ? await file.text() : await file.arrayBuffer()
+      }))
+    return { name: shpFile.name, format: 'Shapefile', ...await parseShapefile(parts) }
+  }
+
+  const file = files[0]
+  switch (extensionOf(file.name)) {
+    case 'kml':
+    case 'kmz': {
+      const { name, documentName, features } = await readKMLFile(file)
+      return { name, format: 'KML', documentName, features }
+    }
+    case 'zip':
+      return { name: file.name, format: 'Shapefile', ...await parseShapefile(await file.arrayBuffer()) }
+    case 'geojson':
+    case 'json':
+      return { name: file.name, format: 'GeoJSON', ...parseGeoJSON(await file.text()) }
+    case 'wkt':
+    case 'txt':
+      return { name: file.name, ...parseBoundaryText(await file.text()) }
+    case 'dbf':
+    case 'prj':
+    case 'cpg':
+      throw new Error('Select the .shp file together with its .dbf and .prj, or upload the shapefile as a .zip')
+    default:
+      throw new Error('Unsupported file type. Upload KML, KMZ, GeoJSON, WKT or a zipped Shapefile.')
+  }
+}
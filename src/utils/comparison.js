@@ -0,0 +1,84 @@
+import { format, parseISO, startOfDay, subDays, subHours } from 'date-fns'
+import { SOURCE_UNITS } from './pollutantUnits'
+
+/**
+ * Helpers for comparing several areas side by side: limits, series colours,
+ * trend periods and the ranking table.
+ */
+
+export const MIN_COMPARISON_AREAS = 2
+export const MAX_COMPARISON_AREAS = 6
+
+// One colour per compared area, distinguishable on the dark chart background
+export const COMPARISON_COLORS = ['#14b8a6', '#f59e0b', '#a78bfa', '#f472b6', '#60a5fa', '#a3e635']
+
+/**
+ * Trend chart periods. `bucket` groups hourly records per hour or per day.
+ */
+export const COMPARISON_PERIODS = {
+  daily: { label: 'Last 24 Hours', bucket: 'hour', start: (now) => subHours(now, 24) },
+  weekly: { label: 'Last 7 Days', bucket: 'day', start: (now) => startOfDay(subDays(now, 6)) },
+  monthly: { label: 'Last 30 Days', bucket: 'day', start: (now) => startOfDay(subDays(now, 29)) }
+}
+
+/**
+ * Columns of the ranking table: field of the AQI response, label and the unit the backend reports it in
+ */
+export const RANKING_FIELDS = [
+  { key: 'aqi', label: 'AQI', unit: '' },
+  { key: 'pm2_5', label: 'PM2.5', unit: SOURCE_UNITS.pm2_5 },
+  { key: 'pm10', label: 'PM10', unit: SOURCE_UNITS.pm10 },
+  { key: 'co', label: 'CO', unit: SOURCE_UNITS.co },
+  { key: 'so2', label: 'SO₂', unit: SOURCE_UNITS.so2 },
+  { key: 'no2', label: 'NO₂', unit: SOURCE_UNITS.no2 },
+  { key: 'o3', label: 'O₃', unit: SOURCE_UNITS.o3 }
+]
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value)
+
+/**
+ * Merge each area's hourly AQI records into chart rows, one row per hour or day of
+ * `period`, holding that bucket's mean AQI under every area id: { time, fullTime, [id]: aqi }.
+ */
+export const buildComparisonTrend = (recordsByArea, period, now = new Date()) => {
+  const { bucket, start } = COMPARISON_PERIODS[period]
+  const from = start(now)
+  const keyFormat = bucket === 'hour' ? "yyyy-MM-dd'T'HH" : 'yyyy-MM-dd'
+  const labelFormat = bucket === 'hour' ? "HH':00'" : 'MMM dd'
+  const rows = new Map()
+
+  Object.entries(recordsByArea).forEach(([areaId, records]) => {
+    const sums = new Map()
+    records.forEach(record => {
+      if (!record?.date || !isNumber(record.aqi)) return
+      const time = parseISO(record.date)
+      if (time < from || time > now) return
+      const key = format(time, keyFormat)
+      const entry = sums.get(key) || { total: 0, count: 0, time }
+      entry.total += record.aqi
+      entry.count += 1
+      sums.set(key, entry)
+    })
+
+    sums.forEach(({ total, count, time }, key) => {
+      if (!rows.has(key)) rows.set(key, { time: format(time, labelFormat), fullTime: key })
+      rows.get(key)[areaId] = Math.round(total / count)
+    })
+  })
+
+  return [...rows.values()].sort((a, b) => a.fullTime.localeCompare(b.fullTime))
+}
+
+/**
+ * Areas ordered by `field` of their AQI data, highest (worst) first unless `ascending`.
+ * Areas without a value sort last either way.
+ */
+export const rankAreas = (areas, results, field, ascending = false) => (
+  [...areas].sort((a, b) => {
+    const valueA = results[a.id]?.aqi?.[field]
+    const valueB = results[b.id]?.aqi?.[field]
+    if (!isNumber(valueA)) return isNumber(valueB) ? 1 : 0
+    if (!isNumber(valueB)) return -1
+    return ascending ? valueA - valueB : valueB - valueA
+  })
+)
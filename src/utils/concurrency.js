@@ -0,0 +1,32 @@
+/**
+ * Run `mapper` over `items` with at most `limit` calls in flight at once.
+ * Resolves with settled results in input order ({ status, value } / { status, reason }),
+ * so one failure does not discard the others. Stops scheduling new work once
+ * `signal` aborts and rejects with the abort error.
+ */
+export const mapWithConcurrency = async (items, limit, mapper, { signal } = {}) => {
+  const results = new Array(items.length)
+  let nextIndex = 0
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      if (signal?.aborted) return
+      const index = nextIndex++
+      try {
+        results[index] = { status: 'fulfilled', value: await mapper(items[index], index) }
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason }
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length))
+  await Promise.all(Array.from({ length: workerCount }, worker))
+
+  if (signal?.aborted) {
+    const error = new Error('Request aborted')
+    error.name = 'AbortError'
+    throw error
+  }
+  return results
+}
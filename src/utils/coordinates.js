@@ -0,0 +1,123 @@
+/**
+ * Parsing of typed coordinates: decimal degrees ("18.5204, 73.8567", "18.52N 73.86E")
+ * and degrees/minutes/seconds ("18°31'13.4"N 73°51'24.1"E", "N18 31 13 E73 51 24").
+ */
+
+const HEMISPHERE_AXIS = { N: 'lat', S: 'lat', E: 'lng', W: 'lng' }
+
+// Numbers with an optional degree/minute/second mark, hemisphere letters and separators
+const TOKEN_PATTERN = /([+-]?\d+(?:\.\d+)?)\s*(°|º|'|")?|([NSEW])|([,;])|(\s+)|(.)/gy
+
+const normalise = (text) => text
+  .toUpperCase()
+  .replace(/[′’‘`]/g, "'")
+  .replace(/[″“”]/g, '"')
+  .replace(/''/g, '"')
+  .trim()
+
+const tokenize = (text) => {
+  const tokens = []
+  TOKEN_PATTERN.lastIndex = 0
+  let match
+  while (TOKEN_PATTERN.lastIndex < text.length && (match = TOKEN_PATTERN.exec(text))) {
+    const [, number, mark, hemisphere, separator, space, other] = match
+    if (other !== undefined) return null
+    if (number !== undefined) tokens.push({ type: 'number', value: number, mark })
+    else if (hemisphere) tokens.push({ type: 'hemisphere', value: hemisphere })
+    else if (separator) tokens.push({ type: 'separator' })
+    else if (space) continue
+  }
+  return tokens
+}
+
+/**
+ * Split tokens into the two coordinate parts ({ numbers, hemisphere }). Hemisphere letters
+ * may lead or trail their numbers; without letters or separators, the numbers are halved.
+ */
+const splitParts = (tokens) => {
+  const leadingHemispheres = tokens[0]?.type === 'hemisphere'
+  const parts = []
+  let current = { numbers: [], hemisphere: null }
+  const finish = () => {
+    if (current.numbers.length > 0) parts.push(current)
+    current = { numbers: [], hemisphere: null }
+  }
+
+  tokens.forEach(token => {
+    if (token.type === 'separator') {
+      finish()
+    } else if (token.type === 'hemisphere') {
+      if (leadingHemispheres) {
+        finish()
+        current.hemisphere = token.value
+      } else {
+        current.hemisphere = token.value
+        finish()
+      }
+    } else {
+      // A new degrees value starts the next coordinate
+      if (token.mark === '°' || token.mark === 'º') {
+        if (current.numbers.length > 0) finish()
+      }
+      current.numbers.push(token)
+    }
+  })
+  finish()
+
+  if (parts.length === 1 && !parts[0].hemisphere && parts[0].numbers.length % 2 === 0 && parts[0].numbers.length <= 6) {
+    const half = parts[0].numbers.length / 2
+    return [
+      { numbers: parts[0].numbers.slice(0, half), hemisphere: null },
+      { numbers: parts[0].numbers.slice(half), hemisphere: null }
+    ]
+  }
+  return parts
+}
+
+// Decimal degrees of one part, or null when minutes/seconds are out of range
+const toDegrees = ({ numbers, hemisphere }) => {
+  if (numbers.length === 0 || numbers.length > 3) return null
+  const [degrees, minutes = 0, seconds = 0] = numbers.map(token => Number(token.value))
+  if (numbers.length > 1 && (numbers.slice(1).some(token => /^[+-]/.test(token.value)) || minutes >= 60 || seconds >= 60)) {
+    return null
+  }
+  if (numbers.length > 1 && !Number.isInteger(degrees)) return null
+
+  const magnitude = Math.abs(degrees) + minutes / 60 + seconds / 3600
+  const negative = hemisphere ? hemisphere === 'S' || hemisphere === 'W' : degrees < 0 || Object.is(degrees, -0)
+  return negative ? -magnitude : magnitude
+}
+
+/**
+ * Read a latitude/longitude pair from typed text. Without hemisphere letters the order
+ * is latitude first. Resolves to { latitude, longitude }, or null when the text is not
+ * a coordinate pair (e.g. a place name).
+ */
+export const parseCoordinates = (text) => {
+  const normalised = normalise(text || '')
+  if (!normalised || !/\d/.test(normalised)) return null
+
+  const tokens = tokenize(normalised)
+  if (!tokens) return null
+  const parts = splitParts(tokens)
+  if (parts.length !== 2) return null
+
+  const values = parts.map(toDegrees)
+  if (values.some(value => value === null || !isFinite(value))) return null
+
+  const axes = parts.map(part => HEMISPHERE_AXIS[part.hemisphere] || null)
+  if (axes[0] && axes[0] === axes[1]) return null
+  const firstIsLongitude = axes[0] === 'lng' || axes[1] === 'lat'
+  const [latitude, longitude] = firstIsLongitude ? [values[1], values[0]] : values
+
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null
+  return { latitude, longitude }
+}
+
+/**
+ * "18.52040° N, 73.85670° E"
+ */
+export const formatCoordinates = ({ latitude, longitude }, decimals = 5) => (
+  `${Math.abs(latitude).toFixed(decimals)}° ${latitude < 0 ? 'S' : 'N'}, ` +
+  `${Math.abs(longitude).toFixed(decimals)}° ${longitude < 0 ? 'W' : 'E'}`
+)
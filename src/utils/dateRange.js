@@ -0,0 +1,98 @@
+import {
+  format, parseISO, differenceInCalendarDays, startOfHour, startOfDay, startOfWeek,
+  addHours, addDays, addWeeks, isAfter, isBefore, endOfDay
+} from 'date-fns'
+
+/**
+ * Bucketing of a user-chosen date range ("custom range" view). The bucket size follows
+ * the range length so charts stay readable: hours for a few days, days for up to about
+ * three months, weeks beyond that.
+ */
+
+export const RANGE_GRANULARITIES = {
+  hourly: { label: 'Hourly', unit: 'Hour', axisLabel: 'Hours', maxDays: 3 },
+  daily: { label: 'Daily', unit: 'Day', axisLabel: 'Days', maxDays: 92 },
+  weekly: { label: 'Weekly', unit: 'Week', axisLabel: 'Weeks', maxDays: Infinity }
+}
+
+const BUCKETS = {
+  hourly: { start: startOfHour, next: (date) => addHours(date, 1), label: 'MMM dd HH:00' },
+  daily: { start: startOfDay, next: (date) => addDays(date, 1), label: 'MMM dd' },
+  weekly: { start: (date) => startOfWeek(date, { weekStartsOn: 1 }), next: (date) => addWeeks(date, 1), label: "'Wk of' MMM dd" }
+}
+
+/**
+ * Number of calendar days in a yyyy-MM-dd range, both ends included
+ */
+export const getRangeDays = (startDate, endDate) => differenceInCalendarDays(parseISO(endDate), parseISO(startDate)) + 1
+
+/**
+ * 'hourly', 'daily' or 'weekly' for a yyyy-MM-dd range
+ */
+export const getRangeGranularity = (startDate, endDate) => {
+  const days = getRangeDays(startDate, endDate)
+  return Object.keys(RANGE_GRANULARITIES).find(key => days <= RANGE_GRANULARITIES[key].maxDays)
+}
+
+/**
+ * Key of the bucket a record time falls in (the bucket start as an ISO string)
+ */
+export const getBucketKey = (date, granularity) => BUCKETS[granularity].start(date).toISOString()
+
+/**
+ * Records of a range grouped into consecutive buckets ({ key, label, start, records }),
+ * from the start of `startDate` up to the end of `endDate` or `now`, whichever is earlier.
+ * Buckets without records are kept, so gaps in the data stay visible.
+ */
+export const bucketRecords = (records, startDate, endDate, granularity, now = new Date()) => {
+  const bucket = BUCKETS[granularity]
+  const rangeStart = startOfDay(parseISO(startDate))
+  const rangeEnd = isBefore(endOfDay(parseISO(endDate)), now) ? endOfDay(parseISO(endDate)) : now
+
+  const buckets = []
+  const byKey = new Map()
+  for (let start = bucket.start(rangeStart); !isAfter(start, rangeEnd); start = bucket.next(start)) {
+    const entry = { key: start.toISOString(), label: format(start, bucket.label), start, records: [] }
+    buckets.push(entry)
+    byKey.set(entry.key, entry)
+  }
+
+  records.forEach(record => {
+    if (!record?.date) return
+    const time = parseISO(record.date)
+    if (isBefore(time, rangeStart) || isAfter(time, rangeEnd)) return
+    byKey.get(getBucketKey(time, granularity))?.records.push(record)
+  })
+  return buckets
+}
+
+/**
+ * Records of the last `hours` clock hours, one bucket per hour ({ key, label, start, records }),
+ * oldest first and ending with the hour `now` falls in. Hours without records are kept.
+ */
+export const bucketRecentHours = (records, hours, now = new Date()) => {
+  const last = startOfHour(now)
+  const buckets = Array.from({ length: hours }, (_, i) => {
+    const start = addHours(last, i - hours + 1)
+    return { key: start.toISOString(), label: format(start, 'HH:mm'), start, records: [] }
+  })
+  const byKey = new Map(buckets.map(entry => [entry.key, entry]))
+
+  records.forEach(record => {
+    if (!record?.date) return
+    byKey.get(getBucketKey(parseISO(record.date), 'hourly'))?.records.push(record)
+  })
+  return buckets
+}
+
+/**
+ * "Jan 05 - Feb 10, 2025", or a single day when the range is one day long
+ */
+export const formatRange = (startDate, endDate) => {
+  const start = parseISO(startDate)
+  const end = parseISO(endDate)
+  if (startDate === endDate) return format(start, 'MMM dd, yyyy')
+  return start.getFullYear() === end.getFullYear()
+    ? `${format(start, 'MMM dd')} - ${format(end, 'MMM dd, yyyy')}`
+    : `${format(start, 'MMM dd, yyyy')} - ${format(end, 'MMM dd, yyyy')}`
+}
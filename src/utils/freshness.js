@@ -0,0 +1,40 @@
+import { parseISO, formatDistanceStrict, isValid } from 'date-fns'
+
+/**
+ * How current live readings are. Observations are published hourly, so data older
+ * than STALE_AFTER_MINUTES means the backend has missed at least one update.
+ */
+
+export const STALE_AFTER_MINUTES = 90
+
+// Live refresh choices in seconds; 0 turns polling off
+export const LIVE_REFRESH_OPTIONS = [
+  { value: 0, label: 'Off' },
+  { value: 60, label: 'Every minute' },
+  { value: 300, label: 'Every 5 minutes' },
+  { value: 900, label: 'Every 15 minutes' }
+]
+
+export const DEFAULT_LIVE_REFRESH = 300
+
+const toDate = (value) => {
+  if (!value) return null
+  const date = value instanceof Date ? value : parseISO(value)
+  return isValid(date) ? date : null
+}
+
+/**
+ * { observedAt, ageMinutes, age, stale } for an observation timestamp (ISO string or Date),
+ * or null when there is no usable timestamp. `age` reads like "25 minutes".
+ */
+export const getFreshness = (observedAt, now = new Date()) => {
+  const date = toDate(observedAt)
+  if (!date) return null
+  const ageMinutes = Math.max(0, (now - date) / 60000)
+  return {
+    observedAt: date,
+    ageMinutes,
+    age: formatDistanceStrict(date, now > date ? now : date),
+    stale: ageMinutes > STALE_AFTER_MINUTES
+  }
+}
@@ -0,0 +1,404 @@
+import polygonClipping from 'polygon-clipping'
+
+/**
+ * Geometry helpers for GeoJSON polygons. Coordinates are [lng, lat] like GeoJSON.
+ */
+
+/**
+ * Polygons of a Polygon or MultiPolygon geometry as arrays of rings
+ */
+export const getPolygons = (geometry) => {
+  if (!geometry || !geometry.coordinates) return []
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates
+  return [geometry.coordinates]
+}
+
+// Polygon for a single part, MultiPolygon otherwise
+const fromPolygons = (polygons) => {
+  if (polygons.length === 0) return null
+  if (polygons.length === 1) return { type: 'Polygon', coordinates: polygons[0] }
+  return { type: 'MultiPolygon', coordinates: polygons }
+}
+
+/**
+ * Collect several geometries into one, keeping every part as drawn (overlaps included)
+ */
+export const combineGeometries = (geometries) => fromPolygons(geometries.flatMap(getPolygons))
+
+/**
+ * Dissolve several geometries into their union, merging overlapping and touching parts
+ */
+export const unionGeometries = (geometries) => {
+  const polygons = geometries.map(getPolygons).filter(polygons => polygons.length > 0)
+  if (polygons.length === 0) return null
+  return fromPolygons(polygonClipping.union(...polygons))
+}
+
+/**
+ * Ray-casting test of a [lng, lat] point against a single ring
+ */
+export const pointInRing = ([lng, lat], ring) => {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    const crosses = (yi > lat) !== (yj > lat) &&
+      lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi
+    if (crosses) inside = !inside
+  }
+  return inside
+}
+
+/**
+ * True when a [lng, lat] point lies inside the geometry, outside any of its holes
+ */
+export const pointInPolygon = (point, geometry) => {
+  return getPolygons(geometry).some(([outer, ...holes]) => (
+    outer && pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole))
+  ))
+}
+
+/**
+ * Bounding box of every vertex: { minLng, minLat, maxLng, maxLat }
+ */
+export const getBoundingBox = (geometry) => {
+  const box = { minLng: Infinity, minLat: Infinity, maxLng: -Infinity, maxLat: -Infinity }
+  getPolygons(geometry).forEach(rings => rings.forEach(ring => ring.forEach(([lng, lat]) => {
+    box.minLng = Math.min(box.minLng, lng)
+    box.minLat = Math.min(box.minLat, lat)
+    box.maxLng = Math.max(box.maxLng, lng)
+    box.maxLat = Math.max(box.maxLat, lat)
+  })))
+  return isFinite(box.minLng) ? box : null
+}
+
+const gridPointsInside = (geometry, box, stepLat, stepLng) => {
+  const points = []
+  const rows = Math.max(1, Math.round((box.maxLat - box.minLat) / stepLat))
+  const cols = Math.max(1, Math.round((box.maxLng - box.minLng) / stepLng))
+  // Centre the grid in the box so sample cells are symmetric around the area
+  const offsetLat = (box.maxLat - box.minLat - (rows - 1) * stepLat) / 2
+  const offsetLng = (box.maxLng - box.minLng - (cols - 1) * stepLng) / 2
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const lat = box.minLat + offsetLat + row * stepLat
+      const lng = box.minLng + offsetLng + col * stepLng
+      if (pointInPolygon([lng, lat], geometry)) {
+        points.push({ latitude: lat, longitude: lng })
+      }
+    }
+  }
+  return points
+}
+
+// Grid cells tested against the polygon over all passes of one grid search. Keeps thin or
+// diagonal areas, whose box is mostly outside them, from running hundreds of milliseconds.
+const MAX_GRID_CELLS = 4000
+
+/**
+ * Lay a regular grid over the geometry and keep the cell centres that fall inside it.
+ * The grid is square on the ground (longitude spacing corrected for latitude) and as
+ * dense as possible without exceeding `maxPoints`. Returns [] for slivers no cell hits.
+ */
+export const generateSampleGrid = (geometry, maxPoints) => {
+  const box = getBoundingBox(geometry)
+  if (!box || maxPoints < 1) return []
+
+  const midLat = (box.minLat + box.maxLat) / 2
+  const lngScale = Math.max(Math.cos((midLat * Math.PI) / 180), 0.01)
+  const height = Math.max(box.maxLat - box.minLat, 1e-9)
+  const width = Math.max((box.maxLng - box.minLng) * lngScale, 1e-9)
+  const cellCount = (step) => Math.max(1, Math.round(height / step)) * Math.max(1, Math.round(width / step))
+
+  // Start with a single cell over the whole box and tighten the grid, keeping the
+  // densest layout within budget. The count inside a concave polygon does not grow
+  // monotonically as the step shrinks, so keep trying a little past the budget -
+  // until the cells tested so far would exceed MAX_GRID_CELLS.
+  let step = Math.max(width, height)
+  let best = []
+  let cellsTested = 0
+  while (cellsTested + cellCount(step) <= MAX_GRID_CELLS) {
+    cellsTested += cellCount(step)
+    const points = gridPointsInside(geometry, box, step, step / lngScale)
+    if (points.length > maxPoints * 2) break
+    if (points.length <= maxPoints && points.length >= best.length) best = points
+    step *= 0.92
+  }
+  return best
+}
+
+// WGS84 equatorial radius for the spherical area formula, mean radius for distances
+const EARTH_RADIUS_EQUATORIAL = 6378137
+const EARTH_RADIUS_MEAN = 6371008.8
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+
+/**
+ * Ring vertices without the repeated closing vertex
+ */
+export const openRing = (ring) => {
+  if (ring.length > 1) {
+    const [firstLng, firstLat] = ring[0]
+    const [lastLng, lastLat] = ring[ring.length - 1]
+    if (firstLng === lastLng && firstLat === lastLat) return ring.slice(0, -1)
+  }
+  return ring
+}
+
+/**
+ * Ring with the first vertex repeated at the end, as GeoJSON, KML and WKT expect
+ */
+export const closeRing = (ring) => {
+  if (ring.length === 0) return ring
+  const [firstLng, firstLat] = ring[0]
+  const [lastLng, lastLat] = ring[ring.length - 1]
+  return firstLng === lastLng && firstLat === lastLat ? ring : [...ring, ring[0]]
+}
+
+/**
+ * Planar area-weighted centroid of the geometry in degrees, holes subtracted.
+ * Returns null for degenerate (zero-area) shapes.
+ */
+export const getCentroid = (geometry) => {
+  let totalArea = 0
+  let sumLng = 0
+  let sumLat = 0
+
+  getPolygons(geometry).forEach(rings => rings.forEach((ring, ringIndex) => {
+    const vertices = openRing(ring)
+    if (vertices.length < 3) return
+    // Work relative to the first vertex to keep precision for small areas
+    const [originLng, originLat] = vertices[0]
+    let ringArea = 0
+    let ringLng = 0
+    let ringLat = 0
+    for (let i = 0; i < vertices.length; i++) {
+      const x1 = vertices[i][0] - originLng
+      const y1 = vertices[i][1] - originLat
+      const x2 = vertices[(i + 1) % vertices.length][0] - originLng
+      const y2 = vertices[(i + 1) % vertices.length][1] - originLat
+      const cross = x1 * y2 - x2 * y1
+      ringArea += cross
+      ringLng += (x1 + x2) * cross
+      ringLat += (y1 + y2) * cross
+    }
+    ringArea /= 2
+    if (ringArea === 0) return
+
+    // Outer rings add, holes subtract, whatever their winding
+    const weight = Math.abs(ringArea) * (ringIndex === 0 ? 1 : -1)
+    totalArea += weight
+    sumLng += (ringLng / (6 * ringArea) + originLng) * weight
+    sumLat += (ringLat / (6 * ringArea) + originLat) * weight
+  }))
+
+  if (Math.abs(totalArea) < 1e-14) return null
+  return [sumLng / totalArea, sumLat / totalArea]
+}
+
+/**
+ * A point guaranteed to lie inside the geometry: the midpoint of the widest
+ * horizontal run through the area, scanning a few latitudes around the middle.
+ */
+export const getPointOnSurface = (geometry) => {
+  const box = getBoundingBox(geometry)
+  if (!box) return null
+
+  const rings = getPolygons(geometry).flat()
+  let best = null
+  for (const fraction of [0.5, 0.25, 0.75, 0.125, 0.375, 0.625, 0.875]) {
+    const lat = box.minLat + (box.maxLat - box.minLat) * fraction
+    const crossings = []
+    rings.forEach(ring => {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i]
+        const [xj, yj] = ring[j]
+        if ((yi > lat) !== (yj > lat)) {
+          crossings.push(xi + ((lat - yi) * (xj - xi)) / (yj - yi))
+        }
+      }
+    })
+    crossings.sort((a, b) => a - b)
+    // Even-odd rule: pairs of crossings bound the interior runs
+    for (let k = 0; k + 1 < crossings.length; k += 2) {
+      const width = crossings[k + 1] - crossings[k]
+      if (!best || width > best.width) {
+        best = { width, point: [(crossings[k] + crossings[k + 1]) / 2, lat] }
+      }
+    }
+    if (best && fraction === 0.5) break
+  }
+  return best ? best.point : null
+}
+
+/**
+ * Representative [lng, lat] for querying a location: the centroid when it lies inside
+ * the shape, otherwise a point on its surface (concave or holed shapes). Degenerate
+ * shapes fall back to the mean of their distinct vertices.
+ */
+export const getInteriorPoint = (geometry) => {
+  const centroid = getCentroid(geometry)
+  if (centroid && pointInPolygon(centroid, geometry)) return centroid
+
+  const onSurface = getPointOnSurface(geometry)
+  if (onSurface) return onSurface
+
+  const vertices = getPolygons(geometry).flatMap(rings => (rings[0] ? openRing(rings[0]) : []))
+  if (vertices.length === 0) return null
+  return [
+    vertices.reduce((sum, [lng]) => sum + lng, 0) / vertices.length,
+    vertices.reduce((sum, [, lat]) => sum + lat, 0) / vertices.length
+  ]
+}
+
+// Area enclosed by a ring on the sphere (spherical excess approximation), in m²
+const ringGeodesicArea = (ring) => {
+  const vertices = openRing(ring)
+  if (vertices.length < 3) return 0
+  let total = 0
+  for (let i = 0; i < vertices.length; i++) {
+    const [lng1, lat1] = vertices[i]
+    const [lng2, lat2] = vertices[(i + 1) % vertices.length]
+    total += toRadians(lng2 - lng1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)))
+  }
+  return Math.abs((total * EARTH_RADIUS_EQUATORIAL * EARTH_RADIUS_EQUATORIAL) / 2)
+}
+
+/**
+ * Geodesic area of the geometry in square metres, holes subtracted
+ */
+export const getGeodesicArea = (geometry) => {
+  return getPolygons(geometry).reduce((sum, [outer, ...holes]) => {
+    if (!outer) return sum
+    return sum + ringGeodesicArea(outer) - holes.reduce((holeSum, hole) => holeSum + ringGeodesicArea(hole), 0)
+  }, 0)
+}
+
+/**
+ * Great-circle distance between two [lng, lat] points in metres (haversine)
+ */
+export const getDistance = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1)
+  const dLng = toRadians(lng2 - lng1)
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_MEAN * Math.asin(Math.min(1, Math.sqrt(a)))
+}
+
+/**
+ * [lng, lat] reached from `start` after `distance` metres along `bearing` (degrees clockwise from north)
+ */
+export const getDestination = ([lng, lat], distance, bearing) => {
+  const angular = distance / EARTH_RADIUS_MEAN
+  const theta = toRadians(bearing)
+  const lat1 = toRadians(lat)
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(theta))
+  const lng2 = toRadians(lng) + Math.atan2(
+    Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+    Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+  )
+  return [((lng2 * 180) / Math.PI + 540) % 360 - 180, (lat2 * 180) / Math.PI]
+}
+
+// Buffer distance offered for point-based areas (km)
+export const DEFAULT_BUFFER_KM = 5
+
+/**
+ * Polygon approximating a geodesic circle of `radius` metres around a [lng, lat] centre,
+ * e.g. a buffer around a point. The ring runs counter-clockwise like GeoJSON recommends.
+ */
+export const createCirclePolygon = (center, radius, segments = 64) => {
+  const ring = Array.from({ length: segments }, (_, index) => getDestination(center, radius, 360 - (360 * index) / segments))
+  return { type: 'Polygon', coordinates: [closeRing(ring)] }
+}
+
+/**
+ * Axis-aligned rectangle Polygon spanning two opposite [lng, lat] corners
+ */
+export const createRectanglePolygon = ([lng1, lat1], [lng2, lat2]) => {
+  const [west, east] = [Math.min(lng1, lng2), Math.max(lng1, lng2)]
+  const [south, north] = [Math.min(lat1, lat2), Math.max(lat1, lat2)]
+  return {
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+  }
+}
+
+/**
+ * Geodesic perimeter of the geometry in metres, including hole boundaries
+ */
+export const getGeodesicPerimeter = (geometry) => {
+  return getPolygons(geometry).flat().reduce((sum, ring) => {
+    const vertices = openRing(ring)
+    if (vertices.length < 2) return sum
+    let length = 0
+    for (let i = 0; i < vertices.length; i++) {
+      length += getDistance(vertices[i], vertices[(i + 1) % vertices.length])
+    }
+    return sum + length
+  }, 0)
+}
+
+/**
+ * Every ring of the geometry as open vertex lists, addressed by polygon and ring index
+ * (ring 0 is the outer boundary): [{ polygon, ring, vertices }]
+ */
+export const getEditableRings = (geometry) => (
+  getPolygons(geometry).flatMap((rings, polygon) => rings.map((ring, ringIndex) => ({
+    polygon,
+    ring: ringIndex,
+    vertices: openRing(ring)
+  })))
+)
+
+// Apply `update` to the open vertices of one ring, keeping the geometry type
+const updateRing = (geometry, { polygon, ring }, update) => {
+  const polygons = getPolygons(geometry).map((rings, p) => rings.map((vertices, r) => (
+    p === polygon && r === ring ? closeRing(update(openRing(vertices))) : vertices
+  )))
+  return geometry.type === 'MultiPolygon'
+    ? { type: 'MultiPolygon', coordinates: polygons }
+    : { type: 'Polygon', coordinates: polygons[0] }
+}
+
+/**
+ * Move the vertex at { polygon, ring, vertex } to a [lng, lat] position
+ */
+export const moveVertex = (geometry, path, position) => updateRing(geometry, path, vertices => (
+  vertices.map((vertex, index) => (index === path.vertex ? position : vertex))
+))
+
+/**
+ * Insert a [lng, lat] vertex before index `vertex` of the ring (after the last one when equal to its length)
+ */
+export const insertVertex = (geometry, path, position) => updateRing(geometry, path, vertices => (
+  [...vertices.slice(0, path.vertex), position, ...vertices.slice(path.vertex)]
+))
+
+/**
+ * Remove the vertex at { polygon, ring, vertex }. Returns null when the ring would
+ * be left with fewer than three vertices.
+ */
+export const removeVertex = (geometry, path) => {
+  const ring = getEditableRings(geometry).find(entry => entry.polygon === path.polygon && entry.ring === path.ring)
+  if (!ring || ring.vertices.length <= 3) return null
+  return updateRing(geometry, path, vertices => vertices.filter((_, index) => index !== path.vertex))
+}
+
+/**
+ * Human readable area, e.g. "8,450 m²", "12.4 ha", "1,234.5 km²"
+ */
+export const formatArea = (squareMetres) => {
+  if (squareMetres < 10000) return `${Math.round(squareMetres).toLocaleString()} m²`
+  if (squareMetres < 1000000) return `${(squareMetres / 10000).toFixed(1)} ha`
+  return `${(squareMetres / 1000000).toLocaleString(undefined, { maximumFractionDigits: 1 })} km²`
+}
+
+/**
+ * Human readable length, e.g. "850 m", "12.3 km"
+ */
+export const formatLength = (metres) => {
+  if (metres < 1000) return `${Math.round(metres)} m`
+  return `${(metres / 1000).toLocaleString(undefined, { maximumFractionDigits: 1 })} km`
+}
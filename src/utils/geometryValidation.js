@@ -0,0 +1,204 @@
+import polygonClipping from 'polygon-clipping'
+import { getPolygons, openRing, closeRing, getGeodesicArea } from './geometry'
+
+/**
+ * Validation of area geometries before analysis. `validateGeometry` lists the problems;
+ * `fixGeometry` applies the automatic fix for one of them.
+ */
+
+// Rings enclosing less than this are treated as slivers (m²)
+const MIN_RING_AREA = 1
+
+const isValidNumber = (value) => typeof value === 'number' && isFinite(value)
+
+const allVertices = (geometry) => getPolygons(geometry).flat(2)
+
+// Orientation of the triangle a-b-c: > 0 counter-clockwise, < 0 clockwise, 0 collinear
+const orientation = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0])
+
+const onSegment = (a, b, point) => (
+  Math.min(a[0], b[0]) <= point[0] && point[0] <= Math.max(a[0], b[0]) &&
+  Math.min(a[1], b[1]) <= point[1] && point[1] <= Math.max(a[1], b[1])
+)
+
+const segmentsIntersect = (a, b, c, d) => {
+  const o1 = orientation(a, b, c)
+  const o2 = orientation(a, b, d)
+  const o3 = orientation(c, d, a)
+  const o4 = orientation(c, d, b)
+  if (((o1 > 0 && o2 < 0) || (o1 < 0 && o2 > 0)) && ((o3 > 0 && o4 < 0) || (o3 < 0 && o4 > 0))) return true
+  return (o1 === 0 && onSegment(a, b, c)) || (o2 === 0 && onSegment(a, b, d)) ||
+    (o3 === 0 && onSegment(c, d, a)) || (o4 === 0 && onSegment(c, d, b))
+}
+
+/**
+ * True when any two edges of a polygon (its outer ring and holes) cross or touch,
+ * other than neighbouring edges sharing their common vertex. Edges are swept by
+ * longitude so large boundaries stay fast.
+ */
+const polygonSelfIntersects = (rings) => {
+  const edges = []
+  rings.forEach((ring, ringIndex) => {
+    // Repeated vertices would make non-neighbouring edges share a point
+    const vertices = openRing(ring).filter((vertex, index, list) => (
+      index === 0 || vertex[0] !== list[index - 1][0] || vertex[1] !== list[index - 1][1]
+    ))
+    vertices.forEach((start, index) => {
+      const end = vertices[(index + 1) % vertices.length]
+      edges.push({ ring: ringIndex, index, count: vertices.length, start, end, minX: Math.min(start[0], end[0]), maxX: Math.max(start[0], end[0]) })
+    })
+  })
+  edges.sort((a, b) => a.minX - b.minX)
+
+  for (let i = 0; i < edges.length; i++) {
+    const edge = edges[i]
+    for (let j = i + 1; j < edges.length && edges[j].minX <= edge.maxX; j++) {
+      const other = edges[j]
+      if (edge.ring === other.ring) {
+        const gap = Math.abs(edge.index - other.index)
+        if (gap === 1 || gap === edge.count - 1) continue // Neighbours share a vertex
+      }
+      if (segmentsIntersect(edge.start, edge.end, other.start, other.end)) return true
+    }
+  }
+  return false
+}
+
+// Fewer than three distinct vertices, or (unless the ring crosses itself, where lobes
+// of opposite winding cancel out) practically no enclosed area
+const isDegenerateRing = (ring, checkArea = true) => {
+  const distinct = new Set(openRing(ring).map(([lng, lat]) => `${lng},${lat}`))
+  if (distinct.size < 3) return true
+  return checkArea && getGeodesicArea({ type: 'Polygon', coordinates: [ring] }) < MIN_RING_AREA
+}
+
+/**
+ * Problems of a Polygon/MultiPolygon as [{ code, severity, message, fixable }].
+ * Errors block analysis; warnings only inform. Codes: invalid-coordinates, swapped-axes,
+ * out-of-range, degenerate-ring, self-intersection and possibly-swapped (warning).
+ */
+export const validateGeometry = (geometry) => {
+  const polygons = getPolygons(geometry)
+  if (polygons.length === 0) return []
+  const issues = []
+
+  const vertices = allVertices(geometry)
+  const invalid = vertices.filter(([lng, lat]) => !isValidNumber(lng) || !isValidNumber(lat))
+  if (invalid.length > 0) {
+    issues.push({
+      code: 'invalid-coordinates',
+      severity: 'error',
+      message: `${invalid.length} ${invalid.length === 1 ? 'vertex has' : 'vertices have'} missing or non-numeric coordinates`,
+      fixable: true
+    })
+    // Range and shape checks are meaningless until the bad vertices are removed
+    return issues
+  }
+
+  const outOfRange = vertices.some(([lng, lat]) => Math.abs(lng) > 180 || Math.abs(lat) > 90)
+  if (outOfRange) {
+    const swapFits = vertices.every(([lng, lat]) => Math.abs(lng) <= 90 && Math.abs(lat) <= 180)
+    issues.push(swapFits
+      ? {
+          code: 'swapped-axes',
+          severity: 'error',
+          message: 'Latitude and longitude appear to be swapped (latitudes beyond ±90°)',
+          fixable: true
+        }
+      : {
+          code: 'out-of-range',
+          severity: 'error',
+          message: 'Some coordinates are outside the valid range (longitude ±180°, latitude ±90°). The data may be in a projected coordinate system.',
+          fixable: false
+        })
+    return issues
+  }
+
+  // In range either way round, but only plausible swapped: polar latitudes that become ordinary ones
+  if (vertices.every(([lng, lat]) => Math.abs(lat) > 60 && Math.abs(lng) < 60)) {
+    issues.push({
+      code: 'possibly-swapped',
+      severity: 'warning',
+      message: 'The area lies near the poles; check that latitude and longitude are not swapped',
+      fixable: true
+    })
+  }
+
+  const intersecting = polygons.map(polygonSelfIntersects)
+  const rings = polygons.flat()
+  const degenerate = polygons.flatMap((polygonRings, index) => (
+    polygonRings.filter(ring => isDegenerateRing(ring, !intersecting[index]))
+  ))
+  if (degenerate.length > 0) {
+    issues.push({
+      code: 'degenerate-ring',
+      severity: 'error',
+      message: degenerate.length === rings.length
+        ? 'The area has no usable extent (fewer than three distinct vertices or zero area)'
+        : `${degenerate.length} ${degenerate.length === 1 ? 'ring has' : 'rings have'} fewer than three distinct vertices or zero area`,
+      fixable: degenerate.length < rings.length
+    })
+  }
+
+  if (intersecting.some(Boolean)) {
+    issues.push({
+      code: 'self-intersection',
+      severity: 'error',
+      message: 'The boundary crosses itself (e.g. a bow-tie shape)',
+      fixable: true
+    })
+  }
+
+  return issues
+}
+
+/**
+ * True when any issue blocks analysis
+ */
+export const hasBlockingIssues = (issues) => issues.some(issue => issue.severity === 'error')
+
+const fromPolygons = (polygons, geometryType) => {
+  if (polygons.length === 0) return null
+  if (polygons.length === 1 && geometryType !== 'MultiPolygon') return { type: 'Polygon', coordinates: polygons[0] }
+  return { type: 'MultiPolygon', coordinates: polygons }
+}
+
+const mapVertices = (geometry, update) => fromPolygons(
+  getPolygons(geometry).map(rings => rings.map(ring => ring.map(update))),
+  geometry.type
+)
+
+/**
+ * Apply the automatic fix for issue `code`. Returns the repaired geometry, or null
+ * when nothing usable is left.
+ */
+export const fixGeometry = (geometry, code) => {
+  switch (code) {
+    case 'invalid-coordinates':
+      return fromPolygons(
+        getPolygons(geometry)
+          .map(rings => rings.map(ring => openRing(ring.filter(([lng, lat]) => isValidNumber(lng) && isValidNumber(lat)))))
+          // A polygon whose outer ring lost every vertex is dropped with its holes
+          .filter(rings => rings[0] && rings[0].length > 0)
+          .map(rings => rings.filter(ring => ring.length > 0).map(closeRing)),
+        geometry.type
+      )
+    case 'swapped-axes':
+    case 'possibly-swapped':
+      return mapVertices(geometry, ([lng, lat]) => [lat, lng])
+    case 'degenerate-ring':
+      // A degenerate outer ring takes its holes with it
+      return fromPolygons(
+        getPolygons(geometry)
+          .map(rings => ({ rings, checkArea: !polygonSelfIntersects(rings) }))
+          .filter(({ rings, checkArea }) => rings[0] && !isDegenerateRing(rings[0], checkArea))
+          .map(({ rings, checkArea }) => rings.filter(ring => !isDegenerateRing(ring, checkArea))),
+        geometry.type
+      )
+    case 'self-intersection':
+      // The union of a polygon with itself resolves crossings into valid (possibly multiple) parts
+      return fromPolygons(polygonClipping.union(getPolygons(geometry)), geometry.type)
+    default:
+      return geometry
+  }
+}
@@ -0,0 +1,276 @@
+import JSZip from 'jszip'
+import { closeRing, getPolygons } from './geometry'
+
+/**
+ * KML/KMZ reading and writing helpers. Geometries are GeoJSON ([lng, lat]).
+ */
+
+export const DEFAULT_STYLE = {
+  color: '#14b8a6',
+  fillColor: '#14b8a6',
+  fillOpacity: 0.25,
+  weight: 2
+}
+
+// Direct children by local name, ignoring namespaces (gx:, kml:)
+const childElements = (element, name) => (
+  Array.from(element?.children || []).filter(child => child.localName === name)
+)
+
+const firstChild = (element, name) => childElements(element, name)[0] || null
+
+const childText = (element, name) => firstChild(element, name)?.textContent.trim() || ''
+
+/**
+ * Parse a KML <coordinates> string ("lng,lat[,alt] lng,lat[,alt] ...") into [lng, lat] pairs
+ */
+export const parseCoordinates = (text) => {
+  return (text || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => tuple.split(',').map(Number))
+    // Malformed tuples are kept as NaN so validation can report them instead of silently dropping vertices
+    .map(([lng, lat]) => [lng, lat === undefined ? NaN : lat])
+}
+
+/**
+ * KML colours are aabbggrr hex; convert to a CSS colour and an opacity
+ */
+const parseKMLColor = (value) => {
+  const hex = (value || '').trim().replace(/^#/, '')
+  if (!/^[0-9a-fA-F]{8}$/.test(hex)) return null
+  return {
+    color: `#${hex.slice(6, 8)}${hex.slice(4, 6)}${hex.slice(2, 4)}`,
+    opacity: parseInt(hex.slice(0, 2), 16) / 255
+  }
+}
+
+const styleFromElement = (styleElement) => {
+  if (!styleElement) return {}
+  const style = {}
+
+  const lineStyle = firstChild(styleElement, 'LineStyle')
+  const lineColor = parseKMLColor(childText(lineStyle, 'color'))
+  if (lineColor) style.color = lineColor.color
+  const width = Number(childText(lineStyle, 'width'))
+  if (width > 0) style.weight = width
+
+  const polyStyle = firstChild(styleElement, 'PolyStyle')
+  const fillColor = parseKMLColor(childText(polyStyle, 'color'))
+  if (fillColor) {
+    style.fillColor = fillColor.color
+    style.fillOpacity = fillColor.opacity
+  }
+  if (childText(polyStyle, 'fill') === '0') style.fillOpacity = 0
+  if (childText(polyStyle, 'outline') === '0') style.weight = 0
+
+  return style
+}
+
+/**
+ * Shared <Style> and <StyleMap> elements of a document by id, built once per file
+ */
+const collectStyles = (elements) => {
+  const stylesById = {}
+  elements
+    .filter(element => (element.localName === 'Style' || element.localName === 'StyleMap') && element.getAttribute('id'))
+    .forEach(element => { stylesById[element.getAttribute('id')] = element })
+  return stylesById
+}
+
+/**
+ * Resolve a Placemark's style: shared <Style>/<StyleMap> referenced by styleUrl,
+ * overridden by an inline <Style>
+ */
+const resolveStyle = (placemark, stylesById) => {
+  const lookup = (url, depth = 0) => {
+    const element = stylesById[(url || '').split('#').pop()]
+    if (!element || depth > 3) return {}
+    if (element.localName === 'Style') return styleFromElement(element)
+    // StyleMap: use the "normal" (non-highlighted) pair
+    const pair = childElements(element, 'Pair').find(p => childText(p, 'key') === 'normal')
+    return pair ? lookup(childText(pair, 'styleUrl'), depth + 1) : {}
+  }
+
+  return {
+    ...DEFAULT_STYLE,
+    ...lookup(childText(placemark, 'styleUrl')),
+    ...styleFromElement(firstChild(placemark, 'Style'))
+  }
+}
+
+const ringFrom = (boundaryElement) => {
+  const ring = firstChild(boundaryElement, 'LinearRing')
+  return parseCoordinates(childText(ring, 'coordinates'))
+}
+
+/**
+ * A KML <Polygon> as GeoJSON rings: outer boundary first, then holes.
+ * Returns null when the outer boundary is empty; degenerate rings are left for validation.
+ */
+const polygonRings = (polygonElement) => {
+  const outer = ringFrom(firstChild(polygonElement, 'outerBoundaryIs'))
+  if (outer.length === 0) return null
+  const holes = childElements(polygonElement, 'innerBoundaryIs')
+    .map(ringFrom)
+    .filter(ring => ring.length > 0)
+  return [outer, ...holes]
+}
+
+/**
+ * Every polygon of a Placemark, including those nested in (possibly nested) MultiGeometry,
+ * as a Polygon or MultiPolygon geometry; null when it has none
+ */
+const placemarkGeometry = (placemark) => {
+  const polygons = Array.from(placemark.querySelectorAll('*'))
+    .filter(element => element.localName === 'Polygon')
+    .map(polygonRings)
+    .filter(Boolean)
+
+  if (polygons.length === 0) return null
+  if (polygons.length === 1) return { type: 'Polygon', coordinates: polygons[0] }
+  return { type: 'MultiPolygon', coordinates: polygons }
+}
+
+/**
+ * Parse KML text into every polygon feature it contains:
+ * { documentName, features: [{ id, name, description, style, geometry }] }.
+ * Points and lines are skipped. Throws a descriptive error when the XML is invalid
+ * or holds no polygon.
+ */
+export const parseKMLFeatures = (kmlText) => {
+  const kmlDoc = new DOMParser().parseFromString(kmlText, 'text/xml')
+  const errorNode = kmlDoc.querySelector('parsererror')
+  if (errorNode) {
+    throw new Error('The file is not valid KML (XML parsing failed)')
+  }
+
+  const elements = Array.from(kmlDoc.querySelectorAll('*'))
+  const documentElement = elements.find(el => el.localName === 'Document')
+  const documentName = childText(documentElement, 'name')
+
+  const stylesById = collectStyles(elements)
+  const placemarks = elements.filter(el => el.localName === 'Placemark')
+  const features = []
+  placemarks.forEach((placemark, index) => {
+    const geometry = placemarkGeometry(placemark)
+    if (!geometry) return
+    features.push({
+      id: `feature-${index}`,
+      name: childText(placemark, 'name') || `Area ${features.length + 1}`,
+      description: childText(placemark, 'description'),
+      style: resolveStyle(placemark, stylesById),
+      geometry
+    })
+  })
+
+  if (features.length === 0) {
+    throw new Error(placemarks.length > 0
+      ? 'No polygon found: the file only contains points or lines. Please upload an area boundary.'
+      : 'No polygon found in the file. Please upload a KML/KMZ containing an area boundary.')
+  }
+  return { documentName, features }
+}
+
+/**
+ * Extract the KML document from a KMZ archive: doc.kml by convention,
+ * otherwise the first .kml file at the shallowest level
+ */
+export const extractKMLFromKMZ = async (data) => {
+  let zip
+  try {
+    zip = await JSZip.loadAsync(data)
+  } catch {
+    throw new Error('The KMZ file could not be opened (not a valid zip archive)')
+  }
+
+  const kmlFiles = Object.values(zip.files)
+    .filter(entry => !entry.dir && entry.name.toLowerCase().endsWith('.kml'))
+    .sort((a, b) => a.name.split('/').length - b.name.split('/').length)
+  const docFile = kmlFiles.find(entry => entry.name.toLowerCase() === 'doc.kml') || kmlFiles[0]
+
+  if (!docFile) {
+    throw new Error('The KMZ archive does not contain a KML document')
+  }
+  return docFile.async('string')
+}
+
+/**
+ * Read an uploaded .kml or .kmz File and parse its polygon features.
+ * Resolves with { name, content, documentName, features }.
+ */
+export const readKMLFile = async (file) => {
+  const isKMZ = file.name.toLowerCase().endsWith('.kmz')
+  const content = isKMZ
+    ? await extractKMLFromKMZ(await file.arrayBuffer())
+    : await file.text()
+
+  const { documentName, features } = parseKMLFeatures(content)
+  return {
+    name: file.name,
+    content,
+    documentName,
+    features
+  }
+}
+
+const escapeXML = (value) => `${value}`
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// CSS #rrggbb plus an opacity as a KML aabbggrr colour
+const toKMLColor = (color, opacity = 1) => {
+  const hex = (color || DEFAULT_STYLE.color).replace(/^#/, '')
+  const alpha = Math.round(Math.min(Math.max(opacity, 0), 1) * 255).toString(16).padStart(2, '0')
+  return `${alpha}${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`
+}
+
+const formatKMLRing = (ring) => closeRing(ring).map(([lng, lat]) => `${lng},${lat}`).join(' ')
+
+const formatKMLPolygon = ([outer, ...holes]) => [
+  '<Polygon>',
+  `<outerBoundaryIs><LinearRing><coordinates>${formatKMLRing(outer)}</coordinates></LinearRing></outerBoundaryIs>`,
+  ...holes.map(hole => `<innerBoundaryIs><LinearRing><coordinates>${formatKMLRing(hole)}</coordinates></LinearRing></innerBoundaryIs>`),
+  '</Polygon>'
+].join('')
+
+/**
+ * Serialise a geometry as a KML document with a single Placemark. `properties`
+ * become ExtendedData <Data> entries; null and undefined values are left out.
+ */
+export const toKML = ({ name, description = '', geometry, properties = {}, style = DEFAULT_STYLE }) => {
+  const polygons = getPolygons(geometry)
+  if (polygons.length === 0) {
+    throw new Error('Only Polygon and MultiPolygon geometries can be exported')
+  }
+
+  const geometryXML = polygons.length === 1
+    ? formatKMLPolygon(polygons[0])
+    : `<MultiGeometry>${polygons.map(formatKMLPolygon).join('')}</MultiGeometry>`
+  const data = Object.entries(properties)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `        <Data name="${escapeXML(key)}"><value>${escapeXML(value)}</value></Data>`)
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXML(name)}</name>`,
+    '    <Style id="area">',
+    `      <LineStyle><color>${toKMLColor(style.color)}</color><width>${style.weight ?? DEFAULT_STYLE.weight}</width></LineStyle>`,
+    `      <PolyStyle><color>${toKMLColor(style.fillColor, style.fillOpacity ?? DEFAULT_STYLE.fillOpacity)}</color></PolyStyle>`,
+    '    </Style>',
+    '    <Placemark>',
+    `      <name>${escapeXML(name)}</name>`,
+    description ? `      <description>${escapeXML(description)}</description>` : null,
+    '      <styleUrl>#area</styleUrl>',
+    data.length > 0 ? `      <ExtendedData>\n${data.join('\n')}\n      </ExtendedData>` : null,
+    `      ${geometryXML}`,
+    '    </Placemark>',
+    '  </Document>',
+    '</kml>'
+  ].filter(line => line !== null).join('\n')
+}
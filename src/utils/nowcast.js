@@ -0,0 +1,70 @@
+import { parseISO } from 'date-fns'
+import { bucketRecentHours } from './dateRange'
+import { calculateAQI } from './aqiCalculator'
+
+/**
+ * NowCast: a short-term AQI that follows changing air quality faster than the 24-hour (PM)
+ * and 8-hour (O3) averages the standards call for. Recent hours are weighted by
+ * w = max(minWeight, min / max concentration of the window), hour i back getting w^i, so a
+ * steady window behaves like a plain mean and a changing one leans on the latest hours.
+ */
+
+export const NOWCAST_HOURS = 12
+
+const NOWCAST_POLLUTANTS = {
+  pm2_5: { hours: 12, minWeight: 0.5 },
+  pm10: { hours: 12, minWeight: 0.5 },
+  o3: { hours: 8, minWeight: 0 }
+}
+
+// Hours of the most recent ones that must be present
+const RECENT_HOURS = 3
+const MIN_RECENT_HOURS = 2
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value)
+
+/**
+ * NowCast concentration of hourly values ordered newest first (null for missing hours),
+ * or null when fewer than two of the three most recent hours are present
+ */
+export const getNowCastConcentration = (values, minWeight = 0.5) => {
+  if (values.slice(0, RECENT_HOURS).filter(isNumber).length < MIN_RECENT_HOURS) return null
+  const present = values.filter(isNumber)
+  const max = Math.max(...present)
+  const min = Math.min(...present)
+  const weight = max > 0 ? Math.max(minWeight, min / max) : 1
+
+  let weighted = 0
+  let weights = 0
+  values.forEach((value, hoursBack) => {
+    if (!isNumber(value)) return
+    weighted += value * weight ** hoursBack
+    weights += weight ** hoursBack
+  })
+  return weighted / weights
+}
+
+/**
+ * NowCast AQI under `standardId` from hourly records covering the last 12 hours before `at`:
+ * the calculateAQI result of the PM2.5, PM10 and O3 NowCast concentrations, or null when
+ * none of them has enough recent hours
+ */
+export const calculateNowCast = (records, standardId, at = new Date()) => {
+  if (!records?.length) return null
+  const end = at instanceof Date ? at : parseISO(at)
+  // Newest hour first, each hour the mean of its records
+  const hours = bucketRecentHours(records, NOWCAST_HOURS, end).reverse()
+
+  const concentrations = {}
+  Object.entries(NOWCAST_POLLUTANTS).forEach(([pollutant, { hours: windowHours, minWeight }]) => {
+    const values = hours.slice(0, windowHours).map(hour => {
+      const present = hour.records.map(record => record[pollutant]).filter(isNumber)
+      return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null
+    })
+    const value = getNowCastConcentration(values, minWeight)
+    if (value !== null) concentrations[pollutant] = { value, hours: windowHours }
+  })
+
+  if (Object.keys(concentrations).length === 0) return null
+  return calculateAQI(concentrations, standardId)
+}
@@ -0,0 +1,136 @@
+/**
+ * Pollutant concentration units: what the backend reports, what each pollutant can be shown in
+ * and conversions between mass (µg/m³, mg/m³) and volume (ppb, ppm) concentrations.
+ *
+ * A gas's mass concentration is its volume concentration times molar mass / molar volume, and
+ * the molar volume of air grows with temperature and falls with pressure (ideal gas law), so
+ * converting between the two depends on the conditions the air is taken at.
+ */
+
+// The backend reports CO as a mixing ratio and every other pollutant as a mass concentration
+const BACKEND_CO_UNIT = 'ppm'
+
+export const SOURCE_UNITS = { pm2_5: 'µg/m³', pm10: 'µg/m³', co: BACKEND_CO_UNIT, so2: 'µg/m³', no2: 'µg/m³', o3: 'µg/m³' }
+
+export const POLLUTANT_KEYS = Object.keys(SOURCE_UNITS)
+
+// Molar masses (g/mol) of the gases; particles have none and stay in mass units
+const MOLAR_MASSES = { co: 28.01, so2: 64.07, no2: 46.01, o3: 48.0 }
+
+// 25 °C and 1 atm, the conditions of the US EPA tables, where a mole of air takes 24.45 L
+export const REFERENCE_CONDITIONS = { temperature: 25, pressure: 1013.25 }
+const REFERENCE_MOLAR_VOLUME = 24.45
+
+const MASS_UNITS = ['µg/m³', 'mg/m³']
+const GAS_UNITS = ['µg/m³', 'mg/m³', 'ppb', 'ppm']
+
+/**
+ * Units each pollutant can be displayed in
+ */
+export const UNIT_OPTIONS = {
+  pm2_5: MASS_UNITS,
+  pm10: MASS_UNITS,
+  co: GAS_UNITS,
+  so2: GAS_UNITS,
+  no2: GAS_UNITS,
+  o3: GAS_UNITS
+}
+
+export const UNIT_PRESETS = {
+  reported: { label: 'As reported (µg/m³, CO in ppm)', units: SOURCE_UNITS },
+  regulatory: {
+    label: 'Regulatory (ppb, CO in mg/m³)',
+    units: { pm2_5: 'µg/m³', pm10: 'µg/m³', co: 'mg/m³', so2: 'ppb', no2: 'ppb', o3: 'ppb' }
+  }
+}
+
+export const DEFAULT_POLLUTANT_UNITS = SOURCE_UNITS
+
+/**
+ * Conditions mass and volume concentrations are converted at: the fixed reference or the
+ * temperature and pressure observed with each reading
+ */
+export const CONVERSION_CONDITIONS = {
+  reference: { label: 'Reference (25 °C, 1013.25 hPa)' },
+  ambient: { label: 'Ambient (observed temperature and pressure)' }
+}
+
+export const DEFAULT_CONVERSION_CONDITIONS = 'reference'
+
+const UNIT_DECIMALS = { 'µg/m³': 2, 'mg/m³': 3, ppb: 1, ppm: 3 }
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value)
+
+/**
+ * Units for every pollutant, keeping only valid choices from `units` and filling the rest
+ * with the defaults
+ */
+export const normalizePollutantUnits = (units) => Object.fromEntries(POLLUTANT_KEYS.map(pollutant => [
+  pollutant,
+  UNIT_OPTIONS[pollutant].includes(units?.[pollutant]) ? units[pollutant] : DEFAULT_POLLUTANT_UNITS[pollutant]
+]))
+
+/**
+ * Litres per mole of air at `temperature` (°C) and `pressure` (hPa); either one missing is
+ * taken at its reference value
+ */
+export const getMolarVolume = ({ temperature, pressure } = REFERENCE_CONDITIONS) => {
+  const celsius = isNumber(temperature) ? temperature : REFERENCE_CONDITIONS.temperature
+  const hectopascals = isNumber(pressure) && pressure > 0 ? pressure : REFERENCE_CONDITIONS.pressure
+  return REFERENCE_MOLAR_VOLUME *
+    ((celsius + 273.15) / (REFERENCE_CONDITIONS.temperature + 273.15)) *
+    (REFERENCE_CONDITIONS.pressure / hectopascals)
+}
+
+/**
+ * Conversion conditions for `mode` (a CONVERSION_CONDITIONS key) and the weather observed with
+ * a reading ({ temperature, pressure }); the reference when ambient weather is not known
+ */
+export const getConversionConditions = (mode, weather) => (
+  mode === 'ambient' && weather ? { temperature: weather.temperature, pressure: weather.pressure } : REFERENCE_CONDITIONS
+)
+
+/**
+ * Convert a concentration between µg/m³, mg/m³, ppb and ppm, gases at `conditions`
+ * ({ temperature °C, pressure hPa }, the reference by default)
+ */
+export const convertConcentration = (value, pollutant, from, to, conditions = REFERENCE_CONDITIONS) => {
+  if (from === to) return value
+  const molarMass = MOLAR_MASSES[pollutant]
+  const perMole = molarMass / getMolarVolume(conditions)
+  const toMicrograms = { 'µg/m³': 1, 'mg/m³': 1000 }
+  if (molarMass) {
+    toMicrograms.ppb = perMole
+    toMicrograms.ppm = 1000 * perMole
+  }
+  if (!toMicrograms[from] || !toMicrograms[to]) {
+    throw new Error(`Cannot convert ${pollutant} from ${from} to ${to}`)
+  }
+  return value * toMicrograms[from] / toMicrograms[to]
+}
+
+/**
+ * A value as reported by the backend in the unit chosen for its pollutant, or null when missing
+ */
+export const toDisplayConcentration = (value, pollutant, units, conditions = REFERENCE_CONDITIONS) => {
+  if (!isNumber(value)) return null
+  return convertConcentration(value, pollutant, SOURCE_UNITS[pollutant], units[pollutant] || SOURCE_UNITS[pollutant], conditions)
+}
+
+/**
+ * Copy of a reading with its pollutant fields in the chosen units
+ */
+export const convertReading = (reading, units, conditions = REFERENCE_CONDITIONS) => {
+  const converted = { ...reading }
+  POLLUTANT_KEYS.forEach(pollutant => {
+    if (reading[pollutant] !== undefined) converted[pollutant] = toDisplayConcentration(reading[pollutant], pollutant, units, conditions)
+  })
+  return converted
+}
+
+/**
+ * "12.35" in the precision that suits the unit, or 'N/A'
+ */
+export const formatConcentration = (value, unit) => (
+  isNumber(value) ? value.toFixed(UNIT_DECIMALS[unit] ?? 2) : 'N/A'
+)
@@ -0,0 +1,217 @@
+import { getPolygons, openRing, closeRing } from './geometry'
+
+/**
+ * Analysis state in query parameters, so every page can be restored from its URL.
+ *
+ * Geometries are packed as base64url varints: counts of polygons, rings and vertices,
+ * then zigzag-encoded coordinate deltas at 1e-5° (about 1 m). Parameters:
+ * g (geometry), area (saved area id), name, from / to (date range), date (viewed day),
+ * view (Dashboard view mode), analysis (1 when the results are open), density,
+ * period / params / chart / select (AQI detail chart), c + cn (compared geometries and names).
+ */
+
+const COORDINATE_SCALE = 1e5
+// Longer encodings are simplified so links stay within common server URL limits
+const MAX_ENCODED_GEOMETRY_LENGTH = 6000
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+export const VIEW_MODES = ['live', 'daily', 'weekly', 'monthly', 'custom']
+// Periods of the AQI detail chart
+const DETAIL_PERIODS = ['live', 'daily', 'weekly', 'monthly']
+
+const writeVarint = (bytes, value) => {
+  let remaining = value
+  while (remaining >= 0x80) {
+    bytes.push((remaining % 0x80) | 0x80)
+    remaining = Math.floor(remaining / 0x80)
+  }
+  bytes.push(remaining)
+}
+
+const zigzag = (value) => (value < 0 ? -2 * value - 1 : 2 * value)
+const unzigzag = (value) => (value % 2 === 1 ? -(value + 1) / 2 : value / 2)
+
+const toBase64Url = (bytes) => {
+  let binary = ''
+  bytes.forEach(byte => { binary += String.fromCharCode(byte) })
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+  return Array.from(binary, char => char.charCodeAt(0))
+}
+
+const packPolygons = (polygons) => {
+  const bytes = []
+  let previous = [0, 0]
+  writeVarint(bytes, polygons.length)
+  polygons.forEach(rings => {
+    writeVarint(bytes, rings.length)
+    rings.forEach(ring => {
+      const vertices = openRing(ring)
+      writeVarint(bytes, vertices.length)
+      vertices.forEach(([lng, lat]) => {
+        const scaled = [Math.round(lng * COORDINATE_SCALE), Math.round(lat * COORDINATE_SCALE)]
+        writeVarint(bytes, zigzag(scaled[0] - previous[0]))
+        writeVarint(bytes, zigzag(scaled[1] - previous[1]))
+        previous = scaled
+      })
+    })
+  })
+  return toBase64Url(bytes)
+}
+
+// Squared distance from p to the segment a-b, in degrees
+const segmentDistanceSquared = ([px, py], [ax, ay], [bx, by]) => {
+  const dx = bx - ax
+  const dy = by - ay
+  const lengthSquared = dx * dx + dy * dy
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared))
+  const x = ax + t * dx - px
+  const y = ay + t * dy - py
+  return x * x + y * y
+}
+
+// Douglas-Peucker on an open ring, keeping at least a triangle
+const simplifyRing = (ring, tolerance) => {
+  const vertices = openRing(ring)
+  if (vertices.length <= 3) return ring
+  const keep = new Array(vertices.length).fill(false)
+  keep[0] = true
+  keep[vertices.length - 1] = true
+  const stack = [[0, vertices.length - 1]]
+  while (stack.length > 0) {
+    const [first, last] = stack.pop()
+    let farthest = -1
+    let maxDistance = tolerance * tolerance
+    for (let i = first + 1; i < last; i++) {
+      const distance = segmentDistanceSquared(vertices[i], vertices[first], vertices[last])
+      if (distance > maxDistance) {
+        farthest = i
+        maxDistance = distance
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = true
+      stack.push([first, farthest], [farthest, last])
+    }
+  }
+  const simplified = vertices.filter((_, index) => keep[index])
+  return simplified.length >= 3 ? closeRing(simplified) : ring
+}
+
+/**
+ * Compact, URL-safe text for a Polygon/MultiPolygon. Large boundaries are simplified
+ * until the text fits MAX_ENCODED_GEOMETRY_LENGTH.
+ */
+export const encodeGeometry = (geometry) => {
+  const polygons = getPolygons(geometry)
+  if (polygons.length === 0) return ''
+  let encoded = packPolygons(polygons)
+  for (let tolerance = 1e-5; encoded.length > MAX_ENCODED_GEOMETRY_LENGTH && tolerance < 1; tolerance *= 2) {
+    encoded = packPolygons(polygons.map(rings => rings.map(ring => simplifyRing(ring, tolerance))))
+  }
+  return encoded
+}
+
+/**
+ * Geometry from encodeGeometry text, or null when the text is damaged
+ */
+export const decodeGeometry = (text) => {
+  if (!text) return null
+  try {
+    const bytes = fromBase64Url(text)
+    let offset = 0
+    const readVarint = () => {
+      let value = 0
+      let multiplier = 1
+      for (;;) {
+        if (offset >= bytes.length) throw new Error('Truncated geometry')
+        const byte = bytes[offset++]
+        value += (byte & 0x7f) * multiplier
+        if (byte < 0x80) return value
+        multiplier *= 0x80
+      }
+    }
+
+    let previous = [0, 0]
+    const polygons = Array.from({ length: readVarint() }, () => (
+      Array.from({ length: readVarint() }, () => closeRing(
+        Array.from({ length: readVarint() }, () => {
+          previous = [previous[0] + unzigzag(readVarint()), previous[1] + unzigzag(readVarint())]
+          return [previous[0] / COORDINATE_SCALE, previous[1] / COORDINATE_SCALE]
+        })
+      ))
+    ))
+    if (offset !== bytes.length || polygons.length === 0 || polygons.some(rings => rings.length === 0 || rings[0].length < 4)) {
+      return null
+    }
+    return polygons.length === 1
+      ? { type: 'Polygon', coordinates: polygons[0] }
+      : { type: 'MultiPolygon', coordinates: polygons }
+  } catch {
+    return null
+  }
+}
+
+const validDate = (value) => (value && DATE_PATTERN.test(value) ? value : null)
+
+/**
+ * Query string (without "?") for an analysis state. Unset values are left out.
+ */
+export const writeAnalysisParams = ({
+  geometry, areaId, name, startDate, endDate, date, view, analysis,
+  density, period, parameters, chart, select, comparison
+}) => {
+  const params = new URLSearchParams()
+  const set = (key, value) => {
+    if (value !== undefined && value !== null && value !== '') params.set(key, value)
+  }
+
+  set('area', areaId)
+  if (!areaId && geometry) set('g', encodeGeometry(geometry))
+  set('name', name)
+  set('from', startDate)
+  set('to', endDate)
+  set('date', date)
+  set('view', view)
+  if (analysis) params.set('analysis', '1')
+  set('density', density)
+  set('period', period)
+  if (parameters) params.set('params', parameters.join(','))
+  set('chart', chart)
+  set('select', select)
+  ;(comparison || []).forEach(area => {
+    params.append('c', encodeGeometry(area.geometry))
+    params.append('cn', area.name || '')
+  })
+  return params.toString()
+}
+
+/**
+ * Analysis state from a query string. Malformed values come back as null
+ * (`parameters` as null, `comparison` as an empty list), so callers keep their defaults.
+ */
+export const readAnalysisParams = (search) => {
+  const params = new URLSearchParams(search)
+  const names = params.getAll('cn')
+  return {
+    geometry: decodeGeometry(params.get('g')),
+    areaId: params.get('area'),
+    name: params.get('name'),
+    startDate: validDate(params.get('from')),
+    endDate: validDate(params.get('to')),
+    date: validDate(params.get('date')),
+    view: VIEW_MODES.includes(params.get('view')) ? params.get('view') : null,
+    analysis: params.get('analysis') === '1',
+    density: params.get('density'),
+    period: DETAIL_PERIODS.includes(params.get('period')) ? params.get('period') : null,
+    parameters: params.has('params') ? params.get('params').split(',').filter(Boolean) : null,
+    chart: params.get('chart'),
+    select: params.get('select'),
+    comparison: params.getAll('c')
+      .map((encoded, index) => ({ name: names[index] || `Area ${index + 1}`, geometry: decodeGeometry(encoded) }))
+      .filter(area => area.geometry)
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * Weather units: the unit systems to pick from, per-quantity overrides and conversions from the
+ * metric values the backend reports (°C, km/h, mm, km, mb).
+ *
+ * Weather data stays metric everywhere and is only converted when displayed or exported, so
+ * thresholds that classify values (temperature colours, wind and pressure labels) keep comparing
+ * metric values whatever the chosen units.
+ */
+
+/**
+ * Measured quantities and the units each can be shown in, the backend's unit first
+ */
+export const WEATHER_QUANTITIES = {
+  temperature: { label: 'Temperature', units: ['°C', '°F'] },
+  speed: { label: 'Wind speed', units: ['km/h', 'mph', 'm/s', 'kn'] },
+  precipitation: { label: 'Precipitation', units: ['mm', 'in'] },
+  distance: { label: 'Visibility', units: ['km', 'mi'] },
+  pressure: { label: 'Pressure', units: ['mb', 'inHg'] }
+}
+
+export const UNIT_SYSTEMS = {
+  metric: {
+    label: 'Metric',
+    units: { temperature: '°C', speed: 'km/h', precipitation: 'mm', distance: 'km', pressure: 'mb' }
+  },
+  imperial: {
+    label: 'Imperial',
+    units: { temperature: '°F', speed: 'mph', precipitation: 'in', distance: 'mi', pressure: 'inHg' }
+  },
+  // As used in the UK: Celsius and millimetres, but miles and miles per hour
+  mixed: {
+    label: 'Mixed',
+    units: { temperature: '°C', speed: 'mph', precipitation: 'mm', distance: 'mi', pressure: 'mb' }
+  }
+}
+
+export const DEFAULT_UNIT_SYSTEM = 'metric'
+
+/**
+ * Quantity each weather field of the API measures
+ */
+export const WEATHER_FIELD_QUANTITIES = {
+  temperature: 'temperature',
+  feels_like: 'temperature',
+  temperature_max: 'temperature',
+  temperature_min: 'temperature',
+  wind_speed: 'speed',
+  wind_gusts: 'speed',
+  precipitation: 'precipitation',
+  visibility: 'distance',
+  pressure: 'pressure'
+}
+
+// Metric value -> unit, and the decimals values in the unit are shown with by default
+const CONVERSIONS = {
+  '°C': { convert: (value) => value, decimals: 1 },
+  '°F': { convert: (value) => value * 9 / 5 + 32, decimals: 1 },
+  'km/h': { convert: (value) => value, decimals: 1 },
+  mph: { convert: (value) => value / 1.609344, decimals: 1 },
+  'm/s': { convert: (value) => value / 3.6, decimals: 1 },
+  kn: { convert: (value) => value / 1.852, decimals: 1 },
+  mm: { convert: (value) => value, decimals: 1 },
+  in: { convert: (value) => value / 25.4, decimals: 2 },
+  km: { convert: (value) => value, decimals: 1 },
+  mi: { convert: (value) => value / 1.609344, decimals: 1 },
+  mb: { convert: (value) => value, decimals: 1 },
+  inHg: { convert: (value) => value / 33.8639, decimals: 2 }
+}
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value)
+
+/**
+ * Valid per-quantity overrides only: { [quantity]: unit }
+ */
+export const normalizeUnitOverrides = (overrides) => Object.fromEntries(
+  Object.entries(overrides || {}).filter(([quantity, unit]) => WEATHER_QUANTITIES[quantity]?.units.includes(unit))
+)
+
+/**
+ * Unit of every quantity under a unit system, with overrides taking precedence
+ */
+export const resolveWeatherUnits = (system, overrides) => ({
+  ...(UNIT_SYSTEMS[system] || UNIT_SYSTEMS[DEFAULT_UNIT_SYSTEM]).units,
+  ...normalizeUnitOverrides(overrides)
+})
+
+/**
+ * A metric value of `quantity` in `unit`, or null when missing
+ */
+export const convertWeatherValue = (value, quantity, unit) => {
+  if (!isNumber(value)) return null
+  const conversion = CONVERSIONS[unit]
+  if (!conversion || !WEATHER_QUANTITIES[quantity]?.units.includes(unit)) {
+    throw new Error(`Cannot convert ${quantity} to ${unit}`)
+  }
+  return conversion.convert(value)
+}
+
+/**
+ * "72.5" for a metric value shown in `unit` (the unit's default decimals unless given), or 'N/A'
+ */
+export const formatWeatherValue = (value, quantity, unit, decimals) => {
+  const converted = convertWeatherValue(value, quantity, unit)
+  if (converted === null) return 'N/A'
+  return converted.toFixed(decimals ?? CONVERSIONS[unit].decimals)
+}
+
+/**
+ * A number with its unit: "72.5°F", "12 mph"
+ */
+export const withUnit = (text, unit) => (unit.startsWith('°') ? `${text}${unit}` : `${text} ${unit}`)
+
+/**
+ * Unit the chosen `units` give a weather field, or undefined for unitless fields
+ */
+export const getWeatherFieldUnit = (field, units) => units[WEATHER_FIELD_QUANTITIES[field]]
+
+/**
+ * A weather field of a reading in the chosen units, rounded to the unit's decimals (for exports),
+ * or null when missing
+ */
+export const getWeatherFieldValue = (reading, field, units) => {
+  const quantity = WEATHER_FIELD_QUANTITIES[field]
+  const value = convertWeatherValue(reading?.[field], quantity, units[quantity])
+  return value === null ? null : Number(value.toFixed(CONVERSIONS[units[quantity]].decimals))
+}
+
+/**
+ * Copy of a weather reading with its measured fields converted to the chosen units
+ */
+export const convertWeatherReading = (reading, units) => {
+  const converted = { ...reading }
+  Object.entries(WEATHER_FIELD_QUANTITIES).forEach(([field, quantity]) => {
+    if (reading[field] !== undefined) converted[field] = convertWeatherValue(reading[field], quantity, units[quantity])
+  })
+  return converted
+}
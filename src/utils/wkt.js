@@ -0,0 +1,147 @@
+import { closeRing } from './geometry'
+
+/**
+ * Well-Known Text reading and writing for area boundaries. Geometries are GeoJSON ([lng, lat]).
+ */
+
+const tokenize = (text) => {
+  const tokens = text.match(/[A-Za-z]+|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?|[(),]/g) || []
+  let position = 0
+  return {
+    peek: () => tokens[position],
+    next: () => tokens[position++],
+    done: () => position >= tokens.length
+  }
+}
+
+const expect = (tokens, token) => {
+  const found = tokens.next()
+  if (found !== token) {
+    throw new Error(`Invalid WKT: expected "${token}" but found ${found ? `"${found}"` : 'end of text'}`)
+  }
+}
+
+// Z / M / ZM dimension flags are accepted; only the first two ordinates are kept
+const skipDimension = (tokens) => {
+  if (/^(Z|M|ZM)$/i.test(tokens.peek() || '')) tokens.next()
+}
+
+const isEmpty = (tokens) => {
+  if ((tokens.peek() || '').toUpperCase() !== 'EMPTY') return false
+  tokens.next()
+  return true
+}
+
+const parseRing = (tokens) => {
+  expect(tokens, '(')
+  const ring = []
+  for (;;) {
+    const position = []
+    while (tokens.peek() !== ',' && tokens.peek() !== ')' && !tokens.done()) {
+      position.push(Number(tokens.next()))
+    }
+    if (position.length < 2 || position.some(value => !isFinite(value))) {
+      throw new Error('Invalid WKT: every position needs a numeric x and y')
+    }
+    ring.push([position[0], position[1]])
+    if (tokens.peek() === ',') {
+      tokens.next()
+      continue
+    }
+    expect(tokens, ')')
+    return ring
+  }
+}
+
+const parseList = (tokens, parseItem) => {
+  expect(tokens, '(')
+  const items = [parseItem(tokens)]
+  while (tokens.peek() === ',') {
+    tokens.next()
+    items.push(parseItem(tokens))
+  }
+  expect(tokens, ')')
+  return items
+}
+
+const parsePolygon = (tokens) => parseList(tokens, parseRing)
+
+// Polygons of one tagged geometry; points and lines contribute none
+const parseGeometry = (tokens) => {
+  const type = (tokens.next() || '').toUpperCase()
+  skipDimension(tokens)
+  if (isEmpty(tokens)) return { type, polygons: [] }
+
+  switch (type) {
+    case 'POLYGON':
+      return { type, polygons: [parsePolygon(tokens)] }
+    case 'MULTIPOLYGON':
+      return { type, polygons: parseList(tokens, parsePolygon) }
+    case 'GEOMETRYCOLLECTION':
+      return { type, polygons: parseList(tokens, parseGeometry).flatMap(member => member.polygons) }
+    case 'POINT':
+    case 'LINESTRING':
+    case 'MULTIPOINT':
+    case 'MULTILINESTRING':
+      // Skip the balanced parentheses of geometries that cannot be analysed as an area
+      expect(tokens, '(')
+      for (let depth = 1; depth > 0 && !tokens.done();) {
+        const token = tokens.next()
+        if (token === '(') depth++
+        if (token === ')') depth--
+      }
+      return { type, polygons: [] }
+    default:
+      throw new Error(type ? `Unsupported WKT geometry type "${type}"` : 'The text is empty')
+  }
+}
+
+/**
+ * Looks like WKT or EWKT (optional "SRID=n;" prefix)
+ */
+export const isWKT = (text) => /^\s*(SRID=\d+\s*;\s*)?(POLYGON|MULTIPOLYGON|GEOMETRYCOLLECTION|POINT|LINESTRING|MULTIPOINT|MULTILINESTRING)\b/i.test(text)
+
+/**
+ * Parse WKT/EWKT into { geometry, srid }. `geometry` is a Polygon or MultiPolygon
+ * holding every polygon in the text; `srid` is the EWKT SRID, or null.
+ * Throws a descriptive error for malformed text or text without polygons.
+ */
+export const parseWKT = (text) => {
+  const sridMatch = /^\s*SRID=(\d+)\s*;/i.exec(text)
+  const body = sridMatch ? text.slice(sridMatch[0].length) : text
+
+  const tokens = tokenize(body)
+  const { type, polygons } = parseGeometry(tokens)
+  if (!tokens.done()) {
+    throw new Error('Invalid WKT: unexpected text after the geometry')
+  }
+
+  const valid = polygons.filter(rings => rings[0] && rings[0].length > 0)
+  if (valid.length === 0) {
+    throw new Error(/POINT|LINESTRING/.test(type) && type !== 'GEOMETRYCOLLECTION'
+      ? `No polygon found: the WKT is a ${type}. Please provide an area boundary.`
+      : 'No polygon found in the WKT. Please provide an area boundary.')
+  }
+
+  return {
+    geometry: valid.length === 1
+      ? { type: 'Polygon', coordinates: valid[0] }
+      : { type: 'MultiPolygon', coordinates: valid },
+    srid: sridMatch ? Number(sridMatch[1]) : null
+  }
+}
+
+const formatRings = (rings) => `(${rings.map(ring => `(${closeRing(ring).map(([lng, lat]) => `${lng} ${lat}`).join(', ')})`).join(', ')})`
+
+/**
+ * Serialise a Polygon or MultiPolygon geometry as WKT (longitude first)
+ */
+export const toWKT = (geometry) => {
+  if (geometry?.type === 'MultiPolygon') {
+    return `MULTIPOLYGON (${geometry.coordinates.map(formatRings).join(', ')})`
+  }
+  if (geometry?.type === 'Polygon') {
+    return `POLYGON ${formatRings(geometry.coordinates)}`
+  }
+  throw new Error('Only Polygon and MultiPolygon geometries can be exported')
+}